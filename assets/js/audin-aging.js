@@ -0,0 +1,433 @@
+/**
+ * AUDIN - Tempo das recomendacoes (idade, prazo vencido e tempo de resolucao)
+ *
+ * Cruza os registros de AUDIN.recomendacoes com o historico de situacao
+ * (data/eventos.json) para responder ha quanto tempo cada recomendacao
+ * esta na situacao atual, quais estao com o prazo vencido e quanto tempo
+ * as unidades levam para concluir (Atendida ou Baixada).
+ * Estende o namespace window.AUDIN.
+ *
+ * Datas:
+ *   - Referencia: data_atualizacao de stats.json (nao a data de hoje)
+ *   - Emissao: coluna Emissao; sem ela, 1o de julho do ano do relatorio (estimada)
+ *   - Prazo: coluna Prazo; sem ela, emissao + prazoDias (configuravel)
+ *   - Entrada na situacao atual: ultimo evento que levou a ela; sem eventos,
+ *     a idade conta desde a emissao
+ *   - Resolucao: data do evento de conclusao - emissao (so com eventos)
+ *
+ * Componentes:
+ *   - Painel: [data-audin-aging] (montado automaticamente; data-prazo-dias opcional)
+ *
+ * Uso:
+ *   AUDIN.aging.config.prazoDias = 180;   // antes do DOMContentLoaded
+ *   var analises = AUDIN.aging.analyze(registros, eventos, { referencia: '15/01/2026' });
+ *   AUDIN.aging.buckets(analises);
+ *   AUDIN.aging.resolutionTime(analises, 'Unidade');
+ *
+ * Dependencias: audin-data.js, audin-stats.js, audin-recomendacoes.js
+ * (audin-filters.js opcional: o painel respeita os filtros globais)
+ */
+(function () {
+    'use strict';
+
+    window.AUDIN = window.AUDIN || {};
+
+    var STATUS_ORDER = ['Pendente', 'Em Implementação', 'Atendida', 'Baixada'];
+    var ABERTAS = ['Pendente', 'Em Implementação'];
+    var CONCLUIDAS = ['Atendida', 'Baixada'];
+
+    var DIA_MS = 24 * 60 * 60 * 1000;
+
+    /** Vencidas listadas no painel (as demais sao apenas contadas). */
+    var MAX_VENCIDAS = 10;
+
+    /**
+     * @typedef {Object} AnaliseRecomendacao
+     * @property {Object} registro - RegistroRecomendacao
+     * @property {Date|null} emissao
+     * @property {boolean} emissaoEstimada
+     * @property {Date|null} prazo
+     * @property {Date|null} desde - Entrada na situacao atual (null sem evento)
+     * @property {number|null} idade - Dias na situacao atual ate a referencia
+     * @property {number} faixa - Indice em config.faixas (-1 sem data)
+     * @property {boolean} aberta
+     * @property {boolean} vencida
+     * @property {number|null} atraso - Dias apos o prazo (vencidas)
+     * @property {number|null} resolucao - Dias da emissao a conclusao
+     */
+
+    /* ============================================
+       DATAS
+       ============================================ */
+
+    /**
+     * @param {string|Date} value - DD/MM/AAAA ou Date
+     * @returns {Date|null} Data em UTC (meia-noite)
+     */
+    function toDate(value) {
+        if (value instanceof Date) {
+            return value;
+        }
+        var match = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(String(value || '').trim());
+        if (!match) {
+            return null;
+        }
+        return new Date(Date.UTC(Number(match[3]), Number(match[2]) - 1, Number(match[1])));
+    }
+
+    function formatDate(date) {
+        var pad = function (n) { return (n < 10 ? '0' : '') + n; };
+        return pad(date.getUTCDate()) + '/' + pad(date.getUTCMonth() + 1) + '/' + date.getUTCFullYear();
+    }
+
+    function addDays(date, dias) {
+        return new Date(date.getTime() + dias * DIA_MS);
+    }
+
+    function diffDays(inicio, fim) {
+        return Math.round((fim.getTime() - inicio.getTime()) / DIA_MS);
+    }
+
+    /**
+     * Duracao legivel: '45 dias', '8 meses', '2,5 anos'.
+     *
+     * @param {number} dias
+     * @returns {string}
+     */
+    function formatDuration(dias) {
+        if (dias < 60) {
+            return dias + (dias === 1 ? ' dia' : ' dias');
+        }
+        if (dias < 730) {
+            return Math.round(dias / 30.44) + ' meses';
+        }
+        return (Math.round(dias / 365.25 * 10) / 10).toLocaleString('pt-BR') + ' anos';
+    }
+
+    /* ============================================
+       ANALISE
+       ============================================ */
+
+    function faixaDe(idade) {
+        if (idade === null) {
+            return -1;
+        }
+        var faixas = AUDIN.aging.config.faixas;
+        for (var i = 0; i < faixas.length; i++) {
+            if (idade <= faixas[i].ate) {
+                return i;
+            }
+        }
+        return faixas.length - 1;
+    }
+
+    /**
+     * Eventos de cada ID em ordem cronologica.
+     *
+     * @param {Array<Object>} eventos - EventoStatus[]
+     * @returns {Object<string, Array<{data: Date, Situacao: string}>>}
+     */
+    function historyById(eventos) {
+        var porId = {};
+        (eventos || []).forEach(function (e, i) {
+            var data = toDate(e.data);
+            if (data) {
+                (porId[e.id] = porId[e.id] || []).push({ data: data, Situacao: e.Situacao, i: i });
+            }
+        });
+        Object.keys(porId).forEach(function (id) {
+            porId[id].sort(function (a, b) { return a.data - b.data || a.i - b.i; });
+        });
+        return porId;
+    }
+
+    /**
+     * Data em que a recomendacao entrou na situacao atual, pelo historico.
+     * Null quando nao ha eventos ou o ultimo evento diverge da tabela.
+     */
+    function enteredAt(historico, situacao) {
+        if (!historico || historico.length === 0 || historico[historico.length - 1].Situacao !== situacao) {
+            return null;
+        }
+        var k = historico.length - 1;
+        while (k > 0 && historico[k - 1].Situacao === situacao) {
+            k--;
+        }
+        return historico[k].data;
+    }
+
+    /**
+     * Analisa idade, prazo e resolucao de cada registro.
+     *
+     * @param {Array<Object>} registros - RegistroRecomendacao[]
+     * @param {Array<Object>} eventos - EventoStatus[]
+     * @param {Object} [opcoes]
+     * @param {string|Date} [opcoes.referencia] - Data de referencia (padrao: hoje)
+     * @param {number} [opcoes.prazoDias] - Prazo padrao (padrao: config.prazoDias)
+     * @returns {AnaliseRecomendacao[]}
+     */
+    function analyze(registros, eventos, opcoes) {
+        opcoes = opcoes || {};
+        var referencia = toDate(opcoes.referencia) || new Date();
+        var prazoDias = opcoes.prazoDias || AUDIN.aging.config.prazoDias;
+        var historicos = historyById(eventos);
+
+        return registros.map(function (registro) {
+            var emissao = toDate(registro.Emissao);
+            var estimada = false;
+            if (!emissao && registro.Ano) {
+                emissao = new Date(Date.UTC(Number(registro.Ano), 6, 1));
+                estimada = true;
+            }
+
+            var prazo = toDate(registro.Prazo) || (emissao ? addDays(emissao, prazoDias) : null);
+            var desde = enteredAt(historicos[registro.id], registro.Situacao);
+            var inicio = desde || emissao;
+            var idade = inicio ? Math.max(0, diffDays(inicio, referencia)) : null;
+            var aberta = ABERTAS.indexOf(registro.Situacao) !== -1;
+            var vencida = aberta && prazo !== null && referencia > prazo;
+            var concluida = CONCLUIDAS.indexOf(registro.Situacao) !== -1;
+
+            return {
+                registro: registro,
+                emissao: emissao,
+                emissaoEstimada: estimada,
+                prazo: prazo,
+                desde: desde,
+                idade: idade,
+                faixa: faixaDe(idade),
+                aberta: aberta,
+                vencida: vencida,
+                atraso: vencida ? diffDays(prazo, referencia) : null,
+                resolucao: concluida && desde && emissao ? Math.max(0, diffDays(emissao, desde)) : null
+            };
+        });
+    }
+
+    /**
+     * Contagem por situacao e faixa de idade.
+     *
+     * @param {AnaliseRecomendacao[]} analises
+     * @returns {Array<{Situacao: string, faixas: number[], semData: number, total: number}>}
+     */
+    function buckets(analises) {
+        var faixas = AUDIN.aging.config.faixas;
+        return STATUS_ORDER.map(function (situacao) {
+            var linha = { Situacao: situacao, faixas: faixas.map(function () { return 0; }), semData: 0, total: 0 };
+            analises.forEach(function (a) {
+                if (a.registro.Situacao !== situacao) {
+                    return;
+                }
+                linha.total++;
+                if (a.faixa === -1) {
+                    linha.semData++;
+                } else {
+                    linha.faixas[a.faixa]++;
+                }
+            });
+            return linha;
+        });
+    }
+
+    /**
+     * Tempo medio de resolucao agrupado por um campo do registro.
+     * Considera apenas recomendacoes concluidas com data no historico.
+     * Por unidade, rotulos compostos contam para cada unidade envolvida.
+     *
+     * @param {AnaliseRecomendacao[]} analises
+     * @param {string} campo - 'Unidade' ou 'Ano'
+     * @returns {Array<{chave: string, n: number, media: number}>} Maior media primeiro
+     */
+    function resolutionTime(analises, campo) {
+        var grupos = {};
+        analises.forEach(function (a) {
+            if (a.resolucao === null) {
+                return;
+            }
+            var chaves = campo === 'Unidade' ? AUDIN.stats.unitsOf(a.registro) : [a.registro[campo]];
+            chaves.forEach(function (valor) {
+                var chave = valor || 'Não informado';
+                var g = grupos[chave] = grupos[chave] || { chave: chave, n: 0, soma: 0 };
+                g.n++;
+                g.soma += a.resolucao;
+            });
+        });
+
+        return Object.keys(grupos).map(function (chave) {
+            var g = grupos[chave];
+            return { chave: chave, n: g.n, media: Math.round(g.soma / g.n) };
+        }).sort(function (a, b) {
+            return campo === 'Ano' ? (a.chave < b.chave ? -1 : a.chave > b.chave ? 1 : 0) : b.media - a.media || b.n - a.n;
+        });
+    }
+
+    /* ============================================
+       PAINEL
+       ============================================ */
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function renderBuckets(linhas) {
+        var faixas = AUDIN.aging.config.faixas;
+        var semData = linhas.some(function (l) { return l.semData > 0; });
+
+        return '<table class="audin-aging__tabela">' +
+            '<caption>Tempo na situação atual</caption>' +
+            '<thead><tr><th scope="col">Situação</th>' +
+                faixas.map(function (f) { return '<th scope="col">' + escapeHtml(f.rotulo) + '</th>'; }).join('') +
+                (semData ? '<th scope="col">Sem data</th>' : '') +
+                '<th scope="col">Total</th></tr></thead>' +
+            '<tbody>' + linhas.map(function (l) {
+                return '<tr><th scope="row"><span class="' + AUDIN.recomendacoes.statusClass(l.Situacao) + '">' + escapeHtml(l.Situacao) + '</span></th>' +
+                    l.faixas.map(function (n) { return '<td>' + n + '</td>'; }).join('') +
+                    (semData ? '<td>' + l.semData + '</td>' : '') +
+                    '<td><strong>' + l.total + '</strong></td></tr>';
+            }).join('') + '</tbody>' +
+            '</table>';
+    }
+
+    function renderVencidas(vencidas) {
+        if (vencidas.length === 0) {
+            return '<p class="audin-aging__vazio">Nenhuma recomendação em aberto com prazo vencido.</p>';
+        }
+        var lista = vencidas.slice(0, MAX_VENCIDAS).map(function (a) {
+            var r = a.registro;
+            return '<li><a href="' + escapeHtml(AUDIN.recomendacoes.link(r.id)) + '">' + escapeHtml(AUDIN.recomendacoes.titulo(r)) + '</a>' +
+                ' · ' + escapeHtml(r.Unidade) +
+                ' <span class="' + AUDIN.recomendacoes.statusClass(r.Situacao) + '">' + escapeHtml(r.Situacao) + '</span>' +
+                ' <span class="audin-aging__atraso">' + formatDuration(a.atraso) + ' após o prazo</span></li>';
+        }).join('');
+        var resto = vencidas.length - MAX_VENCIDAS;
+
+        return '<ol class="audin-aging__vencidas">' + lista + '</ol>' +
+            (resto > 0 ? '<p class="audin-aging__mais">e mais ' + resto + ' vencida(s).</p>' : '');
+    }
+
+    function renderResolucao(titulo, grupos, rotulo) {
+        if (grupos.length === 0) {
+            return '<div class="audin-aging__resolucao"><h4>' + titulo + '</h4>' +
+                '<p class="audin-aging__vazio">Nenhuma conclusão com data registrada no histórico de situação.</p></div>';
+        }
+        return '<div class="audin-aging__resolucao">' +
+            '<table class="audin-aging__tabela">' +
+            '<caption>' + titulo + '</caption>' +
+            '<thead><tr><th scope="col">' + rotulo + '</th><th scope="col">Concluídas</th><th scope="col">Tempo médio</th></tr></thead>' +
+            '<tbody>' + grupos.map(function (g) {
+                return '<tr><th scope="row">' + escapeHtml(g.chave) + '</th><td>' + g.n + '</td>' +
+                    '<td title="' + g.media + ' dias">' + formatDuration(g.media) + '</td></tr>';
+            }).join('') + '</tbody>' +
+            '</table></div>';
+    }
+
+    function render(container, analises, referencia, prazoDias) {
+        var abertas = analises.filter(function (a) { return a.aberta; });
+        var vencidas = abertas.filter(function (a) { return a.vencida; })
+            .sort(function (a, b) { return b.atraso - a.atraso; });
+        var estimadas = analises.filter(function (a) { return a.emissaoEstimada; }).length;
+
+        container.querySelector('.audin-aging__resumo').innerHTML =
+            '<strong>' + abertas.length + '</strong> em aberto, ' +
+            '<strong class="audin-aging__vencidas-total">' + vencidas.length + '</strong> com prazo vencido em ' + escapeHtml(referencia) +
+            ' (prazo informado ou ' + prazoDias + ' dias após a emissão).';
+
+        container.querySelector('.audin-aging__conteudo').innerHTML =
+            renderBuckets(buckets(analises)) +
+            '<h4 class="audin-aging__subtitulo">Prazo vencido</h4>' +
+            renderVencidas(vencidas) +
+            '<div class="audin-aging__grade">' +
+                renderResolucao('Tempo médio de resolução por unidade', resolutionTime(analises, 'Unidade'), 'Unidade') +
+                renderResolucao('Tempo médio de resolução por ano', resolutionTime(analises, 'Ano'), 'Ano') +
+            '</div>' +
+            (estimadas > 0
+                ? '<p class="audin-aging__nota">' + estimadas + ' recomendação(ões) sem data de emissão na planilha: ' +
+                    'considerado 1º de julho do ano do relatório.</p>'
+                : '');
+    }
+
+    /**
+     * Monta o painel em um container [data-audin-aging].
+     *
+     * @param {HTMLElement} container
+     */
+    function initAgingView(container) {
+        var prazoDias = Number(container.dataset.prazoDias) || AUDIN.aging.config.prazoDias;
+
+        container.innerHTML =
+            '<div class="audin-aging__cabecalho">' +
+                '<h3 class="audin-aging__titulo">Tempo das recomendações</h3>' +
+                '<label class="audin-aging__prazo">Prazo padrão ' +
+                    '<input type="number" min="1" step="30" value="' + prazoDias + '"> dias</label>' +
+            '</div>' +
+            '<p class="audin-aging__resumo" role="status">Carregando...</p>' +
+            '<div class="audin-aging__conteudo"></div>';
+
+        var input = container.querySelector('.audin-aging__prazo input');
+
+        Promise.all([
+            AUDIN.recomendacoes.load(),
+            AUDIN.data.loadEventos().catch(function () { return []; }),
+            AUDIN.data.loadStats()
+        ]).then(function (results) {
+            var registros = results[0];
+            var eventos = results[1];
+            var referencia = results[2].data_atualizacao;
+
+            function update() {
+                var dias = Number(input.value) > 0 ? Number(input.value) : prazoDias;
+                var visiveis = AUDIN.filters ? AUDIN.filters.apply(registros) : registros;
+                render(container, analyze(visiveis, eventos, { referencia: referencia, prazoDias: dias }), referencia, dias);
+            }
+
+            input.addEventListener('change', update);
+            if (AUDIN.filters) {
+                AUDIN.filters.on('change', update);
+            }
+            update();
+        }).catch(function (error) {
+            console.error('AUDIN.aging: erro ao carregar dados', error);
+            AUDIN.data.markUnavailable([container.querySelector('.audin-aging__resumo')], error.file);
+        });
+    }
+
+    /* ============================================
+       API PUBLICA
+       ============================================ */
+
+    AUDIN.aging = {
+        config: {
+            /** Prazo padrao (dias apos a emissao) quando a planilha nao informa Prazo. */
+            prazoDias: 365,
+
+            /** Faixas de idade: ate N dias (inclusive). */
+            faixas: [
+                { ate: 180, rotulo: 'Até 6 meses' },
+                { ate: 365, rotulo: '6 a 12 meses' },
+                { ate: 730, rotulo: '1 a 2 anos' },
+                { ate: 1826, rotulo: '2 a 5 anos' },
+                { ate: Infinity, rotulo: 'Mais de 5 anos' }
+            ]
+        },
+
+        toDate: toDate,
+        formatDate: formatDate,
+        formatDuration: formatDuration,
+        analyze: analyze,
+        buckets: buckets,
+        resolutionTime: resolutionTime,
+        initAgingView: initAgingView
+    };
+
+    /* ============================================
+       AUTO-INIT
+       ============================================ */
+
+    document.addEventListener('DOMContentLoaded', function () {
+        Array.prototype.forEach.call(document.querySelectorAll('[data-audin-aging]'), initAgingView);
+    });
+})();
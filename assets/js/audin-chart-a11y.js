@@ -0,0 +1,447 @@
+/**
+ * AUDIN - Tabela de dados e resumo textual dos graficos (acessibilidade)
+ *
+ * Canvas do Chart.js e divs do Plotly nao sao lidos por leitores de tela.
+ * Para cada grafico montado pelos modulos AUDIN, este script gera logo
+ * apos o grafico:
+ *   - um resumo automatico ("Pendente é a maior categoria com 37,2% ...")
+ *     ligado ao grafico por aria-describedby;
+ *   - uma tabela com os mesmos numeros, visualmente oculta (audin-sr-only)
+ *     e exibida pelo botao "Mostrar dados do gráfico".
+ * Estende o namespace window.AUDIN (eMAG / WCAG 1.1.1 e 1.3.1).
+ *
+ * Quem chama describe():
+ *   AUDIN.charts (audin-core.js)       graficos Chart.js do design system
+ *   AUDIN.initPlotlyCharts (dashboard) hierarquias Plotly
+ *   AUDIN.chartData.plot               paginas de charts/*.html
+ * Cada redesenho (filtros, tema) atualiza resumo e tabela, mantendo a
+ * tabela aberta ou fechada como o usuario deixou.
+ *
+ * Dados normalizados (fromChartJs / fromPlotly):
+ *   { titulo, colunas: ['Ano', 'Atendida', ...], linhas: [['2021', 10, ...]],
+ *     totais: [{ rotulo, valor }], resumo? }
+ *   totais alimenta o resumo (participacao de cada categoria no total);
+ *   resumo, quando presente, substitui o texto automatico.
+ *
+ * Grafico dentro de um container com role="img" (ex: PAINT): o container
+ * recebe o aria-describedby e o bloco e inserido depois dele, ja que o
+ * conteudo de role="img" nao e exposto.
+ *
+ * Uso:
+ *   AUDIN.chartA11y.describe(canvas, AUDIN.chartA11y.fromChartJs(config));
+ *   AUDIN.chartA11y.describe(div, AUDIN.chartA11y.fromPlotly(data, layout));
+ *   AUDIN.chartA11y.summary(dados);   // texto do resumo
+ *   AUDIN.chartA11y.remove(canvas);
+ *
+ * Dependencias: nenhuma. Estilos em dev/assets/css/audin-components.css
+ * (.audin-chart-a11y) e audin-base.css (.audin-sr-only, .audin-table).
+ */
+(function () {
+    'use strict';
+
+    window.AUDIN = window.AUDIN || {};
+
+    var OCULTO = 'audin-sr-only';
+
+    var ROTULO_MOSTRAR = 'Mostrar dados do gráfico';
+    var ROTULO_OCULTAR = 'Ocultar dados do gráfico';
+
+    var sequencia = 0;
+
+    function escapeHtml(str) {
+        return String(str === null || str === undefined ? '' : str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /** Texto sem marcacao HTML (titulos do Plotly usam <b> e <br>). */
+    function textoPuro(html) {
+        return String(html || '')
+            .replace(/<br\s*\/?>/gi, ' ')
+            .replace(/<[^>]*>/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    function numero(valor) {
+        return typeof valor === 'number' && isFinite(valor) ? valor : null;
+    }
+
+    function formatar(valor) {
+        if (Array.isArray(valor)) {
+            return valor.map(formatar).join(' a ');
+        }
+        if (typeof valor === 'number') {
+            return valor.toLocaleString('pt-BR');
+        }
+        return valor === null || valor === undefined ? '' : String(valor);
+    }
+
+    function percentual(parte, total) {
+        return (parte / total * 100).toFixed(1).replace('.', ',') + '%';
+    }
+
+    function soma(valores) {
+        return valores.reduce(function (acc, v) { return acc + (numero(v) || 0); }, 0);
+    }
+
+    /** Soma valores por rotulo, na ordem de primeira ocorrencia. */
+    function acumular(pares) {
+        var ordem = [];
+        var porRotulo = {};
+        pares.forEach(function (par) {
+            var rotulo = String(par[0]);
+            if (!Object.prototype.hasOwnProperty.call(porRotulo, rotulo)) {
+                porRotulo[rotulo] = 0;
+                ordem.push(rotulo);
+            }
+            porRotulo[rotulo] += numero(par[1]) || 0;
+        });
+        return ordem.map(function (rotulo) { return { rotulo: rotulo, valor: porRotulo[rotulo] }; });
+    }
+
+    /* ============================================
+       NORMALIZACAO: CHART.JS
+       ============================================ */
+
+    /**
+     * Dados de uma configuracao Chart.js (labels x datasets).
+     * Um dataset: o resumo compara os labels; varios: compara os datasets.
+     *
+     * @param {Object} config - { type, data: { labels, datasets }, options }
+     * @returns {Object} Dados normalizados
+     */
+    function fromChartJs(config) {
+        var data = config.data || {};
+        var labels = data.labels || [];
+        var datasets = data.datasets || [];
+        var titulo = config.options && config.options.plugins && config.options.plugins.title;
+
+        var colunas = ['Categoria'].concat(datasets.map(function (d, i) {
+            return d.label || (datasets.length === 1 ? 'Valor' : 'Série ' + (i + 1));
+        }));
+
+        var linhas = labels.map(function (label, i) {
+            return [label].concat(datasets.map(function (d) { return d.data[i]; }));
+        });
+
+        var totais = datasets.length === 1
+            ? acumular(labels.map(function (label, i) { return [label, datasets[0].data[i]]; }))
+            : datasets.map(function (d, i) { return { rotulo: colunas[i + 1], valor: soma(d.data) }; });
+
+        return {
+            titulo: titulo && titulo.display !== false && titulo.text
+                ? [].concat(titulo.text).join(' ')
+                : '',
+            colunas: colunas,
+            linhas: linhas,
+            totais: totais
+        };
+    }
+
+    /* ============================================
+       NORMALIZACAO: PLOTLY
+       ============================================ */
+
+    function tituloEixo(eixo, padrao) {
+        var titulo = eixo && eixo.title;
+        var texto = textoPuro(titulo && typeof titulo === 'object' ? titulo.text : titulo);
+        return texto || padrao;
+    }
+
+    /** Barras (verticais ou horizontais): categorias x traces. */
+    function barras(data, layout) {
+        var horizontal = data[0].orientation === 'h';
+        var categorias = [];
+        var valores = data.map(function (trace) {
+            var cats = (horizontal ? trace.y : trace.x) || [];
+            var vals = (horizontal ? trace.x : trace.y) || [];
+            var porCategoria = {};
+            cats.forEach(function (cat, i) {
+                var chave = String(cat);
+                if (categorias.indexOf(chave) === -1) {
+                    categorias.push(chave);
+                }
+                porCategoria[chave] = vals[i];
+            });
+            return porCategoria;
+        });
+
+        var colunas = [tituloEixo(horizontal ? layout.yaxis : layout.xaxis, 'Categoria')].concat(data.map(function (trace, i) {
+            return trace.name || (data.length === 1 ? tituloEixo(horizontal ? layout.xaxis : layout.yaxis, 'Valor') : 'Série ' + (i + 1));
+        }));
+
+        var linhas = categorias.map(function (cat) {
+            return [cat].concat(valores.map(function (porCategoria) { return porCategoria[cat]; }));
+        });
+
+        var totais = data.length === 1
+            ? linhas.map(function (linha) { return { rotulo: linha[0], valor: numero(linha[1]) || 0 }; })
+            : valores.map(function (porCategoria, i) {
+                return { rotulo: colunas[i + 1], valor: soma(Object.keys(porCategoria).map(function (k) { return porCategoria[k]; })) };
+            });
+
+        return { colunas: colunas, linhas: linhas, totais: totais };
+    }
+
+    /** Hierarquia (sunburst, treemap): caminho de cada no e seu valor. */
+    function hierarquia(trace) {
+        var ids = trace.ids || trace.labels;
+        var indice = {};
+        ids.forEach(function (id, i) { indice[id] = i; });
+
+        var temFilhos = {};
+        (trace.parents || []).forEach(function (pai) { temFilhos[pai] = true; });
+
+        function caminho(i) {
+            var partes = [];
+            var atual = i;
+            while (atual !== undefined && partes.length < ids.length) {
+                partes.unshift(trace.labels[atual]);
+                atual = indice[trace.parents[atual]];
+            }
+            return partes.join(' › ');
+        }
+
+        var linhas = ids.map(function (id, i) { return [caminho(i), trace.values ? trace.values[i] : null]; });
+
+        function valores(filtro) {
+            return ids
+                .map(function (id, i) { return filtro(id, i) ? [trace.labels[i], trace.values ? trace.values[i] : 0] : null; })
+                .filter(Boolean);
+        }
+
+        // Folhas somadas por rotulo (ex: total de cada situacao); com um so
+        // rotulo de folha, compara os nos do primeiro nivel
+        var totais = acumular(valores(function (id) { return !temFilhos[id]; }));
+        if (totais.length < 2) {
+            totais = acumular(valores(function (id, i) { return !trace.parents[i]; }));
+        }
+
+        return { colunas: ['Grupo', 'Valor'], linhas: linhas, totais: totais };
+    }
+
+    /**
+     * Dados de uma figura Plotly (bar, pie, heatmap, sunburst, treemap,
+     * sankey, indicator). Outros tipos: so o titulo, sem tabela.
+     *
+     * @param {Array<Object>} data - Traces
+     * @param {Object} [layout]
+     * @returns {Object} Dados normalizados
+     */
+    function fromPlotly(data, layout) {
+        layout = layout || {};
+        var trace = data[0] || {};
+        var titulo = tituloEixo(layout, '') || tituloEixo(trace, '');
+        var dados;
+
+        if (trace.type === 'bar' || trace.type === 'scatter') {
+            dados = barras(data, layout);
+        } else if (trace.type === 'pie') {
+            dados = {
+                colunas: ['Categoria', 'Valor'],
+                linhas: trace.labels.map(function (label, i) { return [label, trace.values[i]]; }),
+                totais: acumular(trace.labels.map(function (label, i) { return [label, trace.values[i]]; }))
+            };
+        } else if (trace.type === 'heatmap') {
+            var z = trace.z || [];
+            dados = {
+                colunas: [tituloEixo(layout.yaxis, 'Categoria')].concat((trace.x || []).map(String)),
+                linhas: (trace.y || []).map(function (y, i) { return [y].concat(z[i] || []); }),
+                totais: (trace.y || []).map(function (y, i) { return { rotulo: String(y), valor: soma(z[i] || []) }; })
+            };
+        } else if (trace.type === 'sunburst' || trace.type === 'treemap' || trace.type === 'icicle') {
+            dados = hierarquia(trace);
+        } else if (trace.type === 'sankey') {
+            var nos = trace.node.label;
+            var link = trace.link;
+            dados = {
+                colunas: ['Origem', 'Destino', 'Valor'],
+                linhas: link.source.map(function (s, i) { return [nos[s], nos[link.target[i]], link.value[i]]; }),
+                totais: acumular(link.target.map(function (t, i) { return [nos[t], link.value[i]]; }))
+            };
+        } else if (trace.type === 'indicator') {
+            var sufixo = trace.number && trace.number.suffix || '';
+            var valor = formatar(numero(trace.value) !== null ? Math.round(trace.value * 10) / 10 : trace.value) + sufixo;
+            dados = {
+                colunas: ['Indicador', 'Valor'],
+                linhas: [[titulo, valor]],
+                totais: [],
+                resumo: titulo + ': ' + valor + '.'
+            };
+        } else {
+            dados = { colunas: [], linhas: [], totais: [] };
+        }
+
+        dados.titulo = titulo;
+        return dados;
+    }
+
+    /* ============================================
+       RESUMO TEXTUAL
+       ============================================ */
+
+    /**
+     * Resumo do grafico: maior e menor categoria e sua participacao.
+     *
+     * @param {Object} dados - Dados normalizados
+     * @returns {string} Ex: 'Pendente é a maior categoria com 37,2% (485 de 1.304). Baixada é a menor, com 4,4%.'
+     */
+    function summary(dados) {
+        if (dados.resumo) {
+            return dados.resumo;
+        }
+
+        var totais = (dados.totais || []).filter(function (t) { return numero(t.valor) !== null && t.valor > 0; });
+        if (totais.length === 0) {
+            // Valores nao somaveis (ex: periodos de um cronograma)
+            return dados.linhas.length > 0
+                ? dados.linhas.length + ' itens; valores na tabela de dados.'
+                : 'Sem dados para os filtros atuais.';
+        }
+
+        var total = soma(totais.map(function (t) { return t.valor; }));
+        var ordenados = totais.slice().sort(function (a, b) { return b.valor - a.valor; });
+        var maior = ordenados[0];
+        var texto = maior.rotulo + ' é a maior categoria com ' + percentual(maior.valor, total) +
+            ' (' + formatar(maior.valor) + ' de ' + formatar(total) + ').';
+
+        if (ordenados.length > 1) {
+            var menor = ordenados[ordenados.length - 1];
+            texto += ' ' + menor.rotulo + ' é a menor, com ' + percentual(menor.valor, total) + '.';
+        }
+        return texto;
+    }
+
+    /* ============================================
+       TABELA E VINCULO COM O GRAFICO
+       ============================================ */
+
+    function tabelaHtml(dados) {
+        if (dados.colunas.length === 0) {
+            return '';
+        }
+        var cabecalho = dados.colunas.map(function (c) {
+            return '<th scope="col">' + escapeHtml(c) + '</th>';
+        }).join('');
+        var corpo = dados.linhas.map(function (linha) {
+            return '<tr><th scope="row">' + escapeHtml(formatar(linha[0])) + '</th>' +
+                linha.slice(1).map(function (v) { return '<td>' + escapeHtml(formatar(v)) + '</td>'; }).join('') +
+                '</tr>';
+        }).join('');
+
+        return '<table class="audin-table">' +
+            (dados.titulo ? '<caption>' + escapeHtml(dados.titulo) + '</caption>' : '') +
+            '<thead><tr>' + cabecalho + '</tr></thead><tbody>' + corpo + '</tbody></table>';
+    }
+
+    /** Elemento que recebe aria-describedby: o container role="img", se houver. */
+    function alvoDe(el) {
+        var pai = el.parentNode;
+        return pai && pai.getAttribute && pai.getAttribute('role') === 'img' ? pai : el;
+    }
+
+    function tokens(valor) {
+        return String(valor || '').split(/\s+/).filter(Boolean);
+    }
+
+    function alternar(bloco, aberto) {
+        var botao = bloco.querySelector('.audin-chart-a11y__alternar');
+        botao.setAttribute('aria-expanded', String(aberto));
+        botao.textContent = aberto ? ROTULO_OCULTAR : ROTULO_MOSTRAR;
+        bloco.querySelector('.audin-chart-a11y__resumo').classList.toggle(OCULTO, !aberto);
+        bloco.querySelector('.audin-chart-a11y__tabela').classList.toggle(OCULTO, !aberto);
+    }
+
+    function criarBloco(base) {
+        var bloco = document.createElement('div');
+        bloco.className = 'audin-chart-a11y';
+        bloco.id = base + '-a11y';
+        bloco.innerHTML =
+            '<p class="audin-chart-a11y__resumo ' + OCULTO + '" id="' + base + '-resumo"></p>' +
+            '<button type="button" class="audin-btn audin-btn--secondary audin-btn--sm audin-chart-a11y__alternar"' +
+            ' aria-expanded="false" aria-controls="' + base + '-tabela">' + ROTULO_MOSTRAR + '</button>' +
+            '<div class="audin-table-wrapper audin-chart-a11y__tabela ' + OCULTO + '" id="' + base + '-tabela"></div>';
+
+        var botao = bloco.querySelector('.audin-chart-a11y__alternar');
+        botao.addEventListener('click', function () {
+            alternar(bloco, botao.getAttribute('aria-expanded') !== 'true');
+        });
+        return bloco;
+    }
+
+    /**
+     * Cria ou atualiza o resumo e a tabela do grafico, logo apos ele.
+     *
+     * @param {HTMLElement} el - Canvas ou div do grafico
+     * @param {Object} dados - Resultado de fromChartJs/fromPlotly
+     * @returns {HTMLElement} Bloco .audin-chart-a11y
+     */
+    function describe(el, dados) {
+        var alvo = alvoDe(el);
+        if (!alvo.dataset.audinA11y) {
+            alvo.dataset.audinA11y = alvo.id || el.id || 'audin-grafico-' + (++sequencia);
+        }
+        var base = alvo.dataset.audinA11y;
+
+        var bloco = document.getElementById(base + '-a11y');
+        if (!bloco) {
+            bloco = criarBloco(base);
+            alvo.parentNode.insertBefore(bloco, alvo.nextSibling);
+        }
+
+        bloco.querySelector('.audin-chart-a11y__resumo').textContent = summary(dados);
+        bloco.querySelector('.audin-chart-a11y__tabela').innerHTML = tabelaHtml(dados);
+
+        if (!alvo.getAttribute('role')) {
+            alvo.setAttribute('role', el.tagName === 'CANVAS' ? 'img' : 'figure');
+        }
+        if (!alvo.getAttribute('aria-label') && dados.titulo) {
+            alvo.setAttribute('aria-label', dados.titulo);
+        }
+        var descritores = tokens(alvo.getAttribute('aria-describedby'));
+        if (descritores.indexOf(base + '-resumo') === -1) {
+            alvo.setAttribute('aria-describedby', descritores.concat(base + '-resumo').join(' '));
+        }
+
+        return bloco;
+    }
+
+    /**
+     * Remove o resumo e a tabela do grafico (grafico destruido ou sem dados).
+     *
+     * @param {HTMLElement} el
+     * @returns {boolean} false se o grafico nao tinha descricao
+     */
+    function remove(el) {
+        var alvo = alvoDe(el);
+        var base = alvo.dataset.audinA11y;
+        var bloco = base ? document.getElementById(base + '-a11y') : null;
+        if (!bloco) {
+            return false;
+        }
+        bloco.parentNode.removeChild(bloco);
+
+        var descritores = tokens(alvo.getAttribute('aria-describedby')).filter(function (t) { return t !== base + '-resumo'; });
+        if (descritores.length > 0) {
+            alvo.setAttribute('aria-describedby', descritores.join(' '));
+        } else {
+            alvo.removeAttribute('aria-describedby');
+        }
+        return true;
+    }
+
+    /* ============================================
+       API PUBLICA
+       ============================================ */
+
+    AUDIN.chartA11y = {
+        fromChartJs: fromChartJs,
+        fromPlotly: fromPlotly,
+        summary: summary,
+        describe: describe,
+        remove: remove
+    };
+})();
@@ -0,0 +1,700 @@
+/**
+ * AUDIN - Transformacoes de dados para os graficos Plotly
+ *
+ * Converte as linhas de recomendacoes_table.json em estruturas prontas
+ * para traces (hierarquia, tabela cruzada, series, fluxo sankey).
+ * Usado pelas paginas de charts/*.html, que antes traziam os dados
+ * embutidos no HTML. Estende o namespace window.AUDIN. Nao depende do DOM,
+ * exceto plot().
+ *
+ * Entrada comum: registros agrupados
+ *   { Ano, Relatorio, Unidade, Situacao, Total }
+ * obtidos com AUDIN.chartData.group(rows).
+ *
+ * Uso:
+ *   AUDIN.chartData.plot('chart', function (groups, rows) {
+ *       var h = AUDIN.chartData.hierarchy(groups, ['Ano', 'Unidade', 'Situacao']);
+ *       return { data: [{ type: 'treemap', ids: h.ids, ... }], layout: {...} };
+ *   });
+ *
+ * Rollup organizacional (Reitoria -> grupo -> orgao -> unidade), cada
+ * recomendacao contada uma vez:
+ *   AUDIN.chartData.plot('chart', function (groups, rows, registro) {
+ *       var h = AUDIN.chartData.rollup(rows, 'estrutura', registro);
+ *       ...
+ *   });
+ *
+ * Dependencias: audin-data.js, audin-stats.js; Plotly apenas para plot().
+ * Opcional: audin-filters.js (plot() respeita ?ano=&unidade=&status=),
+ * audin-frames.js (redesenho por mensagem do host, cliques enviados ao host),
+ * audin-registro.js (arvore organizacional para build) e
+ * audin-recomendacoes.js + audin-temas.js (rows classificadas por tema,
+ * para group(rows, { porTema: true })) e audin-theme.js (cores e fontes
+ * dos tokens via AUDIN.theme.palette(); redesenho quando o tema muda) e
+ * audin-chart-a11y.js (resumo e tabela de dados para leitores de tela).
+ */
+(function () {
+    'use strict';
+
+    window.AUDIN = window.AUDIN || {};
+
+    /** Ordem canonica de status em legendas, series e nos do sankey. */
+    var STATUS_ORDER = ['Atendida', 'Baixada', 'Em Implementação', 'Pendente'];
+
+    var KEYS = ['Ano', 'Relatorio', 'Unidade', 'Situacao'];
+
+    /* ============================================
+       UTILITARIOS
+       ============================================ */
+
+    function compareText(a, b) {
+        return a < b ? -1 : a > b ? 1 : 0;
+    }
+
+    function compareStatus(a, b) {
+        var ia = STATUS_ORDER.indexOf(a);
+        var ib = STATUS_ORDER.indexOf(b);
+        return (ia === -1 ? STATUS_ORDER.length : ia) - (ib === -1 ? STATUS_ORDER.length : ib) || compareText(a, b);
+    }
+
+    /** Comparador por dimensao: status na ordem canonica, demais por texto. */
+    function comparatorFor(key) {
+        return key === 'Situacao' ? compareStatus : compareText;
+    }
+
+    /**
+     * Aceita nome de campo, funcao (group) => valor ou nivel composto
+     * { campo, path } (ver hierarchy()).
+     */
+    function accessor(level) {
+        if (typeof level === 'function') {
+            return level;
+        }
+        if (level && typeof level === 'object') {
+            return level.path;
+        }
+        return function (g) { return g[level]; };
+    }
+
+    function sum(groups) {
+        return groups.reduce(function (total, g) { return total + g.Total; }, 0);
+    }
+
+    /**
+     * Valores distintos de uma dimensao, ordenados.
+     *
+     * @param {Array<Object>} groups
+     * @param {string} key
+     * @returns {string[]}
+     */
+    function distinct(groups, key) {
+        var seen = new Set();
+        groups.forEach(function (g) {
+            if (g[key]) {
+                seen.add(g[key]);
+            }
+        });
+        return Array.from(seen).sort(comparatorFor(key));
+    }
+
+    /* ============================================
+       AGRUPAMENTO
+       ============================================ */
+
+    /**
+     * Agrupa linhas por Ano x Relatorio x Unidade x Situacao.
+     * Linhas sem texto de recomendacao sao descartadas (AUDIN.stats.isValida).
+     *
+     * Uma linha de rotulo composto (row.Unidades, audin-registro.js) conta
+     * para cada unidade envolvida; somas que nao separam por unidade (ex:
+     * total por ano, hierarquias de rollup()) devem usar { porUnidade: false },
+     * que conta cada linha uma vez sob o rotulo combinado e guarda os
+     * codigos em Unidades.
+     *
+     * Com { porTema: true } (registros classificados por audin-temas.js),
+     * cada grupo ganha a dimensao Tema e a recomendacao conta uma vez para
+     * cada tema ('Sem tema' quando nao classificada).
+     *
+     * @param {Array<Object>} rows - Linhas de recomendacoes_table.json
+     * @param {Object} [options]
+     * @param {boolean} [options.porUnidade=true]
+     * @param {boolean} [options.porTema=false]
+     * @returns {Array<{Ano: string, Relatorio: string, Unidade: string, Situacao: string, Tema?: string, Unidades?: string[], Total: number}>}
+     */
+    function group(rows, options) {
+        var porUnidade = !options || options.porUnidade !== false;
+        var porTema = Boolean(options && options.porTema);
+        var chaves = porTema ? KEYS.concat('Tema') : KEYS;
+        var index = new Map();
+
+        (rows || []).filter(AUDIN.stats.isValida).forEach(function (row) {
+            var unidades = porUnidade ? AUDIN.stats.unitsOf(row) : [row.Unidade];
+            var temas = porTema ? AUDIN.temas.of(row) : [''];
+            (unidades.length > 0 ? unidades : ['']).forEach(function (unidade) {
+                temas.forEach(function (tema) {
+                    var valores = { Ano: row.Ano, Relatorio: row.Relatorio, Unidade: unidade, Situacao: row.Situacao, Tema: tema };
+                    var id = chaves.map(function (k) { return valores[k]; }).join('\u0000');
+                    var entry = index.get(id);
+                    if (!entry) {
+                        entry = {};
+                        chaves.forEach(function (k) { entry[k] = valores[k] || ''; });
+                        if (!porUnidade) {
+                            entry.Unidades = AUDIN.stats.unitsOf(row);
+                        }
+                        entry.Total = 0;
+                        index.set(id, entry);
+                    }
+                    entry.Total++;
+                });
+            });
+        });
+
+        return Array.from(index.values());
+    }
+
+    /**
+     * Soma Total por uma dimensao.
+     *
+     * @param {Array<Object>} groups
+     * @param {string} key - Ex: 'Unidade'
+     * @param {Object} [options]
+     * @param {string} [options.sort='key'] - 'key' (ordem da dimensao), 'asc' ou 'desc' (por total)
+     * @returns {{labels: string[], values: number[]}}
+     */
+    function totalsBy(groups, key, options) {
+        var sort = (options && options.sort) || 'key';
+        var totals = new Map();
+
+        groups.forEach(function (g) {
+            if (g[key]) {
+                totals.set(g[key], (totals.get(g[key]) || 0) + g.Total);
+            }
+        });
+
+        var entries = Array.from(totals);
+        if (sort === 'asc' || sort === 'desc') {
+            var dir = sort === 'asc' ? 1 : -1;
+            entries.sort(function (a, b) { return dir * (a[1] - b[1]) || compareText(a[0], b[0]); });
+        } else {
+            var cmp = comparatorFor(key);
+            entries.sort(function (a, b) { return cmp(a[0], b[0]); });
+        }
+
+        return {
+            labels: entries.map(function (e) { return e[0]; }),
+            values: entries.map(function (e) { return e[1]; })
+        };
+    }
+
+    /**
+     * Conta valores distintos de uma dimensao dentro de outra.
+     * Ex: relatorios distintos por ano (Ano|Relatorio).
+     *
+     * @param {Array<Object>} groups
+     * @param {string} key - Dimensao do eixo (ex: 'Ano')
+     * @param {string} countKey - Dimensao contada (ex: 'Relatorio')
+     * @returns {{labels: string[], values: number[]}}
+     */
+    function distinctBy(groups, key, countKey) {
+        var sets = new Map();
+        groups.forEach(function (g) {
+            if (!g[key]) {
+                return;
+            }
+            if (!sets.has(g[key])) {
+                sets.set(g[key], new Set());
+            }
+            sets.get(g[key]).add(g[countKey]);
+        });
+
+        var labels = Array.from(sets.keys()).sort(comparatorFor(key));
+        return {
+            labels: labels,
+            values: labels.map(function (l) { return sets.get(l).size; })
+        };
+    }
+
+    /* ============================================
+       ESTRUTURAS PARA TRACES
+       ============================================ */
+
+    /**
+     * Hierarquia para treemap/sunburst (ids/labels/parents/values).
+     * Valores de cada no sao a soma dos filhos: usar branchvalues 'total'.
+     * Registros com algum nivel vazio sao ignorados.
+     *
+     * Um nivel pode ocupar varias camadas da arvore: funcao que retorna uma
+     * lista (ex: caminho organizacional Reitoria -> grupo -> orgao -> unidade,
+     * de profundidade variavel) ou { campo, path } para que o no selecione
+     * os valores de campo que reune (ex: { campo: 'Unidade', path: registro.caminho }
+     * sobre g.Unidade).
+     *
+     * @param {Array<Object>} groups
+     * @param {Array<string|Function|{campo: string, path: Function}>} levels - Ex: ['Ano', 'Unidade', 'Situacao']
+     * @returns {{ids: string[], labels: string[], parents: string[], values: number[], depths: number[], levels: number[], leaves: string[], paths: Array<string[]>, selections: Object[]}}
+     *   levels[i] = indice em levels do nivel a que o no pertence
+     *   leaves[i] = valor do ultimo nivel do ramo (ou '' para nos internos), util para cor por status
+     *   paths[i] = valores de cada camada ate o no i, util para selection()
+     *   selections[i] = selecao por dimensao do no i; niveis { campo } listam
+     *   todos os valores reunidos (string se um so, lista ordenada se varios)
+     */
+    function hierarchy(groups, levels) {
+        var getters = levels.map(accessor);
+        var nodes = new Map();
+
+        groups.forEach(function (g) {
+            var path = [];
+            var niveis = [];
+            var vazio = false;
+            getters.forEach(function (get, i) {
+                var valor = get(g);
+                var partes = Array.isArray(valor) ? valor : [valor];
+                if (partes.length === 0) {
+                    vazio = true;
+                }
+                partes.forEach(function (p) {
+                    vazio = vazio || !p;
+                    path.push(p);
+                    niveis.push(i);
+                });
+            });
+            if (vazio) {
+                return;
+            }
+
+            var parent = '';
+            path.forEach(function (label, depth) {
+                var id = parent ? parent + '/' + label : String(label);
+                var node = nodes.get(id);
+                if (!node) {
+                    node = {
+                        id: id, label: String(label), parent: parent, value: 0, depth: depth,
+                        path: path.slice(0, depth + 1), niveis: niveis.slice(0, depth + 1), valores: {}
+                    };
+                    nodes.set(id, node);
+                }
+                node.value += g.Total;
+                levels.forEach(function (level, i) {
+                    if (level && typeof level === 'object' && i <= niveis[depth]) {
+                        var valores = node.valores[level.campo] = node.valores[level.campo] || {};
+                        valores[g[level.campo]] = true;
+                    }
+                });
+                parent = id;
+            });
+        });
+
+        var last = levels.length - 1;
+        var ordered = Array.from(nodes.values()).sort(function (a, b) {
+            for (var i = 0; i < Math.min(a.path.length, b.path.length); i++) {
+                if (a.niveis[i] !== b.niveis[i]) {
+                    return a.niveis[i] - b.niveis[i];
+                }
+                var key = typeof levels[a.niveis[i]] === 'string' ? levels[a.niveis[i]] : '';
+                var cmp = comparatorFor(key)(String(a.path[i]), String(b.path[i]));
+                if (cmp !== 0) {
+                    return cmp;
+                }
+            }
+            return a.path.length - b.path.length;
+        });
+
+        function selectionOf(node) {
+            var out = {};
+            node.path.forEach(function (value, i) {
+                if (typeof levels[node.niveis[i]] === 'string') {
+                    out[levels[node.niveis[i]]] = value;
+                }
+            });
+            Object.keys(node.valores).forEach(function (campo) {
+                var valores = Object.keys(node.valores[campo]).sort(compareText);
+                out[campo] = valores.length === 1 ? valores[0] : valores;
+            });
+            return out;
+        }
+
+        return {
+            ids: ordered.map(function (n) { return n.id; }),
+            labels: ordered.map(function (n) { return n.label; }),
+            parents: ordered.map(function (n) { return n.parent; }),
+            values: ordered.map(function (n) { return n.value; }),
+            depths: ordered.map(function (n) { return n.depth; }),
+            levels: ordered.map(function (n) { return n.niveis[n.niveis.length - 1]; }),
+            leaves: ordered.map(function (n) { return n.niveis[n.niveis.length - 1] === last ? n.label : ''; }),
+            paths: ordered.map(function (n) { return n.path; }),
+            selections: ordered.map(selectionOf)
+        };
+    }
+
+    /**
+     * Participacao de um subconjunto em cada no de uma hierarquia, em %
+     * (ex: efetividade = hierarquia das Atendidas e Baixadas sobre a total).
+     *
+     * @param {Object} h - hierarchy(groups, levels)
+     * @param {Object} parte - hierarchy(subconjunto de groups, mesmos levels)
+     * @returns {number[]} Percentuais com 1 casa, alinhados a h.ids
+     */
+    function share(h, parte) {
+        var porId = {};
+        parte.ids.forEach(function (id, i) {
+            porId[id] = parte.values[i];
+        });
+        return h.values.map(function (total, i) {
+            return total > 0 ? Math.round((porId[h.ids[i]] || 0) / total * 1000) / 10 : 0;
+        });
+    }
+
+    /**
+     * Visoes hierarquicas dos graficos treemap/sunburst (?visao=).
+     * 'estrutura' e 'regiao' usam o cadastro de unidades (audin-registro.js);
+     * sem ele, caem para a unidade isolada.
+     */
+    var VISOES = {
+        ano: 'Ano e Unidade',
+        estrutura: 'Estrutura Organizacional',
+        regiao: 'Manaus e Interior'
+    };
+
+    /** Prefixo comum de varios caminhos (ancestral comum mais baixo). */
+    function commonPrefix(caminhos) {
+        return caminhos.reduce(function (comum, caminho) {
+            var n = 0;
+            while (n < comum.length && n < caminho.length && comum[n] === caminho[n]) {
+                n++;
+            }
+            return comum.slice(0, n);
+        });
+    }
+
+    /**
+     * Niveis de hierarchy() para uma visao, terminando em Situacao.
+     *
+     *   ano        Ano -> Unidade -> Situacao
+     *   estrutura  Reitoria -> grupo -> orgao -> unidade -> Situacao
+     *   regiao     Manaus | Interior -> unidade -> Situacao
+     *
+     * Grupos de rotulo composto (group(rows, { porUnidade: false })) ficam
+     * uma vez so, sob o rotulo combinado, no ancestral comum mais baixo de
+     * suas unidades (ex: 'PROADM, DEMAT' abaixo de PROADM; na visao regiao,
+     * na raiz quando as unidades sao de regioes diferentes).
+     *
+     * @param {string} visao - Chave de VISOES
+     * @param {Object|null} registro - AUDIN.registro.create() / load()
+     * @returns {Array<string|Object>}
+     */
+    function levelsFor(visao, registro) {
+        function unidades(g) {
+            return g.Unidades && g.Unidades.length > 1 ? g.Unidades : null;
+        }
+
+        if (visao === 'estrutura') {
+            return [{ campo: 'Unidade', path: function (g) {
+                if (!registro) {
+                    return [g.Unidade];
+                }
+                var partes = unidades(g);
+                return partes ? commonPrefix(partes.map(registro.caminho)).concat(g.Unidade) : registro.caminho(g.Unidade);
+            } }, 'Situacao'];
+        }
+        if (visao === 'regiao') {
+            return [{ campo: 'Unidade', path: function (g) {
+                if (!registro) {
+                    return [g.Unidade];
+                }
+                var regioes = (unidades(g) || [g.Unidade]).map(registro.regiao);
+                var mesma = regioes.every(function (r) { return r === regioes[0]; });
+                return mesma ? [regioes[0], g.Unidade] : [g.Unidade];
+            } }, 'Situacao'];
+        }
+        return ['Ano', 'Unidade', 'Situacao'];
+    }
+
+    /**
+     * Hierarquia de uma visao com a efetividade de cada no, para comparar
+     * ramos (ex: Campi do Interior x unidades de Manaus). Efetividade como
+     * em stats.json: (Atendidas + Baixadas) / total, em %. Cada recomendacao
+     * conta uma vez (rotulos compostos no ancestral comum, ver levelsFor()):
+     * a raiz soma stats.total_recomendacoes.
+     *
+     * @param {Array<Object>} rows - Linhas validas (as de plot())
+     * @param {string} visao - Chave de VISOES (desconhecida = 'ano')
+     * @param {Object|null} registro
+     * @returns {Object} hierarchy() + { visao, titulo, efetividade: number[], hover: string[] }
+     *   hover[i] = linha de efetividade para hovertemplate ('' nas folhas de status)
+     */
+    function rollup(rows, visao, registro) {
+        var chave = VISOES[visao] ? visao : 'ano';
+        var levels = levelsFor(chave, registro);
+        var groups = group(rows, { porUnidade: false });
+        var h = hierarchy(groups, levels);
+        var beneficios = groups.filter(function (g) {
+            return g.Situacao === AUDIN.stats.STATUS.ATENDIDA || g.Situacao === AUDIN.stats.STATUS.BAIXADA;
+        });
+
+        h.visao = chave;
+        h.titulo = VISOES[chave];
+        h.efetividade = share(h, hierarchy(beneficios, levels));
+        h.hover = h.efetividade.map(function (valor, i) {
+            return h.leaves[i] ? '' : '<br>Efetividade: ' + valor.toLocaleString('pt-BR') + '%';
+        });
+        return h;
+    }
+
+    /**
+     * Converte o caminho de um no em selecao por dimensao.
+     * Niveis definidos por funcao nao entram na selecao.
+     *
+     * @param {Array<string|Function>} levels - Mesmos niveis de hierarchy()
+     * @param {string[]} path - Ex: ['2021', 'PROADM']
+     * @returns {Object} Ex: { Ano: '2021', Unidade: 'PROADM' }
+     */
+    function selection(levels, path) {
+        var out = {};
+        (path || []).forEach(function (value, i) {
+            if (typeof levels[i] === 'string') {
+                out[levels[i]] = value;
+            }
+        });
+        return out;
+    }
+
+    /**
+     * Tabela cruzada para heatmap: linhas x colunas -> soma de Total.
+     *
+     * @param {Array<Object>} groups
+     * @param {string} rowKey - Eixo y (ex: 'Unidade')
+     * @param {string} colKey - Eixo x (ex: 'Ano')
+     * @returns {{x: string[], y: string[], z: number[][]}}
+     */
+    function crosstab(groups, rowKey, colKey) {
+        var valid = groups.filter(function (g) { return g[rowKey] && g[colKey]; });
+        var y = distinct(valid, rowKey);
+        var x = distinct(valid, colKey);
+        var z = y.map(function () {
+            return x.map(function () { return 0; });
+        });
+
+        valid.forEach(function (g) {
+            z[y.indexOf(g[rowKey])][x.indexOf(g[colKey])] += g.Total;
+        });
+
+        return { x: x, y: y, z: z };
+    }
+
+    /**
+     * Uma serie por valor de seriesKey, com eixo x em xKey.
+     * Pontos com total zero sao omitidos (barras empilhadas).
+     *
+     * @param {Array<Object>} groups
+     * @param {string} xKey - Ex: 'Ano'
+     * @param {string} seriesKey - Ex: 'Situacao'
+     * @returns {Array<{name: string, x: string[], y: number[]}>}
+     */
+    function series(groups, xKey, seriesKey) {
+        var table = crosstab(groups, seriesKey, xKey);
+        return table.y.map(function (name, i) {
+            var x = [];
+            var y = [];
+            table.x.forEach(function (label, j) {
+                if (table.z[i][j] > 0) {
+                    x.push(label);
+                    y.push(table.z[i][j]);
+                }
+            });
+            return { name: name, x: x, y: y };
+        });
+    }
+
+    /**
+     * Fluxo origem -> destino para trace sankey.
+     * Nos de origem vem primeiro (ordenados), depois os de destino.
+     *
+     * @param {Array<Object>} groups
+     * @param {string} [sourceKey='Unidade']
+     * @param {string} [targetKey='Situacao']
+     * @returns {{labels: string[], sources: number, source: number[], target: number[], value: number[], targets: string[]}}
+     *   sources = quantidade de nos de origem; targets[i] = rotulo de destino do link i
+     */
+    function sankey(groups, sourceKey, targetKey) {
+        sourceKey = sourceKey || 'Unidade';
+        targetKey = targetKey || 'Situacao';
+
+        var table = crosstab(groups, sourceKey, targetKey);
+        var offset = table.y.length;
+        var out = {
+            labels: table.y.concat(table.x),
+            sources: offset,
+            source: [],
+            target: [],
+            value: [],
+            targets: []
+        };
+
+        table.y.forEach(function (from, i) {
+            table.x.forEach(function (to, j) {
+                if (table.z[i][j] > 0) {
+                    out.source.push(i);
+                    out.target.push(offset + j);
+                    out.value.push(table.z[i][j]);
+                    out.targets.push(to);
+                }
+            });
+        });
+
+        return out;
+    }
+
+    /* ============================================
+       RENDERIZACAO
+       ============================================ */
+
+    var plots = [];
+    var subscribed = false;
+
+    /** Resumo serializavel de um ponto Plotly (para postMessage). */
+    function pointSummary(point) {
+        var out = {};
+        ['id', 'label', 'x', 'y', 'z', 'value', 'pointNumber', 'curveNumber'].forEach(function (k) {
+            var v = point[k];
+            if (typeof v === 'string' || typeof v === 'number') {
+                out[k] = v;
+            }
+        });
+        if (point.data && point.data.name) {
+            out.trace = point.data.name;
+        }
+        return out;
+    }
+
+    function wireClicks(entry) {
+        if (entry.wired || typeof entry.el.on !== 'function') {
+            return;
+        }
+        entry.wired = true;
+
+        entry.el.on('plotly_click', function (event) {
+            var point = event && event.points && event.points[0];
+            if (!point || !entry.figure || typeof entry.figure.select !== 'function') {
+                return;
+            }
+            var selecao = entry.figure.select(point);
+            if (selecao && AUDIN.frames) {
+                AUDIN.frames.send('select', { selecao: selecao, ponto: pointSummary(point) });
+            }
+        });
+    }
+
+    /** Cadastro de unidades para builds organizacionais; null sem audin-registro.js. */
+    function loadRegistro() {
+        if (!AUDIN.registro) {
+            return Promise.resolve(null);
+        }
+        return AUDIN.registro.load().catch(function (error) {
+            console.warn('AUDIN.chartData: cadastro de unidades indisponivel', error);
+            return null;
+        });
+    }
+
+    /**
+     * Registros de audin-recomendacoes.js quando carregado (com temas, se
+     * audin-temas.js tambem estiver); senao, as linhas da planilha.
+     */
+    function loadRows() {
+        return AUDIN.recomendacoes ? AUDIN.recomendacoes.load() : AUDIN.data.loadRecomendacoes();
+    }
+
+    function render(entry) {
+        return Promise.all([loadRows(), loadRegistro()])
+            .then(function (carregados) {
+                var validas = carregados[0].filter(AUDIN.stats.isValida);
+                if (AUDIN.filters) {
+                    validas = AUDIN.filters.apply(validas);
+                }
+                entry.figure = entry.build(group(validas), validas, carregados[1]);
+                return Plotly.react(entry.el, entry.figure.data, entry.figure.layout, entry.figure.config || { responsive: true });
+            })
+            .then(function () {
+                wireClicks(entry);
+                if (AUDIN.chartA11y) {
+                    AUDIN.chartA11y.describe(entry.el, AUDIN.chartA11y.fromPlotly(entry.figure.data, entry.figure.layout));
+                }
+            })
+            .catch(function (error) {
+                console.error('Erro ao montar grafico:', error);
+                if (AUDIN.chartA11y) {
+                    AUDIN.chartA11y.remove(entry.el);
+                }
+                entry.el.textContent = 'Dados indisponíveis para este gráfico.';
+                entry.el.classList.add('audin-chart-indisponivel');
+            });
+    }
+
+    function renderAll() {
+        plots.forEach(render);
+    }
+
+    /**
+     * Carrega recomendacoes_table.json via AUDIN.data, aplica os filtros
+     * da URL (AUDIN.filters, quando carregado), agrupa e desenha o grafico
+     * retornado por build. Em caso de falha, exibe a mensagem no lugar
+     * do grafico.
+     *
+     * O grafico e redesenhado quando os filtros ou o tema mudam. Se build
+     * retornar select(point) -> {Ano?, Unidade?, Situacao?}, cliques em
+     * segmentos sao enviados a pagina host (AUDIN.frames, tipo 'select').
+     * Com audin-chart-a11y.js carregado, cada desenho atualiza o resumo
+     * textual e a tabela de dados acessiveis do grafico.
+     * Com audin-registro.js carregado, build recebe tambem o resolvedor do
+     * cadastro de unidades (caminho organizacional, regiao), ou null se o
+     * cadastro nao carregar.
+     *
+     * @param {string|HTMLElement} target - Id ou elemento do grafico
+     * @param {Function} build - (groups, rows, registro) => {data, layout, config, select}
+     * @returns {Promise<void>}
+     */
+    function plot(target, build) {
+        var el = typeof target === 'string' ? document.getElementById(target) : target;
+        var entry = plots.filter(function (p) { return p.el === el; })[0];
+
+        if (entry) {
+            entry.build = build;
+        } else {
+            entry = { el: el, build: build, figure: null, wired: false };
+            plots.push(entry);
+        }
+
+        if (!subscribed) {
+            subscribed = true;
+            if (AUDIN.filters) {
+                AUDIN.filters.on('change', renderAll);
+            }
+            if (AUDIN.frames) {
+                AUDIN.frames.on('theme', renderAll);
+            }
+            if (AUDIN.theme) {
+                AUDIN.theme.on('change', renderAll);
+            }
+        }
+
+        return render(entry);
+    }
+
+    AUDIN.chartData = {
+        STATUS_ORDER: STATUS_ORDER,
+        group: group,
+        sum: sum,
+        distinct: distinct,
+        totalsBy: totalsBy,
+        distinctBy: distinctBy,
+        hierarchy: hierarchy,
+        share: share,
+        VISOES: VISOES,
+        levelsFor: levelsFor,
+        rollup: rollup,
+        crosstab: crosstab,
+        series: series,
+        sankey: sankey,
+        selection: selection,
+        plot: plot
+    };
+})();
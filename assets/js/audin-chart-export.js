@@ -0,0 +1,968 @@
+/**
+ * AUDIN - Download de graficos Chart.js (PNG, SVG e CSV)
+ *
+ * Cada grafico do registro AUDIN.charts (dashboard, resumo de relatorio,
+ * PAINT) ganha, logo acima dele, o menu "Baixar gráfico" com:
+ *   - Imagem PNG em resolucao de apresentacao (1920 x 1080, escala 2x:
+ *     fontes e linhas legiveis em projetor e em slides)
+ *   - Imagem SVG no mesmo layout, toda vetorial: cabecalho, grafico
+ *     (desenhado pelo Chart.js em um contexto 2D que grava SVG) e rodape
+ *     em <path>/<text>, resumo textual em <desc>
+ *   - Dados CSV com os rotulos e valores do grafico (AUDIN.export)
+ * Estende o namespace window.AUDIN.
+ *
+ * Layout das imagens (para slides e documentos oficiais):
+ *   - Cabecalho: faixa na cor primaria, "AUDIN · Auditoria Interna da
+ *     UFAM" e o titulo do grafico
+ *   - Rodape: data de atualizacao dos dados, recorte ativo e data/hora
+ *     da geracao
+ *   - Cores do tema atual (AUDIN.charts.palette()); fundo na cor de superficie
+ *
+ * Titulo: data-chart-title no canvas, senao o titulo do Chart.js
+ * (options.plugins.title), senao "Gráfico".
+ * Data dos dados: data-chart-data-date (DD/MM/AAAA) no canvas ou em um
+ * ancestral (ex: body do PAINT), senao data_atualizacao de stats.json.
+ *
+ * Uso:
+ *   Automatico para os graficos de AUDIN.charts (audin-core.js).
+ *   AUDIN.chartExport.attach(canvas, config);   // cria/atualiza o menu
+ *   AUDIN.chartExport.download(canvas, 'png');  // 'png' | 'svg' | 'csv'
+ *   AUDIN.chartExport.detach(canvas);
+ *
+ * Dependencias: Chart.js, dev/assets/js/audin-core.js (AUDIN.charts.palette:
+ * cores de audin-theme.js ou, sem ele, de audin-tokens.css), audin-export.js
+ * (metadados, nome e download do arquivo) e audin-chart-a11y.js (rotulos
+ * e valores do grafico). Estilos em dev/assets/css/audin-components.css
+ * (.audin-chart-export).
+ */
+(function () {
+    'use strict';
+
+    window.AUDIN = window.AUDIN || {};
+
+    var FORMATOS = {
+        png: { label: 'Imagem PNG (1920 × 1080)', type: 'image/png' },
+        svg: { label: 'Imagem SVG', type: 'image/svg+xml;charset=utf-8' },
+        csv: { label: 'Dados CSV' }
+    };
+
+    var MARCA = 'AUDIN · Auditoria Interna da UFAM';
+    var TITULO_PADRAO = 'Gráfico';
+
+    /** Dimensoes da imagem exportada (px, 16:9). */
+    var LARGURA = 1920;
+    var ALTURA = 1080;
+    var MARGEM = 80;
+    var CABECALHO = 180;
+    var RODAPE = 110;
+
+    /** Pixels por unidade do Chart.js: fontes de 12px saem com 24px. */
+    var ESCALA = 2;
+
+    var registros = [];
+    var sequencia = 0;
+
+    function escapeXml(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /** Elemento visivel do grafico: o container role="img", se houver. */
+    function alvoDe(el) {
+        var pai = el.parentNode;
+        return pai && pai.getAttribute && pai.getAttribute('role') === 'img' ? pai : el;
+    }
+
+    function findRegistro(el) {
+        return registros.filter(function (r) { return r.el === el; })[0] || null;
+    }
+
+    /* ============================================
+       CONTEXTO SVG (GRAFICO VETORIAL)
+       ============================================ */
+
+    /*
+     * Subconjunto de CanvasRenderingContext2D usado pelo Chart.js e pelos
+     * plugins do site (caminhos, arcos, retangulos, texto, recorte), que
+     * grava cada desenho como elemento SVG em vez de pixels. O grafico do
+     * SVG exportado e desenhado nele: barras, fatias, linhas, eixos e
+     * rotulos saem como <path> e <text>, escalaveis em slides.
+     *
+     * Coordenadas saem ja transformadas (escala, translacao e rotacao do
+     * Chart.js); textos levam a matriz em transform. Path2D e substituido
+     * pelo gravador de trajetos durante o desenho (elemento de linha).
+     * Sem suporte: gradientes e padroes (pintados na cor padrao do canvas),
+     * sombras e modos de composicao.
+     */
+
+    var TAU = Math.PI * 2;
+
+    /** Contexto real, so para medir texto (mesmas fontes da pagina). */
+    var medidor = null;
+
+    function num(valor) {
+        return String(Math.round(valor * 100) / 100);
+    }
+
+    function aplicar(m, x, y) {
+        return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+    }
+
+    /** Produto m x n (n aplicada primeiro). */
+    function multiplicar(m, n) {
+        return [
+            m[0] * n[0] + m[2] * n[1],
+            m[1] * n[0] + m[3] * n[1],
+            m[0] * n[2] + m[2] * n[3],
+            m[1] * n[2] + m[3] * n[3],
+            m[0] * n[4] + m[2] * n[5] + m[4],
+            m[1] * n[4] + m[3] * n[5] + m[5]
+        ];
+    }
+
+    /** Fator de escala da matriz (transformacoes sem distorcao). */
+    function escalaDe(m) {
+        return Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+    }
+
+    function atributos(attrs) {
+        return Object.keys(attrs).filter(function (nome) {
+            return attrs[nome] !== null && attrs[nome] !== undefined;
+        }).map(function (nome) {
+            return ' ' + nome + '="' + escapeXml(attrs[nome]) + '"';
+        }).join('');
+    }
+
+    /**
+     * Cor do canvas como cor e opacidade do SVG ('rgba()' e '#rrggbbaa' nao
+     * sao lidos por todos os editores de SVG).
+     *
+     * @returns {{cor: string, opacidade: number}}
+     */
+    function pintura(estilo) {
+        if (typeof estilo !== 'string') {
+            return { cor: '#000000', opacidade: 1 };
+        }
+        var texto = estilo.trim();
+        if (texto === 'transparent') {
+            return { cor: '#000000', opacidade: 0 };
+        }
+        var funcao = texto.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+)(%?))?\s*\)$/i);
+        if (funcao) {
+            var a = funcao[4] === undefined ? 1 : Number(funcao[4]) / (funcao[5] ? 100 : 1);
+            return { cor: 'rgb(' + [funcao[1], funcao[2], funcao[3]].map(Math.round).join(',') + ')', opacidade: a };
+        }
+        var hex = texto.match(/^#([0-9a-f]{6})([0-9a-f]{2})$/i);
+        if (hex) {
+            return { cor: '#' + hex[1], opacidade: parseInt(hex[2], 16) / 255 };
+        }
+        return { cor: texto, opacidade: 1 };
+    }
+
+    /** Partes da fonte do canvas ('bold 12px Inter, sans-serif'). */
+    function lerFonte(fonte) {
+        var partes = String(fonte).match(/^\s*(?:(italic|oblique|normal)\s+)?(?:(small-caps)\s+)?(?:(bold|bolder|lighter|normal|\d{3})\s+)?([\d.]+)px(?:\s*\/\s*\S+)?\s+(.+)$/i);
+        return partes
+            ? { estilo: partes[1] || 'normal', peso: partes[3] || 'normal', tamanho: Number(partes[4]), familia: partes[5] }
+            : { estilo: 'normal', peso: 'normal', tamanho: 10, familia: 'sans-serif' };
+    }
+
+    /**
+     * Caminho SVG (atributo d) com os pontos ja transformados por m.
+     */
+    function Trajeto() {
+        this.d = [];
+        this.atual = null;
+        this.inicio = null;
+    }
+
+    Trajeto.prototype.ponto = function (comando, p) {
+        this.d.push(comando + num(p[0]) + ' ' + num(p[1]));
+        this.atual = p;
+    };
+
+    Trajeto.prototype.moveTo = function (m, x, y) {
+        this.ponto('M', aplicar(m, x, y));
+        this.inicio = this.atual;
+    };
+
+    Trajeto.prototype.lineTo = function (m, x, y) {
+        if (!this.atual) {
+            this.moveTo(m, x, y);
+            return;
+        }
+        this.ponto('L', aplicar(m, x, y));
+    };
+
+    Trajeto.prototype.closePath = function () {
+        if (this.atual) {
+            this.d.push('Z');
+            this.atual = this.inicio;
+        }
+    };
+
+    Trajeto.prototype.bezierCurveTo = function (m, x1, y1, x2, y2, x, y) {
+        if (!this.atual) {
+            this.moveTo(m, x1, y1);
+        }
+        var c1 = aplicar(m, x1, y1);
+        var c2 = aplicar(m, x2, y2);
+        this.ponto('C' + num(c1[0]) + ' ' + num(c1[1]) + ' ' + num(c2[0]) + ' ' + num(c2[1]) + ' ', aplicar(m, x, y));
+    };
+
+    Trajeto.prototype.quadraticCurveTo = function (m, x1, y1, x, y) {
+        if (!this.atual) {
+            this.moveTo(m, x1, y1);
+        }
+        var c = aplicar(m, x1, y1);
+        this.ponto('Q' + num(c[0]) + ' ' + num(c[1]) + ' ', aplicar(m, x, y));
+    };
+
+    Trajeto.prototype.arc = function (m, x, y, r, inicio, fim, antihorario) {
+        this.ellipse(m, x, y, r, r, 0, inicio, fim, antihorario);
+    };
+
+    /** Arco eliptico como comandos A do SVG (volta completa em duas metades). */
+    Trajeto.prototype.ellipse = function (m, x, y, rx, ry, giro, inicio, fim, antihorario) {
+        var cos = Math.cos(giro);
+        var sen = Math.sin(giro);
+        var noArco = function (t) {
+            var px = rx * Math.cos(t);
+            var py = ry * Math.sin(t);
+            return aplicar(m, x + px * cos - py * sen, y + px * sen + py * cos);
+        };
+
+        var delta = antihorario ? inicio - fim : fim - inicio;
+        var completo = delta >= TAU;
+        if (!completo) {
+            delta = ((delta % TAU) + TAU) % TAU;
+        }
+        var sentido = antihorario ? -1 : 1;
+
+        var origem = noArco(inicio);
+        if (this.atual) {
+            if (num(this.atual[0]) !== num(origem[0]) || num(this.atual[1]) !== num(origem[1])) {
+                this.ponto('L', origem);
+            }
+        } else {
+            this.ponto('M', origem);
+            this.inicio = origem;
+        }
+        if (!completo && delta === 0) {
+            return;
+        }
+
+        var s = escalaDe(m);
+        var det = m[0] * m[3] - m[1] * m[2];
+        var varredura = (antihorario ? 0 : 1) ^ (det < 0 ? 1 : 0);
+        var prefixo = 'A' + num(rx * s) + ' ' + num(ry * s) + ' ' +
+            num((giro + Math.atan2(m[1], m[0])) * 180 / Math.PI) + ' ';
+
+        if (completo) {
+            this.ponto(prefixo + '0 ' + varredura + ' ', noArco(inicio + sentido * Math.PI));
+            this.ponto(prefixo + '0 ' + varredura + ' ', origem);
+            return;
+        }
+        this.ponto(prefixo + (delta > Math.PI ? 1 : 0) + ' ' + varredura + ' ', noArco(inicio + sentido * delta));
+    };
+
+    Trajeto.prototype.rect = function (m, x, y, w, h) {
+        this.moveTo(m, x, y);
+        this.lineTo(m, x + w, y);
+        this.lineTo(m, x + w, y + h);
+        this.lineTo(m, x, y + h);
+        this.closePath();
+        this.moveTo(m, x, y);
+        this.d.pop();
+    };
+
+    Trajeto.prototype.toString = function () {
+        return this.d.join(' ');
+    };
+
+    var COMANDOS = ['moveTo', 'lineTo', 'closePath', 'bezierCurveTo', 'quadraticCurveTo', 'arc', 'ellipse', 'rect'];
+
+    /**
+     * Substituto de Path2D durante o desenho: grava os comandos, que sao
+     * transformados pela matriz vigente no fill/stroke (como no canvas).
+     */
+    function TrajetoGravado(outro) {
+        this.comandos = outro instanceof TrajetoGravado ? outro.comandos.slice() : [];
+    }
+
+    COMANDOS.forEach(function (nome) {
+        TrajetoGravado.prototype[nome] = function () {
+            this.comandos.push([nome, Array.prototype.slice.call(arguments)]);
+        };
+    });
+
+    TrajetoGravado.prototype.addPath = function (outro) {
+        this.comandos = this.comandos.concat(outro.comandos || []);
+    };
+
+    TrajetoGravado.prototype.trajeto = function (m) {
+        var trajeto = new Trajeto();
+        this.comandos.forEach(function (comando) {
+            trajeto[comando[0]].apply(trajeto, [m].concat(comando[1]));
+        });
+        return trajeto;
+    };
+
+    var ESTADO_INICIAL = {
+        fillStyle: '#000000',
+        strokeStyle: '#000000',
+        lineWidth: 1,
+        lineCap: 'butt',
+        lineJoin: 'miter',
+        miterLimit: 10,
+        lineDashOffset: 0,
+        globalAlpha: 1,
+        font: '10px sans-serif',
+        textAlign: 'start',
+        textBaseline: 'alphabetic',
+        direction: 'inherit'
+    };
+
+    /**
+     * Contexto 2D que grava SVG. canvas: objeto { width, height,
+     * getContext } passado ao Chart.js com a plataforma basica (sem DOM).
+     *
+     * @param {Object} canvas
+     * @param {string} prefixo - Prefixo dos ids de recorte no documento
+     */
+    function ContextoSvg(canvas, prefixo) {
+        this.canvas = canvas;
+        this.prefixo = prefixo;
+        this.elementos = [];
+        this.defs = [];
+        this.pilha = [];
+        this.estado = Object.assign({ m: [1, 0, 0, 1, 0, 0], traco: [], recorte: null }, ESTADO_INICIAL);
+        this.atual = new Trajeto();
+    }
+
+    Object.keys(ESTADO_INICIAL).forEach(function (nome) {
+        Object.defineProperty(ContextoSvg.prototype, nome, {
+            get: function () { return this.estado[nome]; },
+            set: function (valor) { this.estado[nome] = valor; }
+        });
+    });
+
+    ContextoSvg.prototype.save = function () {
+        this.pilha.push(this.estado);
+        this.estado = Object.assign({}, this.estado, { m: this.estado.m.slice(), traco: this.estado.traco.slice() });
+    };
+
+    ContextoSvg.prototype.restore = function () {
+        if (this.pilha.length > 0) {
+            this.estado = this.pilha.pop();
+        }
+    };
+
+    ContextoSvg.prototype.setTransform = function (a, b, c, d, e, f) {
+        this.estado.m = typeof a === 'object' && a !== null
+            ? [a.a, a.b, a.c, a.d, a.e, a.f]
+            : [a, b, c, d, e, f];
+    };
+
+    ContextoSvg.prototype.resetTransform = function () {
+        this.estado.m = [1, 0, 0, 1, 0, 0];
+    };
+
+    ContextoSvg.prototype.getTransform = function () {
+        var m = this.estado.m;
+        return { a: m[0], b: m[1], c: m[2], d: m[3], e: m[4], f: m[5] };
+    };
+
+    ContextoSvg.prototype.transform = function (a, b, c, d, e, f) {
+        this.estado.m = multiplicar(this.estado.m, [a, b, c, d, e, f]);
+    };
+
+    ContextoSvg.prototype.translate = function (x, y) {
+        this.transform(1, 0, 0, 1, x, y);
+    };
+
+    ContextoSvg.prototype.rotate = function (angulo) {
+        var cos = Math.cos(angulo);
+        var sen = Math.sin(angulo);
+        this.transform(cos, sen, -sen, cos, 0, 0);
+    };
+
+    ContextoSvg.prototype.scale = function (x, y) {
+        this.transform(x, 0, 0, y, 0, 0);
+    };
+
+    ContextoSvg.prototype.setLineDash = function (segmentos) {
+        var traco = Array.prototype.slice.call(segmentos || []);
+        this.estado.traco = traco.length % 2 === 1 ? traco.concat(traco) : traco;
+    };
+
+    ContextoSvg.prototype.getLineDash = function () {
+        return this.estado.traco.slice();
+    };
+
+    ContextoSvg.prototype.beginPath = function () {
+        this.atual = new Trajeto();
+    };
+
+    COMANDOS.forEach(function (nome) {
+        ContextoSvg.prototype[nome] = function () {
+            this.atual[nome].apply(this.atual, [this.estado.m].concat(Array.prototype.slice.call(arguments)));
+        };
+    });
+
+    /** Trajeto e regra de preenchimento de fill/stroke/clip([path], [regra]). */
+    ContextoSvg.prototype.argumentos = function (args) {
+        var gravado = args[0] instanceof TrajetoGravado ? args[0] : null;
+        var regra = gravado ? args[1] : args[0];
+        return {
+            trajeto: gravado ? gravado.trajeto(this.estado.m) : this.atual,
+            regra: regra === 'evenodd' ? 'evenodd' : null
+        };
+    };
+
+    /**
+     * Grava um elemento. O recorte vai em um <g> em volta: no proprio
+     * elemento seria lido no espaco do seu transform (textos e imagens).
+     */
+    ContextoSvg.prototype.emitir = function (tag, attrs, conteudo) {
+        var elemento = '<' + tag + atributos(attrs) +
+            (conteudo === undefined ? '/>' : '>' + conteudo + '</' + tag + '>');
+        if (this.estado.recorte) {
+            elemento = '<g clip-path="url(#' + this.estado.recorte + ')">' + elemento + '</g>';
+        }
+        this.elementos.push(elemento);
+    };
+
+    /** Atributos de preenchimento; null quando nada seria visivel. */
+    ContextoSvg.prototype.preenchimento = function () {
+        var p = pintura(this.estado.fillStyle);
+        var opacidade = p.opacidade * this.estado.globalAlpha;
+        if (opacidade <= 0) {
+            return null;
+        }
+        return { fill: p.cor, 'fill-opacity': opacidade < 1 ? num(opacidade) : null };
+    };
+
+    /** Atributos de contorno; null quando nada seria visivel. */
+    ContextoSvg.prototype.contorno = function () {
+        var p = pintura(this.estado.strokeStyle);
+        var opacidade = p.opacidade * this.estado.globalAlpha;
+        var s = escalaDe(this.estado.m);
+        if (opacidade <= 0 || !(this.estado.lineWidth > 0)) {
+            return null;
+        }
+        return {
+            fill: 'none',
+            stroke: p.cor,
+            'stroke-opacity': opacidade < 1 ? num(opacidade) : null,
+            'stroke-width': num(this.estado.lineWidth * s),
+            'stroke-linecap': this.estado.lineCap !== 'butt' ? this.estado.lineCap : null,
+            'stroke-linejoin': this.estado.lineJoin !== 'miter' ? this.estado.lineJoin : null,
+            'stroke-miterlimit': this.estado.miterLimit !== 4 ? num(this.estado.miterLimit) : null,
+            'stroke-dasharray': this.estado.traco.length > 0
+                ? this.estado.traco.map(function (v) { return num(v * s); }).join(' ')
+                : null,
+            'stroke-dashoffset': this.estado.traco.length > 0 && this.estado.lineDashOffset
+                ? num(this.estado.lineDashOffset * s)
+                : null
+        };
+    };
+
+    ContextoSvg.prototype.fill = function () {
+        var alvo = this.argumentos(arguments);
+        var attrs = this.preenchimento();
+        if (attrs && alvo.trajeto.d.length > 0) {
+            this.emitir('path', Object.assign({ d: String(alvo.trajeto), 'fill-rule': alvo.regra }, attrs));
+        }
+    };
+
+    ContextoSvg.prototype.stroke = function () {
+        var alvo = this.argumentos(arguments);
+        var attrs = this.contorno();
+        if (attrs && alvo.trajeto.d.length > 0) {
+            this.emitir('path', Object.assign({ d: String(alvo.trajeto) }, attrs));
+        }
+    };
+
+    /** Recorte vigente ate o restore; recortes aninhados se intersectam. */
+    ContextoSvg.prototype.clip = function () {
+        var alvo = this.argumentos(arguments);
+        var id = this.prefixo + '-recorte-' + (this.defs.length + 1);
+        this.defs.push('<clipPath id="' + id + '"' + atributos({
+            'clip-path': this.estado.recorte ? 'url(#' + this.estado.recorte + ')' : null
+        }) + '><path' + atributos({ d: String(alvo.trajeto), 'clip-rule': alvo.regra }) + '/></clipPath>');
+        this.estado.recorte = id;
+    };
+
+    ContextoSvg.prototype.fillRect = function (x, y, w, h) {
+        var trajeto = new Trajeto();
+        var attrs = this.preenchimento();
+        trajeto.rect(this.estado.m, x, y, w, h);
+        if (attrs) {
+            this.emitir('path', Object.assign({ d: String(trajeto) }, attrs));
+        }
+    };
+
+    ContextoSvg.prototype.strokeRect = function (x, y, w, h) {
+        var trajeto = new Trajeto();
+        var attrs = this.contorno();
+        trajeto.rect(this.estado.m, x, y, w, h);
+        if (attrs) {
+            this.emitir('path', Object.assign({ d: String(trajeto) }, attrs));
+        }
+    };
+
+    /** Limpar o canvas inteiro (inicio de cada desenho) descarta o ja gravado. */
+    ContextoSvg.prototype.clearRect = function (x, y, w, h) {
+        var p0 = aplicar(this.estado.m, x, y);
+        var p1 = aplicar(this.estado.m, x + w, y + h);
+        if (Math.min(p0[0], p1[0]) <= 0 && Math.min(p0[1], p1[1]) <= 0 &&
+            Math.max(p0[0], p1[0]) >= this.canvas.width && Math.max(p0[1], p1[1]) >= this.canvas.height) {
+            this.elementos = [];
+            this.defs = [];
+        }
+    };
+
+    ContextoSvg.prototype.measureText = function (texto) {
+        if (!medidor && typeof document !== 'undefined') {
+            var canvas = document.createElement('canvas');
+            medidor = canvas.getContext ? canvas.getContext('2d') : null;
+        }
+        if (!medidor) {
+            return { width: String(texto).length * lerFonte(this.estado.font).tamanho * 0.55 };
+        }
+        medidor.font = this.estado.font;
+        medidor.textBaseline = 'alphabetic';
+        return medidor.measureText(texto);
+    };
+
+    /** Deslocamento da linha de base pedida ate a alfabetica (a do SVG). */
+    function deslocamento(linhaBase, medida, tamanho) {
+        var acima = medida.fontBoundingBoxAscent || medida.actualBoundingBoxAscent || tamanho * 0.8;
+        var abaixo = medida.fontBoundingBoxDescent || medida.actualBoundingBoxDescent || tamanho * 0.2;
+        switch (linhaBase) {
+            case 'top':
+            case 'hanging':
+                return acima;
+            case 'middle':
+                return (acima - abaixo) / 2;
+            case 'bottom':
+            case 'ideographic':
+                return -abaixo;
+            default:
+                return 0;
+        }
+    }
+
+    var ANCORAS = { start: 'start', left: 'start', center: 'middle', right: 'end', end: 'end' };
+
+    ContextoSvg.prototype.texto = function (texto, x, y, larguraMaxima, attrs) {
+        if (!attrs || texto === null || texto === undefined || String(texto) === '') {
+            return;
+        }
+        var fonte = lerFonte(this.estado.font);
+        var medida = this.measureText(texto);
+        var m = this.estado.m;
+        var comprimido = larguraMaxima !== undefined && medida.width > larguraMaxima;
+
+        this.emitir('text', Object.assign({
+            x: num(x),
+            y: num(y + deslocamento(this.estado.textBaseline, medida, fonte.tamanho)),
+            transform: 'matrix(' + m.map(num).join(' ') + ')',
+            'font-family': fonte.familia,
+            'font-size': num(fonte.tamanho),
+            'font-weight': fonte.peso !== 'normal' ? fonte.peso : null,
+            'font-style': fonte.estilo !== 'normal' ? fonte.estilo : null,
+            'text-anchor': ANCORAS[this.estado.textAlign] !== 'start' ? ANCORAS[this.estado.textAlign] : null,
+            textLength: comprimido ? num(larguraMaxima) : null,
+            lengthAdjust: comprimido ? 'spacingAndGlyphs' : null
+        }, attrs), escapeXml(texto));
+    };
+
+    ContextoSvg.prototype.fillText = function (texto, x, y, larguraMaxima) {
+        this.texto(texto, x, y, larguraMaxima, this.preenchimento());
+    };
+
+    ContextoSvg.prototype.strokeText = function (texto, x, y, larguraMaxima) {
+        this.texto(texto, x, y, larguraMaxima, this.contorno());
+    };
+
+    /** Imagens (pointStyle de imagem) entram como <image> no lugar. */
+    ContextoSvg.prototype.drawImage = function (imagem) {
+        var args = Array.prototype.slice.call(arguments, 1);
+        var destino = args.length >= 8 ? args.slice(4) : args;
+        var largura = destino[2] !== undefined ? destino[2] : imagem.width;
+        var altura = destino[3] !== undefined ? destino[3] : imagem.height;
+        var href = imagem.toDataURL ? imagem.toDataURL('image/png') : imagem.src;
+        if (!href) {
+            return;
+        }
+        this.emitir('image', {
+            x: num(destino[0]),
+            y: num(destino[1]),
+            width: num(largura),
+            height: num(altura),
+            transform: 'matrix(' + this.estado.m.map(num).join(' ') + ')',
+            preserveAspectRatio: 'none',
+            href: href,
+            opacity: this.estado.globalAlpha < 1 ? num(this.estado.globalAlpha) : null
+        });
+    };
+
+    ContextoSvg.prototype.isPointInPath = function () {
+        return false;
+    };
+
+    ContextoSvg.prototype.isPointInStroke = function () {
+        return false;
+    };
+
+    /** Conteudo gravado: <defs> dos recortes e os elementos, em ordem. */
+    ContextoSvg.prototype.toSvg = function () {
+        return (this.defs.length > 0 ? '<defs>\n' + this.defs.join('\n') + '\n</defs>\n' : '') +
+            this.elementos.join('\n');
+    };
+
+    /* ============================================
+       CONTEUDO EXPORTADO
+       ============================================ */
+
+    /**
+     * Especificacao de AUDIN.export com os dados do grafico.
+     *
+     * @param {Object} registro
+     * @returns {{spec: Object, dados: Object}}
+     */
+    function especificacao(registro) {
+        var dados = AUDIN.chartA11y.fromChartJs(registro.config);
+        var datado = registro.el.closest('[data-chart-data-date]');
+
+        return {
+            dados: dados,
+            spec: {
+                title: registro.el.dataset.chartTitle || dados.titulo || TITULO_PADRAO,
+                columns: dados.colunas.map(function (titulo, i) { return { title: titulo, value: i }; }),
+                rows: dados.linhas,
+                filters: AUDIN.export.activeFilters(),
+                dataAtualizacao: datado ? datado.dataset.chartDataDate : ''
+            }
+        };
+    }
+
+    /** Texto do rodape: data dos dados e recorte ativo. */
+    function rodape(metadados) {
+        var filtros = Object.keys(metadados.filtros).map(function (nome) {
+            return nome + ': ' + metadados.filtros[nome];
+        });
+        return 'Dados atualizados em ' + (metadados.data_atualizacao || 'data não informada') +
+            (filtros.length > 0 ? ' · ' + filtros.join('; ') : '');
+    }
+
+    /**
+     * Desenha o grafico fora da tela no tamanho da area util da imagem e
+     * entrega o canvas a fn antes de destrui-lo. Vetorial: o "canvas" e um
+     * ContextoSvg (plataforma basica do Chart.js, sem DOM nem eventos) e fn
+     * recebe o contexto com os elementos SVG gravados.
+     *
+     * @param {Object} config - Configuracao Chart.js do grafico na tela
+     * @param {Function} fn - (canvas | ContextoSvg) -> resultado
+     * @param {boolean} [vetorial]
+     * @returns {*} Resultado de fn
+     */
+    function comGrafico(config, fn, vetorial) {
+        var largura = (LARGURA - 2 * MARGEM) / ESCALA;
+        var altura = (ALTURA - CABECALHO - RODAPE) / ESCALA;
+        var canvas;
+        var contexto = null;
+        if (vetorial) {
+            canvas = { width: largura, height: altura };
+            contexto = new ContextoSvg(canvas, 'audin-grafico');
+            canvas.getContext = function () { return contexto; };
+        } else {
+            canvas = document.createElement('canvas');
+            canvas.width = largura;
+            canvas.height = altura;
+        }
+
+        var options = Object.assign({}, config.options, {
+            responsive: false,
+            maintainAspectRatio: false,
+            animation: false,
+            devicePixelRatio: ESCALA
+        });
+        if (vetorial) {
+            options.events = [];
+        }
+        // O titulo vai no cabecalho da imagem
+        options.plugins = Object.assign({}, options.plugins, {
+            title: Object.assign({}, options.plugins && options.plugins.title, { display: false })
+        });
+
+        var path2d = window.Path2D;
+        var chart;
+        if (vetorial) {
+            window.Path2D = TrajetoGravado;
+        }
+        try {
+            // Sem animacao o desenho acontece todo dentro do construtor
+            chart = new Chart(canvas, {
+                type: config.type,
+                data: {
+                    labels: (config.data.labels || []).slice(),
+                    datasets: config.data.datasets.map(function (d) {
+                        return Object.assign({}, d, { data: d.data.slice() });
+                    })
+                },
+                options: options,
+                plugins: config.plugins,
+                platform: vetorial ? Chart.BasicPlatform : undefined
+            });
+        } finally {
+            if (vetorial) {
+                window.Path2D = path2d;
+            }
+        }
+        try {
+            return fn(contexto || canvas);
+        } finally {
+            chart.destroy();
+        }
+    }
+
+    function png(config, titulo, metadados) {
+        var paleta = AUDIN.charts.palette();
+        var fonte = paleta.fontFamily;
+        var imagem = document.createElement('canvas');
+        imagem.width = LARGURA;
+        imagem.height = ALTURA;
+
+        var ctx = imagem.getContext('2d');
+        ctx.fillStyle = paleta.surface;
+        ctx.fillRect(0, 0, LARGURA, ALTURA);
+        ctx.fillStyle = paleta.primary;
+        ctx.fillRect(0, 0, LARGURA, 12);
+
+        ctx.textBaseline = 'alphabetic';
+        ctx.font = '600 28px ' + fonte;
+        ctx.fillText(MARCA, MARGEM, 70);
+        ctx.fillStyle = paleta.text;
+        ctx.font = '700 48px ' + fonte;
+        ctx.fillText(titulo, MARGEM, 135, LARGURA - 2 * MARGEM);
+
+        comGrafico(config, function (grafico) {
+            ctx.drawImage(grafico, MARGEM, CABECALHO, LARGURA - 2 * MARGEM, ALTURA - CABECALHO - RODAPE);
+        });
+
+        ctx.strokeStyle = paleta.border;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(MARGEM, ALTURA - RODAPE + 20);
+        ctx.lineTo(LARGURA - MARGEM, ALTURA - RODAPE + 20);
+        ctx.stroke();
+
+        ctx.fillStyle = paleta.textMuted;
+        ctx.font = '400 24px ' + fonte;
+        ctx.textAlign = 'left';
+        ctx.fillText(rodape(metadados), MARGEM, ALTURA - 40, LARGURA * 0.6);
+        ctx.textAlign = 'right';
+        ctx.fillText('Gerado em ' + metadados.gerado_em, LARGURA - MARGEM, ALTURA - 40);
+
+        return new Promise(function (resolve, reject) {
+            imagem.toBlob(function (blob) {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('AUDIN.chartExport: o navegador não gerou o PNG'));
+                }
+            }, FORMATOS.png.type);
+        });
+    }
+
+    function svg(config, titulo, metadados, resumo) {
+        var paleta = AUDIN.charts.palette();
+        var fonte = escapeXml(paleta.fontFamily);
+        var grafico = comGrafico(config, function (contexto) {
+            return contexto.toSvg();
+        }, true);
+
+        return Promise.resolve(
+            '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<svg xmlns="http://www.w3.org/2000/svg" width="' + LARGURA + '" height="' + ALTURA + '"' +
+            ' viewBox="0 0 ' + LARGURA + ' ' + ALTURA + '" font-family="' + fonte + '">\n' +
+            '<title>' + escapeXml(titulo) + '</title>\n' +
+            '<desc>' + escapeXml(resumo) + '</desc>\n' +
+            '<rect width="' + LARGURA + '" height="' + ALTURA + '" fill="' + escapeXml(paleta.surface) + '"/>\n' +
+            '<rect width="' + LARGURA + '" height="12" fill="' + escapeXml(paleta.primary) + '"/>\n' +
+            '<text x="' + MARGEM + '" y="70" font-size="28" font-weight="600" fill="' + escapeXml(paleta.primary) + '">' + escapeXml(MARCA) + '</text>\n' +
+            '<text x="' + MARGEM + '" y="135" font-size="48" font-weight="700" fill="' + escapeXml(paleta.text) + '">' + escapeXml(titulo) + '</text>\n' +
+            '<g transform="translate(' + MARGEM + ' ' + CABECALHO + ')">\n' + grafico + '\n</g>\n' +
+            '<line x1="' + MARGEM + '" y1="' + (ALTURA - RODAPE + 20) + '" x2="' + (LARGURA - MARGEM) + '" y2="' + (ALTURA - RODAPE + 20) + '"' +
+            ' stroke="' + escapeXml(paleta.border) + '" stroke-width="2"/>\n' +
+            '<text x="' + MARGEM + '" y="' + (ALTURA - 40) + '" font-size="24" fill="' + escapeXml(paleta.textMuted) + '">' + escapeXml(rodape(metadados)) + '</text>\n' +
+            '<text x="' + (LARGURA - MARGEM) + '" y="' + (ALTURA - 40) + '" font-size="24" text-anchor="end" fill="' + escapeXml(paleta.textMuted) + '">' +
+            escapeXml('Gerado em ' + metadados.gerado_em) + '</text>\n' +
+            '</svg>\n'
+        );
+    }
+
+    /**
+     * Gera e baixa o grafico no formato pedido.
+     *
+     * @param {HTMLElement} el - Canvas com menu (attach)
+     * @param {string} formato - 'png' | 'svg' | 'csv'
+     * @returns {Promise<string>} Nome do arquivo gerado
+     */
+    function download(el, formato) {
+        var registro = findRegistro(el);
+        if (!registro) {
+            return Promise.reject(new Error('AUDIN.chartExport: gráfico sem menu de download'));
+        }
+        if (!FORMATOS[formato]) {
+            return Promise.reject(new Error('AUDIN.chartExport: formato desconhecido "' + formato + '"'));
+        }
+
+        var conteudo = especificacao(registro);
+        var spec = conteudo.spec;
+        if (formato === 'csv') {
+            return AUDIN.export.download(spec, 'csv');
+        }
+
+        return AUDIN.export.dataAtualizacao(spec).then(function (dataAtualizacao) {
+            spec.dataAtualizacao = dataAtualizacao;
+            var metadados = AUDIN.export.build(spec).metadados;
+            var gerado = formato === 'png'
+                ? png(registro.config, spec.title, metadados)
+                : svg(registro.config, spec.title, metadados, AUDIN.chartA11y.summary(conteudo.dados));
+
+            return gerado.then(function (arquivo) {
+                var nome = AUDIN.export.filename(spec, dataAtualizacao, formato);
+                AUDIN.export.save(arquivo, FORMATOS[formato].type, nome);
+                return nome;
+            });
+        });
+    }
+
+    /* ============================================
+       MENU "BAIXAR GRAFICO"
+       ============================================ */
+
+    function abrir(menu, aberto) {
+        menu.querySelector('.audin-chart-export__alternar').setAttribute('aria-expanded', String(aberto));
+        menu.querySelector('.audin-chart-export__opcoes').hidden = !aberto;
+    }
+
+    function criarMenu(base, el) {
+        var menu = document.createElement('div');
+        menu.className = 'audin-chart-export';
+        menu.id = base + '-export';
+        menu.innerHTML =
+            '<button type="button" class="audin-btn audin-btn--secondary audin-btn--sm audin-chart-export__alternar"' +
+            ' aria-expanded="false" aria-controls="' + base + '-export-opcoes">Baixar gráfico</button>' +
+            '<ul class="audin-chart-export__opcoes" id="' + base + '-export-opcoes" hidden>' +
+            Object.keys(FORMATOS).map(function (formato) {
+                return '<li><button type="button" class="audin-chart-export__opcao" data-formato="' + formato + '">' +
+                    escapeXml(FORMATOS[formato].label) + '</button></li>';
+            }).join('') +
+            '</ul>';
+
+        var botao = menu.querySelector('.audin-chart-export__alternar');
+        botao.addEventListener('click', function () {
+            abrir(menu, botao.getAttribute('aria-expanded') !== 'true');
+        });
+        menu.addEventListener('keydown', function (event) {
+            if (event.key === 'Escape') {
+                abrir(menu, false);
+                botao.focus();
+            }
+        });
+        menu.querySelectorAll('.audin-chart-export__opcao').forEach(function (opcao) {
+            var formato = opcao.dataset.formato;
+            opcao.addEventListener('click', function () {
+                abrir(menu, false);
+                botao.disabled = true;
+                download(el, formato).catch(function (error) {
+                    console.error('AUDIN.chartExport: falha ao gerar ' + FORMATOS[formato].label, error);
+                }).then(function () {
+                    botao.disabled = false;
+                    botao.focus();
+                });
+            });
+        });
+        return menu;
+    }
+
+    /**
+     * Cria o menu do grafico (acima dele) ou atualiza a configuracao usada
+     * nos downloads. Chamado a cada (re)criacao do grafico.
+     *
+     * @param {HTMLElement} el - Canvas do grafico
+     * @param {Object} config - Configuracao Chart.js usada no canvas
+     * @returns {HTMLElement|null} Menu .audin-chart-export; null sem dependencias
+     */
+    function attach(el, config) {
+        if (!AUDIN.export || !AUDIN.chartA11y) {
+            console.warn('AUDIN.chartExport: carregue assets/js/audin-export.js e audin-chart-a11y.js');
+            return null;
+        }
+
+        var registro = findRegistro(el);
+        if (!registro) {
+            var alvo = alvoDe(el);
+            registro = {
+                el: el,
+                config: null,
+                menu: criarMenu(alvo.id || el.id || 'audin-grafico-export-' + (++sequencia), el)
+            };
+            alvo.parentNode.insertBefore(registro.menu, alvo);
+            registros.push(registro);
+        }
+        registro.config = config;
+        return registro.menu;
+    }
+
+    /**
+     * Remove o menu do grafico (grafico destruido).
+     *
+     * @param {HTMLElement} el
+     * @returns {boolean} false se o grafico nao tinha menu
+     */
+    function detach(el) {
+        var registro = findRegistro(el);
+        if (!registro) {
+            return false;
+        }
+        if (registro.menu.parentNode) {
+            registro.menu.parentNode.removeChild(registro.menu);
+        }
+        registros.splice(registros.indexOf(registro), 1);
+        return true;
+    }
+
+    /* ============================================
+       API PUBLICA
+       ============================================ */
+
+    AUDIN.chartExport = {
+        attach: attach,
+        detach: detach,
+        download: download
+    };
+
+    /* ============================================
+       AUTO-INIT
+       ============================================ */
+
+    if (typeof document !== 'undefined') {
+        // Clique fora fecha os menus abertos
+        document.addEventListener('click', function (event) {
+            registros.forEach(function (registro) {
+                if (!registro.menu.contains(event.target)) {
+                    abrir(registro.menu, false);
+                }
+            });
+        });
+    }
+})();
@@ -0,0 +1,885 @@
+/**
+ * AUDIN - Camada de dados compartilhada
+ *
+ * Loaders tipados para os arquivos JSON de /data com cache unico.
+ * Estende o namespace window.AUDIN (mesmo padrao de dev/assets/js).
+ * ES2020+ sem modules (compatibilidade com Joomla inline).
+ *
+ * Recursos:
+ *   - Cache em memoria + sessionStorage (sobrevive a navegacao entre paginas)
+ *   - Deduplicacao de requisicoes em andamento (uma fetch por arquivo)
+ *   - Eventos: 'loading', 'load', 'error', 'invalidate' via AUDIN.data.on()
+ *   - Validacao contra data/schemas/<arquivo>.schema.json (subconjunto JSON Schema)
+ *   - Banner de erro visivel nomeando arquivo e campo com problema
+ *
+ * Base do site (AUDIN.config.baseUrl):
+ *   Todas as URLs de dados, schemas e graficos partem dela, para que o
+ *   mesmo build funcione na raiz, em subcaminho ou embutido no portal.
+ *   Ordem: AUDIN.config.baseUrl definido antes dos scripts -> diretorio
+ *   acima de assets/js/ (src deste script) -> '/'.
+ *
+ * Uso:
+ *   AUDIN.data.loadRecomendacoes().then(function (rows) { ... });
+ *   AUDIN.data.on('load', function (detail) { ... });
+ *   AUDIN.data.invalidate('stats');
+ *   AUDIN.url('charts/gauge_efetividade.html');
+ *
+ *   <!-- Portal: antes dos scripts -->
+ *   <script>window.AUDIN = { config: { baseUrl: 'https://audinufam.github.io/' } };</script>
+ */
+(function () {
+    'use strict';
+
+    window.AUDIN = window.AUDIN || {};
+
+    /**
+     * @typedef {Object} Recomendacao
+     * @property {string} ID - ID estavel gravado pelo build ('' em linha ainda sem ID)
+     * @property {string} Ano - Ano do relatorio ('' quando ausente na planilha)
+     * @property {string} Relatorio - Numero do relatorio (ex: '1', 'NT 002')
+     * @property {string} Unidade - Sigla da unidade auditada (canonica com audin-registro.js)
+     * @property {string[]} [Unidades] - Codigos canonicos (audin-registro.js); rotulos compostos listam cada unidade
+     * @property {string} [UnidadeOriginal] - Rotulo da planilha (audin-registro.js)
+     * @property {string} Recomendacao - Texto integral da recomendacao
+     * @property {string} Situacao - Atendida | Baixada | Em Implementação | Pendente
+     * @property {string} Emissao - Data de emissao (DD/MM/AAAA; '' quando ausente)
+     * @property {string} Prazo - Prazo de atendimento (DD/MM/AAAA; '' quando ausente)
+     */
+
+    /**
+     * @typedef {Object} RecomendacaoAgrupada
+     * @property {string} Ano
+     * @property {string} Unidade
+     * @property {string} Situacao
+     * @property {number} Total
+     */
+
+    /**
+     * @typedef {Object} FluxoSankey
+     * @property {string} Unidade
+     * @property {string} Situacao
+     * @property {number} value
+     */
+
+    /**
+     * @typedef {Object} NoHierarquia
+     * @property {string} name
+     * @property {number} [value] - Presente apenas nas folhas (status)
+     * @property {NoHierarquia[]} [children]
+     */
+
+    /**
+     * @typedef {Object} RelatoriosAno
+     * @property {string} Ano
+     * @property {number} Total
+     */
+
+    /**
+     * @typedef {Object} Snapshot
+     * @property {string} data - Data de atualizacao (DD/MM/AAAA)
+     * @property {number} total_relatorios
+     * @property {number} total_recomendacoes
+     * @property {number} total_unidades
+     * @property {number} atendidas
+     * @property {number} baixadas
+     * @property {number} em_implementacao
+     * @property {number} pendentes
+     * @property {number} beneficios
+     * @property {number} efetividade
+     */
+
+    /**
+     * @typedef {Object} UnidadeCadastro
+     * @property {string} codigo
+     * @property {string} nome
+     * @property {string[]} aliases
+     * @property {string|null} orgao_superior
+     * @property {string} grupo - '' quando herdado do orgao_superior
+     * @property {string} campus
+     * @property {string} obs - '' quando ausente
+     */
+
+    /**
+     * @typedef {Object} RegraTema
+     * @property {string} codigo - Ex: 'planilhas-custos'
+     * @property {string} nome - Ex: 'Planilhas de custos'
+     * @property {string[]} palavras - Prefixos casados no inicio de palavra
+     * @property {string[]} regex - Expressoes sobre o texto sem acentos, em minusculas
+     */
+
+    /**
+     * @typedef {Object} RevisaoTema
+     * @property {string} id - ID estavel da recomendacao (AUDIN.recomendacoes)
+     * @property {string[]} temas - Codigos que substituem os das regras
+     * @property {string} data - DD/MM/AAAA ('' quando ausente)
+     * @property {string} obs - '' quando ausente
+     */
+
+    /**
+     * @typedef {Object} EventoStatus
+     * @property {string} id - ID estavel da recomendacao (AUDIN.recomendacoes)
+     * @property {string} data - Data da mudanca (DD/MM/AAAA)
+     * @property {string} Situacao - Situacao a partir dessa data
+     * @property {string} obs - Observacao livre ('' quando ausente)
+     */
+
+    /**
+     * @typedef {Object} RelatorioPdf
+     * @property {string} Ano - Ano do relatorio ('' quando a planilha nao informa)
+     * @property {string} Relatorio - Numero do relatorio, como na planilha
+     * @property {string} url - PDF publicado (absoluto ou relativo a base do site)
+     */
+
+    /* ============================================
+       BASE DO SITE
+       ============================================ */
+
+    function withSlash(url) {
+        return /\/$/.test(url) ? url : url + '/';
+    }
+
+    /**
+     * Deriva a base do site do src deste script (<base>assets/js/audin-data.js).
+     *
+     * @returns {string|null}
+     */
+    function baseFromScript() {
+        var script = typeof document !== 'undefined' ? document.currentScript : null;
+        var match = script && script.src ? /^(.*\/)assets\/js\/[^/]+$/.exec(script.src.split('?')[0]) : null;
+        return match ? match[1] : null;
+    }
+
+    AUDIN.config = AUDIN.config || {};
+    AUDIN.config.baseUrl = withSlash(AUDIN.config.baseUrl || baseFromScript() || '/');
+
+    /**
+     * Resolve um caminho do site (ex: 'charts/heatmap_raiox.html') contra a base.
+     *
+     * @param {string} path - Relativo a raiz do site; barra inicial e ignorada
+     * @returns {string}
+     */
+    AUDIN.url = function (path) {
+        return AUDIN.config.baseUrl + String(path || '').replace(/^\/+/, '');
+    };
+
+    var STORAGE_PREFIX = 'audin:data:';
+    var STORAGE_VERSION = 1;
+
+    var cache = {};
+    var pending = {};
+    var listeners = {};
+    var schemas = {};
+
+    /** Ultimas linhas resolvidas pelo cadastro de unidades (loadRecomendacoes). */
+    var resolvidas = null;
+
+    /* ============================================
+       NORMALIZADORES
+       ============================================ */
+
+    function toText(value) {
+        return value === null || value === undefined ? '' : String(value).trim();
+    }
+
+    function toNumber(value) {
+        var n = Number(value);
+        return isFinite(n) ? n : 0;
+    }
+
+    function normalizeRecomendacao(item) {
+        return {
+            ID: toText(item.ID),
+            Ano: toText(item.Ano),
+            Relatorio: toText(item.Relatorio),
+            Unidade: toText(item.Unidade),
+            Recomendacao: toText(item.Recomendacao),
+            Situacao: toText(item.Situacao),
+            Emissao: toText(item.Emissao),
+            Prazo: toText(item.Prazo)
+        };
+    }
+
+    function normalizeAgrupada(item) {
+        return {
+            Ano: toText(item.Ano),
+            Unidade: toText(item.Unidade),
+            Situacao: toText(item.Situacao),
+            Total: toNumber(item.Total)
+        };
+    }
+
+    function normalizeFluxo(item) {
+        return {
+            Unidade: toText(item.Unidade),
+            Situacao: toText(item.Situacao),
+            value: toNumber(item.value)
+        };
+    }
+
+    function normalizeNo(node) {
+        var out = { name: toText(node.name) };
+        if (Array.isArray(node.children)) {
+            out.children = node.children.map(normalizeNo);
+        } else {
+            out.value = toNumber(node.value);
+        }
+        return out;
+    }
+
+    function normalizeRelatoriosAno(item) {
+        return {
+            Ano: toText(item.Ano),
+            Total: toNumber(item.Total)
+        };
+    }
+
+    function normalizeSnapshot(item) {
+        var out = { data: toText(item.data) };
+        Object.keys(item).forEach(function (key) {
+            if (key !== 'data') {
+                out[key] = toNumber(item[key]);
+            }
+        });
+        return out;
+    }
+
+    function normalizeEvento(item) {
+        return {
+            id: toText(item.id),
+            data: toText(item.data),
+            Situacao: toText(item.Situacao),
+            obs: toText(item.obs)
+        };
+    }
+
+    function normalizeRelatorioPdf(item) {
+        return {
+            Ano: toText(item.Ano),
+            Relatorio: toText(item.Relatorio),
+            url: toText(item.url)
+        };
+    }
+
+    function normalizeUnidade(item) {
+        return {
+            codigo: toText(item.codigo),
+            nome: toText(item.nome),
+            aliases: toTextList(item.aliases),
+            orgao_superior: item.orgao_superior ? toText(item.orgao_superior) : null,
+            grupo: toText(item.grupo),
+            campus: toText(item.campus),
+            obs: toText(item.obs)
+        };
+    }
+
+    function toTextList(value) {
+        return Array.isArray(value) ? value.map(toText) : [];
+    }
+
+    function normalizeTema(item) {
+        return {
+            codigo: toText(item.codigo),
+            nome: toText(item.nome),
+            palavras: toTextList(item.palavras),
+            regex: toTextList(item.regex)
+        };
+    }
+
+    function normalizeRevisaoTema(item) {
+        return {
+            id: toText(item.id),
+            temas: toTextList(item.temas),
+            data: toText(item.data),
+            obs: toText(item.obs)
+        };
+    }
+
+    function mapArray(fn) {
+        return function (json) {
+            return Array.isArray(json) ? json.map(fn) : [];
+        };
+    }
+
+    /**
+     * Registro dos arquivos conhecidos.
+     * Chave = nome logico usado em load(); file = caminho relativo a baseUrl.
+     */
+    var DATASETS = {
+        stats:         { file: 'stats.json',                 normalize: function (json) { return json; } },
+        recomendacoes: { file: 'recomendacoes_table.json',   normalize: mapArray(normalizeRecomendacao) },
+        agrupadas:     { file: 'recomendacoes_grouped.json', normalize: mapArray(normalizeAgrupada) },
+        sankey:        { file: 'sankey_data.json',           normalize: mapArray(normalizeFluxo) },
+        hierarquia:    { file: 'status_all.json',            normalize: mapArray(normalizeNo) },
+        relatoriosAno: { file: 'relatorios_por_ano.json',    normalize: mapArray(normalizeRelatoriosAno) },
+        historico:     { file: 'historico.json',             normalize: mapArray(normalizeSnapshot) },
+        eventos:       { file: 'eventos.json',               normalize: mapArray(normalizeEvento) },
+        relatoriosPdf: { file: 'relatorios_pdf.json',        normalize: mapArray(normalizeRelatorioPdf) },
+        unidades:      { file: 'unidades.json',              normalize: mapArray(normalizeUnidade) },
+        temas:         { file: 'temas.json',                 normalize: mapArray(normalizeTema) },
+        temasRevisao:  { file: 'temas_revisao.json',         normalize: mapArray(normalizeRevisaoTema) }
+    };
+
+    /* ============================================
+       VALIDACAO (subconjunto de JSON Schema draft-07)
+       ============================================ */
+
+    /**
+     * Suporta: type, enum, required, properties, items, minItems,
+     * minimum, maximum, minLength, pattern e $ref local (#/definitions/...).
+     */
+    function typeOf(value) {
+        if (value === null) {
+            return 'null';
+        }
+        if (Array.isArray(value)) {
+            return 'array';
+        }
+        return typeof value;
+    }
+
+    function matchesType(value, type) {
+        if (type === 'integer') {
+            return typeof value === 'number' && Number.isInteger(value);
+        }
+        return typeOf(value) === type;
+    }
+
+    function resolveRef(root, ref) {
+        return ref.replace(/^#\//, '').split('/').reduce(function (node, part) {
+            return node && node[part];
+        }, root);
+    }
+
+    function describe(value) {
+        return value === undefined ? 'ausente' : JSON.stringify(value);
+    }
+
+    function validateNode(schema, value, root, path, errors) {
+        if (schema.$ref) {
+            schema = resolveRef(root, schema.$ref) || {};
+        }
+
+        var field = path || '(raiz)';
+
+        if (schema.type) {
+            var types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(function (t) { return matchesType(value, t); })) {
+                errors.push({ path: field, message: 'esperado ' + types.join(' ou ') + ', recebido ' + describe(value) });
+                return;
+            }
+        }
+
+        if (schema.enum && schema.enum.indexOf(value) === -1) {
+            errors.push({ path: field, message: 'valor ' + describe(value) + ' fora de: ' + schema.enum.map(function (v) { return v === null ? 'null' : v; }).join(', ') });
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push({ path: field, message: 'valor ' + value + ' menor que ' + schema.minimum });
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push({ path: field, message: 'valor ' + value + ' maior que ' + schema.maximum });
+            }
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push({ path: field, message: 'texto vazio' });
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                errors.push({ path: field, message: 'formato invalido ' + describe(value) });
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push({ path: field, message: 'lista com menos de ' + schema.minItems + ' item(ns)' });
+            }
+            if (schema.items) {
+                value.forEach(function (item, i) {
+                    validateNode(schema.items, item, root, path + '[' + i + ']', errors);
+                });
+            }
+        } else if (value && typeof value === 'object') {
+            (schema.required || []).forEach(function (key) {
+                if (!(key in value)) {
+                    errors.push({ path: path ? path + '.' + key : key, message: 'campo obrigatorio ausente' });
+                }
+            });
+            Object.keys(schema.properties || {}).forEach(function (key) {
+                if (key in value) {
+                    validateNode(schema.properties[key], value[key], root, path ? path + '.' + key : key, errors);
+                }
+            });
+        }
+    }
+
+    /**
+     * Valida um valor contra um schema.
+     *
+     * @param {Object} schema - JSON Schema (subconjunto suportado acima)
+     * @param {*} value - Dado a validar
+     * @returns {Array<{path: string, message: string}>} Vazio se valido
+     */
+    function validate(schema, value) {
+        var errors = [];
+        validateNode(schema, value, schema, '', errors);
+        return errors;
+    }
+
+    /**
+     * Cria o erro lancado quando um arquivo nao passa no schema.
+     * A mensagem cita o primeiro campo invalido; a lista completa fica em .errors.
+     */
+    function validationError(file, errors) {
+        var first = errors[0];
+        var error = new Error(file + ': ' + first.path + ' - ' + first.message +
+            (errors.length > 1 ? ' (e mais ' + (errors.length - 1) + ' erro(s))' : ''));
+        error.name = 'ValidationError';
+        error.file = file;
+        error.errors = errors;
+        return error;
+    }
+
+    /* ============================================
+       EVENTOS
+       ============================================ */
+
+    function emit(type, detail) {
+        (listeners[type] || []).slice().forEach(function (fn) {
+            try {
+                fn(detail);
+            } catch (e) {
+                console.error('AUDIN.data: erro em listener de "' + type + '":', e);
+            }
+        });
+    }
+
+    /* ============================================
+       SESSION STORAGE
+       ============================================ */
+
+    function readStorage(name) {
+        try {
+            var raw = window.sessionStorage.getItem(STORAGE_PREFIX + name);
+            if (!raw) {
+                return undefined;
+            }
+            var entry = JSON.parse(raw);
+            if (entry.v !== STORAGE_VERSION || Date.now() - entry.t > AUDIN.data.maxAge) {
+                window.sessionStorage.removeItem(STORAGE_PREFIX + name);
+                return undefined;
+            }
+            return entry.data;
+        } catch (e) {
+            return undefined;
+        }
+    }
+
+    function writeStorage(name, data) {
+        try {
+            window.sessionStorage.setItem(STORAGE_PREFIX + name, JSON.stringify({
+                v: STORAGE_VERSION,
+                t: Date.now(),
+                data: data
+            }));
+        } catch (e) {
+            // Quota excedida ou storage bloqueado: segue apenas com cache em memoria
+        }
+    }
+
+    /**
+     * Busca o schema de um dataset (data/schemas/<arquivo>.schema.json).
+     * Schema ausente ou ilegivel nao bloqueia o carregamento: apenas avisa.
+     *
+     * @param {string} name
+     * @returns {Promise<Object|null>}
+     */
+    function loadSchema(name) {
+        if (!AUDIN.data.validateSchemas) {
+            return Promise.resolve(null);
+        }
+        if (!schemas[name]) {
+            schemas[name] = fetch(AUDIN.data.schemaUrl(name))
+                .then(function (response) {
+                    if (!response.ok) {
+                        throw new Error('HTTP ' + response.status);
+                    }
+                    return response.json();
+                })
+                .catch(function (error) {
+                    console.warn('AUDIN.data: schema de ' + DATASETS[name].file + ' indisponivel, validacao ignorada (' + error.message + ')');
+                    return null;
+                });
+        }
+        return schemas[name];
+    }
+
+    /* ============================================
+       API PUBLICA
+       ============================================ */
+
+    AUDIN.data = {
+        /** Prefixo das URLs dos arquivos JSON (padrao: <base do site>data/). */
+        baseUrl: AUDIN.url('data/'),
+
+        /** Validade do cache em sessionStorage, em milissegundos (30 min). */
+        maxAge: 30 * 60 * 1000,
+
+        /** Valida cada arquivo contra seu schema antes de aceitar os dados. */
+        validateSchemas: true,
+
+        /** Exibe banner de erro na pagina quando um carregamento falha. */
+        errorBanner: true,
+
+        validate: validate,
+
+        /**
+         * Registra listener para eventos da camada de dados.
+         * Detail: { name, file, data?, error?, fromCache? }
+         *
+         * @param {string} type - 'loading' | 'load' | 'error' | 'invalidate'
+         * @param {Function} fn - Callback recebendo o detail do evento
+         * @returns {Function} Funcao que remove o listener
+         */
+        on: function (type, fn) {
+            (listeners[type] = listeners[type] || []).push(fn);
+            return function () {
+                AUDIN.data.off(type, fn);
+            };
+        },
+
+        /**
+         * Remove listener registrado com on().
+         *
+         * @param {string} type
+         * @param {Function} fn
+         */
+        off: function (type, fn) {
+            listeners[type] = (listeners[type] || []).filter(function (l) {
+                return l !== fn;
+            });
+        },
+
+        /**
+         * Retorna a URL completa de um dataset registrado.
+         *
+         * @param {string} name - Nome logico (ex: 'recomendacoes')
+         * @returns {string}
+         */
+        url: function (name) {
+            var ds = DATASETS[name];
+            if (!ds) {
+                throw new Error('AUDIN.data: dataset desconhecido "' + name + '"');
+            }
+            return AUDIN.data.baseUrl + ds.file;
+        },
+
+        /**
+         * Retorna a URL do schema JSON de um dataset registrado.
+         *
+         * @param {string} name
+         * @returns {string}
+         */
+        schemaUrl: function (name) {
+            return AUDIN.data.baseUrl + 'schemas/' + DATASETS[name].file.replace(/\.json$/, '.schema.json');
+        },
+
+        /**
+         * Retorna o valor em cache (memoria ou sessionStorage) sem disparar fetch.
+         *
+         * @param {string} name
+         * @returns {*} Dados normalizados ou undefined
+         */
+        get: function (name) {
+            if (!(name in cache)) {
+                var stored = readStorage(name);
+                if (stored !== undefined) {
+                    cache[name] = stored;
+                }
+            }
+            return cache[name];
+        },
+
+        /**
+         * Carrega um dataset pelo nome logico.
+         * Ordem: memoria -> sessionStorage -> fetch (deduplicado).
+         *
+         * @param {string} name - Nome logico registrado em DATASETS
+         * @returns {Promise<*>} Dados normalizados
+         */
+        load: function (name) {
+            var ds = DATASETS[name];
+            if (!ds) {
+                return Promise.reject(new Error('AUDIN.data: dataset desconhecido "' + name + '"'));
+            }
+
+            var cached = AUDIN.data.get(name);
+            if (cached !== undefined) {
+                emit('load', { name: name, file: ds.file, data: cached, fromCache: true });
+                return Promise.resolve(cached);
+            }
+
+            if (pending[name]) {
+                return pending[name];
+            }
+
+            emit('loading', { name: name, file: ds.file });
+
+            var request = fetch(AUDIN.data.url(name))
+                .then(function (response) {
+                    if (!response.ok) {
+                        throw new Error('HTTP ' + response.status + ' ao carregar ' + ds.file);
+                    }
+                    return response.json().catch(function () {
+                        throw new Error(ds.file + ' nao e um JSON valido');
+                    });
+                });
+
+            pending[name] = Promise.all([request, loadSchema(name)])
+                .then(function (results) {
+                    var json = results[0];
+                    var schema = results[1];
+
+                    if (schema) {
+                        var errors = validate(schema, json);
+                        if (errors.length > 0) {
+                            throw validationError(ds.file, errors);
+                        }
+                    }
+
+                    var data = ds.normalize(json);
+                    cache[name] = data;
+                    writeStorage(name, data);
+                    delete pending[name];
+                    emit('load', { name: name, file: ds.file, data: data, fromCache: false });
+                    return data;
+                })
+                .catch(function (error) {
+                    delete pending[name];
+                    error.file = ds.file;
+                    emit('error', { name: name, file: ds.file, error: error });
+                    throw error;
+                });
+
+            return pending[name];
+        },
+
+        /**
+         * Carrega varios datasets em paralelo.
+         *
+         * @param {string[]} names
+         * @returns {Promise<Object>} Mapa nome -> dados
+         */
+        loadAll: function (names) {
+            return Promise.all(names.map(AUDIN.data.load)).then(function (results) {
+                var out = {};
+                names.forEach(function (name, i) {
+                    out[name] = results[i];
+                });
+                return out;
+            });
+        },
+
+        /**
+         * Descarta o cache de um dataset (ou de todos, sem argumento).
+         * Proximo load() busca novamente no servidor.
+         *
+         * @param {string} [name]
+         */
+        invalidate: function (name) {
+            var names = name ? [name] : Object.keys(DATASETS);
+            names.forEach(function (n) {
+                delete cache[n];
+                try {
+                    window.sessionStorage.removeItem(STORAGE_PREFIX + n);
+                } catch (e) {
+                    // storage indisponivel
+                }
+                emit('invalidate', { name: n, file: DATASETS[n] ? DATASETS[n].file : null });
+            });
+        },
+
+        /* ---------- Loaders tipados ---------- */
+
+        /** @returns {Promise<Object>} Conteudo de stats.json */
+        loadStats: function () {
+            return AUDIN.data.load('stats');
+        },
+
+        /**
+         * Linhas da planilha. Com audin-registro.js carregado, as unidades
+         * ja vem resolvidas pelo cadastro (Unidade canonica, Unidades e
+         * UnidadeOriginal); o resultado e reaproveitado entre chamadas.
+         *
+         * @returns {Promise<Recomendacao[]>}
+         */
+        loadRecomendacoes: function () {
+            if (!AUDIN.registro) {
+                return AUDIN.data.load('recomendacoes');
+            }
+            return Promise.all([AUDIN.data.load('recomendacoes'), AUDIN.data.load('unidades')])
+                .then(function (results) {
+                    if (!resolvidas || resolvidas.rows !== results[0] || resolvidas.cadastro !== results[1]) {
+                        resolvidas = {
+                            rows: results[0],
+                            cadastro: results[1],
+                            data: AUDIN.registro.apply(results[0], results[1])
+                        };
+                    }
+                    return resolvidas.data;
+                });
+        },
+
+        /** @returns {Promise<RecomendacaoAgrupada[]>} */
+        loadAgrupadas: function () {
+            return AUDIN.data.load('agrupadas');
+        },
+
+        /** @returns {Promise<FluxoSankey[]>} */
+        loadSankey: function () {
+            return AUDIN.data.load('sankey');
+        },
+
+        /** @returns {Promise<NoHierarquia[]>} Arvore ano -> unidade -> status */
+        loadHierarquia: function () {
+            return AUDIN.data.load('hierarquia');
+        },
+
+        /** @returns {Promise<RelatoriosAno[]>} */
+        loadRelatoriosPorAno: function () {
+            return AUDIN.data.load('relatoriosAno');
+        },
+
+        /** @returns {Promise<Snapshot[]>} Snapshots em ordem cronologica */
+        loadHistorico: function () {
+            return AUDIN.data.load('historico');
+        },
+
+        /** @returns {Promise<EventoStatus[]>} Mudancas de situacao em ordem cronologica */
+        loadEventos: function () {
+            return AUDIN.data.load('eventos');
+        },
+
+        /** @returns {Promise<RelatorioPdf[]>} Links para os PDFs publicados (mantido a mao) */
+        loadRelatoriosPdf: function () {
+            return AUDIN.data.load('relatoriosPdf');
+        },
+
+        /** @returns {Promise<UnidadeCadastro[]>} Cadastro canonico de unidades (mantido a mao) */
+        loadUnidades: function () {
+            return AUDIN.data.load('unidades');
+        },
+
+        /** @returns {Promise<RegraTema[]>} Regras do classificador de temas (mantido a mao) */
+        loadTemas: function () {
+            return AUDIN.data.load('temas');
+        },
+
+        /** @returns {Promise<RevisaoTema[]>} Revisoes manuais da classificacao de temas */
+        loadTemasRevisao: function () {
+            return AUDIN.data.load('temasRevisao');
+        },
+
+        showError: showError,
+        markUnavailable: markUnavailable
+    };
+
+    /* ============================================
+       ESTADOS DE ERRO VISIVEIS
+       ============================================ */
+
+    var MAX_ERRORS_LISTED = 5;
+
+    /**
+     * Exibe (ou atualiza) um banner de erro no topo do conteudo da pagina.
+     * Um item por arquivo; falhas de schema listam os campos invalidos.
+     *
+     * @param {{file: string, error: Error}} detail - Detail do evento 'error'
+     */
+    function showError(detail) {
+        if (typeof document === 'undefined' || !document.body) {
+            return;
+        }
+
+        var banner = document.getElementById('audin-data-error');
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.id = 'audin-data-error';
+            banner.className = 'audin-data-error';
+            banner.setAttribute('role', 'alert');
+            banner.innerHTML = '<strong class="audin-data-error__title">Não foi possível carregar todos os dados.</strong>' +
+                '<span class="audin-data-error__hint"> Os valores afetados estão marcados como indisponíveis.</span>' +
+                '<ul class="audin-data-error__list"></ul>';
+
+            var main = document.querySelector('.main');
+            var topbar = main ? main.querySelector('.topbar') : null;
+            if (topbar) {
+                topbar.insertAdjacentElement('afterend', banner);
+            } else {
+                document.body.insertBefore(banner, document.body.firstChild);
+            }
+        }
+
+        var list = banner.querySelector('.audin-data-error__list');
+        var item = list.querySelector('[data-file="' + detail.file + '"]');
+        if (!item) {
+            item = document.createElement('li');
+            item.setAttribute('data-file', detail.file);
+            list.appendChild(item);
+        }
+
+        var errors = detail.error && detail.error.errors;
+        item.textContent = '';
+
+        var fileEl = document.createElement('code');
+        fileEl.textContent = detail.file;
+        item.appendChild(fileEl);
+
+        if (errors && errors.length > 0) {
+            item.appendChild(document.createTextNode(': ' + errors.length + ' campo(s) inválido(s)'));
+            var sub = document.createElement('ul');
+            errors.slice(0, MAX_ERRORS_LISTED).forEach(function (e) {
+                var li = document.createElement('li');
+                li.textContent = e.path + ' - ' + e.message;
+                sub.appendChild(li);
+            });
+            if (errors.length > MAX_ERRORS_LISTED) {
+                var more = document.createElement('li');
+                more.textContent = '... e mais ' + (errors.length - MAX_ERRORS_LISTED);
+                sub.appendChild(more);
+            }
+            item.appendChild(sub);
+        } else {
+            item.appendChild(document.createTextNode(': ' + (detail.error ? detail.error.message : 'erro desconhecido')));
+        }
+    }
+
+    /**
+     * Marca elementos de valor como indisponiveis em vez de manter
+     * placeholders ou numeros desatualizados do HTML estatico.
+     *
+     * @param {string|NodeList|HTMLElement[]} targets - Seletor ou elementos
+     * @param {string} [file] - Arquivo cuja falha causou a indisponibilidade
+     */
+    function markUnavailable(targets, file) {
+        if (typeof document === 'undefined') {
+            return;
+        }
+        var elements = typeof targets === 'string' ? document.querySelectorAll(targets) : targets;
+        var reason = 'Dado indisponível' + (file ? ' (falha em ' + file + ')' : '');
+
+        Array.prototype.forEach.call(elements || [], function (el) {
+            el.textContent = '—';
+            el.classList.add('audin-data-indisponivel');
+            el.setAttribute('title', reason);
+            el.setAttribute('aria-label', reason);
+        });
+    }
+
+    AUDIN.data.on('error', function (detail) {
+        if (AUDIN.data.errorBanner) {
+            showError(detail);
+        }
+    });
+})();
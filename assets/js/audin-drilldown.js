@@ -0,0 +1,361 @@
+/**
+ * AUDIN - Dos graficos para a lista de recomendacoes (drill-down)
+ *
+ * Clique em um segmento de grafico (Plotly em iframe ou Chart.js do
+ * design system) mostra, logo apos o grafico, a selecao e o link
+ * "Ver recomendações": o painel (panel/index.html) abre filtrado pelo
+ * ano, unidade, status e tema do segmento, somados ao recorte global
+ * ja ativo na pagina. No painel, uma trilha de navegacao leva de volta
+ * a pagina e ao grafico de origem.
+ * Estende o namespace window.AUDIN.
+ *
+ * Selecao (mesmo formato de AUDIN.frames 'select'):
+ *   { Ano?, Unidade? (texto ou lista), Situacao?, Tema? }
+ *
+ * URL do painel:
+ *   panel/index.html?ano=2021&unidade=PROADM&status=Pendente&tema=...
+ *     &origem=/monitor/index.html%23grafico-sankey_monitoramento
+ *     &pagina=Monitoramento&grafico=Fluxo+de+Recomendações...
+ *   ano/unidade/status: formato de AUDIN.filters (recorte global)
+ *   tema: filtro da coluna Tema da tabela
+ *   origem/pagina/grafico: trilha de volta (origem so da propria origem)
+ *
+ * Componentes:
+ *   - Oferta: .audin-drilldown apos o iframe ou o grafico clicado
+ *   - Trilha: [data-audin-trilha] no painel (montada automaticamente)
+ *
+ * Uso:
+ *   Automatico para iframes [data-audin-chart] (AUDIN.frames 'select').
+ *   Chart.js: AUDIN.charts liga os cliques quando o builder retorna
+ *   select(ponto) na configuracao ou o canvas tem data-chart-campo
+ *   (ex: data-chart-campo="Situacao": o rotulo do segmento e o status).
+ *   AUDIN.drilldown.link({ Ano: '2021', Situacao: 'Pendente' });
+ *   AUDIN.drilldown.parse();   // { tema, origem } no painel
+ *
+ * Dependencias: audin-data.js (AUDIN.url) e audin-filters.js (recorte
+ * e formato da query). Opcional: audin-frames.js (graficos em iframe).
+ */
+(function () {
+    'use strict';
+
+    window.AUDIN = window.AUDIN || {};
+
+    var PAINEL = 'panel/index.html';
+
+    var ofertas = [];
+
+    function escapeHtml(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /* ============================================
+       SELECAO E LINK
+       ============================================ */
+
+    /**
+     * Recorte global atual restrito a selecao do segmento.
+     *
+     * @param {Object} selecao
+     * @returns {FiltroEstado}
+     */
+    function stateFor(selecao) {
+        var estado = AUDIN.filters.get();
+        var ano = parseInt(selecao.Ano, 10);
+        if (isFinite(ano)) {
+            estado.anoInicio = ano;
+            estado.anoFim = ano;
+        }
+        if (selecao.Unidade) {
+            estado.unidades = [].concat(selecao.Unidade);
+        }
+        if (selecao.Situacao) {
+            estado.status = [selecao.Situacao];
+        }
+        return estado;
+    }
+
+    /**
+     * Descricao da selecao, ex: 'PROADM · 2021 · Pendente · Tema: Licitações'.
+     *
+     * @param {Object} selecao
+     * @returns {string}
+     */
+    function describe(selecao) {
+        return [AUDIN.filters.describe(stateFor(selecao)), selecao.Tema ? 'Tema: ' + selecao.Tema : '']
+            .filter(Boolean).join(' · ') || 'todas as recomendações';
+    }
+
+    /**
+     * URL do painel filtrado pela selecao, com a trilha de volta.
+     *
+     * @param {Object} selecao
+     * @param {{href: string, pagina: string, grafico: string}} [origem]
+     * @returns {string}
+     */
+    function link(selecao, origem) {
+        var params = new URLSearchParams();
+        if (selecao.Tema) {
+            params.set('tema', selecao.Tema);
+        }
+        if (origem) {
+            params.set('origem', origem.href);
+            ['pagina', 'grafico'].forEach(function (nome) {
+                if (origem[nome]) {
+                    params.set(nome, origem[nome]);
+                }
+            });
+        }
+        var extra = params.toString();
+        return AUDIN.filters.withQuery(AUDIN.url(PAINEL) + (extra ? '?' + extra : ''), stateFor(selecao));
+    }
+
+    /** Pagina atual com ancora no grafico (ou no ancestral com id mais proximo). */
+    function originOf(el, grafico) {
+        var ancora = el.id ? el : el.closest('[id]');
+        return {
+            href: window.location.pathname + window.location.search + (ancora ? '#' + ancora.id : ''),
+            pagina: document.title,
+            grafico: grafico
+        };
+    }
+
+    /* ============================================
+       OFERTA "VER RECOMENDACOES"
+       ============================================ */
+
+    /** Elemento visivel do grafico: o container role="img", se houver. */
+    function alvoDe(el) {
+        var pai = el.parentNode;
+        return pai && pai.getAttribute && pai.getAttribute('role') === 'img' ? pai : el;
+    }
+
+    function findOferta(el) {
+        return ofertas.filter(function (o) { return o.el === el; })[0] || null;
+    }
+
+    /**
+     * Remove a oferta do grafico.
+     *
+     * @param {HTMLElement} el - iframe, canvas ou container do grafico
+     * @returns {boolean} false se nao havia oferta
+     */
+    function dismiss(el) {
+        var oferta = findOferta(alvoDe(el));
+        if (!oferta) {
+            return false;
+        }
+        if (oferta.bloco.parentNode) {
+            oferta.bloco.parentNode.removeChild(oferta.bloco);
+        }
+        ofertas.splice(ofertas.indexOf(oferta), 1);
+        return true;
+    }
+
+    /**
+     * Mostra (ou atualiza) a selecao e o link para o painel logo apos o
+     * grafico. O texto e anunciado por leitores de tela (role="status").
+     *
+     * @param {HTMLElement} el - iframe ou elemento visivel do grafico
+     * @param {Object} selecao
+     * @param {{href: string, pagina: string, grafico: string}} origem
+     * @returns {HTMLElement} Bloco .audin-drilldown
+     */
+    function offer(el, selecao, origem) {
+        var oferta = findOferta(el);
+        if (!oferta) {
+            var bloco = document.createElement('div');
+            bloco.className = 'audin-drilldown';
+            bloco.setAttribute('role', 'status');
+            bloco.addEventListener('click', function (event) {
+                if (event.target.closest('.audin-drilldown__fechar')) {
+                    dismiss(el);
+                }
+            });
+            el.parentNode.insertBefore(bloco, el.nextSibling);
+            oferta = { el: el, bloco: bloco };
+            ofertas.push(oferta);
+        }
+
+        oferta.bloco.innerHTML =
+            '<span class="audin-drilldown__selecao">Seleção: ' + escapeHtml(describe(selecao)) + '</span>' +
+            '<a class="audin-drilldown__link" href="' + escapeHtml(link(selecao, origem)) + '">Ver recomendações ' +
+            '<ion-icon name="arrow-forward-outline" aria-hidden="true"></ion-icon></a>' +
+            '<button type="button" class="audin-drilldown__fechar" aria-label="Fechar seleção">&times;</button>';
+        return oferta.bloco;
+    }
+
+    /* ============================================
+       GRAFICOS CHART.JS
+       ============================================ */
+
+    function chartTitle(el, config) {
+        var titulo = config.options && config.options.plugins && config.options.plugins.title;
+        return el.dataset.chartTitle || (titulo && titulo.text ? [].concat(titulo.text).join(' ') : '');
+    }
+
+    /**
+     * Liga os cliques em segmentos de uma configuracao Chart.js a oferta.
+     * Selecao: config.select(ponto) do builder ou, com data-chart-campo no
+     * canvas, { <campo>: rotulo do segmento }. Sem nenhum dos dois, a
+     * configuracao fica como esta.
+     *
+     * @param {HTMLCanvasElement} el
+     * @param {Object} config - Alterada (options.onClick e onHover)
+     * @returns {Object} config
+     */
+    function wireChart(el, config) {
+        var campo = el.dataset.chartCampo;
+        var select = typeof config.select === 'function' ? config.select : campo ? function (ponto) {
+            var selecao = {};
+            selecao[campo] = ponto.label;
+            return selecao;
+        } : null;
+
+        if (!select) {
+            return config;
+        }
+
+        config.options = Object.assign({}, config.options, {
+            onClick: function (event, elementos, chart) {
+                var elemento = elementos[0];
+                if (!elemento) {
+                    return;
+                }
+                var dataset = chart.data.datasets[elemento.datasetIndex];
+                var selecao = select({
+                    label: chart.data.labels[elemento.index],
+                    dataset: dataset.label,
+                    value: dataset.data[elemento.index],
+                    index: elemento.index,
+                    datasetIndex: elemento.datasetIndex
+                });
+                if (selecao) {
+                    offer(alvoDe(el), selecao, originOf(el, chartTitle(el, config)));
+                }
+            },
+            onHover: function (event, elementos) {
+                el.style.cursor = elementos.length > 0 ? 'pointer' : '';
+            }
+        });
+        return config;
+    }
+
+    /* ============================================
+       TRILHA NO PAINEL
+       ============================================ */
+
+    /**
+     * Le a chegada ao painel: tema do segmento e origem validada (apenas
+     * enderecos da propria origem viram link). O link usa o endereco
+     * absoluto: o caminho sozinho pode comecar com '//' (origem=//evil.example
+     * apos o host) e virar link para outro site.
+     *
+     * @param {string} [search] - Padrao: location.search
+     * @returns {{tema: string, origem: {href: string, pagina: string, grafico: string}|null}}
+     */
+    function parse(search) {
+        var params = new URLSearchParams(search === undefined ? window.location.search : search);
+        var origem = null;
+        var href = params.get('origem');
+
+        if (href) {
+            try {
+                var url = new URL(href, window.location.href);
+                if (url.origin === window.location.origin) {
+                    origem = {
+                        href: url.href,
+                        pagina: params.get('pagina') || 'Página anterior',
+                        grafico: params.get('grafico') || ''
+                    };
+                }
+            } catch (e) {
+                // Endereco invalido: painel sem trilha
+            }
+        }
+
+        return { tema: params.get('tema') || '', origem: origem };
+    }
+
+    function renderTrail(nav, chegada) {
+        var recorte = [AUDIN.filters.describe(), chegada.tema ? 'Tema: ' + chegada.tema : ''].filter(Boolean).join(' · ');
+        var pagina = chegada.origem.href.split('#')[0];
+
+        nav.innerHTML = '<ol class="audin-trilha__lista">' +
+            '<li><a href="' + escapeHtml(pagina) + '">' + escapeHtml(chegada.origem.pagina) + '</a></li>' +
+            (chegada.origem.grafico
+                ? '<li><a href="' + escapeHtml(chegada.origem.href) + '">' + escapeHtml(chegada.origem.grafico) + '</a></li>'
+                : '') +
+            '<li aria-current="page">Recomendações' + (recorte ? ': ' + escapeHtml(recorte) : '') + '</li>' +
+            '</ol>';
+    }
+
+    /**
+     * Monta a trilha "pagina › grafico › recomendacoes" em cada
+     * [data-audin-trilha]; sem origem na URL, o elemento fica oculto.
+     * Acompanha as mudancas do recorte global.
+     *
+     * @param {HTMLElement|Document} [container]
+     */
+    function initTrail(container) {
+        var trilhas = (container || document).querySelectorAll('[data-audin-trilha]');
+        var chegada = parse();
+
+        trilhas.forEach(function (nav) {
+            if (!chegada.origem) {
+                nav.hidden = true;
+                return;
+            }
+            renderTrail(nav, chegada);
+        });
+
+        if (chegada.origem && trilhas.length > 0) {
+            AUDIN.filters.on('change', function () {
+                trilhas.forEach(function (nav) { renderTrail(nav, chegada); });
+            });
+        }
+    }
+
+    /* ============================================
+       API PUBLICA
+       ============================================ */
+
+    AUDIN.drilldown = {
+        stateFor: stateFor,
+        describe: describe,
+        link: link,
+        offer: offer,
+        dismiss: dismiss,
+        wireChart: wireChart,
+        parse: parse,
+        initTrail: initTrail
+    };
+
+    /* ============================================
+       AUTO-INIT
+       ============================================ */
+
+    if (typeof document !== 'undefined') {
+        document.addEventListener('DOMContentLoaded', function () {
+            if (AUDIN.frames) {
+                AUDIN.frames.on('select', function (detail) {
+                    if (!detail.frame || !detail.selecao) {
+                        return;
+                    }
+                    offer(detail.frame, detail.selecao,
+                        originOf(detail.frame, detail.frame.getAttribute('title') || detail.frame.dataset.audinChart));
+                });
+            }
+            // Novo recorte redesenha os graficos: a selecao anterior perde o sentido
+            if (AUDIN.filters) {
+                AUDIN.filters.on('change', function () {
+                    ofertas.slice().forEach(function (oferta) { dismiss(oferta.el); });
+                });
+            }
+            initTrail();
+        });
+    }
+})();
@@ -0,0 +1,595 @@
+/**
+ * AUDIN - Exportacao de dados (CSV, JSON e ODS) com metadados de origem
+ *
+ * Gera arquivos a partir de qualquer visao tabular (tabela de dados ou
+ * dados de um grafico). Cada arquivo registra de onde os dados vieram e
+ * qual recorte foi exportado, para envio a CGU e ao Conselho Universitario.
+ * Estende o namespace window.AUDIN.
+ *
+ * Metadados gravados em todos os formatos:
+ *   - Titulo, arquivo de origem (URL de data/) e data_atualizacao (stats.json)
+ *   - Filtros ativos: recorte global (AUDIN.filters), busca, filtros por
+ *     coluna e ordenacao da tabela
+ *   - Quantidade de registros, data/hora da geracao e endereco da pagina
+ *
+ * Formatos:
+ *   - CSV: UTF-8 com BOM e separador ';' (Excel pt-BR); metadados no
+ *     topo, linha em branco e depois a tabela; decimais com virgula
+ *   - JSON: { metadados, colunas, registros } com os valores originais
+ *   - ODS: planilha OpenDocument com as abas "Dados" e "Metadados"
+ *
+ * Uso:
+ *   // Tabela de dados (audin-table.js): botoes na barra da tabela
+ *   AUDIN.initDataTable(tabela, {
+ *       ...,
+ *       actions: AUDIN.export.actions(function (instancia) {
+ *           return AUDIN.export.fromTable(instancia, { title: ..., source: 'recomendacoes', columns: [...] });
+ *       })
+ *   });
+ *
+ *   // Qualquer conjunto de linhas
+ *   AUDIN.export.download({
+ *       title: 'Recomendações por ano',
+ *       filename: 'recomendacoes-por-ano',
+ *       source: 'relatoriosAno',
+ *       columns: [{ title: 'Ano', value: 'Ano' }, { title: 'Total', value: 'Total' }],
+ *       rows: linhas
+ *   }, 'csv');
+ *
+ *   // Outros formatos (ex: imagens de graficos, audin-chart-export.js)
+ *   AUDIN.export.dataAtualizacao(spec).then(function (data) {
+ *       AUDIN.export.save(blob, 'image/png', AUDIN.export.filename(spec, data, 'png'));
+ *   });
+ *
+ * Dependencias: audin-data.js (URL do arquivo de origem e data_atualizacao).
+ * Opcional: audin-filters.js (recorte global).
+ */
+(function () {
+    'use strict';
+
+    window.AUDIN = window.AUDIN || {};
+
+    var FORMATS = {
+        csv:  { label: 'CSV',  type: 'text/csv;charset=utf-8' },
+        json: { label: 'JSON', type: 'application/json;charset=utf-8' },
+        ods:  { label: 'ODS',  type: 'application/vnd.oasis.opendocument.spreadsheet' }
+    };
+
+    /* ============================================
+       UTILITARIOS
+       ============================================ */
+
+    function isEmpty(valor) {
+        return valor === null || valor === undefined || valor === '';
+    }
+
+    function pad(n) {
+        return (n < 10 ? '0' : '') + n;
+    }
+
+    /** DD/MM/AAAA HH:MM no horario local. */
+    function formatDateTime(d) {
+        return pad(d.getDate()) + '/' + pad(d.getMonth() + 1) + '/' + d.getFullYear() + ' ' +
+            pad(d.getHours()) + ':' + pad(d.getMinutes());
+    }
+
+    /** Nome de arquivo seguro: minusculas, sem acentos, palavras com '-'. */
+    function slug(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+
+    function absoluteUrl(url) {
+        try {
+            return new URL(url, window.location.href).href;
+        } catch (e) {
+            return url;
+        }
+    }
+
+    /* ============================================
+       CONJUNTO EXPORTADO
+       ============================================ */
+
+    /**
+     * @typedef {Object} ColunaExportacao
+     * @property {string} title
+     * @property {number|string|Function} [value] - Indice, campo ou funcao (row) -> valor; padrao: posicao da coluna
+     */
+
+    /**
+     * @typedef {Object} EspecificacaoExportacao
+     * @property {string} title - Titulo do conjunto (metadados e nome da aba)
+     * @property {string} [filename] - Base do nome do arquivo (padrao: slug do titulo)
+     * @property {string} [source] - Dataset de AUDIN.data (ex: 'recomendacoes') ou URL do arquivo de origem
+     * @property {ColunaExportacao[]} columns
+     * @property {Array} rows - Linhas ja filtradas e ordenadas como na tela
+     * @property {Object<string, string>} [filters] - Filtros ativos, rotulo -> valor
+     * @property {string} [dataAtualizacao] - DD/MM/AAAA; padrao: stats.json
+     */
+
+    /**
+     * URL completa do arquivo de origem: nome de dataset vira a URL em data/.
+     *
+     * @param {string} [source]
+     * @returns {string}
+     */
+    function sourceUrl(source) {
+        if (!source) {
+            return '';
+        }
+        if (AUDIN.data && /^[A-Za-z]+$/.test(source)) {
+            try {
+                return absoluteUrl(AUDIN.data.url(source));
+            } catch (e) {
+                // Nao e um dataset registrado: usa como URL
+            }
+        }
+        return absoluteUrl(source);
+    }
+
+    /**
+     * Resolve colunas e linhas em valores simples e monta os metadados.
+     *
+     * @param {EspecificacaoExportacao} spec
+     * @param {Date} [agora]
+     * @returns {{metadados: Object, colunas: string[], linhas: Array<Array>}}
+     */
+    function build(spec, agora) {
+        var getters = spec.columns.map(function (col, i) {
+            var v = col.value === undefined ? i : col.value;
+            return typeof v === 'function' ? v : function (row) { return row[v]; };
+        });
+        var linhas = (spec.rows || []).map(function (row) {
+            return getters.map(function (get) {
+                var valor = get(row);
+                return isEmpty(valor) ? '' : valor;
+            });
+        });
+        var filtros = {};
+        Object.keys(spec.filters || {}).forEach(function (nome) {
+            if (!isEmpty(spec.filters[nome])) {
+                filtros[nome] = String(spec.filters[nome]);
+            }
+        });
+
+        return {
+            metadados: {
+                titulo: spec.title || '',
+                fonte: sourceUrl(spec.source),
+                data_atualizacao: spec.dataAtualizacao || '',
+                filtros: filtros,
+                total_registros: linhas.length,
+                gerado_em: formatDateTime(agora || new Date()),
+                pagina: window.location ? window.location.href : ''
+            },
+            colunas: spec.columns.map(function (col) { return col.title; }),
+            linhas: linhas
+        };
+    }
+
+    /** Metadados como pares [rotulo, valor] (cabecalho do CSV e aba do ODS). */
+    function metadataRows(metadados) {
+        var filtros = Object.keys(metadados.filtros);
+        return [
+            ['Título', metadados.titulo],
+            ['Fonte', metadados.fonte],
+            ['Dados atualizados em', metadados.data_atualizacao || 'não informado']
+        ].concat(filtros.length === 0 ? [['Filtros', 'nenhum']] : filtros.map(function (nome) {
+            return ['Filtro: ' + nome, metadados.filtros[nome]];
+        })).concat([
+            ['Registros', metadados.total_registros],
+            ['Gerado em', metadados.gerado_em],
+            ['Página', metadados.pagina]
+        ]);
+    }
+
+    /* ============================================
+       CSV
+       ============================================ */
+
+    /**
+     * Inicio de texto que o Excel interpretaria como formula (ex: uma
+     * recomendacao '=HYPERLINK(...)'): a celula ganha ' na frente e aspas.
+     * Numeros (inclusive negativos) seguem como numero.
+     */
+    var FORMULA = /^[=+\-@\t\r]/;
+
+    function csvCell(valor) {
+        if (typeof valor === 'number') {
+            return String(valor).replace('.', ',');
+        }
+        var texto = String(valor);
+        if (FORMULA.test(texto)) {
+            return '"\'' + texto.replace(/"/g, '""') + '"';
+        }
+        return /[";\r\n]/.test(texto) ? '"' + texto.replace(/"/g, '""') + '"' : texto;
+    }
+
+    function csvLine(valores) {
+        return valores.map(csvCell).join(';');
+    }
+
+    /**
+     * CSV para Excel pt-BR: BOM, ';' e CRLF; metadados antes da tabela.
+     *
+     * @param {{metadados: Object, colunas: string[], linhas: Array<Array>}} conjunto - Resultado de build()
+     * @returns {string}
+     */
+    function toCsv(conjunto) {
+        return '\uFEFF' + metadataRows(conjunto.metadados).map(csvLine)
+            .concat([''], [csvLine(conjunto.colunas)], conjunto.linhas.map(csvLine))
+            .join('\r\n') + '\r\n';
+    }
+
+    /* ============================================
+       JSON
+       ============================================ */
+
+    /**
+     * @param {{metadados: Object, colunas: string[], linhas: Array<Array>}} conjunto - Resultado de build()
+     * @returns {string}
+     */
+    function toJson(conjunto) {
+        return JSON.stringify({
+            metadados: conjunto.metadados,
+            colunas: conjunto.colunas,
+            registros: conjunto.linhas.map(function (linha) {
+                var registro = {};
+                conjunto.colunas.forEach(function (titulo, i) {
+                    registro[titulo] = linha[i];
+                });
+                return registro;
+            })
+        }, null, 2);
+    }
+
+    /* ============================================
+       ODS (OpenDocument em ZIP sem compressao)
+       ============================================ */
+
+    var crcTable = null;
+
+    function crc32(bytes) {
+        if (!crcTable) {
+            crcTable = [];
+            for (var n = 0; n < 256; n++) {
+                var c = n;
+                for (var k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+        var crc = 0xFFFFFFFF;
+        for (var i = 0; i < bytes.length; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Monta um ZIP com os arquivos na ordem dada, sem compressao (o
+     * mimetype do ODS precisa ser a primeira entrada e nao comprimida).
+     *
+     * @param {Array<{name: string, data: string}>} arquivos
+     * @param {Date} agora - Data gravada nas entradas
+     * @returns {Uint8Array}
+     */
+    function zip(arquivos, agora) {
+        var encoder = new TextEncoder();
+        var hora = (agora.getHours() << 11) | (agora.getMinutes() << 5) | (agora.getSeconds() >> 1);
+        var dia = ((agora.getFullYear() - 1980) << 9) | ((agora.getMonth() + 1) << 5) | agora.getDate();
+        var partes = [];
+        var central = [];
+        var offset = 0;
+
+        function header(assinatura, tamanho) {
+            var view = new DataView(new ArrayBuffer(tamanho));
+            view.setUint32(0, assinatura, true);
+            return view;
+        }
+
+        arquivos.forEach(function (arquivo) {
+            var nome = encoder.encode(arquivo.name);
+            var dados = encoder.encode(arquivo.data);
+            var crc = crc32(dados);
+
+            var local = header(0x04034b50, 30);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true);
+            local.setUint16(8, 0, true);
+            local.setUint16(10, hora, true);
+            local.setUint16(12, dia, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, dados.length, true);
+            local.setUint32(22, dados.length, true);
+            local.setUint16(26, nome.length, true);
+            partes.push(new Uint8Array(local.buffer), nome, dados);
+
+            var entrada = header(0x02014b50, 46);
+            entrada.setUint16(4, 20, true);
+            entrada.setUint16(6, 20, true);
+            entrada.setUint16(8, 0x0800, true);
+            entrada.setUint16(10, 0, true);
+            entrada.setUint16(12, hora, true);
+            entrada.setUint16(14, dia, true);
+            entrada.setUint32(16, crc, true);
+            entrada.setUint32(20, dados.length, true);
+            entrada.setUint32(24, dados.length, true);
+            entrada.setUint16(28, nome.length, true);
+            entrada.setUint32(42, offset, true);
+            central.push(new Uint8Array(entrada.buffer), nome);
+
+            offset += 30 + nome.length + dados.length;
+        });
+
+        var tamanhoCentral = central.reduce(function (soma, p) { return soma + p.length; }, 0);
+        var fim = header(0x06054b50, 22);
+        fim.setUint16(8, arquivos.length, true);
+        fim.setUint16(10, arquivos.length, true);
+        fim.setUint32(12, tamanhoCentral, true);
+        fim.setUint32(16, offset, true);
+
+        var todas = partes.concat(central, [new Uint8Array(fim.buffer)]);
+        var saida = new Uint8Array(offset + tamanhoCentral + 22);
+        var pos = 0;
+        todas.forEach(function (p) {
+            saida.set(p, pos);
+            pos += p.length;
+        });
+        return saida;
+    }
+
+    function escapeXml(text) {
+        return String(text)
+            // Caracteres de controle sao invalidos em XML 1.0
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function odsCell(valor, estilo) {
+        if (estilo) {
+            return odsCell(valor).replace('<table:table-cell', '<table:table-cell table:style-name="' + estilo + '"');
+        }
+        if (typeof valor === 'number' && isFinite(valor)) {
+            return '<table:table-cell office:value-type="float" office:value="' + valor + '"><text:p>' +
+                String(valor).replace('.', ',') + '</text:p></table:table-cell>';
+        }
+        if (valor === '') {
+            return '<table:table-cell/>';
+        }
+        return '<table:table-cell office:value-type="string">' + String(valor).split('\n').map(function (linha) {
+            return '<text:p>' + escapeXml(linha) + '</text:p>';
+        }).join('') + '</table:table-cell>';
+    }
+
+    function odsTable(nome, linhas, cabecalho) {
+        return '<table:table table:name="' + escapeXml(nome) + '">' +
+            '<table:table-column table:number-columns-repeated="' + Math.max(1, linhas.reduce(function (m, l) { return Math.max(m, l.length); }, 0)) + '"/>' +
+            linhas.map(function (linha, i) {
+                return '<table:table-row>' + linha.map(function (valor) {
+                    return odsCell(valor, cabecalho && i === 0 ? 'cabecalho' : '');
+                }).join('') + '</table:table-row>';
+            }).join('') +
+            '</table:table>';
+    }
+
+    /**
+     * Planilha ODS com as abas "Dados" (cabecalho + linhas) e "Metadados".
+     *
+     * @param {{metadados: Object, colunas: string[], linhas: Array<Array>}} conjunto - Resultado de build()
+     * @param {Date} [agora]
+     * @returns {Uint8Array} Conteudo do arquivo .ods
+     */
+    function toOds(conjunto, agora) {
+        agora = agora || new Date();
+        var ns = 'xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" ' +
+            'xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0" ' +
+            'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0" ' +
+            'xmlns:style="urn:oasis:names:tc:opendocument:xmlns:style:1.0" ' +
+            'xmlns:fo="urn:oasis:names:tc:opendocument:xmlns:xsl-fo-compatible:1.0"';
+        var content = '<?xml version="1.0" encoding="UTF-8"?>' +
+            '<office:document-content ' + ns + ' office:version="1.2">' +
+            '<office:automatic-styles>' +
+            '<style:style style:name="cabecalho" style:family="table-cell">' +
+            '<style:text-properties fo:font-weight="bold"/></style:style>' +
+            '</office:automatic-styles>' +
+            '<office:body><office:spreadsheet>' +
+            odsTable('Dados', [conjunto.colunas].concat(conjunto.linhas), true) +
+            odsTable('Metadados', metadataRows(conjunto.metadados), false) +
+            '</office:spreadsheet></office:body></office:document-content>';
+        var meta = '<?xml version="1.0" encoding="UTF-8"?>' +
+            '<office:document-meta xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" ' +
+            'xmlns:dc="http://purl.org/dc/elements/1.1/" ' +
+            'xmlns:meta="urn:oasis:names:tc:opendocument:xmlns:meta:1.0" office:version="1.2"><office:meta>' +
+            '<meta:generator>AUDIN/UFAM</meta:generator>' +
+            '<dc:title>' + escapeXml(conjunto.metadados.titulo) + '</dc:title>' +
+            '<dc:description>' + escapeXml(metadataRows(conjunto.metadados).map(function (par) {
+                return par[0] + ': ' + par[1];
+            }).join('\n')) + '</dc:description>' +
+            '<meta:creation-date>' + agora.toISOString().slice(0, 19) + '</meta:creation-date>' +
+            '</office:meta></office:document-meta>';
+        var manifest = '<?xml version="1.0" encoding="UTF-8"?>' +
+            '<manifest:manifest xmlns:manifest="urn:oasis:names:tc:opendocument:xmlns:manifest:1.0" manifest:version="1.2">' +
+            '<manifest:file-entry manifest:full-path="/" manifest:version="1.2" manifest:media-type="' + FORMATS.ods.type + '"/>' +
+            '<manifest:file-entry manifest:full-path="content.xml" manifest:media-type="text/xml"/>' +
+            '<manifest:file-entry manifest:full-path="meta.xml" manifest:media-type="text/xml"/>' +
+            '</manifest:manifest>';
+
+        return zip([
+            { name: 'mimetype', data: FORMATS.ods.type },
+            { name: 'content.xml', data: content },
+            { name: 'meta.xml', data: meta },
+            { name: 'META-INF/manifest.xml', data: manifest }
+        ], agora);
+    }
+
+    /* ============================================
+       DOWNLOAD
+       ============================================ */
+
+    /**
+     * data_atualizacao de stats.json quando a especificacao nao traz uma.
+     *
+     * @param {EspecificacaoExportacao} spec
+     * @returns {Promise<string>}
+     */
+    function resolveDataAtualizacao(spec) {
+        if (spec.dataAtualizacao || !AUDIN.data) {
+            return Promise.resolve(spec.dataAtualizacao || '');
+        }
+        return AUDIN.data.loadStats()
+            .then(function (stats) { return stats.data_atualizacao || ''; })
+            .catch(function () { return ''; });
+    }
+
+    /**
+     * Nome do arquivo: base + data dos dados (AAAA-MM-DD) + extensao.
+     *
+     * @param {EspecificacaoExportacao} spec
+     * @param {string} dataAtualizacao - DD/MM/AAAA
+     * @param {string} format
+     * @returns {string}
+     */
+    function filename(spec, dataAtualizacao, format) {
+        var base = spec.filename || slug(spec.title) || 'audin';
+        var data = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(dataAtualizacao || '');
+        return base + (data ? '-' + data[3] + '-' + data[2] + '-' + data[1] : '') + '.' + format;
+    }
+
+    /**
+     * Baixa o conteudo como arquivo (link temporario com download).
+     *
+     * @param {string|Blob} conteudo
+     * @param {string} tipo - MIME type
+     * @param {string} nome - Nome do arquivo
+     */
+    function save(conteudo, tipo, nome) {
+        var blob = new Blob([conteudo], { type: tipo });
+        var url = URL.createObjectURL(blob);
+        var link = document.createElement('a');
+        link.href = url;
+        link.download = nome;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(function () { URL.revokeObjectURL(url); }, 1000);
+    }
+
+    /**
+     * Gera e baixa o arquivo no formato pedido.
+     *
+     * @param {EspecificacaoExportacao} spec
+     * @param {string} format - 'csv' | 'json' | 'ods'
+     * @returns {Promise<string>} Nome do arquivo gerado
+     */
+    function download(spec, format) {
+        if (!FORMATS[format]) {
+            return Promise.reject(new Error('AUDIN.export: formato desconhecido "' + format + '"'));
+        }
+        return resolveDataAtualizacao(spec).then(function (dataAtualizacao) {
+            var completo = Object.assign({}, spec, { dataAtualizacao: dataAtualizacao });
+            var conjunto = build(completo);
+            var conteudo = format === 'csv' ? toCsv(conjunto) : format === 'json' ? toJson(conjunto) : toOds(conjunto);
+            var nome = filename(spec, dataAtualizacao, format);
+            save(conteudo, FORMATS[format].type, nome);
+            return nome;
+        });
+    }
+
+    /* ============================================
+       INTEGRACAO COM TABELAS
+       ============================================ */
+
+    /**
+     * Filtros ativos da pagina e da tabela como rotulo -> valor.
+     *
+     * @param {Object} [estado] - state() de uma instancia de AUDIN.initDataTable
+     * @returns {Object<string, string>}
+     */
+    function activeFilters(estado) {
+        var filtros = {};
+        if (AUDIN.filters && AUDIN.filters.isActive()) {
+            filtros['Recorte global'] = AUDIN.filters.describe();
+        }
+        if (estado) {
+            if (estado.query) {
+                filtros['Busca'] = estado.query;
+            }
+            Object.keys(estado.filters).forEach(function (coluna) {
+                filtros['Coluna ' + coluna] = estado.filters[coluna];
+            });
+            if (estado.order === 'relevancia') {
+                filtros['Ordenação'] = 'relevância da busca';
+            } else if (estado.order.length > 0) {
+                filtros['Ordenação'] = estado.order.map(function (o) {
+                    return o[0] + (o[1] === 'desc' ? ' (decrescente)' : ' (crescente)');
+                }).join(', ');
+            }
+        }
+        return filtros;
+    }
+
+    /**
+     * Especificacao com as linhas visiveis de uma tabela de dados (todas as
+     * paginas, na ordem da tela) e os filtros ativos.
+     *
+     * @param {Object} instancia - Retorno de AUDIN.initDataTable
+     * @param {EspecificacaoExportacao} spec - Sem rows (preenchidas aqui)
+     * @returns {EspecificacaoExportacao}
+     */
+    function fromTable(instancia, spec) {
+        return Object.assign({}, spec, {
+            rows: instancia.visibleRows(),
+            filters: Object.assign(activeFilters(instancia.state()), spec.filters || {})
+        });
+    }
+
+    /**
+     * Botoes de exportacao para a opcao actions de AUDIN.initDataTable.
+     *
+     * @param {Function} getSpec - (instancia) -> EspecificacaoExportacao
+     * @param {string[]} [formats=['csv', 'json', 'ods']]
+     * @returns {Array<{label: string, icon: string, onClick: Function}>}
+     */
+    function actions(getSpec, formats) {
+        return (formats || Object.keys(FORMATS)).map(function (format) {
+            return {
+                label: FORMATS[format].label,
+                icon: 'download-outline',
+                onClick: function (instancia) {
+                    download(getSpec(instancia), format).catch(function (error) {
+                        console.error('AUDIN.export: falha ao gerar ' + FORMATS[format].label, error);
+                    });
+                }
+            };
+        });
+    }
+
+    /* ============================================
+       API PUBLICA
+       ============================================ */
+
+    AUDIN.export = {
+        build: build,
+        toCsv: toCsv,
+        toJson: toJson,
+        toOds: toOds,
+        filename: filename,
+        dataAtualizacao: resolveDataAtualizacao,
+        save: save,
+        download: download,
+        activeFilters: activeFilters,
+        fromTable: fromTable,
+        actions: actions
+    };
+})();
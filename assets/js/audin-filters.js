@@ -0,0 +1,504 @@
+/**
+ * AUDIN - Contexto global de filtros (ano, unidade, status)
+ *
+ * Estado unico de filtros compartilhado entre as paginas, codificado na
+ * query string para que links e graficos embutidos mostrem o mesmo recorte.
+ * Estende o namespace window.AUDIN.
+ *
+ * Formato da URL:
+ *   ?ano=2021-2024&unidade=PROADM&unidade=PROPLAN&status=Pendente
+ *   ano aceita '2021' (um ano), '2021-' (a partir de) e '-2024' (ate)
+ *
+ * Componentes:
+ *   - Barra de filtros: [data-audin-filtros] (montada automaticamente)
+ *   - Links internos da navegacao (.navigation a) carregam a query atual
+ *   - iframes [data-audin-chart] recebem a query atual no src
+ *
+ * Uso:
+ *   var rows = AUDIN.filters.apply(todasAsLinhas);
+ *   AUDIN.filters.on('change', function (detail) { ... detail.state ... });
+ *   AUDIN.filters.set({ unidades: ['PROADM'], anoInicio: 2021, anoFim: 2024 });
+ *
+ * Dependencias: audin-data.js (AUDIN.url) e audin-stats.js (barra de filtros)
+ */
+(function () {
+    'use strict';
+
+    window.AUDIN = window.AUDIN || {};
+
+    /**
+     * @typedef {Object} FiltroEstado
+     * @property {number|null} anoInicio
+     * @property {number|null} anoFim
+     * @property {string[]} unidades - Vazio = todas
+     * @property {string[]} status - Vazio = todos
+     */
+
+    var STATUS_ORDER = ['Atendida', 'Baixada', 'Em Implementação', 'Pendente'];
+
+    var listeners = {};
+    var state = null;
+
+    /* ============================================
+       ESTADO E URL
+       ============================================ */
+
+    function empty() {
+        return { anoInicio: null, anoFim: null, unidades: [], status: [] };
+    }
+
+    function toYear(value) {
+        var n = parseInt(value, 10);
+        return isFinite(n) ? n : null;
+    }
+
+    function normalize(partial) {
+        var s = empty();
+        if (!partial) {
+            return s;
+        }
+        s.anoInicio = toYear(partial.anoInicio);
+        s.anoFim = toYear(partial.anoFim);
+        if (s.anoInicio !== null && s.anoFim !== null && s.anoInicio > s.anoFim) {
+            var tmp = s.anoInicio;
+            s.anoInicio = s.anoFim;
+            s.anoFim = tmp;
+        }
+        s.unidades = (partial.unidades || []).filter(Boolean);
+        s.status = (partial.status || []).filter(Boolean);
+        return s;
+    }
+
+    /**
+     * Le o estado de uma query string.
+     *
+     * @param {string} [search] - Padrao: location.search
+     * @returns {FiltroEstado}
+     */
+    function parse(search) {
+        var params = new URLSearchParams(search === undefined ? window.location.search : search);
+        var ano = params.get('ano') || '';
+        var partes = ano.split('-');
+
+        return normalize({
+            anoInicio: partes[0],
+            anoFim: partes.length > 1 ? partes[1] : partes[0],
+            unidades: params.getAll('unidade'),
+            status: params.getAll('status')
+        });
+    }
+
+    /**
+     * Serializa o estado em query string ('' quando nao ha filtro).
+     *
+     * @param {FiltroEstado} [s] - Padrao: estado atual
+     * @returns {string} Ex: '?ano=2021-2024&unidade=PROADM'
+     */
+    function toQuery(s) {
+        s = s || get();
+        var params = new URLSearchParams();
+
+        if (s.anoInicio !== null || s.anoFim !== null) {
+            params.set('ano', s.anoInicio === s.anoFim
+                ? String(s.anoInicio)
+                : (s.anoInicio === null ? '' : s.anoInicio) + '-' + (s.anoFim === null ? '' : s.anoFim));
+        }
+        s.unidades.forEach(function (u) { params.append('unidade', u); });
+        s.status.forEach(function (st) { params.append('status', st); });
+
+        var query = params.toString();
+        return query ? '?' + query : '';
+    }
+
+    /** Parametros da query que pertencem ao estado de filtros. */
+    var PARAMS = ['ano', 'unidade', 'status'];
+
+    /**
+     * Anexa a query de filtros a uma URL, substituindo os parametros de
+     * filtro existentes e mantendo os demais (ex: ?tema= e ?origem= do
+     * painel de recomendacoes).
+     *
+     * @param {string} href
+     * @param {FiltroEstado} [s]
+     * @returns {string}
+     */
+    function withQuery(href, s) {
+        var hash = '';
+        var hashAt = href.indexOf('#');
+        if (hashAt !== -1) {
+            hash = href.slice(hashAt);
+            href = href.slice(0, hashAt);
+        }
+        var partes = href.split('?');
+        var outros = new URLSearchParams(partes[1] || '');
+        PARAMS.forEach(function (nome) { outros.delete(nome); });
+
+        var query = [toQuery(s).slice(1), outros.toString()].filter(Boolean).join('&');
+        return partes[0] + (query ? '?' + query : '') + hash;
+    }
+
+    /** @returns {FiltroEstado} Copia do estado atual */
+    function get() {
+        if (!state) {
+            state = parse();
+        }
+        return normalize(state);
+    }
+
+    /**
+     * Substitui o estado, atualiza a URL (sem recarregar) e emite 'change'.
+     *
+     * @param {Partial<FiltroEstado>} partial
+     */
+    function set(partial) {
+        var next = normalize(Object.assign(get(), partial));
+        if (toQuery(next) === toQuery(get())) {
+            return;
+        }
+        state = next;
+
+        if (window.history && window.history.replaceState) {
+            window.history.replaceState(null, '', withQuery(window.location.pathname + window.location.search + window.location.hash));
+        }
+        emit('change', { state: get(), query: toQuery() });
+    }
+
+    function clear() {
+        set(empty());
+    }
+
+    /**
+     * @param {FiltroEstado} [s]
+     * @returns {boolean} true se algum filtro restringe os dados
+     */
+    function isActive(s) {
+        return toQuery(s) !== '';
+    }
+
+    /* ============================================
+       APLICACAO
+       ============================================ */
+
+    /**
+     * Linhas de rotulo composto (row.Unidades) entram no recorte de cada
+     * unidade envolvida; o rotulo original da planilha tambem e aceito
+     * (links antigos, ex: ?unidade=GAB%20REITOR), assim como o combinado
+     * (ex: 'FAEXP, DEMAT', selecionado nos rollups de AUDIN.chartData).
+     *
+     * @param {Object} row - Linha com Ano, Unidade e Situacao
+     * @param {FiltroEstado} [s]
+     * @returns {boolean}
+     */
+    function matches(row, s) {
+        s = s || get();
+        if (s.anoInicio !== null || s.anoFim !== null) {
+            var ano = toYear(row.Ano);
+            if (ano === null) {
+                return false;
+            }
+            if (s.anoInicio !== null && ano < s.anoInicio) {
+                return false;
+            }
+            if (s.anoFim !== null && ano > s.anoFim) {
+                return false;
+            }
+        }
+        if (s.unidades.length > 0 && !(row.Unidades || []).concat(row.Unidade, row.UnidadeOriginal || []).some(function (u) {
+            return s.unidades.indexOf(u) !== -1;
+        })) {
+            return false;
+        }
+        if (s.status.length > 0 && s.status.indexOf(row.Situacao) === -1) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Filtra linhas (recomendacoes ou agrupadas) pelo estado.
+     *
+     * @param {Array<Object>} rows
+     * @param {FiltroEstado} [s] - Padrao: estado atual
+     * @returns {Array<Object>}
+     */
+    function apply(rows, s) {
+        s = s || get();
+        if (!isActive(s)) {
+            return rows;
+        }
+        return rows.filter(function (row) { return matches(row, s); });
+    }
+
+    /**
+     * Descricao curta do recorte, ex: 'PROADM · 2021–2024 · Pendente'.
+     *
+     * @param {FiltroEstado} [s]
+     * @returns {string} '' quando nao ha filtro
+     */
+    function describe(s) {
+        s = s || get();
+        var partes = [];
+
+        if (s.unidades.length > 0) {
+            partes.push(s.unidades.length > 3 ? s.unidades.length + ' unidades' : s.unidades.join(', '));
+        }
+        if (s.anoInicio !== null || s.anoFim !== null) {
+            if (s.anoInicio === s.anoFim) {
+                partes.push(String(s.anoInicio));
+            } else if (s.anoInicio === null) {
+                partes.push('até ' + s.anoFim);
+            } else if (s.anoFim === null) {
+                partes.push('desde ' + s.anoInicio);
+            } else {
+                partes.push(s.anoInicio + '–' + s.anoFim);
+            }
+        }
+        if (s.status.length > 0) {
+            partes.push(s.status.join(', '));
+        }
+
+        return partes.join(' · ');
+    }
+
+    /* ============================================
+       EVENTOS
+       ============================================ */
+
+    function emit(type, detail) {
+        (listeners[type] || []).slice().forEach(function (fn) {
+            try {
+                fn(detail);
+            } catch (e) {
+                console.error('AUDIN.filters: erro em listener de "' + type + '"', e);
+            }
+        });
+    }
+
+    function on(type, fn) {
+        (listeners[type] = listeners[type] || []).push(fn);
+        return function () { off(type, fn); };
+    }
+
+    function off(type, fn) {
+        listeners[type] = (listeners[type] || []).filter(function (f) { return f !== fn; });
+    }
+
+    /* ============================================
+       LINKS E IFRAMES
+       ============================================ */
+
+    /**
+     * Propaga a query atual para os links internos da navegacao lateral.
+     *
+     * @param {HTMLElement|Document} [container]
+     */
+    function linkNavigation(container) {
+        var scope = container || document;
+        scope.querySelectorAll('.navigation a[href]').forEach(function (a) {
+            var href = a.getAttribute('href');
+            // Ignora links externos (http:, mailto:, //host) e ancoras
+            if (!/^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(href)) {
+                a.setAttribute('href', withQuery(href));
+            }
+        });
+    }
+
+    /**
+     * Aponta os graficos embutidos (<iframe data-audin-chart="id">) para
+     * charts/<id>.html na base do site, com a query atual. Graficos
+     * conectados por AUDIN.frames recebem os filtros por mensagem e nao
+     * sao recarregados.
+     *
+     * @param {HTMLElement|Document} [container]
+     */
+    function syncFrames(container) {
+        var scope = container || document;
+        scope.querySelectorAll('iframe[data-audin-chart]').forEach(function (frame) {
+            if (frame.dataset.audinFrame === 'conectado') {
+                return;
+            }
+            var src = new URL(withQuery(AUDIN.url('charts/' + frame.dataset.audinChart + '.html')), window.location.href).href;
+            if (frame.src !== src) {
+                frame.setAttribute('src', src);
+            }
+        });
+    }
+
+    /* ============================================
+       BARRA DE FILTROS
+       ============================================ */
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function options(values, placeholder) {
+        return '<option value="">' + placeholder + '</option>' + values.map(function (v) {
+            return '<option value="' + escapeHtml(v) + '">' + escapeHtml(v) + '</option>';
+        }).join('');
+    }
+
+    function checkboxes(name, values) {
+        return values.map(function (v) {
+            return '<label class="audin-filtros__opcao"><input type="checkbox" name="' + name + '" value="' +
+                escapeHtml(v) + '"> ' + escapeHtml(v) + '</label>';
+        }).join('');
+    }
+
+    function render(bar, anos, unidades) {
+        var uid = 'audin-filtros-' + Math.random().toString(36).slice(2, 8);
+
+        bar.innerHTML =
+            '<form class="audin-filtros__form" role="search" aria-label="Filtros globais">' +
+                '<div class="audin-filtros__campo">' +
+                    '<label for="' + uid + '-inicio">Ano</label>' +
+                    '<select id="' + uid + '-inicio" name="anoInicio">' + options(anos, 'Início') + '</select>' +
+                    '<span aria-hidden="true">a</span>' +
+                    '<select name="anoFim" aria-label="Ano final">' + options(anos, 'Fim') + '</select>' +
+                '</div>' +
+                '<details class="audin-filtros__campo audin-filtros__unidades">' +
+                    '<summary>Unidades <span class="audin-filtros__contagem"></span></summary>' +
+                    '<div class="audin-filtros__lista">' + checkboxes('unidade', unidades) + '</div>' +
+                '</details>' +
+                '<fieldset class="audin-filtros__campo audin-filtros__status">' +
+                    '<legend>Status</legend>' + checkboxes('status', STATUS_ORDER) +
+                '</fieldset>' +
+                '<button type="button" class="audin-filtros__limpar">Limpar filtros</button>' +
+            '</form>' +
+            '<p class="audin-filtros__resumo" aria-live="polite"></p>';
+
+        var form = bar.querySelector('form');
+
+        form.addEventListener('change', function () {
+            set(readForm(form));
+        });
+        form.addEventListener('submit', function (e) {
+            e.preventDefault();
+        });
+        bar.querySelector('.audin-filtros__limpar').addEventListener('click', clear);
+
+        fillForm(bar, get());
+    }
+
+    function readForm(form) {
+        function checked(name) {
+            return Array.prototype.filter.call(form.querySelectorAll('[name="' + name + '"]'), function (el) {
+                return el.checked;
+            }).map(function (el) { return el.value; });
+        }
+
+        return {
+            anoInicio: form.elements.anoInicio.value,
+            anoFim: form.elements.anoFim.value,
+            unidades: checked('unidade'),
+            status: checked('status')
+        };
+    }
+
+    function fillForm(bar, s) {
+        var form = bar.querySelector('form');
+        if (!form) {
+            return;
+        }
+
+        form.elements.anoInicio.value = s.anoInicio === null ? '' : String(s.anoInicio);
+        form.elements.anoFim.value = s.anoFim === null ? '' : String(s.anoFim);
+        form.querySelectorAll('[name="unidade"]').forEach(function (el) {
+            el.checked = s.unidades.indexOf(el.value) !== -1;
+        });
+        form.querySelectorAll('[name="status"]').forEach(function (el) {
+            el.checked = s.status.indexOf(el.value) !== -1;
+        });
+
+        bar.querySelector('.audin-filtros__contagem').textContent =
+            s.unidades.length > 0 ? '(' + s.unidades.length + ')' : '(todas)';
+
+        var resumo = describe(s);
+        bar.classList.toggle('audin-filtros--ativo', resumo !== '');
+        bar.querySelector('.audin-filtros__resumo').textContent = resumo
+            ? 'Exibindo: ' + resumo
+            : 'Exibindo todos os dados';
+    }
+
+    /**
+     * Monta a barra de filtros em [data-audin-filtros].
+     * Anos e unidades disponiveis vem de recomendacoes_table.json.
+     *
+     * @param {HTMLElement|Document} [container]
+     */
+    function initBar(container) {
+        var scope = container || document;
+        var bars = scope.querySelectorAll('[data-audin-filtros]');
+        if (bars.length === 0 || !AUDIN.data || !AUDIN.stats) {
+            return;
+        }
+
+        AUDIN.data.loadRecomendacoes().then(function (rows) {
+            var anos = new Set();
+            var unidades = new Set();
+            rows.filter(AUDIN.stats.isValida).forEach(function (r) {
+                if (r.Ano) {
+                    anos.add(r.Ano);
+                }
+                AUDIN.stats.unitsOf(r).forEach(function (u) {
+                    unidades.add(u);
+                });
+            });
+
+            var anosOrdenados = Array.from(anos).sort();
+            var unidadesOrdenadas = Array.from(unidades).sort();
+
+            bars.forEach(function (bar) {
+                render(bar, anosOrdenados, unidadesOrdenadas);
+            });
+        }).catch(function () {
+            // O banner de AUDIN.data ja informa o arquivo com problema
+            bars.forEach(function (bar) { bar.hidden = true; });
+        });
+
+        on('change', function (detail) {
+            bars.forEach(function (bar) { fillForm(bar, detail.state); });
+        });
+    }
+
+    /* ============================================
+       API PUBLICA
+       ============================================ */
+
+    AUDIN.filters = {
+        parse: parse,
+        toQuery: toQuery,
+        withQuery: withQuery,
+        get: get,
+        set: set,
+        clear: clear,
+        isActive: isActive,
+        matches: matches,
+        apply: apply,
+        describe: describe,
+        on: on,
+        off: off,
+        linkNavigation: linkNavigation,
+        syncFrames: syncFrames,
+        initBar: initBar
+    };
+
+    /* ============================================
+       AUTO-INIT
+       ============================================ */
+
+    document.addEventListener('DOMContentLoaded', function () {
+        initBar();
+        linkNavigation();
+        syncFrames();
+
+        on('change', function () {
+            linkNavigation();
+            syncFrames();
+        });
+    });
+})();
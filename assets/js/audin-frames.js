@@ -0,0 +1,328 @@
+/**
+ * AUDIN - Protocolo de mensagens entre paginas e graficos embutidos
+ *
+ * Comunicacao via postMessage entre as paginas do site (host) e os
+ * graficos de charts/*.html carregados em <iframe data-audin-chart>.
+ * Estende o namespace window.AUDIN.
+ *
+ * Envelope (versionado):
+ *   { audin: 'chart', v: 1, type: '<tipo>', chart: '<id>', payload: {...} }
+ *   Mensagens de outra versao ou de origem nao autorizada sao ignoradas.
+ *
+ * Host -> grafico:
+ *   filters  { state: FiltroEstado, query: string }
+ *   theme    { name: 'light' | 'dark' | ... }
+ *
+ * Grafico -> host:
+ *   ready    {}                                   grafico pronto para receber estado
+ *   resize   { height: number }                   altura do conteudo, em px
+ *   select   { selecao: {Ano?, Unidade?, Situacao?}, ponto: {...} }
+ *            (Unidade e uma lista quando o no reune varias unidades,
+ *            ex: grupo da estrutura organizacional)
+ *
+ * Uso (host):
+ *   AUDIN.frames.on('select', function (detail) { ... detail.chart, detail.selecao ... });
+ *   (com audin-drilldown.js, cada 'select' oferece "Ver recomendações" apos o iframe)
+ *   AUDIN.frames.setTheme('dark');
+ *
+ * Uso (grafico):
+ *   AUDIN.frames.send('select', { selecao: { Ano: '2021' } });
+ *
+ * Origens aceitas: AUDIN.frames.origins (padrao: a propria origem e a
+ * origem de AUDIN.config.baseUrl, quando o site esta embutido no portal).
+ */
+(function () {
+    'use strict';
+
+    window.AUDIN = window.AUDIN || {};
+
+    var PROTOCOL = 'chart';
+    var VERSION = 1;
+
+    var listeners = {};
+    var avisouVersao = false;
+
+    var isEmbedded = window.parent && window.parent !== window;
+
+    /* ============================================
+       ENVELOPE E ORIGEM
+       ============================================ */
+
+    function chartId() {
+        var match = window.location.pathname.match(/([^/]+)\.html$/);
+        return match ? match[1] : '';
+    }
+
+    function envelope(type, payload) {
+        return { audin: PROTOCOL, v: VERSION, type: type, chart: chartId(), payload: payload || {} };
+    }
+
+    function originOf(url) {
+        try {
+            return new URL(url, window.location.href).origin;
+        } catch (e) {
+            return '';
+        }
+    }
+
+    function defaultOrigins() {
+        var origins = [window.location.origin];
+        var base = AUDIN.config ? originOf(AUDIN.config.baseUrl) : '';
+        if (base && origins.indexOf(base) === -1) {
+            origins.push(base);
+        }
+        return origins;
+    }
+
+    function isAllowed(origin) {
+        return AUDIN.frames.origins.indexOf(origin) !== -1;
+    }
+
+    /**
+     * Valida envelope, versao e origem de uma mensagem recebida.
+     *
+     * @param {MessageEvent} event
+     * @returns {Object|null} Envelope valido ou null
+     */
+    function accept(event) {
+        var data = event.data;
+        if (!data || data.audin !== PROTOCOL || typeof data.type !== 'string') {
+            return null;
+        }
+        if (!isAllowed(event.origin)) {
+            return null;
+        }
+        if (data.v !== VERSION) {
+            if (!avisouVersao) {
+                console.warn('AUDIN.frames: mensagem v' + data.v + ' ignorada (suportada: v' + VERSION + ')');
+                avisouVersao = true;
+            }
+            return null;
+        }
+        return data;
+    }
+
+    /* ============================================
+       EVENTOS
+       ============================================ */
+
+    function emit(type, detail) {
+        (listeners[type] || []).slice().forEach(function (fn) {
+            try {
+                fn(detail);
+            } catch (e) {
+                console.error('AUDIN.frames: erro em listener de "' + type + '"', e);
+            }
+        });
+    }
+
+    function on(type, fn) {
+        (listeners[type] = listeners[type] || []).push(fn);
+        return function () { off(type, fn); };
+    }
+
+    function off(type, fn) {
+        listeners[type] = (listeners[type] || []).filter(function (f) { return f !== fn; });
+    }
+
+    /* ============================================
+       LADO HOST (pagina com iframes)
+       ============================================ */
+
+    function chartFrames() {
+        return Array.prototype.slice.call(document.querySelectorAll('iframe[data-audin-chart]'));
+    }
+
+    function frameFor(source) {
+        return chartFrames().filter(function (frame) {
+            return frame.contentWindow === source;
+        })[0] || null;
+    }
+
+    /**
+     * Envia uma mensagem a um iframe de grafico.
+     *
+     * @param {HTMLIFrameElement} frame
+     * @param {string} type
+     * @param {Object} [payload]
+     */
+    function post(frame, type, payload) {
+        if (!frame.contentWindow) {
+            return;
+        }
+        var origin = originOf(frame.getAttribute('src'));
+        if (!isAllowed(origin)) {
+            return;
+        }
+        frame.contentWindow.postMessage(envelope(type, payload), origin);
+    }
+
+    /**
+     * Envia a mesma mensagem a todos os graficos ja conectados.
+     *
+     * @param {string} type
+     * @param {Object} [payload]
+     */
+    function broadcast(type, payload) {
+        chartFrames().forEach(function (frame) {
+            if (frame.dataset.audinFrame === 'conectado') {
+                post(frame, type, payload);
+            }
+        });
+    }
+
+    function filtersPayload() {
+        return AUDIN.filters
+            ? { state: AUDIN.filters.get(), query: AUDIN.filters.toQuery() }
+            : null;
+    }
+
+    function currentTheme() {
+        return document.documentElement.getAttribute('data-audin-theme') || 'light';
+    }
+
+    /**
+     * Define o tema da pagina e repassa aos graficos.
+     *
+     * @param {string} name
+     */
+    function setTheme(name) {
+        document.documentElement.setAttribute('data-audin-theme', name);
+        broadcast('theme', { name: name });
+    }
+
+    function handleHostMessage(event) {
+        var frame = frameFor(event.source);
+        if (!frame) {
+            return;
+        }
+        var message = accept(event);
+        if (!message) {
+            return;
+        }
+
+        var detail = { chart: message.chart, frame: frame };
+
+        if (message.type === 'ready') {
+            frame.dataset.audinFrame = 'conectado';
+            var filtros = filtersPayload();
+            if (filtros) {
+                post(frame, 'filters', filtros);
+            }
+            post(frame, 'theme', { name: currentTheme() });
+        } else if (message.type === 'resize') {
+            var height = Math.ceil(Number(message.payload.height));
+            if (height > 0) {
+                frame.style.height = height + 'px';
+                detail.height = height;
+            }
+        } else if (message.type === 'select') {
+            detail.selecao = message.payload.selecao || {};
+            detail.ponto = message.payload.ponto || {};
+        }
+
+        emit(message.type, detail);
+    }
+
+    /* ============================================
+       LADO GRAFICO (pagina dentro do iframe)
+       ============================================ */
+
+    function parentOrigin() {
+        var referrer = originOf(document.referrer);
+        return referrer && isAllowed(referrer) ? referrer : window.location.origin;
+    }
+
+    /**
+     * Envia uma mensagem do grafico para a pagina host.
+     * Sem efeito quando a pagina nao esta embutida.
+     *
+     * @param {string} type
+     * @param {Object} [payload]
+     */
+    function send(type, payload) {
+        if (!isEmbedded) {
+            return;
+        }
+        window.parent.postMessage(envelope(type, payload), parentOrigin());
+    }
+
+    var ultimaAltura = 0;
+
+    function reportHeight() {
+        var height = Math.ceil(document.body.getBoundingClientRect().height);
+        if (Math.abs(height - ultimaAltura) > 1) {
+            ultimaAltura = height;
+            send('resize', { height: height });
+        }
+    }
+
+    function handleChartMessage(event) {
+        if (event.source !== window.parent) {
+            return;
+        }
+        var message = accept(event);
+        if (!message) {
+            return;
+        }
+
+        if (message.type === 'filters' && AUDIN.filters && message.payload.state) {
+            AUDIN.filters.set(message.payload.state);
+        } else if (message.type === 'theme') {
+            if (!message.payload.name || message.payload.name === currentTheme()) {
+                return;
+            }
+            document.documentElement.setAttribute('data-audin-theme', message.payload.name);
+        }
+
+        emit(message.type, message.payload);
+    }
+
+    /* ============================================
+       API PUBLICA
+       ============================================ */
+
+    AUDIN.frames = {
+        VERSION: VERSION,
+
+        /** Origens autorizadas a trocar mensagens (host e graficos). */
+        origins: defaultOrigins(),
+
+        isEmbedded: isEmbedded,
+        on: on,
+        off: off,
+        post: post,
+        broadcast: broadcast,
+        setTheme: setTheme,
+        send: send,
+        reportHeight: reportHeight
+    };
+
+    /* ============================================
+       AUTO-INIT
+       ============================================ */
+
+    window.addEventListener('message', function (event) {
+        if (isEmbedded && event.source === window.parent) {
+            handleChartMessage(event);
+        } else {
+            handleHostMessage(event);
+        }
+    });
+
+    document.addEventListener('DOMContentLoaded', function () {
+        if (AUDIN.filters) {
+            AUDIN.filters.on('change', function () {
+                broadcast('filters', filtersPayload());
+            });
+        }
+
+        if (isEmbedded) {
+            if (typeof ResizeObserver !== 'undefined') {
+                new ResizeObserver(reportHeight).observe(document.body);
+            }
+            reportHeight();
+            send('ready');
+        }
+    });
+})();
@@ -0,0 +1,243 @@
+/**
+ * AUDIN - Uso offline e indicador de dados em cache
+ *
+ * Registra o service worker (sw.js na base do site) e exibe um aviso
+ * quando os dados mostrados na pagina vieram do cache do navegador em
+ * vez da rede.
+ * Estende o namespace window.AUDIN.
+ *
+ * Estados do aviso:
+ *   - Dados do cache aguardando revalidacao: data em que foram salvos
+ *   - Sem conexao: os dados salvos podem estar desatualizados
+ *   - Dados novos publicados: botao para recarregar
+ *   O aviso some quando a revalidacao confirma que o cache esta atual.
+ *
+ * Uso:
+ *   AUDIN.offline.on('change', function (estado) { ... estado.arquivos ... });
+ *   AUDIN.offline.enabled = false;   // antes do DOMContentLoaded, desativa o registro
+ */
+(function () {
+    'use strict';
+
+    window.AUDIN = window.AUDIN || {};
+
+    var listeners = {};
+
+    /** Arquivo de data/ -> data ISO em que foi salvo no cache. */
+    var emCache = {};
+    var semConexao = false;
+    var desatualizado = false;
+
+    /* ============================================
+       EVENTOS
+       ============================================ */
+
+    function emit(type, detail) {
+        (listeners[type] || []).slice().forEach(function (fn) {
+            try {
+                fn(detail);
+            } catch (e) {
+                console.error('AUDIN.offline: erro em listener de "' + type + '"', e);
+            }
+        });
+    }
+
+    function on(type, fn) {
+        (listeners[type] = listeners[type] || []).push(fn);
+        return function () { off(type, fn); };
+    }
+
+    function off(type, fn) {
+        listeners[type] = (listeners[type] || []).filter(function (f) { return f !== fn; });
+    }
+
+    /* ============================================
+       ESTADO
+       ============================================ */
+
+    /**
+     * @returns {{arquivos: string[], salvoEm: string|null, semConexao: boolean, desatualizado: boolean}}
+     */
+    function getState() {
+        var arquivos = Object.keys(emCache);
+        var salvoEm = arquivos.reduce(function (maisAntigo, file) {
+            var data = emCache[file];
+            return data && (!maisAntigo || data < maisAntigo) ? data : maisAntigo;
+        }, null);
+
+        return {
+            arquivos: arquivos,
+            salvoEm: salvoEm,
+            semConexao: semConexao,
+            desatualizado: desatualizado
+        };
+    }
+
+    function handleMessage(event) {
+        var message = event.data;
+        if (!message || message.audin !== 'sw' || !message.file) {
+            return;
+        }
+        // Schemas nao sao exibidos; so interessam os dados
+        if (message.file.indexOf('schemas/') === 0) {
+            return;
+        }
+
+        if (message.type === 'cache') {
+            emCache[message.file] = message.cachedAt || null;
+        } else if (message.type === 'fresh') {
+            if (message.changed) {
+                desatualizado = true;
+            } else {
+                delete emCache[message.file];
+            }
+        } else if (message.type === 'offline') {
+            semConexao = true;
+        } else {
+            return;
+        }
+
+        var estado = getState();
+        render(estado);
+        emit('change', estado);
+    }
+
+    /* ============================================
+       INDICADOR
+       ============================================ */
+
+    function formatDate(iso) {
+        var date = new Date(iso);
+        if (isNaN(date.getTime())) {
+            return '';
+        }
+        return date.toLocaleDateString('pt-BR') + ' às ' +
+            date.toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' });
+    }
+
+    function indicator() {
+        var el = document.getElementById('audin-offline');
+        if (el) {
+            return el;
+        }
+
+        el = document.createElement('div');
+        el.id = 'audin-offline';
+        el.className = 'audin-offline';
+        el.setAttribute('role', 'status');
+        el.innerHTML = '<ion-icon name="cloud-offline-outline" aria-hidden="true"></ion-icon>' +
+            '<span class="audin-offline__texto"></span>' +
+            '<button type="button" class="audin-offline__recarregar" hidden>Recarregar</button>';
+
+        el.querySelector('.audin-offline__recarregar').addEventListener('click', function () {
+            if (AUDIN.data) {
+                AUDIN.data.invalidate();
+            }
+            window.location.reload();
+        });
+
+        var main = document.querySelector('.main');
+        var topbar = main ? main.querySelector('.topbar') : null;
+        if (topbar) {
+            topbar.insertAdjacentElement('afterend', el);
+        } else {
+            document.body.insertBefore(el, document.body.firstChild);
+        }
+        return el;
+    }
+
+    /**
+     * Atualiza o aviso conforme o estado atual.
+     *
+     * @param {Object} estado - Resultado de getState()
+     */
+    function render(estado) {
+        if (!document.body) {
+            return;
+        }
+
+        var visivel = estado.arquivos.length > 0 || estado.desatualizado;
+        var el = visivel ? indicator() : document.getElementById('audin-offline');
+        if (!el) {
+            return;
+        }
+        el.hidden = !visivel;
+        if (!visivel) {
+            return;
+        }
+
+        var texto;
+        if (estado.desatualizado) {
+            texto = 'Há dados mais recentes publicados.';
+        } else {
+            var quando = estado.salvoEm ? formatDate(estado.salvoEm) : '';
+            texto = 'Exibindo dados salvos neste dispositivo' + (quando ? ' em ' + quando : '') + '.';
+            if (estado.semConexao) {
+                texto += ' Sem conexão: os valores podem estar desatualizados.';
+            }
+        }
+
+        el.classList.toggle('audin-offline--desatualizado', estado.desatualizado);
+        el.querySelector('.audin-offline__texto').textContent = texto;
+        el.querySelector('.audin-offline__recarregar').hidden = !estado.desatualizado;
+    }
+
+    /* ============================================
+       REGISTRO
+       ============================================ */
+
+    /**
+     * Registra o service worker. Sem efeito em navegadores sem suporte,
+     * fora de contexto seguro (file://) ou com a base do site em outra
+     * origem (pagina embutida no portal).
+     *
+     * @returns {Promise<ServiceWorkerRegistration|null>}
+     */
+    function register() {
+        if (!('serviceWorker' in navigator) || !window.isSecureContext) {
+            return Promise.resolve(null);
+        }
+        var url = new URL(AUDIN.offline.swUrl || AUDIN.url('sw.js'), window.location.href);
+        if (url.origin !== window.location.origin) {
+            return Promise.resolve(null);
+        }
+        return navigator.serviceWorker.register(url.href).catch(function (error) {
+            console.warn('AUDIN.offline: service worker nao registrado', error);
+            return null;
+        });
+    }
+
+    /* ============================================
+       API PUBLICA
+       ============================================ */
+
+    AUDIN.offline = {
+        /**
+         * URL do service worker; padrao: sw.js na base do site (AUDIN.url).
+         * Precisa ser da mesma origem da pagina.
+         */
+        swUrl: null,
+
+        /** Registra o service worker no DOMContentLoaded. */
+        enabled: true,
+
+        register: register,
+        getState: getState,
+        on: on,
+        off: off
+    };
+
+    /* ============================================
+       AUTO-INIT
+       ============================================ */
+
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', handleMessage);
+    }
+
+    document.addEventListener('DOMContentLoaded', function () {
+        if (AUDIN.offline.enabled) {
+            register();
+        }
+    });
+})();
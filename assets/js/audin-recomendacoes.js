@@ -0,0 +1,417 @@
+/**
+ * AUDIN - Registros estruturados de recomendacoes e pagina de detalhe
+ *
+ * Converte as linhas de recomendacoes_table.json em registros com numero,
+ * texto sem o prefixo "Recomendação N:" e um ID estavel para citacao.
+ * Estende o namespace window.AUDIN.
+ *
+ * ID estavel: coluna ID de recomendacoes_table.json, gravada uma vez por
+ * scripts/build-data.js e mantida nos builds seguintes (nao depende da
+ * ordem das linhas nem do texto). Formato <ano>-<relatorio>-<unidade>-<numero>
+ *   ex: '2015-1-icsez-16', '2023-nt002-proadm-3'
+ *   - <unidade> e o rotulo da planilha, antes do cadastro de unidades
+ *     (audin-registro.js), para que o ID nao mude com o cadastro
+ *   - Sem ano na planilha: 'sa' no lugar do ano
+ *   - Numerado como item do relatorio ("276.2 Propor..."): 'i' + item
+ *     (ex: '2019-1-proadm-i276-2')
+ *   - Sem numero no texto: 'p' + sequencia no relatorio e unidade
+ *     (ex: '2022-4-progesp-p3'); o build da a uma recomendacao nova o
+ *     proximo numero livre, sem reaproveitar IDs de linhas removidas
+ *   - Repeticao exata (mesmo numero, unidade e relatorio): sufixo '-2', '-3'...
+ *   Linhas ainda sem ID (tabela editada e nao processada pelo build)
+ *   recebem o ID calculado acima, com 'p' na ordem da tabela.
+ *
+ * Componentes:
+ *   - Detalhe: [data-audin-recomendacao] (montado automaticamente, le ?id= da URL)
+ *
+ * Uso:
+ *   AUDIN.recomendacoes.load().then(function (registros) { ... });
+ *   AUDIN.recomendacoes.link(registro.id);
+ *
+ * Dependencias: audin-data.js, audin-stats.js (audin-temas.js opcional)
+ * Tambem carregado por scripts/build-data.js (IDs do historico de situacao).
+ */
+(function () {
+    'use strict';
+
+    window.AUDIN = window.AUDIN || {};
+
+    /**
+     * @typedef {Object} RegistroRecomendacao
+     * @property {string} id - ID estavel
+     * @property {string} Ano
+     * @property {string} Relatorio
+     * @property {number|null} Numero - Numero citado no texto ("Recomendação 16")
+     * @property {string|null} Item - Item do relatorio no inicio do texto ("276.2")
+     * @property {string} Unidade - Canonica (audin-registro.js); rotulos compostos unidos por ', '
+     * @property {string[]} Unidades - Codigos canonicos envolvidos
+     * @property {string} UnidadeOriginal - Rotulo da planilha (base do ID)
+     * @property {string} Texto - Texto sem o prefixo de numeracao
+     * @property {string} Recomendacao - Texto integral da planilha
+     * @property {string} Situacao
+     * @property {string} Emissao - DD/MM/AAAA ou ''
+     * @property {string} Prazo - DD/MM/AAAA ou ''
+     * @property {string[]} [Temas] - Codigos de tema (audin-temas.js)
+     * @property {string[]} [TemasNomes] - Nomes dos temas (audin-temas.js)
+     * @property {string} [Tema] - Nomes unidos por ', ' ou 'Sem tema' (audin-temas.js)
+     * @property {string} [TemaOrigem] - 'regras', 'revisao' ou 'local' (audin-temas.js)
+     */
+
+    /**
+     * "Recomendação 16:", "Recomendação nº 3 -", "Recomendação 1 (DEMAT):",
+     * "225.2 Recomendação 10:" (item do relatorio antes), "Recomendaçãso 1:"
+     */
+    var PREFIXO = /^\s*(?:\d+(?:\.\d+)+\s+)?Recomenda[çc][ãa]?s?o\s*(?:n[º°o.]*\s*)?(\d+)\s*(?:\([^)]*\)+\s*)?[:.\-–]\s*/i;
+
+    /** Item do relatorio sem "Recomendação N": "276.2 Propor..." */
+    var ITEM = /^\s*(\d+(?:\.\d+)+)\s*[:.\-–)]?\s+/;
+
+    var carregando = null;
+
+    /* ============================================
+       PARSING E ID
+       ============================================ */
+
+    function slug(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+
+    /**
+     * Identificador do relatorio de uma linha: prefixo <ano>-<relatorio>
+     * do ID estavel (ex: '2015-1', '2020-nt001', 'sa-nan').
+     *
+     * @param {Object} row - Linha da planilha ou registro
+     * @returns {string}
+     */
+    function relatorioId(row) {
+        return (row.Ano || 'sa') + '-' + (slug(row.Relatorio).replace(/-/g, '') || 'sr');
+    }
+
+    /**
+     * Prefixo <relatorio>-<unidade> do ID estavel de uma linha
+     * (ex: '2022-4-progesp').
+     *
+     * @param {Object} row - Linha da planilha
+     * @returns {string}
+     */
+    function prefixoId(row) {
+        var unidadeOriginal = row.UnidadeOriginal !== undefined ? row.UnidadeOriginal : row.Unidade;
+        return relatorioId(row) + '-' + (slug(unidadeOriginal) || 'su');
+    }
+
+    /**
+     * Converte uma linha da planilha em registro. Sem coluna ID, calcula o
+     * ID pelo numero do texto (sem sufixo de repeticao).
+     *
+     * @param {Object} row - Linha de recomendacoes_table.json
+     * @param {number} [posicao=1] - Ordem da linha entre as sem numero do
+     *   mesmo relatorio e unidade (calculada por build)
+     * @returns {RegistroRecomendacao}
+     */
+    function parse(row, posicao) {
+        var original = String(row.Recomendacao || '').trim();
+        var match = PREFIXO.exec(original);
+        var item = match ? null : ITEM.exec(original);
+        var numero = match ? Number(match[1]) : null;
+
+        var unidadeOriginal = row.UnidadeOriginal !== undefined ? row.UnidadeOriginal : row.Unidade;
+
+        var chave;
+        if (numero !== null) {
+            chave = String(numero);
+        } else if (item) {
+            chave = 'i' + item[1].replace(/\./g, '-');
+        } else {
+            chave = 'p' + (posicao || 1);
+        }
+
+        var prefixo = match || item;
+        return {
+            id: row.ID || prefixoId(row) + '-' + chave,
+            Ano: row.Ano,
+            Relatorio: row.Relatorio,
+            Numero: numero,
+            Item: item ? item[1] : null,
+            Unidade: row.Unidade,
+            Unidades: AUDIN.stats.unitsOf(row),
+            UnidadeOriginal: unidadeOriginal,
+            Texto: prefixo ? original.slice(prefixo[0].length) : original,
+            Recomendacao: original,
+            Situacao: row.Situacao,
+            Emissao: row.Emissao || '',
+            Prazo: row.Prazo || ''
+        };
+    }
+
+    /**
+     * Registros de todas as linhas validas, com IDs unicos (coluna ID ou
+     * calculado, para linhas ainda sem ID).
+     *
+     * @param {Array<Object>} rows
+     * @returns {RegistroRecomendacao[]}
+     */
+    function build(rows) {
+        var vistos = {};
+        var semNumero = {};
+        return (rows || []).filter(AUDIN.stats.isValida).map(function (row) {
+            var registro = parse(row);
+            if (row.ID) {
+                return registro;
+            }
+            if (registro.Numero === null && registro.Item === null) {
+                // O ID provisorio ('...-p1') identifica relatorio e unidade
+                semNumero[registro.id] = (semNumero[registro.id] || 0) + 1;
+                registro = parse(row, semNumero[registro.id]);
+            }
+            var base = registro.id;
+            vistos[base] = (vistos[base] || 0) + 1;
+            if (vistos[base] > 1) {
+                registro.id = base + '-' + vistos[base];
+            }
+            return registro;
+        });
+    }
+
+    /**
+     * Carrega e converte recomendacoes_table.json (uma vez por pagina).
+     * Com audin-temas.js carregado, inclui Temas, TemasNomes, Tema e TemaOrigem.
+     *
+     * @returns {Promise<RegistroRecomendacao[]>}
+     */
+    function load() {
+        if (!carregando) {
+            // Com audin-temas.js carregado, os registros ja saem classificados
+            var temas = AUDIN.temas ? AUDIN.temas.load() : Promise.resolve(null);
+            carregando = Promise.all([AUDIN.data.loadRecomendacoes(), temas]).then(function (results) {
+                var registros = build(results[0]);
+                return results[1] ? AUDIN.temas.apply(registros, results[1]) : registros;
+            });
+            carregando.catch(function () { carregando = null; });
+        }
+        return carregando;
+    }
+
+    function find(registros, id) {
+        return registros.filter(function (r) { return r.id === id; })[0] || null;
+    }
+
+    /**
+     * Recomendacoes do mesmo relatorio (mesmo ano e numero de relatorio),
+     * ordenadas pelo numero da recomendacao; inclui o proprio registro.
+     *
+     * @param {RegistroRecomendacao[]} registros
+     * @param {RegistroRecomendacao} registro
+     * @returns {RegistroRecomendacao[]}
+     */
+    function siblings(registros, registro) {
+        return registros
+            .filter(function (r) { return r.Ano === registro.Ano && r.Relatorio === registro.Relatorio; })
+            .map(function (r, i) { return { r: r, i: i }; })
+            .sort(function (a, b) {
+                var na = a.r.Numero === null ? Infinity : a.r.Numero;
+                var nb = b.r.Numero === null ? Infinity : b.r.Numero;
+                return na - nb || a.i - b.i;
+            })
+            .map(function (x) { return x.r; });
+    }
+
+    /**
+     * URL permanente da pagina de detalhe.
+     *
+     * @param {string} id
+     * @returns {string}
+     */
+    function link(id) {
+        return AUDIN.url('recomendacao/index.html?id=' + encodeURIComponent(id));
+    }
+
+    /** Ex: 'Recomendação 16 · Relatório 1/2015' */
+    function titulo(registro) {
+        var partes = [registro.Numero !== null ? 'Recomendação ' + registro.Numero
+            : registro.Item ? 'Item ' + registro.Item : 'Recomendação sem número'];
+        partes.push('Relatório ' + registro.Relatorio + (registro.Ano ? '/' + registro.Ano : ''));
+        return partes.join(' · ');
+    }
+
+    /* ============================================
+       PAGINA DE DETALHE
+       ============================================ */
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Classe de badge do status (mesmas cores dos cards).
+     *
+     * @param {string} situacao
+     * @returns {string}
+     */
+    function statusClass(situacao) {
+        return 'audin-status audin-status--' + (slug(situacao) || 'indefinido');
+    }
+
+    function citacao(registro) {
+        return 'AUDIN/UFAM, ' + titulo(registro).replace(' · ', ', ') +
+            ' (' + registro.Unidade + '). Disponível em: ' + new URL(link(registro.id), window.location.href).href;
+    }
+
+    function renderSiblings(irmas, atual) {
+        return '<ol class="audin-rec__irmas">' + irmas.map(function (r) {
+            var rotulo = (r.Numero !== null ? 'Nº ' + r.Numero : 's/ nº') + ' · ' + escapeHtml(r.Unidade);
+            var resumo = escapeHtml(r.Texto.length > 120 ? r.Texto.slice(0, 117) + '...' : r.Texto);
+            var status = '<span class="' + statusClass(r.Situacao) + '">' + escapeHtml(r.Situacao) + '</span>';
+
+            if (r.id === atual.id) {
+                return '<li class="audin-rec__irma audin-rec__irma--atual" aria-current="page">' +
+                    '<strong>' + rotulo + '</strong> ' + status + '<span>' + resumo + '</span></li>';
+            }
+            return '<li class="audin-rec__irma"><a href="' + escapeHtml(link(r.id)) + '">' +
+                '<strong>' + rotulo + '</strong> ' + status + '<span>' + resumo + '</span></a></li>';
+        }).join('') + '</ol>';
+    }
+
+    /** Numero do relatorio, com link para o detalhe quando audin-relatorios.js esta na pagina. */
+    function relatorioLink(registro) {
+        if (!AUDIN.relatorios) {
+            return escapeHtml(registro.Relatorio);
+        }
+        return '<a href="' + escapeHtml(AUDIN.relatorios.link(relatorioId(registro))) + '">' + escapeHtml(registro.Relatorio) + '</a>';
+    }
+
+    function renderHistorico(eventos) {
+        return '<section class="audin-rec" aria-labelledby="audin-rec-historico-titulo">' +
+            '<h3 id="audin-rec-historico-titulo" class="audin-rec__subtitulo">Histórico de situação</h3>' +
+            '<ol class="audin-rec__historico">' + eventos.map(function (e) {
+                return '<li><time>' + escapeHtml(e.data) + '</time> ' +
+                    '<span class="' + statusClass(e.Situacao) + '">' + escapeHtml(e.Situacao) + '</span>' +
+                    (e.obs ? ' <span>' + escapeHtml(e.obs) + '</span>' : '') + '</li>';
+            }).join('') + '</ol>' +
+            '</section>';
+    }
+
+    function renderDetail(container, registros, id, eventos) {
+        var registro = id ? find(registros, id) : null;
+
+        if (!registro) {
+            container.innerHTML = '<div class="audin-rec audin-rec--vazio">' +
+                '<h2 class="audin-rec__titulo">Recomendação não encontrada</h2>' +
+                '<p>' + (id ? 'Nenhuma recomendação com o identificador <code>' + escapeHtml(id) + '</code>.' : 'Nenhum identificador informado.') +
+                ' Consulte a <a href="' + escapeHtml(AUDIN.url('panel/index.html')) + '">base de recomendações</a>.</p>' +
+                '</div>';
+            document.title = 'Recomendação não encontrada - AUDIN';
+            return;
+        }
+
+        var irmas = siblings(registros, registro);
+        var historico = (eventos || []).filter(function (e) { return e.id === registro.id; });
+
+        container.innerHTML =
+            '<article class="audin-rec">' +
+                '<header class="audin-rec__cabecalho">' +
+                    '<h2 class="audin-rec__titulo">' + escapeHtml(titulo(registro)) + '</h2>' +
+                    '<span class="' + statusClass(registro.Situacao) + '">' + escapeHtml(registro.Situacao) + '</span>' +
+                '</header>' +
+                '<dl class="audin-rec__meta">' +
+                    '<div><dt>Unidade</dt><dd>' + escapeHtml(registro.Unidade) + '</dd></div>' +
+                    '<div><dt>Relatório</dt><dd>' + relatorioLink(registro) + '</dd></div>' +
+                    '<div><dt>Ano</dt><dd>' + escapeHtml(registro.Ano || 'Não informado') + '</dd></div>' +
+                    (registro.Emissao ? '<div><dt>Emissão</dt><dd>' + escapeHtml(registro.Emissao) + '</dd></div>' : '') +
+                    (registro.Prazo ? '<div><dt>Prazo</dt><dd>' + escapeHtml(registro.Prazo) + '</dd></div>' : '') +
+                    '<div><dt>Identificador</dt><dd><code>' + escapeHtml(registro.id) + '</code></dd></div>' +
+                '</dl>' +
+                '<p class="audin-rec__texto">' + escapeHtml(registro.Texto) + '</p>' +
+                '<div class="audin-rec__citacao">' +
+                    '<label for="audin-rec-citacao">Citação</label>' +
+                    '<textarea id="audin-rec-citacao" readonly rows="2">' + escapeHtml(citacao(registro)) + '</textarea>' +
+                    '<button type="button" class="audin-rec__copiar">Copiar link</button>' +
+                    '<span class="audin-rec__copiado" role="status"></span>' +
+                '</div>' +
+            '</article>' +
+            (historico.length > 0 ? renderHistorico(historico) : '') +
+            '<section class="audin-rec audin-rec--irmas" aria-labelledby="audin-rec-irmas-titulo">' +
+                '<h3 id="audin-rec-irmas-titulo" class="audin-rec__subtitulo">Recomendações do mesmo relatório (' + irmas.length + ')</h3>' +
+                renderSiblings(irmas, registro) +
+            '</section>';
+
+        document.title = titulo(registro) + ' - AUDIN';
+
+        container.querySelector('.audin-rec__copiar').addEventListener('click', function () {
+            var aviso = container.querySelector('.audin-rec__copiado');
+            var url = new URL(link(registro.id), window.location.href).href;
+            var copiar = navigator.clipboard
+                ? navigator.clipboard.writeText(url)
+                : Promise.reject(new Error('clipboard indisponivel'));
+
+            copiar.then(function () {
+                aviso.textContent = 'Link copiado.';
+            }).catch(function () {
+                var campo = container.querySelector('#audin-rec-citacao');
+                campo.focus();
+                campo.select();
+                aviso.textContent = 'Selecione e copie a citação acima.';
+            });
+        });
+    }
+
+    /**
+     * Monta a pagina de detalhe em cada [data-audin-recomendacao],
+     * usando o parametro ?id= da URL.
+     */
+    function initDetail() {
+        var containers = Array.prototype.slice.call(document.querySelectorAll('[data-audin-recomendacao]'));
+        if (containers.length === 0) {
+            return;
+        }
+
+        var id = new URLSearchParams(window.location.search).get('id');
+
+        // Historico de situacao e opcional: sem eventos.json a pagina segue sem ele
+        var eventos = AUDIN.data.loadEventos().catch(function () { return []; });
+
+        Promise.all([load(), eventos]).then(function (results) {
+            containers.forEach(function (container) {
+                renderDetail(container, results[0], id, results[1]);
+            });
+        }).catch(function (error) {
+            // O banner de AUDIN.data ja informa o arquivo com problema
+            console.error('AUDIN.recomendacoes: erro ao carregar recomendacoes', error);
+            AUDIN.data.markUnavailable(containers, error.file);
+        });
+    }
+
+    /* ============================================
+       API PUBLICA
+       ============================================ */
+
+    AUDIN.recomendacoes = {
+        parse: parse,
+        build: build,
+        load: load,
+        find: find,
+        siblings: siblings,
+        relatorioId: relatorioId,
+        prefixoId: prefixoId,
+        link: link,
+        titulo: titulo,
+        statusClass: statusClass,
+        initDetail: initDetail
+    };
+
+    /* ============================================
+       AUTO-INIT
+       ============================================ */
+
+    if (typeof document !== 'undefined') {
+        document.addEventListener('DOMContentLoaded', initDetail);
+    }
+})();
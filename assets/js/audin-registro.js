@@ -0,0 +1,284 @@
+/**
+ * AUDIN - Cadastro canonico de unidades e resolucao de rotulos
+ *
+ * A planilha de recomendacoes traz rotulos de unidade inconsistentes:
+ * apelidos ('GAB REITOR', 'ADM SUPERIOR') e rotulos compostos
+ * ('FAEXP - DEMAT'). O cadastro (data/unidades.json: codigo, nome,
+ * aliases, orgao_superior, campus) e aplicado na carga das linhas, para
+ * que estatisticas, filtros e graficos contem unidades canonicas.
+ * Estende o namespace window.AUDIN. Nao depende do DOM.
+ *
+ * Resolucao de um rotulo (sem diferenca de acentos, maiusculas e espacos):
+ *   1. codigo ou alias do cadastro -> [codigo]
+ *   2. rotulo composto (separado por ' - ', '/', ',', ';' ou '+') cujas
+ *      partes sao todas conhecidas -> [codigo, codigo, ...]
+ *   3. sem correspondencia -> [rotulo original] (avisado no console)
+ *
+ * Arvore organizacional (rollups de treemap/sunburst):
+ *   raiz (orgao_superior null) -> grupo -> orgaos intermediarios -> unidade
+ *   registro.caminho('DEMAT');   // ['Reitoria', 'Pró-Reitorias', 'PROADM', 'DEMAT']
+ *   registro.regiao('ICET');     // 'Interior' (campus fora da sede da raiz)
+ *
+ * Linha resolvida (demais campos inalterados):
+ *   Unidade          codigos unidos por ', ' (ex: 'FAEXP, DEMAT')
+ *   Unidades         lista de codigos; a recomendacao conta para cada um
+ *   UnidadeOriginal  rotulo da planilha (base do ID estavel)
+ *
+ * Uso:
+ *   var registro = AUDIN.registro.create(cadastro);
+ *   registro.resolve('FAEXP - DEMAT');   // ['FAEXP', 'DEMAT']
+ *   registro.nome('PCU');                // 'Prefeitura do Campus Universitário'
+ *   var linhas = AUDIN.registro.apply(rows, cadastro);
+ *   AUDIN.registro.load().then(function (registro) { ... });
+ *
+ * Dependencias: nenhuma (load() usa AUDIN.data). AUDIN.data.loadRecomendacoes()
+ * aplica o cadastro quando este script esta carregado.
+ */
+(function () {
+    'use strict';
+
+    window.AUDIN = window.AUDIN || {};
+
+    /** Separadores de rotulos compostos ('FAEXP - DEMAT', 'PROADM/DEMAT'). */
+    var SEPARADOR = /\s+[-\u2013]\s+|\s*[\/,;+]\s*/;
+
+    /** Grupo e regiao de rotulos fora do cadastro. */
+    var SEM_CADASTRO = 'Sem cadastro';
+
+    /** Limite de subida na arvore (protege contra ciclos no cadastro). */
+    var MAX_NIVEIS = 10;
+
+    /**
+     * @typedef {Object} UnidadeCadastro
+     * @property {string} codigo - Sigla canonica (ex: 'PROADM')
+     * @property {string} nome - Nome por extenso
+     * @property {string[]} aliases - Outros rotulos usados na planilha
+     * @property {string|null} orgao_superior - Codigo do orgao ao qual a unidade se vincula
+     * @property {string} [grupo] - Agrupamento abaixo da raiz (ex: 'Pró-Reitorias');
+     *     sem grupo, herda o do orgao_superior
+     * @property {string} campus
+     * @property {string} [obs]
+     */
+
+    /** Chave de comparacao: maiusculas, sem acentos e espacos repetidos. */
+    function key(label) {
+        return String(label === null || label === undefined ? '' : label)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .toUpperCase();
+    }
+
+    /* ============================================
+       CADASTRO
+       ============================================ */
+
+    /**
+     * Cria o resolvedor sobre um cadastro.
+     *
+     * @param {UnidadeCadastro[]} cadastro
+     * @returns {Object} { resolve, info, nome, codigos, desconhecidos, grupo, caminho, regiao }
+     */
+    function create(cadastro) {
+        var porCodigo = {};
+        var porChave = {};
+        var desconhecidos = {};
+        var raiz = null;
+
+        (cadastro || []).forEach(function (unidade) {
+            porCodigo[unidade.codigo] = unidade;
+            if (!unidade.orgao_superior && !raiz) {
+                raiz = unidade;
+            }
+            porChave[key(unidade.codigo)] = unidade.codigo;
+            (unidade.aliases || []).forEach(function (alias) {
+                porChave[key(alias)] = unidade.codigo;
+            });
+        });
+
+        function single(label) {
+            return porChave[key(label)] || null;
+        }
+
+        /**
+         * Codigos canonicos de um rotulo da planilha.
+         *
+         * @param {string} label
+         * @returns {string[]} Vazio para rotulo vazio
+         */
+        function resolve(label) {
+            var texto = String(label === null || label === undefined ? '' : label).trim();
+            if (!texto) {
+                return [];
+            }
+
+            var codigo = single(texto);
+            if (codigo) {
+                return [codigo];
+            }
+
+            var partes = texto.split(SEPARADOR).filter(Boolean).map(single);
+            if (partes.length > 1 && partes.every(Boolean)) {
+                return partes.filter(function (c, i) { return partes.indexOf(c) === i; });
+            }
+
+            desconhecidos[texto] = true;
+            return [texto];
+        }
+
+        /**
+         * Cadeia da unidade ate o orgao que define o grupo (inclusive),
+         * da unidade para cima.
+         */
+        function ascendentes(codigo) {
+            var cadeia = [];
+            var atual = porCodigo[codigo];
+            while (atual && cadeia.length < MAX_NIVEIS) {
+                cadeia.push(atual);
+                if (atual.grupo || !atual.orgao_superior) {
+                    break;
+                }
+                atual = porCodigo[atual.orgao_superior];
+            }
+            return cadeia;
+        }
+
+        /**
+         * Grupo organizacional da unidade (proprio ou herdado).
+         *
+         * @param {string} codigo
+         * @returns {string} SEM_CADASTRO fora do cadastro
+         */
+        function grupo(codigo) {
+            var cadeia = ascendentes(codigo);
+            var topo = cadeia[cadeia.length - 1];
+            return topo && topo.grupo ? topo.grupo : SEM_CADASTRO;
+        }
+
+        /**
+         * Caminho na arvore organizacional: raiz, grupo, orgaos
+         * intermediarios e a propria unidade.
+         *
+         * @param {string} codigo
+         * @returns {string[]} Ex: ['Reitoria', 'Pró-Reitorias', 'PROADM', 'DEMAT']
+         */
+        function caminho(codigo) {
+            var codigos = ascendentes(codigo).map(function (u) { return u.codigo; }).reverse();
+            return [raiz ? raiz.nome : 'UFAM', grupo(codigo)].concat(codigos.length > 0 ? codigos : [codigo]);
+        }
+
+        /**
+         * Regiao da unidade: o campus da raiz (sede) ou 'Interior'.
+         *
+         * @param {string} codigo
+         * @returns {string} Ex: 'Manaus', 'Interior'
+         */
+        function regiao(codigo) {
+            var unidade = porCodigo[codigo];
+            if (!unidade) {
+                return SEM_CADASTRO;
+            }
+            return !raiz || unidade.campus === raiz.campus ? unidade.campus : 'Interior';
+        }
+
+        return {
+            resolve: resolve,
+
+            /** @returns {UnidadeCadastro|null} */
+            info: function (codigo) {
+                return porCodigo[codigo] || null;
+            },
+
+            /** Nome por extenso; o proprio codigo quando fora do cadastro. */
+            nome: function (codigo) {
+                return porCodigo[codigo] ? porCodigo[codigo].nome : codigo;
+            },
+
+            /** @returns {string[]} Codigos do cadastro, na ordem do arquivo */
+            codigos: function () {
+                return Object.keys(porCodigo);
+            },
+
+            /** @returns {string[]} Rotulos ja resolvidos sem correspondencia */
+            desconhecidos: function () {
+                return Object.keys(desconhecidos);
+            },
+
+            grupo: grupo,
+            caminho: caminho,
+            regiao: regiao
+        };
+    }
+
+    /* ============================================
+       APLICACAO NAS LINHAS
+       ============================================ */
+
+    var avisados = {};
+
+    /**
+     * Linhas com Unidade canonica, Unidades e UnidadeOriginal.
+     * Rotulos sem cadastro em linhas com recomendacao sao avisados
+     * uma vez no console.
+     *
+     * @param {Array<Object>} rows - Linhas de recomendacoes_table.json
+     * @param {UnidadeCadastro[]|Object} cadastro - Lista ou resolvedor de create()
+     * @returns {Array<Object>} Novas linhas (a entrada nao e alterada)
+     */
+    function apply(rows, cadastro) {
+        var registro = Array.isArray(cadastro) ? create(cadastro) : cadastro;
+
+        return (rows || []).map(function (row) {
+            var original = row.UnidadeOriginal !== undefined ? row.UnidadeOriginal : row.Unidade;
+            var codigos = registro.resolve(original);
+
+            if (codigos.length === 1 && !registro.info(codigos[0]) && row.Recomendacao && !avisados[codigos[0]]) {
+                avisados[codigos[0]] = true;
+                console.warn('AUDIN.registro: unidade sem cadastro em data/unidades.json: "' + codigos[0] + '"');
+            }
+
+            var out = {};
+            Object.keys(row).forEach(function (campo) {
+                out[campo] = row[campo];
+            });
+            out.Unidade = codigos.join(', ');
+            out.Unidades = codigos;
+            out.UnidadeOriginal = original;
+            return out;
+        });
+    }
+
+    /* ============================================
+       CARGA
+       ============================================ */
+
+    var carregado = null;
+
+    /**
+     * Resolvedor do cadastro publicado (data/unidades.json), reaproveitado
+     * enquanto AUDIN.data devolver o mesmo cadastro.
+     *
+     * @returns {Promise<Object>} Resultado de create()
+     */
+    function load() {
+        return AUDIN.data.loadUnidades().then(function (cadastro) {
+            if (!carregado || carregado.cadastro !== cadastro) {
+                carregado = { cadastro: cadastro, registro: create(cadastro) };
+            }
+            return carregado.registro;
+        });
+    }
+
+    /* ============================================
+       API PUBLICA
+       ============================================ */
+
+    AUDIN.registro = {
+        SEM_CADASTRO: SEM_CADASTRO,
+        key: key,
+        create: create,
+        apply: apply,
+        load: load
+    };
+})();
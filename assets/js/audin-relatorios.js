@@ -0,0 +1,545 @@
+/**
+ * AUDIN - Relatorios de auditoria: agregacao e pagina de detalhe
+ *
+ * Agrupa as recomendacoes por relatorio (Ano + numero) e monta a pagina
+ * de detalhe de um relatorio (relatorio/index.html?id=2015-1): lista
+ * completa de unidades, situacao das recomendacoes, evolucao da
+ * efetividade, todas as recomendacoes e o PDF publicado, quando houver.
+ * Estende o namespace window.AUDIN.
+ *
+ * ID do relatorio: prefixo <ano>-<relatorio> do ID estavel das
+ * recomendacoes (AUDIN.recomendacoes.relatorioId), ex: '2015-1', '2020-nt001'.
+ *
+ * PDFs: data/relatorios_pdf.json, mantido a mao
+ *   [{ "Ano": "2015", "Relatorio": "1", "url": "https://..." }]
+ *   url http(s) ou caminho relativo a base do site; outros esquemas
+ *   (javascript:, data:...) sao ignorados, como no schema.
+ *   Sem entrada para o relatorio, a pagina aponta para a lista de
+ *   relatorios no site da AUDIN.
+ *
+ * Evolucao da efetividade (data/eventos.json):
+ *   - Emissao: 0% (coluna Emissao mais antiga; sem ela, 1o de julho do ano)
+ *   - Cada data com mudanca de situacao: concluidas ate aquela data
+ *   - data_atualizacao: situacao atual da tabela
+ *   Recomendacoes sem eventos so contam como concluidas no ponto final,
+ *   pois a tabela nao informa quando mudaram de situacao.
+ *
+ * Componentes:
+ *   - Detalhe: [data-audin-relatorio] (montado automaticamente, le ?id= da URL)
+ *
+ * Uso:
+ *   AUDIN.relatorios.aggregate(rows);          // [{id, Ano, Relatorio, unidades, total, ...}]
+ *   AUDIN.relatorios.link('2015-1');
+ *
+ * Graficos: cores e fonte do tema atual (AUDIN.theme.palette()), como os
+ * de charts/*.html; redesenhados quando o tema muda.
+ *
+ * Dependencias: audin-data.js, audin-stats.js, audin-recomendacoes.js,
+ *   audin-theme.js
+ * Opcional: Plotly (graficos), audin-unidades.js (links das unidades)
+ */
+(function () {
+    'use strict';
+
+    window.AUDIN = window.AUDIN || {};
+
+    var STATUS_ORDER = ['Atendida', 'Baixada', 'Em Implementação', 'Pendente'];
+    var CONCLUIDAS = ['Atendida', 'Baixada'];
+
+    var SITE_RELATORIOS = 'https://auditoria.ufam.edu.br/relatorios-de-auditoria.html';
+
+    /* ============================================
+       AGREGACAO
+       ============================================ */
+
+    function compareText(a, b) {
+        return a < b ? -1 : a > b ? 1 : 0;
+    }
+
+    function percent(parte, total) {
+        return total > 0 ? Math.round(parte / total * 10000) / 100 : 0;
+    }
+
+    /**
+     * @typedef {Object} ResumoRelatorio
+     * @property {string} id - ID do relatorio
+     * @property {string} Ano
+     * @property {string} Relatorio
+     * @property {string[]} unidades - Na ordem em que aparecem na tabela
+     * @property {number} total
+     * @property {number} atendidas
+     * @property {number} baixadas
+     * @property {number} em_implementacao
+     * @property {number} pendentes
+     * @property {number} efetividade - (atendidas + baixadas) / total, em %
+     */
+
+    /**
+     * Resumo por relatorio, na ordem em que cada relatorio aparece.
+     * Aceita linhas da planilha ou registros de AUDIN.recomendacoes.
+     *
+     * @param {Array<Object>} rows
+     * @returns {ResumoRelatorio[]}
+     */
+    function aggregate(rows) {
+        var porId = {};
+        var ordem = [];
+
+        rows.forEach(function (row) {
+            var id = AUDIN.recomendacoes.relatorioId(row);
+            var rel = porId[id];
+            if (!rel) {
+                rel = porId[id] = {
+                    id: id,
+                    Ano: row.Ano,
+                    Relatorio: row.Relatorio,
+                    unidades: [],
+                    total: 0,
+                    atendidas: 0,
+                    baixadas: 0,
+                    em_implementacao: 0,
+                    pendentes: 0,
+                    efetividade: 0
+                };
+                ordem.push(rel);
+            }
+
+            AUDIN.stats.unitsOf(row).forEach(function (unidade) {
+                if (rel.unidades.indexOf(unidade) === -1) {
+                    rel.unidades.push(unidade);
+                }
+            });
+            rel.total++;
+
+            if (row.Situacao === 'Atendida') {
+                rel.atendidas++;
+            } else if (row.Situacao === 'Baixada') {
+                rel.baixadas++;
+            } else if (row.Situacao === 'Em Implementação') {
+                rel.em_implementacao++;
+            } else if (row.Situacao === 'Pendente') {
+                rel.pendentes++;
+            }
+        });
+
+        ordem.forEach(function (rel) {
+            rel.efetividade = percent(rel.atendidas + rel.baixadas, rel.total);
+        });
+        return ordem;
+    }
+
+    /**
+     * URL da pagina de detalhe de um relatorio.
+     *
+     * @param {string} id - ID do relatorio
+     * @returns {string}
+     */
+    function link(id) {
+        return AUDIN.url('relatorio/index.html?id=' + encodeURIComponent(id));
+    }
+
+    /** Ex: 'Relatório 1/2015' */
+    function titulo(rel) {
+        return 'Relatório ' + rel.Relatorio + (rel.Ano ? '/' + rel.Ano : '');
+    }
+
+    /** url aceita em relatorios_pdf.json (mesmo pattern do schema). */
+    var URL_PDF = /^(?:https?:\/\/\S+|(?!\/\/)(?![A-Za-z][A-Za-z0-9+.-]*:)\S+)$/;
+
+    /**
+     * URL do PDF configurado para o relatorio, ou null (sem entrada ou
+     * com url fora de URL_PDF).
+     *
+     * @param {Array<Object>} pdfs - RelatorioPdf[] (data/relatorios_pdf.json)
+     * @param {{Ano: string, Relatorio: string}} rel
+     * @returns {string|null}
+     */
+    function pdfUrl(pdfs, rel) {
+        var id = AUDIN.recomendacoes.relatorioId(rel);
+        var entrada = (pdfs || []).filter(function (p) {
+            return p.url && AUDIN.recomendacoes.relatorioId(p) === id;
+        })[0];
+        if (!entrada) {
+            return null;
+        }
+        if (!URL_PDF.test(entrada.url)) {
+            console.warn('AUDIN.relatorios: url de PDF recusada para ' + id + ' (use http(s) ou caminho do site): ' + entrada.url);
+            return null;
+        }
+        return /^https?:/.test(entrada.url) ? entrada.url : AUDIN.url(entrada.url.replace(/^\//, ''));
+    }
+
+    /* ============================================
+       EVOLUCAO DA EFETIVIDADE
+       ============================================ */
+
+    /** DD/MM/AAAA -> AAAAMMDD (ordenavel); '' quando invalida. */
+    function dateKey(data) {
+        var match = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(String(data || '').trim());
+        return match ? match[3] + match[2] + match[1] : '';
+    }
+
+    /**
+     * @typedef {Object} PontoEvolucao
+     * @property {string} data - DD/MM/AAAA
+     * @property {number} concluidas - Atendidas + baixadas ate a data
+     * @property {number} total
+     * @property {number} efetividade - Em %
+     * @property {string} marco - 'emissao' | 'evento' | 'atualizacao'
+     * @property {boolean} estimada - Data de emissao estimada pelo ano
+     */
+
+    /**
+     * Efetividade do relatorio ao longo do tempo (ver cabecalho).
+     *
+     * @param {RegistroRecomendacao[]} registros - Recomendacoes do relatorio
+     * @param {Array<Object>} eventos - EventoStatus[]
+     * @param {string} [referencia] - data_atualizacao (DD/MM/AAAA)
+     * @returns {PontoEvolucao[]} Em ordem cronologica
+     */
+    function evolution(registros, eventos, referencia) {
+        var total = registros.length;
+        var ids = {};
+        registros.forEach(function (r) { ids[r.id] = true; });
+
+        function ponto(data, concluidas, marco, estimada) {
+            return {
+                data: data,
+                concluidas: concluidas,
+                total: total,
+                efetividade: percent(concluidas, total),
+                marco: marco,
+                estimada: !!estimada
+            };
+        }
+
+        var pontos = [];
+
+        var emissoes = registros.map(function (r) { return r.Emissao; }).filter(dateKey).sort(function (a, b) {
+            return compareText(dateKey(a), dateKey(b));
+        });
+        var ano = registros.length > 0 ? registros[0].Ano : '';
+        if (emissoes.length > 0) {
+            pontos.push(ponto(emissoes[0], 0, 'emissao', false));
+        } else if (ano) {
+            pontos.push(ponto('01/07/' + ano, 0, 'emissao', true));
+        }
+
+        var doRelatorio = (eventos || []).filter(function (e) {
+            return ids[e.id] && dateKey(e.data);
+        }).map(function (e, i) {
+            return { e: e, i: i };
+        }).sort(function (a, b) {
+            return compareText(dateKey(a.e.data), dateKey(b.e.data)) || a.i - b.i;
+        }).map(function (x) { return x.e; });
+
+        var situacao = {};
+        doRelatorio.forEach(function (e, i) {
+            situacao[e.id] = e.Situacao;
+            var proximo = doRelatorio[i + 1];
+            if (proximo && proximo.data === e.data) {
+                return;
+            }
+            var concluidas = Object.keys(situacao).filter(function (id) {
+                return CONCLUIDAS.indexOf(situacao[id]) !== -1;
+            }).length;
+            pontos.push(ponto(e.data, concluidas, 'evento', false));
+        });
+
+        if (dateKey(referencia)) {
+            var atuais = registros.filter(function (r) {
+                return CONCLUIDAS.indexOf(r.Situacao) !== -1;
+            }).length;
+            var ultimo = pontos[pontos.length - 1];
+            if (ultimo && ultimo.marco !== 'emissao' && ultimo.data === referencia) {
+                pontos.pop();
+            }
+            pontos.push(ponto(referencia, atuais, 'atualizacao', false));
+        }
+
+        return pontos.filter(function (p) {
+            return !dateKey(referencia) || dateKey(p.data) <= dateKey(referencia);
+        });
+    }
+
+    /* ============================================
+       DETALHE
+       ============================================ */
+
+    /**
+     * Dados da pagina de detalhe de um relatorio.
+     *
+     * @param {RegistroRecomendacao[]} registros - Todas as recomendacoes
+     * @param {string} id - ID do relatorio
+     * @returns {Object|null} null quando o relatorio nao existe
+     */
+    function detail(registros, id) {
+        var linhas = registros.filter(function (r) {
+            return AUDIN.recomendacoes.relatorioId(r) === id;
+        }).sort(function (a, b) {
+            return (a.Numero === null ? Infinity : a.Numero) - (b.Numero === null ? Infinity : b.Numero) ||
+                compareText(a.Unidade, b.Unidade);
+        });
+        if (linhas.length === 0) {
+            return null;
+        }
+
+        var resumo = aggregate(linhas)[0];
+
+        return {
+            resumo: resumo,
+            porStatus: STATUS_ORDER.map(function (situacao) {
+                return {
+                    Situacao: situacao,
+                    total: linhas.filter(function (r) { return r.Situacao === situacao; }).length
+                };
+            }),
+            unidades: resumo.unidades.slice().sort(compareText).map(function (unidade) {
+                var daUnidade = linhas.filter(function (r) { return AUDIN.stats.unitsOf(r).indexOf(unidade) !== -1; });
+                return {
+                    Unidade: unidade,
+                    total: daUnidade.length,
+                    abertas: daUnidade.filter(function (r) { return CONCLUIDAS.indexOf(r.Situacao) === -1; }).length
+                };
+            }),
+            registros: linhas
+        };
+    }
+
+    /* ============================================
+       RENDERIZACAO
+       ============================================ */
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function formatNumber(valor) {
+        return Number(valor).toLocaleString('pt-BR');
+    }
+
+    function unidadeLink(unidade) {
+        if (!AUDIN.unidades) {
+            return escapeHtml(unidade);
+        }
+        return '<a href="' + escapeHtml(AUDIN.unidades.link(unidade)) + '">' + escapeHtml(unidade) + '</a>';
+    }
+
+    function renderNotFound(container, id) {
+        container.innerHTML = '<section class="audin-rel">' +
+            '<h2 class="audin-rel__titulo">Relatório não encontrado</h2>' +
+            '<p>' + (id ? 'Nenhum relatório com o identificador <code>' + escapeHtml(id) + '</code>.' : 'Nenhum identificador informado.') +
+            ' Consulte a <a href="' + escapeHtml(AUDIN.url('report/index.html')) + '">lista de relatórios</a>.</p>' +
+            '</section>';
+        document.title = 'Relatório não encontrado - AUDIN';
+    }
+
+    function renderPdf(url) {
+        if (url) {
+            return '<a class="audin-rel__pdf" href="' + escapeHtml(url) + '" target="_blank" rel="noopener">' +
+                '<ion-icon name="document-text-outline" aria-hidden="true"></ion-icon> Abrir o relatório (PDF)</a>';
+        }
+        return '<a class="audin-rel__pdf audin-rel__pdf--site" href="' + SITE_RELATORIOS + '" target="_blank" rel="noopener">' +
+            '<ion-icon name="open-outline" aria-hidden="true"></ion-icon> Relatórios no site da AUDIN</a>';
+    }
+
+    function renderUnidades(unidades) {
+        return '<ul class="audin-rel__unidades">' + unidades.map(function (u) {
+            return '<li>' + unidadeLink(u.Unidade) +
+                ' <span>' + u.total + (u.total === 1 ? ' recomendação' : ' recomendações') +
+                (u.abertas > 0 ? ', ' + u.abertas + ' em aberto' : '') + '</span></li>';
+        }).join('') + '</ul>';
+    }
+
+    function renderEvolucao(pontos) {
+        var semEventos = pontos.every(function (p) { return p.marco !== 'evento'; });
+        var rotulos = { emissao: 'Emissão', evento: 'Mudança de situação', atualizacao: 'Atualização dos dados' };
+
+        return '<div class="audin-rel__grafico" data-audin-rel-grafico="evolucao"></div>' +
+            '<table class="audin-rel__tabela">' +
+                '<caption>Efetividade por data</caption>' +
+                '<thead><tr><th scope="col">Data</th><th scope="col">Marco</th>' +
+                '<th scope="col">Concluídas</th><th scope="col">Efetividade</th></tr></thead>' +
+                '<tbody>' + pontos.map(function (p) {
+                    return '<tr><td>' + escapeHtml(p.data) + (p.estimada ? ' (estimada)' : '') + '</td>' +
+                        '<td>' + rotulos[p.marco] + '</td>' +
+                        '<td>' + p.concluidas + ' de ' + p.total + '</td>' +
+                        '<td>' + formatNumber(p.efetividade) + '%</td></tr>';
+                }).join('') + '</tbody>' +
+            '</table>' +
+            (semEventos ? '<p class="audin-rel__nota">Sem mudanças de situação registradas para este relatório: ' +
+                'a evolução vai da emissão à última atualização dos dados.</p>' : '');
+    }
+
+    function renderRecomendacoes(registros) {
+        return '<ol class="audin-rel__recomendacoes">' + registros.map(function (r) {
+            return '<li>' +
+                '<a href="' + escapeHtml(AUDIN.recomendacoes.link(r.id)) + '">' +
+                    (r.Numero !== null ? 'Nº ' + r.Numero : 's/ nº') + ' · ' + escapeHtml(r.Unidade) + '</a> ' +
+                '<span class="' + AUDIN.recomendacoes.statusClass(r.Situacao) + '">' + escapeHtml(r.Situacao) + '</span>' +
+                '<p>' + escapeHtml(r.Texto) + '</p>' +
+                '</li>';
+        }).join('') + '</ol>';
+    }
+
+    /** Detalhes ja desenhados, redesenhados quando o tema muda. */
+    var desenhados = [];
+
+    function replotAll() {
+        desenhados.forEach(function (d) {
+            plot(d.container, d.dados, d.pontos);
+        });
+    }
+
+    /** Graficos Plotly; sem Plotly na pagina ficam os totais e a tabela. */
+    function plot(container, dados, pontos) {
+        if (!window.Plotly) {
+            return;
+        }
+        var paleta = AUDIN.theme.palette();
+        var fonte = { family: paleta.fontFamily, color: paleta.textMuted };
+        var config = { displayModeBar: false, responsive: true };
+
+        var status = container.querySelector('[data-audin-rel-grafico="status"]');
+        var comRecomendacoes = dados.porStatus.filter(function (s) { return s.total > 0; });
+        window.Plotly.newPlot(status, [{
+            type: 'pie',
+            hole: 0.5,
+            sort: false,
+            labels: comRecomendacoes.map(function (s) { return s.Situacao; }),
+            values: comRecomendacoes.map(function (s) { return s.total; }),
+            marker: { colors: comRecomendacoes.map(function (s) { return paleta.status[s.Situacao]; }) },
+            hovertemplate: '%{label}: %{value} (%{percent})<extra></extra>'
+        }], {
+            height: 300,
+            margin: { t: 10, l: 10, r: 10, b: 10 },
+            font: fonte,
+            legend: { orientation: 'h' },
+            paper_bgcolor: 'rgba(0,0,0,0)'
+        }, config);
+
+        var evolucao = container.querySelector('[data-audin-rel-grafico="evolucao"]');
+        window.Plotly.newPlot(evolucao, [{
+            type: 'scatter',
+            mode: 'lines+markers',
+            line: { color: paleta.primary, shape: 'hv' },
+            x: pontos.map(function (p) { return p.data.split('/').reverse().join('-'); }),
+            y: pontos.map(function (p) { return p.efetividade; }),
+            customdata: pontos.map(function (p) { return p.concluidas + ' de ' + p.total; }),
+            hovertemplate: '%{x|%d/%m/%Y}<br>Efetividade: %{y:.1f}%<br>Concluídas: %{customdata}<extra></extra>'
+        }], {
+            height: 300,
+            margin: { t: 10, l: 50, r: 20, b: 40 },
+            font: fonte,
+            xaxis: { type: 'date', tickformat: '%m/%Y' },
+            yaxis: { range: [0, 100], ticksuffix: '%', gridcolor: paleta.grid },
+            paper_bgcolor: 'rgba(0,0,0,0)',
+            plot_bgcolor: 'rgba(0,0,0,0)'
+        }, config);
+    }
+
+    function renderDetail(container, dados, pontos, pdf) {
+        var rel = dados.resumo;
+
+        container.innerHTML =
+            '<section class="audin-rel">' +
+                '<header class="audin-rel__cabecalho">' +
+                    '<div>' +
+                        '<h2 class="audin-rel__titulo">' + escapeHtml(titulo(rel)) + '</h2>' +
+                        '<p class="audin-rel__subtitulo">' + rel.total + (rel.total === 1 ? ' recomendação' : ' recomendações') +
+                            ' · ' + rel.unidades.length + (rel.unidades.length === 1 ? ' unidade' : ' unidades') +
+                            ' · efetividade ' + formatNumber(rel.efetividade) + '%</p>' +
+                    '</div>' +
+                    renderPdf(pdf) +
+                '</header>' +
+                '<h3 class="audin-rel__secao">Unidades auditadas</h3>' +
+                renderUnidades(dados.unidades) +
+            '</section>' +
+            '<div class="audin-rel__colunas">' +
+                '<section class="audin-rel">' +
+                    '<h3 class="audin-rel__secao">Situação das recomendações</h3>' +
+                    '<div class="audin-rel__status">' + dados.porStatus.map(function (s) {
+                        return '<div class="audin-rel__total"><strong>' + s.total + '</strong>' +
+                            '<span class="' + AUDIN.recomendacoes.statusClass(s.Situacao) + '">' + escapeHtml(s.Situacao) + '</span></div>';
+                    }).join('') + '</div>' +
+                    '<div class="audin-rel__grafico" data-audin-rel-grafico="status"></div>' +
+                '</section>' +
+                '<section class="audin-rel">' +
+                    '<h3 class="audin-rel__secao">Evolução da efetividade</h3>' +
+                    renderEvolucao(pontos) +
+                '</section>' +
+            '</div>' +
+            '<section class="audin-rel">' +
+                '<h3 class="audin-rel__secao">Recomendações (' + dados.registros.length + ')</h3>' +
+                renderRecomendacoes(dados.registros) +
+            '</section>';
+
+        document.title = titulo(rel) + ' - AUDIN';
+        plot(container, dados, pontos);
+
+        if (desenhados.length === 0) {
+            AUDIN.theme.on('change', replotAll);
+        }
+        desenhados = desenhados.filter(function (d) { return d.container !== container; });
+        desenhados.push({ container: container, dados: dados, pontos: pontos });
+    }
+
+    /**
+     * Monta a pagina de detalhe em cada [data-audin-relatorio],
+     * usando o parametro ?id= da URL.
+     */
+    function initDetail() {
+        var containers = Array.prototype.slice.call(document.querySelectorAll('[data-audin-relatorio]'));
+        if (containers.length === 0) {
+            return;
+        }
+
+        var id = new URLSearchParams(window.location.search).get('id');
+
+        // Eventos e PDFs sao opcionais: sem eles a pagina segue com o essencial
+        Promise.all([
+            AUDIN.recomendacoes.load(),
+            AUDIN.data.loadEventos().catch(function () { return []; }),
+            AUDIN.data.loadRelatoriosPdf().catch(function () { return []; }),
+            AUDIN.data.loadStats().catch(function () { return {}; })
+        ]).then(function (results) {
+            var dados = id ? detail(results[0], id) : null;
+
+            containers.forEach(function (container) {
+                if (!dados) {
+                    renderNotFound(container, id);
+                    return;
+                }
+                var pontos = evolution(dados.registros, results[1], results[3].data_atualizacao);
+                renderDetail(container, dados, pontos, pdfUrl(results[2], dados.resumo));
+            });
+        }).catch(function (error) {
+            console.error('AUDIN.relatorios: erro ao carregar recomendacoes', error);
+            AUDIN.data.markUnavailable(containers, error.file);
+        });
+    }
+
+    /* ============================================
+       API PUBLICA
+       ============================================ */
+
+    AUDIN.relatorios = {
+        aggregate: aggregate,
+        link: link,
+        titulo: titulo,
+        pdfUrl: pdfUrl,
+        evolution: evolution,
+        detail: detail,
+        initDetail: initDetail
+    };
+
+    /* ============================================
+       AUTO-INIT
+       ============================================ */
+
+    document.addEventListener('DOMContentLoaded', initDetail);
+})();
@@ -0,0 +1,402 @@
+/**
+ * AUDIN - Busca textual em portugues (sem acentos, com radicais e relevancia)
+ *
+ * Indice de busca client-side para listas de documentos (recomendacoes,
+ * relatorios). Usado pela base de recomendacoes (panel) e pela listagem
+ * de relatorios (AUDIN.initFiltros, em dev/assets/js/audin-core.js).
+ * Estende o namespace window.AUDIN.
+ *
+ * Normalizacao:
+ *   - Acentos e maiusculas ignorados: 'licitacao' encontra 'Licitação'
+ *   - Radical leve: plurais e variacoes ('licitações', 'licitar',
+ *     'licitatório' -> 'licit'; 'contratos', 'contratada' -> 'contrat')
+ *   - Palavras vazias ('de', 'da', 'para'...) nao sao indexadas
+ *   - Prefixo: termos com 3+ letras tambem encontram palavras que comecam
+ *     com eles como digitados ('contr' -> 'contrato', 'controle'), com
+ *     peso menor; o radical nao entra no prefixo ('servidor' nao encontra
+ *     'serviço')
+ *
+ * Consulta:
+ *   'licitação contrato'          ambos os termos (E)
+ *   'licitação OU dispensa'       qualquer um ('|' tambem separa)
+ *   'pregão contrato OU convênio' (pregão E contrato) OU convênio
+ *
+ * Uso:
+ *   var indice = AUDIN.search.createIndex(registros, {
+ *       ref: 'id',
+ *       fields: { Texto: 1, Unidade: 2 }
+ *   });
+ *   indice.search('licitacoes OU dispensa');   // [{ref, doc, score}], mais relevante primeiro
+ *   AUDIN.search.highlight(texto, consulta);   // HTML escapado com <mark class="audin-destaque">
+ */
+(function () {
+    'use strict';
+
+    window.AUDIN = window.AUDIN || {};
+
+    /** Letras latinas (incluindo acentuadas) e digitos. */
+    var PALAVRA = /[0-9A-Za-zÀ-ÖØ-öø-ÿ]+/g;
+
+    var OPERADOR_OU = ['ou', 'or', '|'];
+
+    var STOPWORDS = [
+        'a', 'o', 'as', 'os', 'um', 'uma', 'uns', 'umas', 'e', 'ou', 'de', 'do', 'da', 'dos', 'das',
+        'em', 'no', 'na', 'nos', 'nas', 'ao', 'aos', 'por', 'pelo', 'pela', 'pelos', 'pelas',
+        'para', 'com', 'sem', 'que', 'se', 'sua', 'seu', 'suas', 'seus', 'como', 'mais', 'ja',
+        'ser', 'sao', 'foi', 'entre', 'sobre', 'apos', 'ate', 'este', 'esta', 'esse', 'essa', 'isso'
+    ].reduce(function (acc, palavra) {
+        acc[palavra] = true;
+        return acc;
+    }, {});
+
+    /**
+     * Plural -> singular (aplicado antes dos sufixos). Vale a primeira
+     * terminacao que casa; sem radical suficiente, a palavra fica como
+     * esta ('pais' nao vira 'pal').
+     */
+    var PLURAIS = [
+        ['oes', 'ao'], ['aes', 'ao'], ['ais', 'al'], ['eis', 'el'], ['ois', 'ol'],
+        ['res', 'r'], ['zes', 'z'], ['ns', 'm'], ['s', '']
+    ];
+
+    /**
+     * Sufixos derivacionais e verbais, do mais longo ao mais curto. Sem os
+     * de agente (-ador, -edor, -idor): 'servidor' e 'serviço' nao tem o mesmo radical.
+     */
+    var SUFIXOS = [
+        'amento', 'imento', 'atorio', 'mento', 'idade', 'mente', 'ancia', 'encia',
+        'acao', 'icao', 'ucao', 'avel', 'ivel', 'ista', 'ismo', 'orio',
+        'ando', 'endo', 'indo', 'cao', 'ada', 'ado', 'ida', 'ido', 'ivo', 'iva', 'oso', 'osa',
+        'ar', 'er', 'ir'
+    ];
+
+    /** Radical minimo apos remover um sufixo. */
+    var RADICAL_MINIMO = 3;
+
+    /** Radical minimo antes da terminacao de plural ('reais' -> 'real'). */
+    var RADICAL_PLURAL = 2;
+
+    /** Peso de uma ocorrencia encontrada apenas por prefixo. */
+    var PESO_PREFIXO = 0.5;
+
+    /* ============================================
+       NORMALIZACAO
+       ============================================ */
+
+    /**
+     * Remove acentos e converte para minusculas.
+     *
+     * @param {string} text
+     * @returns {string}
+     */
+    function fold(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase();
+    }
+
+    function endsWith(palavra, sufixo) {
+        return palavra.length > sufixo.length && palavra.slice(-sufixo.length) === sufixo;
+    }
+
+    /**
+     * Radical leve de uma palavra ja normalizada por fold().
+     * Reduz o plural, remove um sufixo conhecido ou, na falta dele,
+     * a vogal final (a/e/o). Numeros e palavras curtas ficam como estao.
+     *
+     * @param {string} palavra
+     * @returns {string}
+     */
+    function stem(palavra) {
+        var w = palavra;
+        if (w.length <= RADICAL_MINIMO || /^\d+$/.test(w)) {
+            return w;
+        }
+
+        for (var i = 0; i < PLURAIS.length; i++) {
+            if (endsWith(w, PLURAIS[i][0])) {
+                if (w.length - PLURAIS[i][0].length >= RADICAL_PLURAL) {
+                    w = w.slice(0, -PLURAIS[i][0].length) + PLURAIS[i][1];
+                }
+                break;
+            }
+        }
+
+        for (var j = 0; j < SUFIXOS.length; j++) {
+            if (endsWith(w, SUFIXOS[j]) && w.length - SUFIXOS[j].length >= RADICAL_MINIMO) {
+                return w.slice(0, -SUFIXOS[j].length);
+            }
+        }
+
+        if (w.length > RADICAL_MINIMO && /[aeo]$/.test(w)) {
+            return w.slice(0, -1);
+        }
+        return w;
+    }
+
+    /**
+     * Palavras do texto normalizadas por fold(), sem palavras vazias.
+     *
+     * @param {string} text
+     * @returns {string[]}
+     */
+    function words(text) {
+        var resultado = [];
+        (String(text || '').match(PALAVRA) || []).forEach(function (palavra) {
+            var normalizada = fold(palavra);
+            if (!STOPWORDS[normalizada]) {
+                resultado.push(normalizada);
+            }
+        });
+        return resultado;
+    }
+
+    /**
+     * Radicais das palavras do texto, sem palavras vazias.
+     *
+     * @param {string} text
+     * @returns {string[]}
+     */
+    function terms(text) {
+        return words(text).map(stem);
+    }
+
+    /* ============================================
+       CONSULTA
+       ============================================ */
+
+    /**
+     * @typedef {Object} TermoConsulta
+     * @property {string} stem - Radical do termo
+     * @property {string} palavra - Termo como digitado, normalizado por fold()
+     * @property {boolean} prefixo - Tambem aceita palavras que comecam com o termo digitado
+     */
+
+    /**
+     * Interpreta a consulta como uma lista de alternativas (OU), cada uma
+     * com termos obrigatorios (E).
+     *
+     * @param {string} query
+     * @returns {TermoConsulta[][]} Alternativas nao vazias
+     */
+    function parse(query) {
+        var alternativas = [[]];
+
+        String(query || '').replace(/\|/g, ' | ').split(/\s+/).forEach(function (bruto) {
+            if (OPERADOR_OU.indexOf(fold(bruto)) !== -1) {
+                alternativas.push([]);
+                return;
+            }
+            words(bruto).forEach(function (palavra) {
+                alternativas[alternativas.length - 1].push({
+                    stem: stem(palavra),
+                    palavra: palavra,
+                    prefixo: palavra.length >= 3
+                });
+            });
+        });
+
+        return alternativas.filter(function (termos) { return termos.length > 0; });
+    }
+
+    /** Palavra (normalizada por fold()) atende o termo: mesmo radical ou prefixo digitado. */
+    function matchesTerm(palavra, termo) {
+        return stem(palavra) === termo.stem || (termo.prefixo && palavra.indexOf(termo.palavra) === 0);
+    }
+
+    /* ============================================
+       INDICE
+       ============================================ */
+
+    /**
+     * @typedef {Object} ResultadoBusca
+     * @property {*} ref - Referencia do documento (opcao ref)
+     * @property {*} doc - Documento original
+     * @property {number} score - Relevancia (maior = mais relevante)
+     */
+
+    /**
+     * Cria um indice de busca sobre uma lista de documentos.
+     *
+     * @param {Array} docs
+     * @param {Object} options
+     * @param {Object<string, number>} options.fields - Campo -> peso
+     * @param {string|Function} [options.ref] - Campo ou funcao (doc, i) que identifica o documento; padrao: posicao
+     * @param {Function} [options.get] - (doc, campo) -> texto; padrao: doc[campo]
+     * @returns {{size: number, search: function(string): ResultadoBusca[]}}
+     */
+    function createIndex(docs, options) {
+        var campos = options.fields;
+        var get = options.get || function (doc, campo) { return doc[campo]; };
+        var refOf = typeof options.ref === 'function'
+            ? options.ref
+            : function (doc, i) { return options.ref ? doc[options.ref] : i; };
+
+        /** radical -> {posicao do documento -> frequencia ponderada} */
+        var postings = {};
+
+        /** palavra (fold) -> {posicao do documento -> frequencia ponderada}, para o prefixo */
+        var porPalavra = {};
+
+        function post(indice, chave, i, peso) {
+            var lista = indice[chave] = indice[chave] || {};
+            lista[i] = (lista[i] || 0) + peso;
+        }
+
+        docs.forEach(function (doc, i) {
+            Object.keys(campos).forEach(function (campo) {
+                words(get(doc, campo)).forEach(function (palavra) {
+                    post(postings, stem(palavra), i, campos[campo]);
+                    post(porPalavra, palavra, i, campos[campo]);
+                });
+            });
+        });
+
+        var palavras = Object.keys(porPalavra).sort();
+        var total = docs.length;
+
+        /** Primeira palavra >= prefixo (busca binaria na lista ordenada). */
+        function lowerBound(prefixo) {
+            var lo = 0;
+            var hi = palavras.length;
+            while (lo < hi) {
+                var mid = (lo + hi) >> 1;
+                if (palavras[mid] < prefixo) {
+                    lo = mid + 1;
+                } else {
+                    hi = mid;
+                }
+            }
+            return lo;
+        }
+
+        /**
+         * Documento -> pontuacao do termo (radical + prefixo digitado),
+         * ponderada pelo idf. Palavras do mesmo radical ja contam como exatas.
+         */
+        function scoreTerm(termo) {
+            var pontos = {};
+
+            function add(lista, peso) {
+                var ids = Object.keys(lista);
+                var idf = Math.log(1 + total / ids.length);
+                ids.forEach(function (i) {
+                    pontos[i] = (pontos[i] || 0) + lista[i] * idf * peso;
+                });
+            }
+
+            if (postings[termo.stem]) {
+                add(postings[termo.stem], 1);
+            }
+            if (termo.prefixo) {
+                for (var k = lowerBound(termo.palavra); k < palavras.length && palavras[k].indexOf(termo.palavra) === 0; k++) {
+                    if (stem(palavras[k]) !== termo.stem) {
+                        add(porPalavra[palavras[k]], PESO_PREFIXO);
+                    }
+                }
+            }
+            return pontos;
+        }
+
+        /**
+         * Documentos que atendem a consulta, do mais relevante ao menos.
+         * Consulta vazia (ou so com palavras vazias) retorna [].
+         *
+         * @param {string} query
+         * @returns {ResultadoBusca[]}
+         */
+        function search(query) {
+            var melhores = {};
+
+            parse(query).forEach(function (termos) {
+                var parciais = termos.map(scoreTerm);
+                Object.keys(parciais[0]).forEach(function (i) {
+                    var soma = 0;
+                    for (var t = 0; t < parciais.length; t++) {
+                        if (!parciais[t][i]) {
+                            return;
+                        }
+                        soma += parciais[t][i];
+                    }
+                    melhores[i] = Math.max(melhores[i] || 0, soma);
+                });
+            });
+
+            return Object.keys(melhores).map(function (i) {
+                return { ref: refOf(docs[i], Number(i)), doc: docs[i], score: melhores[i], posicao: Number(i) };
+            }).sort(function (a, b) {
+                return b.score - a.score || a.posicao - b.posicao;
+            }).map(function (r) {
+                return { ref: r.ref, doc: r.doc, score: Math.round(r.score * 1000) / 1000 };
+            });
+        }
+
+        return {
+            size: total,
+            search: search
+        };
+    }
+
+    /* ============================================
+       DESTAQUE
+       ============================================ */
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Texto escapado para HTML, com as palavras que atendem a consulta
+     * envolvidas em <mark class="audin-destaque">. Preserva acentos e
+     * maiusculas do original.
+     *
+     * @param {string} text
+     * @param {string} query
+     * @returns {string} HTML
+     */
+    function highlight(text, query) {
+        var original = String(text || '');
+        var termos = [].concat.apply([], parse(query));
+        if (termos.length === 0) {
+            return escapeHtml(original);
+        }
+
+        var html = '';
+        var ultimo = 0;
+        var match;
+        PALAVRA.lastIndex = 0;
+
+        while ((match = PALAVRA.exec(original)) !== null) {
+            var normalizada = fold(match[0]);
+            var destacar = !STOPWORDS[normalizada] && termos.some(function (termo) {
+                return matchesTerm(normalizada, termo);
+            });
+
+            if (destacar) {
+                html += escapeHtml(original.slice(ultimo, match.index)) +
+                    '<mark class="audin-destaque">' + escapeHtml(match[0]) + '</mark>';
+                ultimo = match.index + match[0].length;
+            }
+        }
+
+        return html + escapeHtml(original.slice(ultimo));
+    }
+
+    /* ============================================
+       API PUBLICA
+       ============================================ */
+
+    AUDIN.search = {
+        fold: fold,
+        stem: stem,
+        terms: terms,
+        parse: parse,
+        createIndex: createIndex,
+        highlight: highlight
+    };
+})();
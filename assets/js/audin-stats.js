@@ -0,0 +1,361 @@
+/**
+ * AUDIN - Motor de estatisticas
+ *
+ * Calcula no navegador todos os indicadores de stats.json a partir das
+ * linhas de recomendacoes_table.json, e compara com o arquivo publicado.
+ * Estende o namespace window.AUDIN. Nao depende do DOM.
+ *
+ * Definicoes (mesmas do stats.json publicado):
+ *   - Linha valida: possui texto de recomendacao
+ *   - beneficios: Atendidas + Baixadas
+ *   - efetividade: beneficios / total (%)
+ *   - top_unidades_beneficios / unidades_com_beneficios: apenas Atendidas
+ *   - Unidades: as canonicas de row.Unidades (audin-registro.js); uma
+ *     recomendacao de rotulo composto conta para cada unidade envolvida
+ *   - Empates nos rankings: ordem de primeira ocorrencia na tabela
+ *
+ * Historico (data/historico.json): um snapshot por data_atualizacao com os
+ * campos de SNAPSHOT_FIELDS, gerado por scripts/build-data.js.
+ *
+ * Uso:
+ *   var stats = AUDIN.stats.compute(rows);
+ *   var divergencias = AUDIN.stats.compare(stats, publicado);
+ *   var variacao = AUDIN.stats.delta(stats, historico);
+ */
+(function () {
+    'use strict';
+
+    window.AUDIN = window.AUDIN || {};
+
+    var STATUS = {
+        ATENDIDA: 'Atendida',
+        BAIXADA: 'Baixada',
+        IMPLEMENTACAO: 'Em Implementação',
+        PENDENTE: 'Pendente'
+    };
+
+    /** Campos comparados com tolerancia (arredondados a 1 ou 2 casas). */
+    var TOLERANCIA = {
+        efetividade: 0.01,
+        media_beneficios_unidade: 0.05,
+        media_rec_ano: 0.05,
+        perc_atendidas: 0.05,
+        perc_baixadas: 0.05,
+        perc_em_implementacao: 0.05,
+        perc_pendentes: 0.05
+    };
+
+    /** Indicadores gravados em cada snapshot do historico. */
+    var SNAPSHOT_FIELDS = [
+        'total_relatorios',
+        'total_recomendacoes',
+        'total_unidades',
+        'atendidas',
+        'baixadas',
+        'em_implementacao',
+        'pendentes',
+        'beneficios',
+        'efetividade'
+    ];
+
+    function round(value, digits) {
+        var factor = Math.pow(10, digits);
+        return Math.round(value * factor) / factor;
+    }
+
+    function percent(part, total, digits) {
+        return total > 0 ? round((part / total) * 100, digits) : 0;
+    }
+
+    /**
+     * Conta ocorrencias por chave preservando a ordem de primeira aparicao.
+     *
+     * @param {Array} rows
+     * @param {Function} keyFn - Retorna a chave, uma lista de chaves (a linha
+     *   conta para cada uma) ou '' para ignorar a linha
+     * @returns {Array<{key: string, total: number}>}
+     */
+    function countBy(rows, keyFn) {
+        var index = new Map();
+        rows.forEach(function (row) {
+            var keys = keyFn(row);
+            (Array.isArray(keys) ? keys : [keys]).forEach(function (key) {
+                if (key) {
+                    index.set(key, (index.get(key) || 0) + 1);
+                }
+            });
+        });
+        return Array.from(index, function (entry) {
+            return { key: entry[0], total: entry[1] };
+        });
+    }
+
+    function ranking(counts, limit, base) {
+        return counts
+            .slice()
+            .sort(function (a, b) { return b.total - a.total; })
+            .slice(0, limit)
+            .map(function (c) {
+                return { unidade: c.key, total: c.total, percentual: percent(c.total, base, 1) };
+            });
+    }
+
+    /**
+     * Unidades canonicas da linha (row.Unidades, de audin-registro.js) ou,
+     * sem cadastro aplicado, o proprio rotulo.
+     *
+     * @param {Object} row
+     * @returns {string[]}
+     */
+    function unitsOf(row) {
+        if (row.Unidades) {
+            return row.Unidades;
+        }
+        return row.Unidade ? [row.Unidade] : [];
+    }
+
+    /**
+     * Indica se a linha representa uma recomendacao real
+     * (a planilha de origem tem linhas de observacao sem texto).
+     *
+     * @param {Object} row
+     * @returns {boolean}
+     */
+    function isValida(row) {
+        return Boolean(row && row.Recomendacao && String(row.Recomendacao).trim());
+    }
+
+    /**
+     * Calcula os indicadores usados por updateDashboard, updateMonitoramento,
+     * updateBeneficios, updateRaioX e updateRelatorios.
+     * data_atualizacao nao e derivavel das linhas e fica de fora.
+     *
+     * @param {Array<Object>} rows - Linhas de recomendacoes_table.json
+     * @returns {Object} Mesmo formato de stats.json
+     */
+    function compute(rows) {
+        var validas = (rows || []).filter(isValida);
+        var total = validas.length;
+
+        var porStatus = {};
+        validas.forEach(function (r) {
+            porStatus[r.Situacao] = (porStatus[r.Situacao] || 0) + 1;
+        });
+
+        var atendidas = porStatus[STATUS.ATENDIDA] || 0;
+        var baixadas = porStatus[STATUS.BAIXADA] || 0;
+        var implementacao = porStatus[STATUS.IMPLEMENTACAO] || 0;
+        var pendentes = porStatus[STATUS.PENDENTE] || 0;
+        var beneficios = atendidas + baixadas;
+
+        var relatorios = new Set();
+        validas.forEach(function (r) {
+            if (r.Ano) {
+                relatorios.add(r.Ano + '|' + r.Relatorio);
+            }
+        });
+
+        var porUnidade = countBy(validas, unitsOf);
+        var porUnidadeAtendida = countBy(validas, function (r) {
+            return r.Situacao === STATUS.ATENDIDA ? unitsOf(r) : '';
+        });
+
+        var porAno = countBy(validas, function (r) { return r.Ano; });
+        var anos = porAno.map(function (a) { return Number(a.key); }).filter(isFinite);
+        var anoInicio = anos.length ? Math.min.apply(null, anos) : null;
+        var anoFim = anos.length ? Math.max.apply(null, anos) : null;
+        var anosAtuacao = anos.length ? anoFim - anoInicio + 1 : 0;
+
+        var pico = porAno.reduce(function (best, a) {
+            return !best || a.total > best.total ? a : best;
+        }, null);
+
+        return {
+            total_relatorios: relatorios.size,
+            total_recomendacoes: total,
+            pendentes: pendentes,
+            em_implementacao: implementacao,
+            atendidas: atendidas,
+            baixadas: baixadas,
+            beneficios: beneficios,
+            efetividade: percent(beneficios, total, 2),
+            total_unidades: porUnidade.length,
+            unidades_com_beneficios: porUnidadeAtendida.length,
+            media_beneficios_unidade: porUnidadeAtendida.length > 0
+                ? round(atendidas / porUnidadeAtendida.length, 1)
+                : 0,
+            ano_inicio: anoInicio,
+            ano_fim: anoFim,
+            anos_atuacao: anosAtuacao,
+            media_rec_ano: anosAtuacao > 0 ? round(total / anosAtuacao, 1) : 0,
+            ano_pico: pico ? Number(pico.key) : null,
+            rec_ano_pico: pico ? pico.total : 0,
+            perc_atendidas: percent(atendidas, total, 1),
+            perc_baixadas: percent(baixadas, total, 1),
+            perc_em_implementacao: percent(implementacao, total, 1),
+            perc_pendentes: percent(pendentes, total, 1),
+            top_unidades_recomendacoes: ranking(porUnidade, 5, total),
+            top_unidades_beneficios: ranking(porUnidadeAtendida, 5, atendidas)
+        };
+    }
+
+    /**
+     * Compara indicadores calculados com os publicados em stats.json.
+     * Numeros usam a tolerancia de arredondamento de cada campo;
+     * rankings comparam unidade e total posicao a posicao.
+     *
+     * @param {Object} calculado - Resultado de compute()
+     * @param {Object} publicado - Conteudo de stats.json
+     * @returns {Array<{campo: string, publicado: *, calculado: *}>} Vazio se tudo confere
+     */
+    function compare(calculado, publicado) {
+        var divergencias = [];
+        if (!publicado) {
+            return divergencias;
+        }
+
+        Object.keys(calculado).forEach(function (campo) {
+            var a = calculado[campo];
+            var b = publicado[campo];
+
+            if (b === undefined) {
+                return;
+            }
+
+            if (Array.isArray(a)) {
+                var length = Math.max(a.length, (b || []).length);
+                for (var i = 0; i < length; i++) {
+                    var ca = a[i] || {};
+                    var pb = (b || [])[i] || {};
+                    if (ca.unidade !== pb.unidade || ca.total !== pb.total) {
+                        divergencias.push({
+                            campo: campo + '[' + i + ']',
+                            publicado: pb.unidade + ' (' + pb.total + ')',
+                            calculado: ca.unidade + ' (' + ca.total + ')'
+                        });
+                    }
+                }
+                return;
+            }
+
+            var tolerancia = TOLERANCIA[campo] || 0;
+            if (Math.abs(Number(a) - Number(b)) > tolerancia) {
+                divergencias.push({ campo: campo, publicado: b, calculado: a });
+            }
+        });
+
+        return divergencias;
+    }
+
+    /* ============================================
+       HISTORICO
+       ============================================ */
+
+    /**
+     * Converte 'DD/MM/AAAA' em numero ordenavel (AAAAMMDD).
+     *
+     * @param {string} data
+     * @returns {number} NaN se a data for invalida
+     */
+    function dateKey(data) {
+        var match = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(data || '');
+        return match ? Number(match[3] + match[2] + match[1]) : NaN;
+    }
+
+    /**
+     * Extrai de um stats os campos gravados no historico.
+     *
+     * @param {Object} stats - Resultado de compute()
+     * @param {string} data - Data do snapshot (DD/MM/AAAA)
+     * @returns {Object} { data, total_relatorios, ..., efetividade }
+     */
+    function snapshot(stats, data) {
+        var registro = { data: data };
+        SNAPSHOT_FIELDS.forEach(function (campo) {
+            registro[campo] = stats[campo];
+        });
+        return registro;
+    }
+
+    /**
+     * Insere (ou substitui, na mesma data) um snapshot no historico,
+     * mantendo a ordem cronologica. Nao altera o array recebido.
+     *
+     * @param {Array<Object>} historico
+     * @param {Object} registro - Resultado de snapshot()
+     * @returns {Array<Object>}
+     */
+    function record(historico, registro) {
+        return (historico || [])
+            .filter(function (s) { return s.data !== registro.data; })
+            .concat([registro])
+            .sort(function (a, b) { return dateKey(a.data) - dateKey(b.data); });
+    }
+
+    /**
+     * Snapshot mais recente anterior a uma data (o ciclo de
+     * monitoramento anterior).
+     *
+     * @param {Array<Object>} historico
+     * @param {string} data - DD/MM/AAAA
+     * @returns {Object|null}
+     */
+    function previous(historico, data) {
+        var limite = dateKey(data);
+        return (historico || []).reduce(function (best, s) {
+            var key = dateKey(s.data);
+            return key < limite && (!best || key > dateKey(best.data)) ? s : best;
+        }, null);
+    }
+
+    /**
+     * Variacao dos indicadores desde o snapshot anterior a stats.data_atualizacao.
+     *
+     * @param {Object} stats - Indicadores atuais (com data_atualizacao)
+     * @param {Array<Object>} historico - Conteudo de historico.json
+     * @returns {{desde: string, campos: Object<string, number>}|null} null sem snapshot anterior
+     */
+    function delta(stats, historico) {
+        var base = previous(historico, stats.data_atualizacao);
+        if (!base) {
+            return null;
+        }
+
+        var campos = {};
+        SNAPSHOT_FIELDS.forEach(function (campo) {
+            if (typeof base[campo] === 'number' && typeof stats[campo] === 'number') {
+                campos[campo] = round(stats[campo] - base[campo], 2);
+            }
+        });
+        return { desde: base.data, campos: campos };
+    }
+
+    /**
+     * Serie cronologica de um indicador, terminando no valor atual.
+     *
+     * @param {Array<Object>} historico
+     * @param {Object} stats - Indicadores atuais (com data_atualizacao)
+     * @param {string} campo - Um de SNAPSHOT_FIELDS
+     * @returns {Array<{data: string, valor: number}>}
+     */
+    function trend(historico, stats, campo) {
+        return record(historico, snapshot(stats, stats.data_atualizacao))
+            .filter(function (s) { return typeof s[campo] === 'number'; })
+            .map(function (s) { return { data: s.data, valor: s[campo] }; });
+    }
+
+    AUDIN.stats = {
+        STATUS: STATUS,
+        SNAPSHOT_FIELDS: SNAPSHOT_FIELDS,
+        isValida: isValida,
+        unitsOf: unitsOf,
+        compute: compute,
+        compare: compare,
+        dateKey: dateKey,
+        snapshot: snapshot,
+        record: record,
+        previous: previous,
+        delta: delta,
+        trend: trend
+    };
+})();
@@ -0,0 +1,856 @@
+/**
+ * AUDIN - Tabela de dados (ordenacao, paginacao, filtros e busca)
+ *
+ * Componente sem dependencias sobre a marcacao .audin-table /
+ * .audin-table-wrapper do design system (dev/assets/css/audin-components.css).
+ * Substitui o jQuery DataTables nas paginas de recomendacoes e relatorios.
+ * Estende o namespace window.AUDIN.
+ *
+ * Recursos:
+ *   - Ordenacao por coluna (clique no cabecalho; Shift+clique acrescenta
+ *     criterio), com aria-sort e anuncio em regiao aria-live
+ *   - Paginacao (10, 25, 50, 100 ou todas)
+ *   - Filtro por coluna (select com os valores distintos ou texto)
+ *   - Busca global sem acentos; opcao rank() para indices de relevancia
+ *     (AUDIN.search), que ordenam o resultado enquanto houver consulta
+ *   - Virtualizacao: com mais de virtualAfter linhas na pagina, so as
+ *     linhas visiveis na rolagem sao montadas (aria-rowcount/aria-rowindex
+ *     mantem a contagem para leitores de tela)
+ *
+ * Componentes:
+ *   - Tabela declarativa: table.audin-table[data-audin-datatable]
+ *     (colunas do <thead>, linhas do <tbody>; data-audin-filter="select"
+ *     no <th> cria o filtro da coluna; data-sort no <td> define o valor
+ *     de ordenacao)
+ *
+ * Uso:
+ *   var tabela = AUDIN.initDataTable(document.getElementById('recomendacoesTable'), {
+ *       rows: registros,
+ *       columns: [
+ *           { title: 'Ano', data: 'Ano', filter: 'select' },
+ *           { title: 'Recomendação', data: 'Texto', render: function (texto, row, ctx) { ... } }
+ *       ],
+ *       order: [[0, 'desc']],
+ *       noun: ['recomendação', 'recomendações']
+ *   });
+ *   tabela.filter(0, '2024');
+ *   tabela.on('draw', function (estado) { ... estado.total ... });
+ *
+ * Dependencias: nenhuma. Opcional: audin-search.js (busca sem acentos).
+ */
+(function () {
+    'use strict';
+
+    window.AUDIN = window.AUDIN || {};
+
+    var PAGE_SIZES = [10, 25, 50, 100, 0];
+
+    /** Linhas montadas alem da area visivel, acima e abaixo (virtualizacao). */
+    var OVERSCAN = 8;
+
+    var collator = typeof Intl !== 'undefined'
+        ? new Intl.Collator('pt-BR', { numeric: true, sensitivity: 'base' })
+        : null;
+
+    var instancias = typeof WeakMap !== 'undefined' ? new WeakMap() : null;
+
+    /* ============================================
+       UTILITARIOS
+       ============================================ */
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /** Minusculas sem acentos (AUDIN.search.fold quando disponivel). */
+    function fold(text) {
+        if (AUDIN.search) {
+            return AUDIN.search.fold(text);
+        }
+        return String(text === null || text === undefined ? '' : text)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase();
+    }
+
+    function isEmpty(valor) {
+        return valor === null || valor === undefined || valor === '';
+    }
+
+    /** Vazios por ultimo; numeros por valor; texto em ordem pt-BR (numerica). */
+    function compareValues(a, b) {
+        if (isEmpty(a) || isEmpty(b)) {
+            return isEmpty(a) === isEmpty(b) ? 0 : isEmpty(a) ? 1 : -1;
+        }
+        if (typeof a === 'number' && typeof b === 'number') {
+            return a - b;
+        }
+        return collator ? collator.compare(String(a), String(b)) : (String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0);
+    }
+
+    function plural(n, noun) {
+        return n + ' ' + (n === 1 ? noun[0] : noun[1]);
+    }
+
+    /* ============================================
+       COLUNAS
+       ============================================ */
+
+    /**
+     * @typedef {Object} ColunaTabela
+     * @property {string} title
+     * @property {number|string|Function} [data] - Indice, campo ou funcao (row) -> valor; padrao: posicao da coluna
+     * @property {Function} [render] - (valor, row, ctx) -> HTML; ctx.query = consulta da busca global
+     * @property {boolean} [sortable=true]
+     * @property {boolean} [searchable=true] - Entra na busca global
+     * @property {string|false} [filter=false] - 'select' | 'text'
+     * @property {Function} [values] - (row) -> string[]; opcoes do filtro 'select' quando a
+     *     celula reune varios valores (a linha passa se contiver o valor escolhido)
+     * @property {string} [width]
+     * @property {string} [className] - Classe das celulas (th e td)
+     */
+
+    function normalizeColumn(col, i) {
+        var data = col.data === undefined ? i : col.data;
+        return {
+            title: col.title || '',
+            get: typeof data === 'function' ? data : function (row) { return row[data]; },
+            render: col.render || null,
+            sortable: col.sortable !== false,
+            searchable: col.searchable !== false,
+            filter: col.filter || false,
+            values: col.values || null,
+            width: col.width || '',
+            className: col.className || ''
+        };
+    }
+
+    /* ============================================
+       COMPONENTE
+       ============================================ */
+
+    /**
+     * Monta a tabela de dados sobre um <table class="audin-table">.
+     *
+     * @param {HTMLTableElement} table
+     * @param {Object} options
+     * @param {ColunaTabela[]} options.columns
+     * @param {Array} [options.rows=[]] - Arrays ou objetos
+     * @param {Array<Array>} [options.order] - [[coluna, 'asc'|'desc'], ...]
+     * @param {number} [options.pageSize=25] - 0 = todas as linhas
+     * @param {number[]} [options.pageSizes]
+     * @param {number} [options.virtualAfter=100] - Virtualiza paginas maiores que isso
+     * @param {number} [options.rowHeight=48] - Altura estimada da linha (px), refinada pela medicao
+     * @param {boolean} [options.search=true] - Campo de busca global
+     * @param {string} [options.searchPlaceholder]
+     * @param {Function} [options.rank] - (consulta) -> null | Map(row -> relevancia)
+     * @param {string[]} [options.noun] - [singular, plural] usados nos textos
+     * @param {Array<{label: string, icon: string, onClick: Function}>} [options.actions] - Botoes da barra
+     * @returns {Object} Instancia (setRows, filter, search, sort, page, visibleRows, rowOf, state, on, off, destroy)
+     */
+    function initDataTable(table, options) {
+        if (instancias && instancias.has(table)) {
+            return instancias.get(table);
+        }
+
+        var opts = options || {};
+        var colunas = (opts.columns || []).map(normalizeColumn);
+        var noun = opts.noun || ['linha', 'linhas'];
+        var pageSizes = opts.pageSizes || PAGE_SIZES;
+        var virtualAfter = opts.virtualAfter === undefined ? 100 : opts.virtualAfter;
+        var ordemPadrao = opts.order || [];
+
+        function copyOrder(ordem) {
+            return ordem.map(function (o) { return [o[0], o[1] === 'desc' ? 'desc' : 'asc']; });
+        }
+
+        var listeners = {};
+        var estado = {
+            linhas: [],
+            consulta: '',
+            relevancia: null,
+            filtros: colunas.map(function () { return ''; }),
+            ordem: copyOrder(ordemPadrao),
+            ordemManual: false,
+            pageSize: opts.pageSize === undefined ? 25 : opts.pageSize,
+            pagina: 0,
+            alturaLinha: opts.rowHeight || 48
+        };
+
+        /** Resultado de filtros + busca + ordenacao. */
+        var visiveis = [];
+        var paginaAtual = [];
+
+        /* ---------- estrutura ---------- */
+
+        var wrapper = table.parentNode && table.parentNode.classList.contains('audin-table-wrapper')
+            ? table.parentNode
+            : null;
+        if (!wrapper) {
+            wrapper = document.createElement('div');
+            wrapper.className = 'audin-table-wrapper';
+            table.parentNode.insertBefore(wrapper, table);
+            wrapper.appendChild(table);
+        }
+
+        var raiz = document.createElement('div');
+        raiz.className = 'audin-datatable';
+        wrapper.parentNode.insertBefore(raiz, wrapper);
+
+        var barra = document.createElement('div');
+        barra.className = 'audin-datatable__barra';
+        raiz.appendChild(barra);
+        raiz.appendChild(wrapper);
+
+        var rodape = document.createElement('div');
+        rodape.className = 'audin-datatable__rodape';
+        rodape.innerHTML = '<p class="audin-datatable__info"></p>' +
+            '<nav class="audin-datatable__paginas" aria-label="Paginação da tabela"></nav>';
+        raiz.appendChild(rodape);
+
+        var aviso = document.createElement('div');
+        aviso.className = 'audin-sr-only';
+        aviso.setAttribute('role', 'status');
+        aviso.setAttribute('aria-live', 'polite');
+        raiz.appendChild(aviso);
+
+        table.classList.add('audin-table');
+        var idBase = table.id || 'audin-datatable-' + Math.random().toString(36).slice(2, 8);
+
+        barra.innerHTML =
+            (opts.search === false ? '' :
+                '<label class="audin-datatable__busca">Buscar ' +
+                    '<input type="search" placeholder="' + escapeHtml(opts.searchPlaceholder || '') + '" ' +
+                    'aria-controls="' + escapeHtml(idBase) + '"></label>') +
+            '<label class="audin-datatable__tamanho">Mostrar <select>' + pageSizes.map(function (n) {
+                return '<option value="' + n + '"' + (n === estado.pageSize ? ' selected' : '') + '>' + (n === 0 ? 'Todas' : n) + '</option>';
+            }).join('') + '</select></label>' +
+            '<div class="audin-datatable__acoes"></div>';
+
+        (opts.actions || []).forEach(function (acao) {
+            var botao = document.createElement('button');
+            botao.type = 'button';
+            botao.className = 'audin-datatable__acao';
+            botao.innerHTML = (acao.icon ? '<ion-icon name="' + escapeHtml(acao.icon) + '" aria-hidden="true"></ion-icon> ' : '') + escapeHtml(acao.label);
+            botao.addEventListener('click', function () { acao.onClick(instancia); });
+            barra.querySelector('.audin-datatable__acoes').appendChild(botao);
+        });
+
+        var thead = table.tHead || table.createTHead();
+        thead.innerHTML =
+            '<tr>' + colunas.map(function (col, i) {
+                var attrs = (col.width ? ' style="width: ' + escapeHtml(col.width) + '"' : '') +
+                    (col.className ? ' class="' + escapeHtml(col.className) + '"' : '');
+                if (!col.sortable) {
+                    return '<th scope="col"' + attrs + '>' + escapeHtml(col.title) + '</th>';
+                }
+                return '<th scope="col"' + attrs + ' aria-sort="none">' +
+                    '<button type="button" class="audin-datatable__ordenar" data-coluna="' + i + '">' +
+                    escapeHtml(col.title) + '<span class="audin-datatable__seta" aria-hidden="true"></span></button></th>';
+            }).join('') + '</tr>' +
+            (colunas.some(function (col) { return col.filter; })
+                ? '<tr class="audin-datatable__filtros">' + colunas.map(function (col, i) {
+                    if (col.filter === 'text') {
+                        return '<td><input type="search" data-coluna="' + i + '" aria-label="Filtrar ' + escapeHtml(col.title) + '"></td>';
+                    }
+                    if (col.filter === 'select') {
+                        return '<td><select data-coluna="' + i + '" aria-label="Filtrar ' + escapeHtml(col.title) + '"></select></td>';
+                    }
+                    return '<td></td>';
+                }).join('') + '</tr>'
+                : '');
+
+        // Linhas do cabecalho (titulos e, com filtros por coluna, a dos
+        // filtros) contam em aria-rowcount/aria-rowindex antes das de dados
+        var linhasCabecalho = thead.rows.length;
+        Array.prototype.forEach.call(thead.rows, function (tr, i) {
+            tr.setAttribute('aria-rowindex', String(i + 1));
+        });
+
+        var tbody = table.tBodies[0] || table.appendChild(document.createElement('tbody'));
+        table.id = idBase;
+
+        /* ---------- eventos ---------- */
+
+        function emit(type, detail) {
+            (listeners[type] || []).slice().forEach(function (fn) {
+                try {
+                    fn(detail);
+                } catch (e) {
+                    console.error('AUDIN.initDataTable: erro em listener de "' + type + '"', e);
+                }
+            });
+        }
+
+        function on(type, fn) {
+            (listeners[type] = listeners[type] || []).push(fn);
+            return function () { off(type, fn); };
+        }
+
+        function off(type, fn) {
+            listeners[type] = (listeners[type] || []).filter(function (f) { return f !== fn; });
+        }
+
+        var anuncio;
+        function announce(texto) {
+            // Limpa antes para repetir o mesmo texto; atraso evita anuncios a cada tecla
+            clearTimeout(anuncio);
+            anuncio = setTimeout(function () {
+                aviso.textContent = '';
+                aviso.textContent = texto;
+            }, 150);
+        }
+
+        /* ---------- dados ---------- */
+
+        function textoBusca(registro) {
+            if (registro.texto === undefined) {
+                registro.texto = fold(colunas.filter(function (col) { return col.searchable; }).map(function (col) {
+                    var valor = col.get(registro.row);
+                    return isEmpty(valor) ? '' : valor;
+                }).join(' '));
+            }
+            return registro.texto;
+        }
+
+        function matchesFiltros(registro) {
+            for (var i = 0; i < colunas.length; i++) {
+                var filtro = estado.filtros[i];
+                if (filtro === '') {
+                    continue;
+                }
+                if (colunas[i].values && colunas[i].filter === 'select') {
+                    if (colunas[i].values(registro.row).map(String).indexOf(filtro) === -1) {
+                        return false;
+                    }
+                    continue;
+                }
+                var valor = colunas[i].get(registro.row);
+                valor = isEmpty(valor) ? '' : String(valor);
+                if (colunas[i].filter === 'text' ? fold(valor).indexOf(fold(filtro)) === -1 : valor !== filtro) {
+                    return false;
+                }
+            }
+            return true;
+        }
+
+        function matchesBusca(registro) {
+            if (!estado.consulta) {
+                return true;
+            }
+            if (estado.relevancia) {
+                return estado.relevancia.has(registro.row);
+            }
+            var texto = textoBusca(registro);
+            return fold(estado.consulta).split(/\s+/).every(function (termo) {
+                return !termo || texto.indexOf(termo) !== -1;
+            });
+        }
+
+        function comparator() {
+            if (estado.relevancia && !estado.ordemManual) {
+                return function (a, b) {
+                    return (estado.relevancia.get(b.row) || 0) - (estado.relevancia.get(a.row) || 0) || a.indice - b.indice;
+                };
+            }
+            return function (a, b) {
+                for (var k = 0; k < estado.ordem.length; k++) {
+                    var col = colunas[estado.ordem[k][0]];
+                    var r = compareValues(col.get(a.row), col.get(b.row));
+                    if (r !== 0) {
+                        return estado.ordem[k][1] === 'desc' && !isEmpty(col.get(a.row)) && !isEmpty(col.get(b.row)) ? -r : r;
+                    }
+                }
+                return a.indice - b.indice;
+            };
+        }
+
+        function compute() {
+            visiveis = estado.linhas.filter(function (registro) {
+                return matchesFiltros(registro) && matchesBusca(registro);
+            }).sort(comparator());
+
+            var paginas = totalPaginas();
+            if (estado.pagina >= paginas) {
+                estado.pagina = Math.max(0, paginas - 1);
+            }
+            paginaAtual = estado.pageSize > 0
+                ? visiveis.slice(estado.pagina * estado.pageSize, (estado.pagina + 1) * estado.pageSize)
+                : visiveis;
+        }
+
+        function totalPaginas() {
+            return estado.pageSize > 0 ? Math.max(1, Math.ceil(visiveis.length / estado.pageSize)) : 1;
+        }
+
+        /* ---------- renderizacao ---------- */
+
+        function renderCell(col, row) {
+            var valor = col.get(row);
+            if (col.render) {
+                return col.render(valor, row, { query: estado.consulta });
+            }
+            return isEmpty(valor) ? '' : escapeHtml(valor);
+        }
+
+        function renderRow(registro, posicao) {
+            var inicio = estado.pageSize > 0 ? estado.pagina * estado.pageSize : 0;
+            // Apos as linhas do cabecalho; aria-rowindex comeca em 1
+            return '<tr data-audin-row="' + registro.indice + '" aria-rowindex="' + (inicio + posicao + linhasCabecalho + 1) + '">' +
+                colunas.map(function (col) {
+                    return '<td' + (col.className ? ' class="' + escapeHtml(col.className) + '"' : '') + '>' + renderCell(col, registro.row) + '</td>';
+                }).join('') + '</tr>';
+        }
+
+        function spacer(altura) {
+            return altura > 0
+                ? '<tr class="audin-datatable__espaco" aria-hidden="true"><td colspan="' + colunas.length + '" style="height: ' + Math.round(altura) + 'px"></td></tr>'
+                : '';
+        }
+
+        function virtual() {
+            return virtualAfter > 0 && paginaAtual.length > virtualAfter;
+        }
+
+        function renderBody() {
+            if (paginaAtual.length === 0) {
+                tbody.innerHTML = '<tr class="audin-datatable__vazio"><td colspan="' + colunas.length + '">' +
+                    'Nenhum resultado.</td></tr>';
+                return;
+            }
+            if (!virtual()) {
+                tbody.innerHTML = paginaAtual.map(renderRow).join('');
+                return;
+            }
+
+            var altura = estado.alturaLinha;
+            var topo = Math.max(0, wrapper.scrollTop - thead.offsetHeight);
+            var inicio = Math.max(0, Math.floor(topo / altura) - OVERSCAN);
+            var quantidade = Math.ceil((wrapper.clientHeight || 600) / altura) + OVERSCAN * 2;
+            var fim = Math.min(paginaAtual.length, inicio + quantidade);
+
+            tbody.innerHTML = spacer(inicio * altura) +
+                paginaAtual.slice(inicio, fim).map(function (registro, i) {
+                    return renderRow(registro, inicio + i);
+                }).join('') +
+                spacer((paginaAtual.length - fim) * altura);
+
+            // Refina a altura estimada com as linhas montadas (texto longo quebra em varias linhas)
+            var montadas = tbody.querySelectorAll('tr[data-audin-row]');
+            if (montadas.length > 0) {
+                var soma = 0;
+                Array.prototype.forEach.call(montadas, function (tr) { soma += tr.offsetHeight; });
+                var media = soma / montadas.length;
+                if (media > 0 && Math.abs(media - altura) / altura > 0.1) {
+                    estado.alturaLinha = media;
+                    agendarRolagem();
+                }
+            }
+        }
+
+        var quadro = null;
+        function agendarRolagem() {
+            if (quadro !== null || !virtual()) {
+                return;
+            }
+            var raf = window.requestAnimationFrame || function (fn) { return setTimeout(fn, 16); };
+            quadro = raf(function () {
+                quadro = null;
+                renderBody();
+            });
+        }
+
+        function renderHeader() {
+            var principal = estado.relevancia && !estado.ordemManual ? null : estado.ordem[0];
+            Array.prototype.forEach.call(thead.rows[0].cells, function (th, i) {
+                if (!colunas[i].sortable) {
+                    return;
+                }
+                var criterio = estado.ordem.filter(function (o) { return o[0] === i; })[0];
+                var ativo = principal && principal[0] === i;
+                th.setAttribute('aria-sort', ativo ? (principal[1] === 'desc' ? 'descending' : 'ascending') : 'none');
+                th.querySelector('.audin-datatable__seta').textContent = criterio && !(estado.relevancia && !estado.ordemManual)
+                    ? (criterio[1] === 'desc' ? '▼' : '▲')
+                    : '';
+            });
+        }
+
+        function renderFiltros() {
+            var linha = thead.querySelector('.audin-datatable__filtros');
+            if (!linha) {
+                return;
+            }
+            Array.prototype.forEach.call(linha.querySelectorAll('select'), function (select) {
+                var i = Number(select.dataset.coluna);
+                var valores = {};
+                estado.linhas.forEach(function (registro) {
+                    var lista = colunas[i].values ? colunas[i].values(registro.row) : [colunas[i].get(registro.row)];
+                    lista.forEach(function (valor) {
+                        if (!isEmpty(valor)) {
+                            valores[String(valor)] = true;
+                        }
+                    });
+                });
+                select.innerHTML = '<option value="">Todos</option>' + Object.keys(valores).sort(compareValues).map(function (valor) {
+                    return '<option value="' + escapeHtml(valor) + '">' + escapeHtml(valor) + '</option>';
+                }).join('');
+                select.value = estado.filtros[i];
+            });
+            Array.prototype.forEach.call(linha.querySelectorAll('input'), function (input) {
+                input.value = estado.filtros[Number(input.dataset.coluna)];
+            });
+        }
+
+        function renderRodape() {
+            var info = rodape.querySelector('.audin-datatable__info');
+            var total = visiveis.length;
+            var inicio = estado.pageSize > 0 ? estado.pagina * estado.pageSize : 0;
+            var texto = total === 0
+                ? 'Nenhum resultado'
+                : 'Mostrando ' + (inicio + 1) + ' a ' + (inicio + paginaAtual.length) + ' de ' + plural(total, noun);
+            if (total !== estado.linhas.length) {
+                texto += ' (filtrado de ' + estado.linhas.length + ')';
+            }
+            info.textContent = texto;
+
+            var paginas = totalPaginas();
+            var nav = rodape.querySelector('.audin-datatable__paginas');
+            if (paginas <= 1) {
+                nav.innerHTML = '';
+                return;
+            }
+
+            var atual = estado.pagina;
+            var numeros = [];
+            for (var p = 0; p < paginas; p++) {
+                if (p === 0 || p === paginas - 1 || Math.abs(p - atual) <= 2) {
+                    numeros.push(p);
+                } else if (numeros[numeros.length - 1] !== '...') {
+                    numeros.push('...');
+                }
+            }
+
+            nav.innerHTML =
+                '<button type="button" data-pagina="' + (atual - 1) + '"' + (atual === 0 ? ' disabled' : '') + '>Anterior</button>' +
+                numeros.map(function (n) {
+                    if (n === '...') {
+                        return '<span class="audin-datatable__reticencias" aria-hidden="true">…</span>';
+                    }
+                    return '<button type="button" data-pagina="' + n + '"' +
+                        (n === atual ? ' aria-current="page" class="audin-datatable__pagina--atual"' : '') +
+                        ' aria-label="Página ' + (n + 1) + '">' + (n + 1) + '</button>';
+                }).join('') +
+                '<button type="button" data-pagina="' + (atual + 1) + '"' + (atual >= paginas - 1 ? ' disabled' : '') + '>Próximo</button>';
+        }
+
+        function draw() {
+            compute();
+            wrapper.classList.toggle('audin-table-wrapper--virtual', virtual());
+            table.setAttribute('aria-rowcount', String(visiveis.length + linhasCabecalho));
+            renderHeader();
+            renderBody();
+            renderRodape();
+            emit('draw', state());
+        }
+
+        /* ---------- interacao ---------- */
+
+        function describeOrder() {
+            if (estado.relevancia && !estado.ordemManual) {
+                return 'Ordenado por relevância.';
+            }
+            if (estado.ordem.length === 0) {
+                return '';
+            }
+            return 'Ordenado por ' + estado.ordem.map(function (o) {
+                return colunas[o[0]].title + (o[1] === 'desc' ? ', ordem decrescente' : ', ordem crescente');
+            }).join('; depois por ') + '.';
+        }
+
+        /**
+         * Clique no cabecalho: a coluna principal alterna a direcao; outra
+         * coluna passa a ser a principal, crescente. Com acrescentar (Shift),
+         * a coluna entra como criterio seguinte ou alterna o seu.
+         */
+        function sort(coluna, direcao, acrescentar) {
+            var existente = estado.ordem.filter(function (o) { return o[0] === coluna; })[0];
+            var relevancia = estado.relevancia && !estado.ordemManual;
+            function alternar(o) {
+                return o && o[1] === 'asc' ? 'desc' : 'asc';
+            }
+
+            if (acrescentar && !relevancia) {
+                if (existente) {
+                    existente[1] = direcao || alternar(existente);
+                } else {
+                    estado.ordem.push([coluna, direcao || 'asc']);
+                }
+            } else {
+                var principal = !relevancia && estado.ordem[0] && estado.ordem[0][0] === coluna ? estado.ordem[0] : null;
+                estado.ordem = [[coluna, direcao || (principal ? alternar(principal) : 'asc')]];
+            }
+            estado.ordemManual = true;
+            estado.pagina = 0;
+            draw();
+            announce(describeOrder());
+        }
+
+        function setOrder(ordem) {
+            estado.ordem = copyOrder(ordem);
+            estado.ordemManual = true;
+            estado.pagina = 0;
+            draw();
+        }
+
+        function announceResultado() {
+            announce(visiveis.length === 0
+                ? 'Nenhum resultado.'
+                : 'Resultado: ' + plural(visiveis.length, noun) + '.' +
+                  (estado.relevancia && !estado.ordemManual ? ' Ordenado por relevância.' : ''));
+        }
+
+        function filter(coluna, valor) {
+            estado.filtros[coluna] = isEmpty(valor) ? '' : String(valor);
+            estado.pagina = 0;
+            renderFiltros();
+            draw();
+            announceResultado();
+        }
+
+        function search(consulta) {
+            var texto = String(consulta || '').trim();
+            estado.relevancia = texto && opts.rank ? opts.rank(texto) : null;
+            estado.consulta = opts.rank ? (estado.relevancia ? texto : '') : texto;
+            // Nova consulta com relevancia volta a ordenar por ela
+            if (estado.relevancia) {
+                estado.ordemManual = false;
+            } else if (!estado.ordemManual) {
+                estado.ordem = copyOrder(ordemPadrao);
+            }
+            estado.pagina = 0;
+            var input = barra.querySelector('.audin-datatable__busca input');
+            if (input && input.value !== String(consulta || '')) {
+                input.value = String(consulta || '');
+            }
+            draw();
+            announceResultado();
+        }
+
+        function page(n) {
+            estado.pagina = Math.max(0, Math.min(totalPaginas() - 1, n));
+            draw();
+            wrapper.scrollTop = 0;
+        }
+
+        function setPageSize(n) {
+            estado.pageSize = n;
+            estado.pagina = 0;
+            barra.querySelector('.audin-datatable__tamanho select').value = String(n);
+            draw();
+        }
+
+        function setRows(rows) {
+            estado.linhas = (rows || []).map(function (row, i) {
+                return { row: row, indice: i };
+            });
+            if (estado.consulta && opts.rank) {
+                estado.relevancia = opts.rank(estado.consulta);
+            }
+            renderFiltros();
+            draw();
+        }
+
+        /** Linhas filtradas e ordenadas (todas as paginas). */
+        function visibleRows() {
+            return visiveis.map(function (registro) { return registro.row; });
+        }
+
+        /** Linha de dados correspondente a um elemento dentro do <tbody>. */
+        function rowOf(element) {
+            var tr = element && element.closest ? element.closest('tr[data-audin-row]') : null;
+            if (!tr || !tbody.contains(tr)) {
+                return null;
+            }
+            var registro = estado.linhas[Number(tr.dataset.audinRow)];
+            return registro ? registro.row : null;
+        }
+
+        /** Consulta, filtros por titulo de coluna, ordem, pagina e totais. */
+        function state() {
+            var filtros = {};
+            estado.filtros.forEach(function (valor, i) {
+                if (valor !== '') {
+                    filtros[colunas[i].title] = valor;
+                }
+            });
+            return {
+                query: estado.consulta,
+                filters: filtros,
+                order: estado.relevancia && !estado.ordemManual ? 'relevancia' : estado.ordem.map(function (o) {
+                    return [colunas[o[0]].title, o[1]];
+                }),
+                page: estado.pagina,
+                pages: totalPaginas(),
+                pageSize: estado.pageSize,
+                total: visiveis.length,
+                totalRows: estado.linhas.length
+            };
+        }
+
+        var buscaTimer;
+        function onBarraInput(event) {
+            if (event.target.matches('.audin-datatable__busca input')) {
+                var valor = event.target.value;
+                clearTimeout(buscaTimer);
+                buscaTimer = setTimeout(function () { search(valor); }, 250);
+            }
+        }
+
+        function onBarraChange(event) {
+            if (event.target.matches('.audin-datatable__tamanho select')) {
+                setPageSize(Number(event.target.value));
+            }
+        }
+
+        var filtroTimer;
+        function onTheadEvent(event) {
+            var alvo = event.target;
+            var botao = alvo.closest ? alvo.closest('.audin-datatable__ordenar') : null;
+            if (event.type === 'click' && botao) {
+                sort(Number(botao.dataset.coluna), null, event.shiftKey);
+                return;
+            }
+            if (alvo.dataset && alvo.dataset.coluna !== undefined && (alvo.tagName === 'SELECT' || alvo.tagName === 'INPUT')) {
+                if (alvo.tagName === 'SELECT' && event.type === 'change') {
+                    filter(Number(alvo.dataset.coluna), alvo.value);
+                } else if (alvo.tagName === 'INPUT' && event.type === 'input') {
+                    clearTimeout(filtroTimer);
+                    filtroTimer = setTimeout(function () { filter(Number(alvo.dataset.coluna), alvo.value); }, 250);
+                }
+            }
+        }
+
+        function onRodapeClick(event) {
+            var botao = event.target.closest ? event.target.closest('button[data-pagina]') : null;
+            if (botao && !botao.disabled) {
+                page(Number(botao.dataset.pagina));
+                var atual = rodape.querySelector('[aria-current="page"]');
+                if (atual) {
+                    atual.focus();
+                }
+                announce('Página ' + (estado.pagina + 1) + ' de ' + totalPaginas() + '.');
+            }
+        }
+
+        barra.addEventListener('input', onBarraInput);
+        barra.addEventListener('change', onBarraChange);
+        thead.addEventListener('click', onTheadEvent);
+        thead.addEventListener('change', onTheadEvent);
+        thead.addEventListener('input', onTheadEvent);
+        rodape.addEventListener('click', onRodapeClick);
+        wrapper.addEventListener('scroll', agendarRolagem, { passive: true });
+
+        function destroy() {
+            wrapper.removeEventListener('scroll', agendarRolagem);
+            raiz.parentNode.insertBefore(wrapper, raiz);
+            raiz.parentNode.removeChild(raiz);
+            wrapper.classList.remove('audin-table-wrapper--virtual');
+            thead.innerHTML = '';
+            tbody.innerHTML = '';
+            if (instancias) {
+                instancias.delete(table);
+            }
+            listeners = {};
+        }
+
+        var instancia = {
+            element: table,
+            setRows: setRows,
+            filter: filter,
+            search: search,
+            sort: function (coluna, direcao) { sort(coluna, direcao || 'asc', false); },
+            order: setOrder,
+            page: page,
+            pageSize: setPageSize,
+            visibleRows: visibleRows,
+            rowOf: rowOf,
+            state: state,
+            draw: draw,
+            on: on,
+            off: off,
+            destroy: destroy
+        };
+
+        if (instancias) {
+            instancias.set(table, instancia);
+        }
+
+        setRows(opts.rows || []);
+        return instancia;
+    }
+
+    /* ============================================
+       TABELAS DECLARATIVAS
+       ============================================ */
+
+    /**
+     * Inicializa table.audin-table[data-audin-datatable] a partir da marcacao.
+     * Atributos: data-audin-page-size no <table>; data-audin-filter
+     * ("select" | "text") e data-audin-sortable="false" no <th>.
+     *
+     * @param {HTMLElement|Document} [container=document]
+     * @returns {Object[]} Instancias
+     */
+    function initDataTables(container) {
+        var scope = container || document;
+        return Array.prototype.map.call(scope.querySelectorAll('table.audin-table[data-audin-datatable]'), function (table) {
+            if (instancias && instancias.has(table)) {
+                return instancias.get(table);
+            }
+
+            var ths = table.tHead ? Array.prototype.slice.call(table.tHead.rows[0].cells) : [];
+            var linhas = Array.prototype.map.call(table.tBodies[0] ? table.tBodies[0].rows : [], function (tr) {
+                return Array.prototype.map.call(tr.cells, function (td) {
+                    var texto = td.hasAttribute('data-sort') ? td.getAttribute('data-sort') : td.textContent.trim();
+                    var numero = texto !== '' && !isNaN(Number(texto)) ? Number(texto) : texto;
+                    return { valor: numero, html: td.innerHTML };
+                });
+            });
+
+            var pageSize = table.getAttribute('data-audin-page-size');
+
+            return initDataTable(table, {
+                rows: linhas,
+                pageSize: pageSize !== null ? Number(pageSize) : 25,
+                columns: ths.map(function (th, i) {
+                    return {
+                        title: th.textContent.trim(),
+                        data: function (row) { return row[i] ? row[i].valor : ''; },
+                        render: function (valor, row) { return row[i] ? row[i].html : ''; },
+                        filter: th.getAttribute('data-audin-filter') || false,
+                        sortable: th.getAttribute('data-audin-sortable') !== 'false'
+                    };
+                })
+            });
+        });
+    }
+
+    /* ============================================
+       API PUBLICA
+       ============================================ */
+
+    AUDIN.initDataTable = initDataTable;
+    AUDIN.initDataTables = initDataTables;
+
+    /* ============================================
+       AUTO-INIT
+       ============================================ */
+
+    document.addEventListener('DOMContentLoaded', function () {
+        initDataTables(document);
+    });
+})();
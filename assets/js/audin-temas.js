@@ -0,0 +1,508 @@
+/**
+ * AUDIN - Classificacao de recomendacoes por tema
+ *
+ * Classificador por regras mantidas a mao em data/temas.json (codigo,
+ * nome, palavras, regex). Cada recomendacao recebe todos os temas cujas
+ * regras casam com o texto; sem nenhuma regra casada fica 'Sem tema'.
+ * Estende o namespace window.AUDIN.
+ *
+ * Regras (comparadas com o texto sem acentos, em minusculas):
+ *   palavras  prefixos casados no inicio de palavra
+ *             ('orcament' casa 'orçamentária', mas nao 'reorcamento')
+ *   regex     expressoes livres (ex: '\\bti\\b' para a sigla isolada)
+ *
+ * Revisao manual (classificacao errada):
+ *   data/temas_revisao.json  revisoes publicadas ({ id, temas, data, obs })
+ *   localStorage             revisoes feitas no navegador, ainda nao
+ *                            publicadas; exportarRevisoes() gera o arquivo
+ *                            mesclado para substituir data/temas_revisao.json
+ *   Revisao local > revisao publicada > regras.
+ *
+ * Registro classificado (demais campos inalterados):
+ *   Temas        codigos dos temas (vazio quando sem tema)
+ *   TemasNomes   nomes dos temas, na ordem de data/temas.json
+ *   Tema         nomes unidos por ', ' ou 'Sem tema'
+ *   TemaOrigem   'regras', 'revisao' ou 'local'
+ *
+ * Componentes:
+ *   - Revisao: [data-audin-temas-revisao] (pagina de detalhe, le ?id= da URL)
+ *
+ * Uso:
+ *   AUDIN.temas.load().then(function (classificador) {
+ *       classificador.classify('Revisar a planilha de custos');  // ['planilhas-custos']
+ *       var registros = AUDIN.temas.apply(registros, classificador);
+ *   });
+ *   AUDIN.temas.of(registro);   // ['Planilhas de custos'] ou ['Sem tema']
+ *
+ * Dependencias: audin-data.js; a revisao usa audin-recomendacoes.js.
+ * AUDIN.recomendacoes.load() classifica os registros quando este script
+ * esta carregado.
+ */
+(function () {
+    'use strict';
+
+    window.AUDIN = window.AUDIN || {};
+
+    /** Rotulo de recomendacoes sem nenhum tema. */
+    var SEM_TEMA = 'Sem tema';
+
+    /** Chave das revisoes locais: { id: { temas: [...], data: 'DD/MM/AAAA' } } */
+    var STORAGE_KEY = 'audin-temas-revisao';
+
+    var ORIGENS = {
+        regras: 'Classificação automática pelas regras de data/temas.json.',
+        revisao: 'Classificação revisada (data/temas_revisao.json).',
+        local: 'Revisão feita neste navegador, ainda não publicada.'
+    };
+
+    /** Texto sem acentos, em minusculas e com espacos simples. */
+    function fold(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    function escapeRegex(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    function escapeHtml(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function hoje() {
+        var d = new Date();
+        return ('0' + d.getDate()).slice(-2) + '/' + ('0' + (d.getMonth() + 1)).slice(-2) + '/' + d.getFullYear();
+    }
+
+    /* ============================================
+       CLASSIFICADOR
+       ============================================ */
+
+    /** Expressoes de uma regra; regex invalida e avisada e ignorada. */
+    function compile(regra) {
+        var testes = (regra.palavras || []).filter(Boolean).map(function (palavra) {
+            return new RegExp('(?:^|[^a-z0-9])' + escapeRegex(fold(palavra)));
+        });
+
+        (regra.regex || []).forEach(function (fonte) {
+            try {
+                testes.push(new RegExp(fonte));
+            } catch (e) {
+                console.warn('AUDIN.temas: regex invalida no tema "' + regra.codigo + '": ' + fonte);
+            }
+        });
+
+        return { codigo: regra.codigo, nome: regra.nome, testes: testes };
+    }
+
+    /**
+     * Cria o classificador sobre as regras e as revisoes manuais.
+     *
+     * @param {RegraTema[]} regras
+     * @param {Array<RevisaoTema>} [revisoes] - Revisoes posteriores substituem as
+     *     anteriores do mesmo id; { local: true } marca revisao do navegador
+     * @returns {Object} { temas, nome, classify, resolve, regras }
+     */
+    function create(regras, revisoes) {
+        var compiladas = (regras || []).map(compile);
+        var porCodigo = {};
+        compiladas.forEach(function (regra) {
+            porCodigo[regra.codigo] = regra;
+        });
+
+        // Codigos na ordem das regras; codigos fora de data/temas.json sao descartados
+        function ordenar(codigos) {
+            return compiladas
+                .filter(function (regra) { return codigos.indexOf(regra.codigo) !== -1; })
+                .map(function (regra) { return regra.codigo; });
+        }
+
+        var porId = {};
+        (revisoes || []).forEach(function (revisao) {
+            var desconhecidos = (revisao.temas || []).filter(function (c) { return !porCodigo[c]; });
+            if (desconhecidos.length > 0) {
+                console.warn('AUDIN.temas: revisao de "' + revisao.id + '" com tema desconhecido: ' + desconhecidos.join(', '));
+            }
+            porId[revisao.id] = {
+                temas: ordenar(revisao.temas || []),
+                origem: revisao.local ? 'local' : 'revisao'
+            };
+        });
+
+        /**
+         * Temas cujas regras casam com o texto.
+         *
+         * @param {string} texto
+         * @returns {string[]} Codigos, na ordem de data/temas.json
+         */
+        function classify(texto) {
+            var normalizado = fold(texto);
+            return compiladas
+                .filter(function (regra) {
+                    return regra.testes.some(function (re) { return re.test(normalizado); });
+                })
+                .map(function (regra) { return regra.codigo; });
+        }
+
+        /**
+         * Temas de um registro, considerando as revisoes.
+         *
+         * @param {RegistroRecomendacao} registro
+         * @returns {{temas: string[], regras: string[], origem: string}}
+         */
+        function resolve(registro) {
+            var regrasCasadas = classify(registro.Texto || registro.Recomendacao);
+            var revisao = porId[registro.id];
+            return revisao
+                ? { temas: revisao.temas, regras: regrasCasadas, origem: revisao.origem }
+                : { temas: regrasCasadas, regras: regrasCasadas, origem: 'regras' };
+        }
+
+        return {
+            classify: classify,
+            resolve: resolve,
+
+            /** @type {RegraTema[]} Regras de origem (recriar com outras revisoes) */
+            regras: regras || [],
+
+            /** @returns {Array<{codigo: string, nome: string}>} Temas, na ordem do arquivo */
+            temas: function () {
+                return compiladas.map(function (regra) {
+                    return { codigo: regra.codigo, nome: regra.nome };
+                });
+            },
+
+            /** Nome do tema; o proprio codigo quando desconhecido. */
+            nome: function (codigo) {
+                return porCodigo[codigo] ? porCodigo[codigo].nome : codigo;
+            }
+        };
+    }
+
+    /**
+     * Registros com Temas, TemasNomes, Tema e TemaOrigem.
+     *
+     * @param {RegistroRecomendacao[]} registros
+     * @param {Object} classificador - Resultado de create()
+     * @returns {RegistroRecomendacao[]} Novos registros (a entrada nao e alterada)
+     */
+    function apply(registros, classificador) {
+        return (registros || []).map(function (registro) {
+            var resultado = classificador.resolve(registro);
+            var nomes = resultado.temas.map(classificador.nome);
+
+            var out = {};
+            Object.keys(registro).forEach(function (campo) {
+                out[campo] = registro[campo];
+            });
+            out.Temas = resultado.temas;
+            out.TemasNomes = nomes;
+            out.Tema = nomes.length > 0 ? nomes.join(', ') : SEM_TEMA;
+            out.TemaOrigem = resultado.origem;
+            return out;
+        });
+    }
+
+    /**
+     * Nomes dos temas de um registro (filtros e graficos por tema).
+     *
+     * @param {Object} registro
+     * @returns {string[]} [SEM_TEMA] quando nao classificado
+     */
+    function of(registro) {
+        return registro.TemasNomes && registro.TemasNomes.length > 0 ? registro.TemasNomes : [SEM_TEMA];
+    }
+
+    /* ============================================
+       REVISOES LOCAIS
+       ============================================ */
+
+    function lerLocais() {
+        try {
+            var salvo = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '{}');
+            return salvo && typeof salvo === 'object' ? salvo : {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    function gravarLocais(locais) {
+        try {
+            if (Object.keys(locais).length > 0) {
+                window.localStorage.setItem(STORAGE_KEY, JSON.stringify(locais));
+            } else {
+                window.localStorage.removeItem(STORAGE_KEY);
+            }
+        } catch (e) {
+            console.warn('AUDIN.temas: nao foi possivel salvar a revisao no navegador', e);
+        }
+    }
+
+    /**
+     * Revisoes feitas neste navegador.
+     *
+     * @returns {RevisaoTema[]} Com { local: true }
+     */
+    function revisoesLocais() {
+        var locais = lerLocais();
+        return Object.keys(locais).map(function (id) {
+            return {
+                id: id,
+                temas: Array.isArray(locais[id].temas) ? locais[id].temas.map(String) : [],
+                data: String(locais[id].data || ''),
+                obs: '',
+                local: true
+            };
+        });
+    }
+
+    /**
+     * Salva (ou substitui) a revisao local de uma recomendacao.
+     *
+     * @param {string} id
+     * @param {string[]} temas - Codigos; vazio marca a recomendacao como sem tema
+     */
+    function salvarRevisao(id, temas) {
+        var locais = lerLocais();
+        locais[id] = { temas: temas.slice(), data: hoje() };
+        gravarLocais(locais);
+    }
+
+    /** Remove a revisao local de uma recomendacao (volta a publicada ou as regras). */
+    function removerRevisao(id) {
+        var locais = lerLocais();
+        delete locais[id];
+        gravarLocais(locais);
+    }
+
+    /** Remove todas as revisoes locais. */
+    function descartarRevisoes() {
+        gravarLocais({});
+    }
+
+    /**
+     * Revisoes publicadas com as locais aplicadas por cima, ordenadas por id,
+     * no formato de data/temas_revisao.json.
+     *
+     * @param {RevisaoTema[]} publicadas
+     * @returns {Array<Object>}
+     */
+    function mesclarRevisoes(publicadas) {
+        var porId = {};
+        (publicadas || []).concat(revisoesLocais()).forEach(function (revisao) {
+            var item = { id: revisao.id, temas: revisao.temas };
+            if (revisao.data) {
+                item.data = revisao.data;
+            }
+            if (revisao.obs) {
+                item.obs = revisao.obs;
+            }
+            porId[revisao.id] = item;
+        });
+        return Object.keys(porId).sort().map(function (id) { return porId[id]; });
+    }
+
+    /**
+     * Baixa temas_revisao.json com as revisoes publicadas e as locais,
+     * pronto para substituir data/temas_revisao.json.
+     *
+     * @param {RevisaoTema[]} publicadas
+     */
+    function exportarRevisoes(publicadas) {
+        var conteudo = JSON.stringify(mesclarRevisoes(publicadas), null, 4) + '\n';
+        var blob = new Blob([conteudo], { type: 'application/json;charset=utf-8' });
+        var url = URL.createObjectURL(blob);
+        var link = document.createElement('a');
+        link.href = url;
+        link.download = 'temas_revisao.json';
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(function () { URL.revokeObjectURL(url); }, 1000);
+    }
+
+    /* ============================================
+       CARGA
+       ============================================ */
+
+    var carregando = null;
+
+    /** Regras e revisoes publicadas (uma vez por pagina). */
+    function loadArquivos() {
+        if (!carregando) {
+            // Revisoes sao opcionais: sem temas_revisao.json valem so as regras
+            var revisoes = AUDIN.data.loadTemasRevisao().catch(function () { return []; });
+            carregando = Promise.all([AUDIN.data.loadTemas(), revisoes]).then(function (results) {
+                return { regras: results[0], publicadas: results[1] };
+            });
+            carregando.catch(function () { carregando = null; });
+        }
+        return carregando;
+    }
+
+    /**
+     * Classificador com as regras publicadas, as revisoes publicadas e as
+     * revisoes locais deste navegador.
+     *
+     * @returns {Promise<Object>} Resultado de create()
+     */
+    function load() {
+        return loadArquivos().then(function (arquivos) {
+            return create(arquivos.regras, arquivos.publicadas.concat(revisoesLocais()));
+        });
+    }
+
+    /* ============================================
+       REVISAO (PAGINA DE DETALHE)
+       ============================================ */
+
+    function renderRevisao(container, registro, classificador, publicadas) {
+        var resultado = classificador.resolve(registro);
+        var nomes = resultado.temas.map(classificador.nome);
+        var divergente = resultado.origem !== 'regras' && resultado.regras.join() !== resultado.temas.join();
+        var locais = revisoesLocais().length;
+
+        container.innerHTML =
+            '<section class="audin-rec audin-temas" aria-labelledby="audin-temas-titulo">' +
+                '<h3 id="audin-temas-titulo" class="audin-rec__subtitulo">Temas</h3>' +
+                '<ul class="audin-temas__lista">' +
+                    (nomes.length > 0
+                        ? nomes.map(function (nome) { return '<li class="audin-temas__chip">' + escapeHtml(nome) + '</li>'; }).join('')
+                        : '<li class="audin-temas__chip audin-temas__chip--vazio">' + SEM_TEMA + '</li>') +
+                '</ul>' +
+                '<p class="audin-temas__origem">' + ORIGENS[resultado.origem] +
+                    (divergente ? ' Pelas regras: ' + escapeHtml(resultado.regras.map(classificador.nome).join(', ') || SEM_TEMA) + '.' : '') +
+                '</p>' +
+                '<details class="audin-temas__revisao">' +
+                    '<summary>Corrigir classificação</summary>' +
+                    '<form>' +
+                        '<fieldset>' +
+                            '<legend>Temas desta recomendação</legend>' +
+                            classificador.temas().map(function (tema) {
+                                return '<label><input type="checkbox" name="tema" value="' + escapeHtml(tema.codigo) + '"' +
+                                    (resultado.temas.indexOf(tema.codigo) !== -1 ? ' checked' : '') + '> ' +
+                                    escapeHtml(tema.nome) + '</label>';
+                            }).join('') +
+                        '</fieldset>' +
+                        '<button type="submit" class="audin-rec__copiar">Salvar revisão</button>' +
+                        (resultado.origem === 'local' ? ' <button type="button" class="audin-temas__botao" data-acao="desfazer">Desfazer revisão local</button>' : '') +
+                    '</form>' +
+                '</details>' +
+                (locais > 0
+                    ? '<p class="audin-temas__locais">' + locais + (locais === 1 ? ' revisão local ainda não publicada. ' : ' revisões locais ainda não publicadas. ') +
+                        '<button type="button" class="audin-temas__botao" data-acao="exportar">Exportar temas_revisao.json</button> ' +
+                        '<button type="button" class="audin-temas__botao" data-acao="descartar">Descartar revisões locais</button>' +
+                      '</p>'
+                    : '') +
+                '<span class="audin-temas__aviso" role="status"></span>' +
+            '</section>';
+
+        function atualizar(aviso) {
+            var novo = create(classificador.regras, publicadas.concat(revisoesLocais()));
+            renderRevisao(container, registro, novo, publicadas);
+            container.querySelector('.audin-temas__aviso').textContent = aviso;
+        }
+
+        container.querySelector('form').addEventListener('submit', function (event) {
+            event.preventDefault();
+            var marcados = Array.prototype.slice.call(container.querySelectorAll('input[name="tema"]'))
+                .filter(function (input) { return input.checked; })
+                .map(function (input) { return input.value; });
+
+            // Sem revisao publicada, escolher exatamente os temas das regras dispensa a revisao
+            var publicada = publicadas.some(function (r) { return r.id === registro.id; });
+            if (!publicada && marcados.join() === resultado.regras.join()) {
+                removerRevisao(registro.id);
+            } else {
+                salvarRevisao(registro.id, marcados);
+            }
+            atualizar('Revisão salva neste navegador.');
+        });
+
+        Array.prototype.slice.call(container.querySelectorAll('[data-acao]')).forEach(function (botao) {
+            botao.addEventListener('click', function () {
+                var acao = botao.getAttribute('data-acao');
+                if (acao === 'exportar') {
+                    exportarRevisoes(publicadas);
+                    container.querySelector('.audin-temas__aviso').textContent =
+                        'Arquivo gerado. Substitua data/temas_revisao.json para publicar as revisões.';
+                    return;
+                }
+                if (acao === 'desfazer') {
+                    removerRevisao(registro.id);
+                    atualizar('Revisão local desfeita.');
+                    return;
+                }
+                if (acao === 'descartar' && window.confirm('Descartar todas as revisões de tema feitas neste navegador?')) {
+                    descartarRevisoes();
+                    atualizar('Revisões locais descartadas.');
+                }
+            });
+        });
+    }
+
+    /**
+     * Monta a revisao de temas em cada [data-audin-temas-revisao],
+     * usando o parametro ?id= da URL. Sem recomendacao, fica vazio.
+     */
+    function initRevisao() {
+        var containers = Array.prototype.slice.call(document.querySelectorAll('[data-audin-temas-revisao]'));
+        if (containers.length === 0 || !AUDIN.recomendacoes) {
+            return;
+        }
+
+        var id = new URLSearchParams(window.location.search).get('id');
+
+        Promise.all([AUDIN.recomendacoes.load(), loadArquivos()]).then(function (results) {
+            var registro = id ? AUDIN.recomendacoes.find(results[0], id) : null;
+            if (!registro) {
+                return;
+            }
+            var arquivos = results[1];
+            var classificador = create(arquivos.regras, arquivos.publicadas.concat(revisoesLocais()));
+            containers.forEach(function (container) {
+                renderRevisao(container, registro, classificador, arquivos.publicadas);
+            });
+        }).catch(function (error) {
+            console.error('AUDIN.temas: erro ao carregar temas', error);
+            AUDIN.data.markUnavailable(containers, error.file);
+        });
+    }
+
+    /* ============================================
+       API PUBLICA
+       ============================================ */
+
+    AUDIN.temas = {
+        SEM_TEMA: SEM_TEMA,
+        fold: fold,
+        create: create,
+        apply: apply,
+        of: of,
+        load: load,
+        revisoesLocais: revisoesLocais,
+        salvarRevisao: salvarRevisao,
+        removerRevisao: removerRevisao,
+        descartarRevisoes: descartarRevisoes,
+        mesclarRevisoes: mesclarRevisoes,
+        exportarRevisoes: exportarRevisoes,
+        initRevisao: initRevisao
+    };
+
+    /* ============================================
+       AUTO-INIT
+       ============================================ */
+
+    if (typeof document !== 'undefined') {
+        document.addEventListener('DOMContentLoaded', initRevisao);
+    }
+})();
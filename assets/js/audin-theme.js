@@ -0,0 +1,384 @@
+/**
+ * AUDIN - Temas de cor e tokens dos graficos
+ *
+ * Le as custom properties de dev/assets/css/audin-tokens.css para que
+ * Chart.js e Plotly usem as mesmas cores e fontes do CSS, e alterna o
+ * tema da pagina (claro, escuro, alto contraste) lembrando a escolha.
+ * Estende o namespace window.AUDIN.
+ *
+ * Temas (atributo data-audin-theme no <html>):
+ *   light          padrao
+ *   dark           fundo escuro
+ *   high-contrast  fundo claro, contraste minimo de 7:1
+ *
+ * Os tokens sao escopados em [class^="audin-"]; a leitura usa um
+ * elemento oculto com essa classe. Sem audin-tokens.css carregado,
+ * vale a paleta clara de DEFAULTS (espelho dos tokens).
+ *
+ * Troca de tema:
+ *   set() grava a escolha (localStorage), repassa aos iframes de grafico
+ *   (AUDIN.frames.setTheme) e avisa os listeners de 'change'. Os graficos
+ *   se redesenham com a nova paleta: AUDIN.charts (Chart.js, audin-core.js),
+ *   hierarquias Plotly do dashboard e AUDIN.chartData.plot.
+ *   Paginas embutidas (iframe) nao leem a escolha gravada: seguem o tema
+ *   enviado pela pagina host.
+ *
+ * Componentes:
+ *   - Seletor: [data-audin-theme-switcher] (grupo de botoes com aria-pressed),
+ *     na barra superior (.topbar) de cada pagina do site
+ *
+ * Paginas do site: carregar no <head>, apos style.css e audin-tokens.css;
+ * o visual das paginas responde a data-audin-theme em assets/css/style.css.
+ *
+ * Uso:
+ *   var p = AUDIN.theme.palette();
+ *   p.status['Pendente'];                   // '#ef5350' no tema claro
+ *   p.series[0];                            // primeira cor categorica
+ *   AUDIN.theme.alpha(p.primary, 0.2);      // 'rgba(46, 125, 50, 0.2)'
+ *   AUDIN.theme.scale(p.sequential);        // colorscale do Plotly
+ *   AUDIN.theme.set('dark');
+ *   AUDIN.theme.on('change', function (detail) { ... detail.name ... });
+ *
+ * Dependencias: nenhuma (usa AUDIN.frames quando carregado).
+ */
+(function () {
+    'use strict';
+
+    window.AUDIN = window.AUDIN || {};
+
+    var THEMES = ['light', 'dark', 'high-contrast'];
+
+    var NOMES = {
+        'light': 'Claro',
+        'dark': 'Escuro',
+        'high-contrast': 'Alto contraste'
+    };
+
+    /** Chave da escolha do usuario no localStorage. */
+    var STORAGE_KEY = 'audin-theme';
+
+    /** Valores do tema claro, usados quando o token nao pode ser lido. */
+    var DEFAULTS = {
+        'font-family': "'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif",
+        'color-primary': '#2e7d32',
+        'color-primary-hover': '#1b5e20',
+        'color-primary-light': '#e8f5e9',
+        'color-secondary': '#4a5568',
+        'color-text': '#2d3748',
+        'color-text-muted': '#4a5568',
+        'color-surface': '#ffffff',
+        'color-background': '#f7fafc',
+        'color-border': '#e2e8f0',
+        'color-info': '#2b6cb0',
+        'color-warning': '#c05621',
+        'color-danger': '#c53030',
+        'status-atendida': '#66bb6a',
+        'status-baixada': '#42a5f5',
+        'status-implementacao': '#ffca28',
+        'status-pendente': '#ef5350',
+        'chart-1': '#2e7d32',
+        'chart-2': '#c05621',
+        'chart-3': '#2b6cb0',
+        'chart-4': '#c53030',
+        'chart-5': '#4a5568',
+        'chart-6': '#1b5e20',
+        'chart-7': '#6a1b9a',
+        'chart-8': '#00838f',
+        'chart-seq-1': '#e8f5e9',
+        'chart-seq-2': '#a5d6a7',
+        'chart-seq-3': '#4caf50',
+        'chart-seq-4': '#2e7d32',
+        'chart-seq-5': '#1b5e20',
+        'chart-heat-0': '#f5f5f5',
+        'chart-heat-1': '#e1bee7',
+        'chart-heat-2': '#ce93d8',
+        'chart-heat-3': '#ab47bc',
+        'chart-heat-4': '#7b1fa2',
+        'chart-heat-5': '#4a148c',
+        'chart-branch': '#ffa15a',
+        'chart-node': '#5c6bc0',
+        'chart-neutral': '#999999',
+        'chart-axis': '#a0aec0',
+        'chart-grid': 'rgba(0, 0, 0, 0.1)'
+    };
+
+    var listeners = {};
+
+    var isEmbedded = window.parent && window.parent !== window;
+
+    function emit(type, detail) {
+        (listeners[type] || []).slice().forEach(function (fn) {
+            try {
+                fn(detail);
+            } catch (e) {
+                console.error('AUDIN.theme: erro em listener de "' + type + '"', e);
+            }
+        });
+    }
+
+    function on(type, fn) {
+        (listeners[type] = listeners[type] || []).push(fn);
+        return function () { off(type, fn); };
+    }
+
+    function off(type, fn) {
+        listeners[type] = (listeners[type] || []).filter(function (f) { return f !== fn; });
+    }
+
+    /* ============================================
+       LEITURA DOS TOKENS
+       ============================================ */
+
+    var probe = null;
+
+    /** Elemento oculto com classe audin-, no qual os tokens se aplicam. */
+    function probeElement() {
+        if (!document.body) {
+            return null;
+        }
+        if (!probe || !probe.isConnected) {
+            probe = document.createElement('span');
+            probe.className = 'audin-theme-probe';
+            probe.hidden = true;
+            probe.setAttribute('aria-hidden', 'true');
+            document.body.appendChild(probe);
+        }
+        return probe;
+    }
+
+    /**
+     * Valor de um token no tema atual.
+     *
+     * @param {string} name - Nome sem o prefixo (ex: 'color-primary', 'chart-grid')
+     * @returns {string} Valor do CSS ou de DEFAULTS ('' se desconhecido)
+     */
+    function token(name) {
+        var el = probeElement();
+        var valor = el && window.getComputedStyle
+            ? window.getComputedStyle(el).getPropertyValue('--audin-' + name).trim()
+            : '';
+        return valor || DEFAULTS[name] || '';
+    }
+
+    function tokens(prefix, inicio, fim) {
+        var valores = [];
+        for (var i = inicio; i <= fim; i++) {
+            valores.push(token(prefix + i));
+        }
+        return valores;
+    }
+
+    /**
+     * Cores e fonte dos graficos no tema atual, por papel.
+     *
+     * @returns {Object} { name, fontFamily, text, textMuted, surface, background,
+     *     border, primary, primaryHover, primaryLight, secondary, info, warning,
+     *     danger, axis, grid, neutral, node, branch, status, series, sequential, heat }
+     */
+    function palette() {
+        return {
+            name: current(),
+            fontFamily: token('font-family'),
+            text: token('color-text'),
+            textMuted: token('color-text-muted'),
+            surface: token('color-surface'),
+            background: token('color-background'),
+            border: token('color-border'),
+            primary: token('color-primary'),
+            primaryHover: token('color-primary-hover'),
+            primaryLight: token('color-primary-light'),
+            secondary: token('color-secondary'),
+            info: token('color-info'),
+            warning: token('color-warning'),
+            danger: token('color-danger'),
+            axis: token('chart-axis'),
+            grid: token('chart-grid'),
+            neutral: token('chart-neutral'),
+            node: token('chart-node'),
+            branch: token('chart-branch'),
+
+            /** Por Situacao (mesmos rotulos de AUDIN.chartData.STATUS_ORDER) */
+            status: {
+                'Atendida': token('status-atendida'),
+                'Baixada': token('status-baixada'),
+                'Em Implementação': token('status-implementacao'),
+                'Pendente': token('status-pendente')
+            },
+
+            /** 8 cores categoricas */
+            series: tokens('chart-', 1, 8),
+
+            /** 5 cores, da menor para a maior intensidade */
+            sequential: tokens('chart-seq-', 1, 5),
+
+            /** 6 cores; a primeira e a celula vazia */
+            heat: tokens('chart-heat-', 0, 5)
+        };
+    }
+
+    /* ============================================
+       UTILITARIOS DE COR
+       ============================================ */
+
+    /**
+     * Cor com transparencia.
+     *
+     * @param {string} color - '#rgb', '#rrggbb', 'rgb(...)' ou 'rgba(...)'
+     * @param {number} a - Opacidade (0 a 1)
+     * @returns {string} 'rgba(r, g, b, a)'; a cor original se nao reconhecida
+     */
+    function alpha(color, a) {
+        var texto = String(color || '').trim();
+        var rgb = null;
+
+        var hex = texto.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+        if (hex) {
+            var h = hex[1].length === 3
+                ? hex[1].replace(/(.)/g, '$1$1')
+                : hex[1];
+            rgb = [0, 2, 4].map(function (i) { return parseInt(h.substr(i, 2), 16); });
+        } else {
+            var funcao = texto.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i);
+            if (funcao) {
+                rgb = [funcao[1], funcao[2], funcao[3]].map(Number);
+            }
+        }
+
+        return rgb ? 'rgba(' + rgb.join(', ') + ', ' + a + ')' : texto;
+    }
+
+    /**
+     * Colorscale do Plotly com as cores igualmente espacadas.
+     *
+     * @param {string[]} colors
+     * @returns {Array<Array>} Ex: [[0, '#e8f5e9'], [0.5, '#4caf50'], [1, '#1b5e20']]
+     */
+    function scale(colors) {
+        var n = colors.length;
+        return colors.map(function (color, i) {
+            return [n > 1 ? Math.round(i / (n - 1) * 1000) / 1000 : 0, color];
+        });
+    }
+
+    /* ============================================
+       TEMA ATUAL
+       ============================================ */
+
+    function current() {
+        return document.documentElement.getAttribute('data-audin-theme') || 'light';
+    }
+
+    function stored() {
+        try {
+            var name = window.localStorage.getItem(STORAGE_KEY);
+            return THEMES.indexOf(name) !== -1 ? name : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Aplica e grava o tema, repassando aos graficos embutidos.
+     *
+     * @param {string} name - Um de THEMES
+     * @returns {boolean} false para tema desconhecido
+     */
+    function set(name) {
+        if (THEMES.indexOf(name) === -1) {
+            console.warn('AUDIN.theme: tema desconhecido "' + name + '"');
+            return false;
+        }
+
+        if (AUDIN.frames) {
+            AUDIN.frames.setTheme(name);
+        } else {
+            document.documentElement.setAttribute('data-audin-theme', name);
+        }
+
+        try {
+            window.localStorage.setItem(STORAGE_KEY, name);
+        } catch (e) {
+            // Sem localStorage (modo privado): vale so nesta pagina
+        }
+
+        emit('change', { name: name });
+        return true;
+    }
+
+    /* ============================================
+       SELETOR DE TEMA
+       ============================================ */
+
+    function atualizarSeletores() {
+        var name = current();
+        var botoes = document.querySelectorAll('.audin-theme-switcher__opcao');
+        Array.prototype.forEach.call(botoes, function (botao) {
+            botao.setAttribute('aria-pressed', botao.getAttribute('data-theme') === name ? 'true' : 'false');
+        });
+    }
+
+    /**
+     * Monta o seletor em cada [data-audin-theme-switcher] ainda vazio.
+     */
+    function initSwitcher() {
+        var containers = document.querySelectorAll('[data-audin-theme-switcher]');
+
+        Array.prototype.forEach.call(containers, function (container) {
+            if (container.querySelector('.audin-theme-switcher__opcao')) {
+                return;
+            }
+
+            container.classList.add('audin-theme-switcher');
+            container.setAttribute('role', 'group');
+            container.setAttribute('aria-label', container.getAttribute('data-label') || 'Tema de cores');
+            container.innerHTML = THEMES.map(function (name) {
+                return '<button type="button" class="audin-theme-switcher__opcao" data-theme="' + name +
+                    '" aria-pressed="false">' + NOMES[name] + '</button>';
+            }).join('');
+
+            container.addEventListener('click', function (event) {
+                var botao = event.target.closest('.audin-theme-switcher__opcao');
+                if (botao) {
+                    set(botao.getAttribute('data-theme'));
+                }
+            });
+        });
+
+        atualizarSeletores();
+    }
+
+    on('change', atualizarSeletores);
+
+    /* ============================================
+       API PUBLICA
+       ============================================ */
+
+    AUDIN.theme = {
+        THEMES: THEMES,
+        NOMES: NOMES,
+        DEFAULTS: DEFAULTS,
+        token: token,
+        palette: palette,
+        alpha: alpha,
+        scale: scale,
+        current: current,
+        set: set,
+        on: on,
+        off: off,
+        initSwitcher: initSwitcher
+    };
+
+    /* ============================================
+       AUTO-INIT
+       ============================================ */
+
+    // Aplica a escolha gravada ja no carregamento do script (no <head>,
+    // evita desenhar a pagina no tema errado)
+    if (typeof document !== 'undefined') {
+        var escolhido = isEmbedded ? null : stored();
+        if (escolhido) {
+            document.documentElement.setAttribute('data-audin-theme', escolhido);
+        }
+        document.addEventListener('DOMContentLoaded', initSwitcher);
+    }
+})();
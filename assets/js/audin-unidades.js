@@ -0,0 +1,382 @@
+/**
+ * AUDIN - Scorecard por unidade auditada
+ *
+ * Uma pagina por unidade (unidade/index.html?unidade=PROGESP) com totais
+ * por situacao, efetividade comparada a media institucional, relatorios
+ * que envolveram a unidade, evolucao anual e recomendacoes em aberto.
+ * Sem ?unidade=, a pagina lista todas as unidades com link para o scorecard.
+ * Estende o namespace window.AUDIN.
+ *
+ * O parametro e o mesmo do filtro global (AUDIN.filters): o grafico anual
+ * embutido ([data-audin-chart]) recebe o recorte da unidade sem configuracao
+ * extra, e um filtro de ano na URL (?ano=2021-) vale para todo o scorecard.
+ *
+ * Componentes:
+ *   - Scorecard / indice: [data-audin-unidade] (montado automaticamente)
+ *
+ * Uso:
+ *   AUDIN.unidades.link('PROGESP');
+ *   AUDIN.unidades.scorecard(registros, 'PROGESP');
+ *
+ * Dependencias: audin-data.js, audin-stats.js, audin-recomendacoes.js,
+ * audin-filters.js; audin-registro.js (opcional: nome por extenso, vinculo
+ * e apelidos na URL)
+ */
+(function () {
+    'use strict';
+
+    window.AUDIN = window.AUDIN || {};
+
+    var STATUS_ORDER = ['Atendida', 'Baixada', 'Em Implementação', 'Pendente'];
+    var ABERTAS = ['Em Implementação', 'Pendente'];
+
+    /* ============================================
+       CALCULOS
+       ============================================ */
+
+    function compareText(a, b) {
+        return a < b ? -1 : a > b ? 1 : 0;
+    }
+
+    /** Recomendacoes de uma unidade, incluindo as de rotulo composto. */
+    function rowsOf(registros, unidade) {
+        return registros.filter(function (r) {
+            return AUDIN.stats.unitsOf(r).indexOf(unidade) !== -1;
+        });
+    }
+
+    /**
+     * Resumo de todas as unidades, em ordem alfabetica. Recomendacoes de
+     * rotulo composto contam para cada unidade envolvida.
+     *
+     * @param {Array<Object>} registros
+     * @returns {Array<{Unidade: string, total: number, abertas: number, efetividade: number}>}
+     */
+    function list(registros) {
+        var porUnidade = {};
+        registros.forEach(function (r) {
+            AUDIN.stats.unitsOf(r).forEach(function (unidade) {
+                (porUnidade[unidade] = porUnidade[unidade] || []).push(r);
+            });
+        });
+
+        return Object.keys(porUnidade).sort(compareText).map(function (unidade) {
+            var stats = AUDIN.stats.compute(porUnidade[unidade]);
+            return {
+                Unidade: unidade,
+                total: stats.total_recomendacoes,
+                abertas: stats.pendentes + stats.em_implementacao,
+                efetividade: stats.efetividade
+            };
+        });
+    }
+
+    /**
+     * Relatorios que envolveram a unidade, do mais recente ao mais antigo.
+     */
+    function reportsOf(linhas) {
+        var porRelatorio = {};
+        linhas.forEach(function (r) {
+            var chave = r.Ano + '|' + r.Relatorio;
+            var rel = porRelatorio[chave] = porRelatorio[chave] || { Ano: r.Ano, Relatorio: r.Relatorio, total: 0, concluidas: 0, abertas: 0 };
+            rel.total++;
+            if (ABERTAS.indexOf(r.Situacao) !== -1) {
+                rel.abertas++;
+            } else {
+                rel.concluidas++;
+            }
+        });
+
+        return Object.keys(porRelatorio).map(function (k) { return porRelatorio[k]; }).sort(function (a, b) {
+            return compareText(b.Ano, a.Ano) ||
+                compareText(String(a.Relatorio).padStart(6, '0'), String(b.Relatorio).padStart(6, '0'));
+        });
+    }
+
+    /**
+     * Indicadores de uma unidade comparados ao conjunto de registros.
+     *
+     * @param {Array<Object>} registros - RegistroRecomendacao[] (todas as unidades)
+     * @param {string} unidade
+     * @returns {Object|null} null quando a unidade nao tem recomendacoes
+     */
+    function scorecard(registros, unidade) {
+        var linhas = rowsOf(registros, unidade);
+        if (linhas.length === 0) {
+            return null;
+        }
+
+        var stats = AUDIN.stats.compute(linhas);
+        var institucional = AUDIN.stats.compute(registros);
+        var ranking = list(registros).sort(function (a, b) {
+            return b.efetividade - a.efetividade || compareText(a.Unidade, b.Unidade);
+        });
+
+        var abertas = linhas.filter(function (r) {
+            return ABERTAS.indexOf(r.Situacao) !== -1;
+        }).sort(function (a, b) {
+            return compareText(a.Ano, b.Ano) ||
+                compareText(String(a.Relatorio), String(b.Relatorio)) ||
+                (a.Numero === null ? Infinity : a.Numero) - (b.Numero === null ? Infinity : b.Numero);
+        });
+
+        return {
+            Unidade: unidade,
+            stats: stats,
+            porStatus: STATUS_ORDER.map(function (situacao) {
+                return {
+                    Situacao: situacao,
+                    total: linhas.filter(function (r) { return r.Situacao === situacao; }).length
+                };
+            }),
+            efetividadeMedia: institucional.efetividade,
+            diferenca: Math.round((stats.efetividade - institucional.efetividade) * 10) / 10,
+            posicao: ranking.map(function (u) { return u.Unidade; }).indexOf(unidade) + 1,
+            totalUnidades: ranking.length,
+            relatorios: reportsOf(linhas),
+            abertas: abertas
+        };
+    }
+
+    /**
+     * URL do scorecard de uma unidade.
+     *
+     * @param {string} unidade
+     * @returns {string}
+     */
+    function link(unidade) {
+        return AUDIN.url('unidade/index.html?unidade=' + encodeURIComponent(unidade));
+    }
+
+    /* ============================================
+       RENDERIZACAO
+       ============================================ */
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function formatNumber(valor) {
+        return Number(valor).toLocaleString('pt-BR');
+    }
+
+    /** Resolvedor do cadastro de unidades (null enquanto nao carregado). */
+    var registro = null;
+
+    /** Nome por extenso da unidade, quando cadastrada. */
+    function nomeDe(codigo) {
+        var nome = registro ? registro.nome(codigo) : codigo;
+        return nome !== codigo ? nome : '';
+    }
+
+    function renderIndex(container, unidades) {
+        container.innerHTML =
+            '<section class="audin-unidade">' +
+                '<h2 class="audin-unidade__titulo">Unidades auditadas (' + unidades.length + ')</h2>' +
+                '<table class="audin-unidade__tabela">' +
+                    '<thead><tr><th scope="col">Unidade</th><th scope="col">Nome</th><th scope="col">Recomendações</th>' +
+                    '<th scope="col">Em aberto</th><th scope="col">Efetividade</th></tr></thead>' +
+                    '<tbody>' + unidades.map(function (u) {
+                        return '<tr><th scope="row"><a href="' + escapeHtml(link(u.Unidade)) + '">' + escapeHtml(u.Unidade) + '</a></th>' +
+                            '<td>' + escapeHtml(nomeDe(u.Unidade)) + '</td>' +
+                            '<td>' + u.total + '</td><td>' + u.abertas + '</td>' +
+                            '<td>' + formatNumber(u.efetividade) + '%</td></tr>';
+                    }).join('') + '</tbody>' +
+                '</table>' +
+            '</section>';
+        document.title = 'Unidades - AUDIN';
+    }
+
+    function renderNotFound(container, unidade) {
+        container.innerHTML = '<section class="audin-unidade">' +
+            '<h2 class="audin-unidade__titulo">Unidade não encontrada</h2>' +
+            '<p>Nenhuma recomendação para <strong>' + escapeHtml(unidade) + '</strong> no recorte atual. ' +
+            'Consulte a <a href="' + escapeHtml(AUDIN.url('unidade/index.html')) + '">lista de unidades</a>.</p>' +
+            '</section>';
+        document.title = 'Unidade não encontrada - AUDIN';
+    }
+
+    function renderComparacao(card) {
+        var sinal = card.diferenca > 0 ? '+' : '';
+        var classe = card.diferenca > 0 ? 'melhora' : card.diferenca < 0 ? 'piora' : 'estavel';
+
+        return '<div class="audin-unidade__comparacao">' +
+            '<div class="audin-unidade__barra"><span>' + escapeHtml(card.Unidade) + '</span>' +
+                '<div class="audin-unidade__trilho"><div class="audin-unidade__valor" style="width: ' + card.stats.efetividade + '%"></div></div>' +
+                '<strong>' + formatNumber(card.stats.efetividade) + '%</strong></div>' +
+            '<div class="audin-unidade__barra audin-unidade__barra--media"><span>Média UFAM</span>' +
+                '<div class="audin-unidade__trilho"><div class="audin-unidade__valor" style="width: ' + card.efetividadeMedia + '%"></div></div>' +
+                '<strong>' + formatNumber(card.efetividadeMedia) + '%</strong></div>' +
+            '<p class="audin-delta audin-delta--' + classe + '">' +
+                (card.diferenca === 0 ? 'Igual à média institucional' : sinal + formatNumber(card.diferenca) + ' p.p. em relação à média institucional') +
+                ' · ' + card.posicao + 'ª de ' + card.totalUnidades + ' unidades</p>' +
+            '</div>';
+    }
+
+    function renderRelatorios(relatorios) {
+        return '<table class="audin-unidade__tabela">' +
+            '<caption>Relatórios que envolveram a unidade (' + relatorios.length + ')</caption>' +
+            '<thead><tr><th scope="col">Ano</th><th scope="col">Relatório</th><th scope="col">Recomendações</th>' +
+            '<th scope="col">Concluídas</th><th scope="col">Em aberto</th></tr></thead>' +
+            '<tbody>' + relatorios.map(function (rel) {
+                return '<tr><td>' + escapeHtml(rel.Ano || '—') + '</td><td>' + escapeHtml(rel.Relatorio) + '</td>' +
+                    '<td>' + rel.total + '</td><td>' + rel.concluidas + '</td><td>' + rel.abertas + '</td></tr>';
+            }).join('') + '</tbody>' +
+            '</table>';
+    }
+
+    function renderAbertas(abertas) {
+        if (abertas.length === 0) {
+            return '<p class="audin-unidade__vazio">Nenhuma recomendação em aberto.</p>';
+        }
+        return '<ol class="audin-unidade__abertas">' + abertas.map(function (r) {
+            var resumo = r.Texto.length > 160 ? r.Texto.slice(0, 157) + '...' : r.Texto;
+            return '<li><a href="' + escapeHtml(AUDIN.recomendacoes.link(r.id)) + '">' + escapeHtml(AUDIN.recomendacoes.titulo(r)) + '</a> ' +
+                '<span class="' + AUDIN.recomendacoes.statusClass(r.Situacao) + '">' + escapeHtml(r.Situacao) + '</span>' +
+                '<span class="audin-unidade__resumo">' + escapeHtml(resumo) + '</span></li>';
+        }).join('') + '</ol>';
+    }
+
+    /** Grafico anual (charts/bar_status_ano.html) no recorte da unidade. */
+    function renderGrafico(card) {
+        var chart = AUDIN.url('charts/bar_status_ano.html');
+        var estado = yearsOnly();
+        estado.unidades = [card.Unidade];
+        var src = AUDIN.filters ? AUDIN.filters.withQuery(chart, estado) : chart + '?unidade=' + encodeURIComponent(card.Unidade);
+
+        return '<iframe data-audin-chart="bar_status_ano" src="' + escapeHtml(src) + '" ' +
+            'title="Evolução anual das recomendações de ' + escapeHtml(card.Unidade) + '" ' +
+            'class="audin-unidade__grafico"></iframe>';
+    }
+
+    function renderScorecard(container, card) {
+        var recorte = AUDIN.filters && AUDIN.filters.isActive(yearsOnly()) ? AUDIN.filters.describe(yearsOnly()) : '';
+        var info = registro ? registro.info(card.Unidade) : null;
+        var vinculo = info ? [info.nome, info.orgao_superior ? 'vinculada a ' + info.orgao_superior : '', info.campus].filter(Boolean).join(' · ') : '';
+
+        container.innerHTML =
+            '<section class="audin-unidade">' +
+                '<header class="audin-unidade__cabecalho">' +
+                    '<h2 class="audin-unidade__titulo">' + escapeHtml(card.Unidade) + '</h2>' +
+                    (vinculo ? '<p class="audin-unidade__subtitulo">' + escapeHtml(vinculo) + '</p>' : '') +
+                    '<p class="audin-unidade__subtitulo">Scorecard da unidade' + (recorte ? ' · ' + escapeHtml(recorte) : '') + '</p>' +
+                '</header>' +
+                '<div class="audin-unidade__status">' +
+                    '<div class="audin-unidade__total"><strong>' + card.stats.total_recomendacoes + '</strong><span>Recomendações</span></div>' +
+                    card.porStatus.map(function (s) {
+                        return '<div class="audin-unidade__total"><strong>' + s.total + '</strong>' +
+                            '<span class="' + AUDIN.recomendacoes.statusClass(s.Situacao) + '">' + escapeHtml(s.Situacao) + '</span></div>';
+                    }).join('') +
+                '</div>' +
+                '<h3 class="audin-unidade__secao">Efetividade</h3>' +
+                renderComparacao(card) +
+            '</section>' +
+            '<section class="audin-unidade">' +
+                '<h3 class="audin-unidade__secao">Evolução por ano</h3>' +
+                renderGrafico(card) +
+            '</section>' +
+            '<section class="audin-unidade">' +
+                '<h3 class="audin-unidade__secao">Recomendações em aberto (' + card.abertas.length + ')</h3>' +
+                renderAbertas(card.abertas) +
+            '</section>' +
+            '<section class="audin-unidade">' +
+                renderRelatorios(card.relatorios) +
+            '</section>';
+
+        document.title = card.Unidade + ' - Scorecard - AUDIN';
+    }
+
+    /** Filtro global restrito ao periodo (unidade e situacao nao se aplicam). */
+    function yearsOnly() {
+        var s = AUDIN.filters ? AUDIN.filters.get() : null;
+        return { anoInicio: s ? s.anoInicio : null, anoFim: s ? s.anoFim : null, unidades: [], status: [] };
+    }
+
+    /**
+     * Unidade pedida na URL (?unidade=); com varias, a primeira.
+     * Apelidos do cadastro ('GAB REITOR') levam ao codigo canonico.
+     *
+     * @returns {string}
+     */
+    function requested() {
+        var unidade = AUDIN.filters ? AUDIN.filters.get().unidades[0] || '' :
+            new URLSearchParams(window.location.search).get('unidade') || '';
+        var codigos = registro && unidade ? registro.resolve(unidade) : [];
+        return codigos.length === 1 ? codigos[0] : unidade;
+    }
+
+    /** Cadastro de unidades; a pagina funciona sem ele (so codigos). */
+    function loadRegistro() {
+        if (!AUDIN.registro) {
+            return Promise.resolve(null);
+        }
+        return AUDIN.registro.load().catch(function (error) {
+            console.warn('AUDIN.unidades: cadastro de unidades indisponivel', error);
+            return null;
+        });
+    }
+
+    /**
+     * Monta o scorecard (ou o indice de unidades) em [data-audin-unidade].
+     */
+    function initScorecard() {
+        var containers = Array.prototype.slice.call(document.querySelectorAll('[data-audin-unidade]'));
+        if (containers.length === 0) {
+            return;
+        }
+
+        Promise.all([AUDIN.recomendacoes.load(), loadRegistro()]).then(function (carregados) {
+            var registros = carregados[0];
+            registro = carregados[1];
+
+            function update() {
+                var unidade = requested();
+                var recorte = AUDIN.filters ? AUDIN.filters.apply(registros, yearsOnly()) : registros;
+                var card = unidade ? scorecard(recorte, unidade) : null;
+
+                Array.prototype.forEach.call(document.querySelectorAll('[data-audin-unidade-voltar]'), function (el) {
+                    el.hidden = !unidade;
+                });
+
+                containers.forEach(function (container) {
+                    if (!unidade) {
+                        renderIndex(container, list(recorte));
+                    } else if (!card) {
+                        renderNotFound(container, unidade);
+                    } else {
+                        renderScorecard(container, card);
+                    }
+                });
+            }
+
+            if (AUDIN.filters) {
+                AUDIN.filters.on('change', update);
+            }
+            update();
+        }).catch(function (error) {
+            console.error('AUDIN.unidades: erro ao carregar recomendacoes', error);
+            AUDIN.data.markUnavailable(containers, error.file);
+        });
+    }
+
+    /* ============================================
+       API PUBLICA
+       ============================================ */
+
+    AUDIN.unidades = {
+        list: list,
+        scorecard: scorecard,
+        link: link,
+        initScorecard: initScorecard
+    };
+
+    /* ============================================
+       AUTO-INIT
+       ============================================ */
+
+    document.addEventListener('DOMContentLoaded', initScorecard);
+})();
@@ -3,23 +3,69 @@
  * AUDIN/UFAM Dashboard
  */
 
-// Cache global para os dados
-let statsData = null;
-
 /**
- * Carrega os dados de estatísticas do JSON
+ * Carrega as estatísticas da página
+ * Os indicadores são recalculados a partir de recomendacoes_table.json
+ * (AUDIN.stats), restritos ao recorte de AUDIN.filters, e conferidos com
+ * o stats.json publicado quando não há filtro; divergências vão para o
+ * console. Se a tabela falhar, usa o stats.json como está (só sem filtro).
  */
 async function loadStats() {
-    if (statsData) return statsData;
+    const filtrado = AUDIN.filters.isActive();
+    let publicado = null;
 
     try {
-        const response = await fetch('/data/stats.json');
-        statsData = await response.json();
-        return statsData;
+        publicado = await AUDIN.data.loadStats();
     } catch (error) {
         console.error('Erro ao carregar stats.json:', error);
-        return null;
     }
+
+    try {
+        const rows = AUDIN.filters.apply(await AUDIN.data.loadRecomendacoes());
+        const stats = AUDIN.stats.compute(rows);
+        stats.data_atualizacao = publicado ? publicado.data_atualizacao : '--/--/----';
+
+        if (!filtrado) {
+            reportDivergencias(AUDIN.stats.compare(stats, publicado));
+        }
+        return stats;
+    } catch (error) {
+        console.error('Erro ao calcular estatísticas a partir de recomendacoes_table.json:', error);
+        return filtrado ? null : publicado;
+    }
+}
+
+/**
+ * Carrega os snapshots de historico.json. Sem histórico os cards
+ * continuam funcionando, apenas sem variações e tendência.
+ */
+async function loadHistorico() {
+    try {
+        return await AUDIN.data.loadHistorico();
+    } catch (error) {
+        console.error('Erro ao carregar historico.json:', error);
+        return [];
+    }
+}
+
+/**
+ * Registra no console os campos em que stats.json difere dos dados
+ */
+function reportDivergencias(divergencias) {
+    if (divergencias.length === 0) return;
+
+    console.warn(`stats.json diverge de recomendacoes_table.json em ${divergencias.length} campo(s); exibindo valores calculados.`);
+    console.table(divergencias);
+}
+
+/**
+ * Marca como indisponíveis os valores que dependem de stats.json,
+ * para que os números estáticos do HTML não passem por dados atuais.
+ * O banner com o motivo é exibido por AUDIN.data.
+ */
+function markStatsUnavailable(ids) {
+    const elements = ids.map(id => document.getElementById(id)).filter(Boolean);
+    AUDIN.data.markUnavailable(elements, 'stats.json');
 }
 
 /**
@@ -36,6 +82,108 @@ function formatPercent(num) {
     return num.toLocaleString('pt-BR', { minimumFractionDigits: 1, maximumFractionDigits: 1 });
 }
 
+/**
+ * Formata a variação de um indicador com sinal explícito
+ * @param {number} valor - Diferença em relação ao snapshot anterior
+ * @param {boolean} pontos - true para efetividade (pontos percentuais)
+ */
+function formatDelta(valor, pontos) {
+    const sinal = valor > 0 ? '+' : '-';
+    return sinal + (pontos ? formatPercent(Math.abs(valor)) + ' p.p.' : formatNumber(Math.abs(valor)));
+}
+
+/**
+ * Exibe a variação de cada indicador desde o snapshot anterior
+ * (ex.: "+12 atendidas desde 15/01/2026"). Os snapshots cobrem a base
+ * completa, então as variações ficam ocultas com filtros ativos.
+ * @param {Object} stats - Indicadores atuais
+ * @param {Array} historico - Conteúdo de historico.json
+ * @param {Array<{id: string, campo: string, rotulo: string, melhor: string}>} itens -
+ *        melhor: 'alta', 'baixa' ou 'neutro' (define a cor da variação)
+ */
+function updateDeltas(stats, historico, itens) {
+    const variacao = AUDIN.filters.isActive() ? null : AUDIN.stats.delta(stats, historico);
+
+    itens.forEach(item => {
+        const element = document.getElementById(item.id);
+        if (!element) return;
+
+        const valor = variacao ? variacao.campos[item.campo] : undefined;
+        if (valor === undefined) {
+            element.hidden = true;
+            element.textContent = '';
+            return;
+        }
+
+        let tendencia = 'estavel';
+        if (valor !== 0 && item.melhor !== 'neutro') {
+            tendencia = (valor > 0) === (item.melhor === 'alta') ? 'melhora' : 'piora';
+        }
+
+        element.textContent = valor === 0
+            ? `Sem variação desde ${variacao.desde}`
+            : `${formatDelta(valor, item.campo === 'efetividade')} ${item.rotulo} desde ${variacao.desde}`;
+        element.className = `audin-delta audin-delta--${tendencia}`;
+        element.hidden = false;
+    });
+}
+
+/**
+ * Desenha uma sparkline SVG com a série de um indicador
+ * Precisa de ao menos dois pontos; oculta com filtros ativos
+ * @param {string} id - Elemento que recebe o SVG
+ * @param {Array<{data: string, valor: number}>} pontos - Resultado de AUDIN.stats.trend
+ * @param {string} nome - Nome do indicador para leitores de tela
+ */
+function renderSparkline(id, pontos, nome) {
+    const element = document.getElementById(id);
+    if (!element) return;
+
+    if (AUDIN.filters.isActive() || pontos.length < 2) {
+        element.hidden = true;
+        element.innerHTML = '';
+        return;
+    }
+
+    const largura = 120;
+    const altura = 32;
+    const margem = 3;
+    const valores = pontos.map(p => p.valor);
+    const min = Math.min(...valores);
+    const faixa = Math.max(...valores) - min || 1;
+
+    const coords = pontos.map((p, i) => [
+        margem + i * (largura - 2 * margem) / (pontos.length - 1),
+        altura - margem - (p.valor - min) / faixa * (altura - 2 * margem)
+    ].map(n => Math.round(n * 10) / 10));
+
+    const primeiro = pontos[0];
+    const ultimo = pontos[pontos.length - 1];
+    const descricao = `${nome}: ${formatPercent(primeiro.valor)}% em ${primeiro.data} a ` +
+        `${formatPercent(ultimo.valor)}% em ${ultimo.data} (${pontos.length} atualizações)`;
+    const fim = coords[coords.length - 1];
+
+    element.innerHTML =
+        `<svg class="audin-sparkline" viewBox="0 0 ${largura} ${altura}" role="img" aria-label="${descricao}">` +
+        `<title>${descricao}</title>` +
+        `<polyline points="${coords.map(c => c.join(',')).join(' ')}"/>` +
+        `<circle cx="${fim[0]}" cy="${fim[1]}" r="2.5"/>` +
+        '</svg>';
+    element.hidden = false;
+}
+
+/**
+ * Variações e tendência de efetividade a partir de historico.json
+ * Depende da data de stats.json para saber qual é o snapshot anterior
+ */
+async function updateHistorico(stats, itens, sparklineId) {
+    if (!/^\d{2}\/\d{2}\/\d{4}$/.test(stats.data_atualizacao)) return;
+
+    const historico = await loadHistorico();
+    updateDeltas(stats, historico, itens);
+    renderSparkline(sparklineId, AUDIN.stats.trend(historico, stats, 'efetividade'), 'Efetividade');
+}
+
 /**
  * Calcula o path do arco SVG para o gauge
  * @param {number} percentage - Percentual (0-100)
@@ -68,7 +216,15 @@ function calculateGaugeArc(percentage) {
  */
 async function updateDashboard() {
     const stats = await loadStats();
-    if (!stats) return;
+    if (!stats) {
+        markStatsUnavailable([
+            'card-relatorios', 'card-recomendacoes', 'card-beneficios', 'card-unidades',
+            'bar-atendidas', 'bar-baixadas', 'bar-implementacao', 'bar-pendentes',
+            'efetividade-valor', 'efetividade-atendidas-baixadas', 'efetividade-total',
+            'stat-anos', 'stat-relatorios', 'stat-unidades', 'data-atualizacao'
+        ]);
+        return;
+    }
 
     // Cards principais
     updateElement('card-relatorios', stats.total_relatorios);
@@ -97,6 +253,15 @@ async function updateDashboard() {
 
     // Data de atualização
     updateElement('data-atualizacao', stats.data_atualizacao);
+
+    // Variações desde a atualização anterior
+    await updateHistorico(stats, [
+        { id: 'delta-relatorios', campo: 'total_relatorios', rotulo: 'relatórios', melhor: 'neutro' },
+        { id: 'delta-recomendacoes', campo: 'total_recomendacoes', rotulo: 'recomendações', melhor: 'neutro' },
+        { id: 'delta-beneficios', campo: 'beneficios', rotulo: 'benefícios', melhor: 'alta' },
+        { id: 'delta-unidades', campo: 'total_unidades', rotulo: 'unidades', melhor: 'neutro' },
+        { id: 'delta-efetividade', campo: 'efetividade', rotulo: 'na efetividade', melhor: 'alta' }
+    ], 'efetividade-tendencia');
 }
 
 /**
@@ -104,7 +269,15 @@ async function updateDashboard() {
  */
 async function updateMonitoramento() {
     const stats = await loadStats();
-    if (!stats) return;
+    if (!stats) {
+        markStatsUnavailable([
+            'monitor-atendidas', 'monitor-atendidas-perc', 'monitor-baixadas', 'monitor-baixadas-perc',
+            'monitor-implementacao', 'monitor-implementacao-perc', 'monitor-pendentes', 'monitor-pendentes-perc',
+            'monitor-resolvidas-perc',
+            'progress-atendidas', 'progress-baixadas', 'progress-implementacao', 'progress-pendentes'
+        ]);
+        return;
+    }
 
     // Cards de status
     updateElement('monitor-atendidas', stats.atendidas);
@@ -124,6 +297,15 @@ async function updateMonitoramento() {
 
     // Atualizar barra de progresso
     updateProgressBar(stats);
+
+    // Variações desde a atualização anterior
+    await updateHistorico(stats, [
+        { id: 'delta-atendidas', campo: 'atendidas', rotulo: 'atendidas', melhor: 'alta' },
+        { id: 'delta-baixadas', campo: 'baixadas', rotulo: 'baixadas', melhor: 'alta' },
+        { id: 'delta-implementacao', campo: 'em_implementacao', rotulo: 'em implementação', melhor: 'neutro' },
+        { id: 'delta-pendentes', campo: 'pendentes', rotulo: 'pendentes', melhor: 'baixa' },
+        { id: 'delta-efetividade', campo: 'efetividade', rotulo: 'na efetividade', melhor: 'alta' }
+    ], 'efetividade-tendencia');
 }
 
 /**
@@ -131,7 +313,11 @@ async function updateMonitoramento() {
  */
 async function updateBeneficios() {
     const stats = await loadStats();
-    if (!stats) return;
+    if (!stats) {
+        markStatsUnavailable(['beneficios-total', 'beneficios-unidades', 'beneficios-media']
+            .concat([1, 2, 3, 4, 5].flatMap(n => [`top-beneficio-${n}-nome`, `top-beneficio-${n}-total`])));
+        return;
+    }
 
     // Cards principais
     updateElement('beneficios-total', stats.beneficios);
@@ -140,9 +326,9 @@ async function updateBeneficios() {
 
     // Top 5 unidades com benefícios
     if (stats.top_unidades_beneficios) {
-        stats.top_unidades_beneficios.forEach((item, index) => {
-            updateElement(`top-beneficio-${index + 1}-nome`, item.unidade);
-            updateElement(`top-beneficio-${index + 1}-total`, item.total);
+        updateRanking(stats.top_unidades_beneficios, 5, (item, n) => {
+            updateUnidade(`top-beneficio-${n}-nome`, item);
+            updateElement(`top-beneficio-${n}-total`, item ? item.total : '--');
         });
     }
 }
@@ -152,22 +338,26 @@ async function updateBeneficios() {
  */
 async function updateRaioX() {
     const stats = await loadStats();
-    if (!stats) return;
+    if (!stats) {
+        markStatsUnavailable(['raiox-unidades', 'raiox-anos', 'raiox-periodo', 'raiox-media', 'raiox-ano-pico', 'raiox-rec-pico']
+            .concat([1, 2, 3].flatMap(n => [`top-rec-${n}-nome`, `top-rec-${n}-total`, `top-rec-${n}-perc`])));
+        return;
+    }
 
     // Cards de estatísticas
     updateElement('raiox-unidades', stats.total_unidades);
     updateElement('raiox-anos', stats.anos_atuacao);
-    updateElement('raiox-periodo', `${stats.ano_inicio} - ${stats.ano_fim}`);
+    updateElement('raiox-periodo', stats.ano_inicio ? `${stats.ano_inicio} - ${stats.ano_fim}` : '--');
     updateElement('raiox-media', formatPercent(stats.media_rec_ano));
-    updateElement('raiox-ano-pico', stats.ano_pico);
+    updateElement('raiox-ano-pico', stats.ano_pico || '--');
     updateElement('raiox-rec-pico', stats.rec_ano_pico + ' recomendações');
 
     // Top unidades com mais recomendações
     if (stats.top_unidades_recomendacoes) {
-        stats.top_unidades_recomendacoes.slice(0, 3).forEach((item, index) => {
-            updateElement(`top-rec-${index + 1}-nome`, item.unidade);
-            updateElement(`top-rec-${index + 1}-total`, item.total);
-            updateElement(`top-rec-${index + 1}-perc`, formatPercent(item.percentual) + '% do total');
+        updateRanking(stats.top_unidades_recomendacoes, 3, (item, n) => {
+            updateUnidade(`top-rec-${n}-nome`, item);
+            updateElement(`top-rec-${n}-total`, item ? item.total : '--');
+            updateElement(`top-rec-${n}-perc`, item ? formatPercent(item.percentual) + '% do total' : '');
         });
     }
 }
@@ -177,17 +367,49 @@ async function updateRaioX() {
  */
 async function updateRelatorios() {
     const stats = await loadStats();
-    if (!stats) return;
+    if (!stats) {
+        markStatsUnavailable([1, 2, 3, 4, 5].flatMap(n => [`report-top-${n}-nome`, `report-top-${n}-total`]));
+        return;
+    }
 
     // Top 5 unidades com mais recomendações
     if (stats.top_unidades_recomendacoes) {
-        stats.top_unidades_recomendacoes.slice(0, 5).forEach((item, index) => {
-            updateElement(`report-top-${index + 1}-nome`, item.unidade);
-            updateElement(`report-top-${index + 1}-total`, item.total);
+        updateRanking(stats.top_unidades_recomendacoes, 5, (item, n) => {
+            updateUnidade(`report-top-${n}-nome`, item);
+            updateElement(`report-top-${n}-total`, item ? item.total : '--');
         });
     }
 }
 
+/**
+ * Preenche as posições 1..limite de um ranking; posições sem unidade
+ * (recorte filtrado com menos unidades) recebem item null
+ */
+function updateRanking(items, limite, preencher) {
+    for (let n = 1; n <= limite; n++) {
+        preencher(items[n - 1] || null, n);
+    }
+}
+
+/**
+ * Nome da unidade de um ranking, com link para o scorecard
+ * quando audin-unidades.js está carregado
+ */
+function updateUnidade(id, item) {
+    const element = document.getElementById(id);
+    if (!element || !item || !AUDIN.unidades) {
+        updateElement(id, item ? item.unidade : '--');
+        return;
+    }
+
+    const link = document.createElement('a');
+    link.className = 'audin-ranking-link';
+    link.href = AUDIN.unidades.link(item.unidade);
+    link.textContent = item.unidade;
+    element.replaceChildren(link);
+    element.classList.remove('audin-data-indisponivel');
+}
+
 /**
  * Atualiza um elemento pelo ID
  */
@@ -195,6 +417,7 @@ function updateElement(id, value) {
     const element = document.getElementById(id);
     if (element) {
         element.textContent = value;
+        element.classList.remove('audin-data-indisponivel');
     }
 }
 
@@ -252,21 +475,34 @@ function updateProgressBar(stats) {
 }
 
 /**
- * Detecta qual página está sendo carregada e atualiza os dados correspondentes
+ * Atualização de cada página, pela visão declarada em
+ * <body data-audin-page="...">. Páginas sem entrada (ex.: painel) não
+ * dependem de stats.
+ */
+const PAGE_UPDATERS = {
+    dashboard: updateDashboard,
+    monitor: updateMonitoramento,
+    beneficios: updateBeneficios,
+    'raio-x': updateRaioX,
+    relatorios: updateRelatorios
+};
+
+/**
+ * Executa a atualização da visão declarada pela página
+ * A mesma atualização roda de novo a cada mudança de AUDIN.filters
  */
 function initDataLoader() {
-    const path = window.location.pathname;
-
-    if (path === '/' || path === '/index.html' || path.endsWith('/index.html') && !path.includes('/')) {
-        updateDashboard();
-    } else if (path.includes('/monitor/')) {
-        updateMonitoramento();
-    } else if (path.includes('/beneficios/')) {
-        updateBeneficios();
-    } else if (path.includes('/raio-x/')) {
-        updateRaioX();
-    } else if (path.includes('/report/')) {
-        updateRelatorios();
+    const page = document.body.dataset.audinPage;
+    const update = PAGE_UPDATERS[page];
+
+    if (!page) {
+        console.warn('data-loader: página sem data-audin-page; nenhum dado carregado.');
+        return;
+    }
+
+    if (update) {
+        update();
+        AUDIN.filters.on('change', update);
     }
 }
 
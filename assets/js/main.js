@@ -1,6 +1,8 @@
-// Marcar item do menu como ativo baseado na URL atual
+// Marcar item do menu como ativo comparando o destino do link com a URL atual
+// (links relativos: funciona na raiz do site ou em subcaminho)
 document.addEventListener("DOMContentLoaded", function () {
-  const currentPath = window.location.pathname;
+  const normalizar = (pathname) => pathname.replace(/index\.html$/, "");
+  const currentPath = normalizar(window.location.pathname);
   const menuItems = document.querySelectorAll(".navigation li");
 
   menuItems.forEach((item, index) => {
@@ -8,21 +10,9 @@ document.addEventListener("DOMContentLoaded", function () {
     if (index === 0) return;
 
     const link = item.querySelector("a");
-    if (link) {
-      const href = link.getAttribute("href");
-
-      // Verificar se o href corresponde à página atual
-      let isActive = false;
-
-      if (href === "/" || href === "/index.html") {
-        // Dashboard - ativo apenas na raiz
-        isActive = currentPath === "/" || currentPath === "/index.html" || currentPath === "";
-      } else if (href && !href.startsWith("http")) {
-        // Links internos - verificar se o path atual começa com o href
-        isActive = currentPath.startsWith(href.replace("/index.html", "").replace("index.html", ""));
-      }
-
-      if (isActive) {
+    if (link && link.origin === window.location.origin) {
+      // Página atual: mesmo caminho do link, ignorando index.html e query
+      if (normalizar(link.pathname) === currentPath) {
         item.classList.add("active");
       }
     }
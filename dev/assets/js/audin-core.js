@@ -8,8 +8,18 @@
  * Componentes:
  *   - Acordeao: toggle aria-expanded, navegacao por teclado (Enter, Space, Arrow, Home, End)
  *   - Filtros: filtragem client-side por periodo, tipo e busca textual
- *   - Graficos: Chart.js doughnut e bar com dados via data-attributes
+ *     (com assets/js/audin-search.js carregado: sem acentos, radicais,
+ *     E/OU, ordenacao por relevancia e destaque dos termos)
+ *   - Graficos: registro AUDIN.charts (builders por id, criacao lazy por
+ *     IntersectionObserver, handles para update/destroy); resumo de
+ *     relatorio (doughnut e bar) com dados via data-attributes. Cores e
+ *     fontes vem dos tokens do tema (assets/js/audin-theme.js); os
+ *     graficos sao recriados quando o tema muda; menu "Baixar gráfico"
+ *     (PNG, SVG e CSV) com assets/js/audin-chart-export.js; clique em
+ *     segmento oferece "Ver recomendações" com assets/js/audin-drilldown.js
  *   - Scroll Spy: destaque do link ativo no indice lateral ao rolar
+ *   - Tabelas: com assets/js/audin-table.js carregado, table.audin-table
+ *     com data-audin-datatable ganha ordenacao, paginacao e filtros
  *
  * Utilitarios:
  *   - debounce: limita execucao de funcao por intervalo de tempo
@@ -17,6 +27,14 @@
  * Uso:
  *   Auto-init no DOMContentLoaded.
  *   Re-init manual: AUDIN.initAll(container) para conteudo dinamico.
+ *   Grafico customizado: AUDIN.charts.register(id, builder) e
+ *   <canvas data-chart-id="id"> (ver REGISTRO DE GRAFICOS).
+ *
+ * Dependencias: Chart.js para os graficos; opcional assets/js/audin-theme.js
+ * (cores do tema atual; sem ele, lidas de audin-tokens.css),
+ * assets/js/audin-chart-a11y.js (tabela e resumo acessiveis) e
+ * audin-chart-export.js com audin-export.js (download dos graficos) e
+ * audin-drilldown.js com audin-data.js e audin-filters.js (drill-down).
  */
 (function () {
     'use strict';
@@ -193,6 +211,11 @@
      * Busca selects de periodo/tipo e input de busca, filtra itens
      * .audin-relatorio-item por data-attributes e mostra/oculta mensagem vazia.
      *
+     * Se AUDIN.search estiver disponivel, a busca usa o indice textual:
+     * itens ordenados por relevancia enquanto houver consulta e termos
+     * destacados no titulo e no texto do card. Sem ele, a busca e por
+     * trecho do data-busca (sem diferenciar maiusculas).
+     *
      * @param {HTMLElement|Document} [container=document] - Escopo de busca
      */
     AUDIN.initFiltros = function (container) {
@@ -208,18 +231,22 @@
         }
 
         var items = Array.from(lista.querySelectorAll('.audin-relatorio-item'));
+        var indice = AUDIN.search ? createBuscaIndex(items) : null;
 
         function filtrar() {
             var periodo = periodoSelect ? periodoSelect.value : '';
             var tipo = tipoSelect ? tipoSelect.value : '';
             var busca = buscaInput ? buscaInput.value.toLowerCase().trim() : '';
+            var relevancia = indice ? indice.rank(busca) : null;
 
             var visiveis = 0;
 
-            items.forEach(function (item) {
+            items.forEach(function (item, i) {
                 var matchPeriodo = !periodo || item.dataset.periodo === periodo;
                 var matchTipo = !tipo || item.dataset.tipo === tipo;
-                var matchBusca = !busca || (item.dataset.busca || '').toLowerCase().indexOf(busca) !== -1;
+                var matchBusca = relevancia
+                    ? relevancia.has(i)
+                    : !busca || (item.dataset.busca || '').toLowerCase().indexOf(busca) !== -1;
 
                 if (matchPeriodo && matchTipo && matchBusca) {
                     item.classList.remove('audin-hidden');
@@ -229,6 +256,10 @@
                 }
             });
 
+            if (indice) {
+                indice.apply(relevancia, busca);
+            }
+
             if (vazioMsg) {
                 if (visiveis === 0) {
                     vazioMsg.classList.remove('audin-hidden');
@@ -249,129 +280,513 @@
         }
     };
 
+    /**
+     * Indice AUDIN.search sobre os itens da listagem de relatorios.
+     * Texto indexado: data-busca (ou o texto do item) e o titulo com peso maior.
+     *
+     * rank(busca): Map posicao -> relevancia, ou null sem consulta.
+     * apply(relevancia, busca): reordena a lista e destaca os termos.
+     *
+     * @param {HTMLElement[]} items - Itens .audin-relatorio-item na ordem original
+     * @returns {{rank: Function, apply: Function}}
+     */
+    function createBuscaIndex(items) {
+        // Reordena apenas quando os itens sao irmaos diretos
+        const lista = items.length && items.every(function (item) {
+            return item.parentNode === items[0].parentNode;
+        }) ? items[0].parentNode : null;
+
+        // Titulo e texto sem elementos filhos podem receber <mark> sem perder marcacao
+        const destacaveis = items.map(function (item) {
+            return Array.from(item.querySelectorAll('.audin-card__title a, .audin-card__title, .audin-card__text'))
+                .filter(function (el) { return el.children.length === 0; })
+                .map(function (el) { return { el: el, texto: el.textContent }; });
+        });
+
+        const indice = AUDIN.search.createIndex(items, {
+            fields: { busca: 1, titulo: 2 },
+            get: function (item, campo) {
+                if (campo === 'titulo') {
+                    const titulo = item.querySelector('.audin-card__title');
+                    return titulo ? titulo.textContent : '';
+                }
+                return item.dataset.busca || item.textContent;
+            }
+        });
+
+        return {
+            rank: function (busca) {
+                if (AUDIN.search.parse(busca).length === 0) {
+                    return null;
+                }
+                return new Map(indice.search(busca).map(function (resultado) {
+                    return [resultado.ref, resultado.score];
+                }));
+            },
+
+            apply: function (relevancia, busca) {
+                const ordem = items.map(function (item, i) { return i; });
+                if (relevancia) {
+                    ordem.sort(function (a, b) {
+                        return (relevancia.get(b) || 0) - (relevancia.get(a) || 0) || a - b;
+                    });
+                }
+                if (lista) {
+                    ordem.forEach(function (i) {
+                        lista.appendChild(items[i]);
+                    });
+                }
+
+                destacaveis.forEach(function (campos) {
+                    campos.forEach(function (campo) {
+                        if (relevancia) {
+                            campo.el.innerHTML = AUDIN.search.highlight(campo.texto, busca);
+                        } else {
+                            campo.el.textContent = campo.texto;
+                        }
+                    });
+                });
+            }
+        };
+    }
+
     /* ============================================
-       GRAFICOS CHART.JS (.audin-relatorio__resumo)
+       REGISTRO DE GRAFICOS (AUDIN.charts)
        ============================================ */
 
     /**
-     * Inicializa graficos Chart.js nos canvas de resumo de relatorio.
-     * Busca #chart-status (doughnut) e #chart-achados (bar) no escopo.
-     * Dados sao lidos de data-attributes no canvas (data-labels, data-values).
-     * Guard: retorna silenciosamente se Chart.js nao estiver carregado.
+     * Registro unico dos graficos Chart.js do design system.
      *
-     * @param {HTMLElement|Document} [container=document] - Escopo de busca
+     * Modulos (core, dashboard, PAINT), paginas e artigos Joomla registram
+     * um builder por id; cada canvas escolhe o seu builder e so e desenhado
+     * quando entra na viewport (IntersectionObserver). As instancias criadas
+     * ficam acessiveis para atualizacao ou remocao.
+     *
+     * Id do canvas:
+     *   data-chart-id="capacidade"      builder 'capacidade'
+     *   data-chart-type="bar" (sem id)  builder 'dashboard' (audin-dashboard.js)
+     *   #chart-status, #chart-achados   builders 'relatorio-status', 'relatorio-achados'
+     *
+     * Builder: (canvas, opcoes) -> configuracao Chart.js (ou Promise dela);
+     * null deixa o canvas vazio. opcoes: paleta do tema atual
+     * (AUDIN.charts.palette(): fontFamily, text, primary, status, series...).
+     * Canvas de builder ainda nao registrado aguarda o register().
+     * Ao trocar o tema, todos os graficos sao recriados (refresh).
+     * Com assets/js/audin-chart-a11y.js carregado, cada grafico criado ganha
+     * resumo textual (aria-describedby) e tabela de dados acessiveis; com
+     * assets/js/audin-chart-export.js, o menu "Baixar gráfico" (PNG, SVG,
+     * CSV). data-chart-title no canvas da o titulo dos arquivos.
+     * Com assets/js/audin-drilldown.js, clique em segmento oferece "Ver
+     * recomendações" quando a configuracao traz select(ponto) -> selecao
+     * ({Ano?, Unidade?, Situacao?, Tema?}) ou o canvas tem data-chart-campo.
+     *
+     * Uso:
+     *   AUDIN.charts.register('meu-grafico', function (canvas, opcoes) {
+     *       return { type: 'bar', data: { ... }, options: { ... } };
+     *   });
+     *   <canvas data-chart-id="meu-grafico"></canvas>
+     *   AUDIN.charts.get('meu-grafico').chart;   // instancia Chart.js
+     *   AUDIN.charts.update('meu-grafico');      // reexecuta o builder
+     *   AUDIN.charts.destroy('meu-grafico');
      */
-    AUDIN.initReportCharts = function (container) {
-        if (typeof Chart === 'undefined') {
-            return;
+
+    var CHART_SELECTOR = '[data-chart-id], [data-chart-type], #chart-status, #chart-achados';
+
+    /** Canvas anteriores ao registro, identificados so pelo id do elemento. */
+    var CHART_LEGADO = { 'chart-status': 'relatorio-status', 'chart-achados': 'relatorio-achados' };
+
+    /** Fracao visivel do canvas que dispara a criacao (animacao de entrada). */
+    var CHART_THRESHOLD = 0.3;
+
+    var chartBuilders = {};
+    var chartHandles = [];
+    var chartPendentes = [];
+    var chartObserver = null;
+
+    function chartIdOf(el) {
+        if (el.dataset.chartId) {
+            return el.dataset.chartId;
+        }
+        if (el.dataset.chartType) {
+            return 'dashboard';
         }
+        return CHART_LEGADO[el.id] || '';
+    }
 
-        var scope = container || document;
+    /**
+     * Paleta no formato de AUDIN.theme.palette(), lida das custom properties
+     * de audin-tokens.css. Vale quando a pagina carrega so o bundle dev
+     * (audin-core.js, audin-tokens.css e Chart.js), como nos artigos do Joomla.
+     */
+    function paletaDosTokens() {
+        var probe = document.createElement('span');
+        probe.className = 'audin-theme-probe';
+        probe.hidden = true;
+        probe.setAttribute('aria-hidden', 'true');
+        document.body.appendChild(probe);
+        var estilo = window.getComputedStyle(probe);
+
+        function token(nome) {
+            return estilo.getPropertyValue('--audin-' + nome).trim();
+        }
 
-        // Doughnut chart para status das recomendacoes
-        var statusCanvas = scope.querySelector('#chart-status');
-        if (statusCanvas) {
-            var statusLabels = ['Implementadas', 'Em andamento', 'Pendentes'];
-            var statusValues = [];
+        function tokens(prefixo, inicio, fim) {
+            var valores = [];
+            for (var i = inicio; i <= fim; i++) {
+                valores.push(token(prefixo + i));
+            }
+            return valores;
+        }
 
-            try {
-                if (statusCanvas.dataset.labels) {
-                    statusLabels = JSON.parse(statusCanvas.dataset.labels);
-                }
-                if (statusCanvas.dataset.values) {
-                    statusValues = JSON.parse(statusCanvas.dataset.values);
-                }
-            } catch (e) {
-                statusLabels = ['Implementadas', 'Em andamento', 'Pendentes'];
-                statusValues = [];
+        var paleta = {
+            name: document.documentElement.getAttribute('data-audin-theme') || 'light',
+            fontFamily: token('font-family'),
+            text: token('color-text'),
+            textMuted: token('color-text-muted'),
+            surface: token('color-surface'),
+            background: token('color-background'),
+            border: token('color-border'),
+            primary: token('color-primary'),
+            primaryHover: token('color-primary-hover'),
+            primaryLight: token('color-primary-light'),
+            secondary: token('color-secondary'),
+            info: token('color-info'),
+            warning: token('color-warning'),
+            danger: token('color-danger'),
+            axis: token('chart-axis'),
+            grid: token('chart-grid'),
+            neutral: token('chart-neutral'),
+            node: token('chart-node'),
+            branch: token('chart-branch'),
+            status: {
+                'Atendida': token('status-atendida'),
+                'Baixada': token('status-baixada'),
+                'Em Implementação': token('status-implementacao'),
+                'Pendente': token('status-pendente')
+            },
+            series: tokens('chart-', 1, 8),
+            sequential: tokens('chart-seq-', 1, 5),
+            heat: tokens('chart-heat-', 0, 5)
+        };
+
+        probe.remove();
+        return paleta;
+    }
+
+    /** Paleta do tema atual; sem audin-theme.js, lida de audin-tokens.css. */
+    function chartOpcoes() {
+        return AUDIN.theme ? AUDIN.theme.palette() : paletaDosTokens();
+    }
+
+    /** Cor e fonte padrao do Chart.js (eixos, legendas, grade) pelo tema. */
+    function applyChartDefaults(opcoes) {
+        Chart.defaults.font.family = opcoes.fontFamily;
+        Chart.defaults.color = opcoes.textMuted;
+        Chart.defaults.borderColor = opcoes.grid;
+    }
+
+    /** Handle por elemento, id do elemento ou id do builder. */
+    function findChart(target) {
+        return chartHandles.filter(function (handle) {
+            return typeof target === 'string'
+                ? handle.el.id === target || handle.id === target
+                : handle.el === target;
+        })[0] || null;
+    }
+
+    /**
+     * Cria (ou recria) o grafico de um canvas com o builder registrado.
+     *
+     * @param {HTMLCanvasElement} el
+     * @returns {Promise<Object|null>} Handle, ou null sem builder/configuracao
+     */
+    function createChart(el) {
+        var id = chartIdOf(el);
+        var builder = chartBuilders[id];
+
+        if (!builder) {
+            if (chartPendentes.indexOf(el) === -1) {
+                chartPendentes.push(el);
             }
+            return Promise.resolve(null);
+        }
+        chartPendentes = chartPendentes.filter(function (p) { return p !== el; });
 
-            new Chart(statusCanvas, {
-                type: 'doughnut',
-                data: {
-                    labels: statusLabels,
-                    datasets: [{
-                        data: statusValues,
-                        backgroundColor: [
-                            '#2e7d32',
-                            '#c05621',
-                            '#c53030'
-                        ],
-                        borderWidth: 0
-                    }]
-                },
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: true,
-                    plugins: {
-                        legend: {
-                            position: 'bottom',
-                            labels: {
-                                font: { family: "'Inter', sans-serif", size: 12 },
-                                padding: 12
-                            }
-                        },
-                        title: {
-                            display: true,
-                            text: 'Status das Recomendacoes',
-                            font: { family: "'Inter', sans-serif", size: 14, weight: '600' },
-                            color: '#2d3748'
-                        }
+        var opcoes = chartOpcoes();
+
+        return Promise.resolve(builder(el, opcoes)).then(function (config) {
+            // Removido enquanto o builder carregava dados
+            if (!config || !el.dataset.chartInit) {
+                return null;
+            }
+
+            var handle = findChart(el);
+            if (handle) {
+                handle.chart.destroy();
+            } else {
+                handle = {
+                    id: id,
+                    el: el,
+                    chart: null,
+                    update: function () { return createChart(el); },
+                    destroy: function () { return destroyChart(el); }
+                };
+                chartHandles.push(handle);
+            }
+            applyChartDefaults(opcoes);
+            if (AUDIN.drilldown) {
+                AUDIN.drilldown.wireChart(el, config);
+            }
+            handle.chart = new Chart(el, config);
+            if (AUDIN.chartA11y) {
+                AUDIN.chartA11y.describe(el, AUDIN.chartA11y.fromChartJs(config));
+            }
+            if (AUDIN.chartExport) {
+                AUDIN.chartExport.attach(el, config);
+            }
+            return handle;
+        }).catch(function (error) {
+            console.error('AUDIN.charts: erro ao montar o grafico "' + id + '"', error);
+            return null;
+        });
+    }
+
+    function observeChart(el) {
+        if (el.dataset.chartInit) {
+            return;
+        }
+        el.dataset.chartInit = 'true';
+
+        if (typeof IntersectionObserver === 'undefined') {
+            createChart(el);
+            return;
+        }
+
+        if (!chartObserver) {
+            chartObserver = new IntersectionObserver(function (entries) {
+                entries.forEach(function (entry) {
+                    if (entry.isIntersecting) {
+                        chartObserver.unobserve(entry.target);
+                        createChart(entry.target);
                     }
-                }
-            });
+                });
+            }, { threshold: CHART_THRESHOLD });
         }
+        chartObserver.observe(el);
+    }
 
-        // Bar chart para achados por categoria
-        var achadosCanvas = scope.querySelector('#chart-achados');
-        if (achadosCanvas) {
-            var achadosLabels = [];
-            var achadosValues = [];
+    /**
+     * Remove o grafico (ou a espera por ele) e libera o canvas para um
+     * novo init.
+     *
+     * @param {HTMLElement|string} target - Canvas, id do canvas ou id do builder
+     * @returns {boolean} false se nada foi encontrado
+     */
+    function destroyChart(target) {
+        var handle = findChart(target);
+        var el = handle ? handle.el : (typeof target === 'string' ? document.getElementById(target) : target);
 
-            try {
-                if (achadosCanvas.dataset.labels) {
-                    achadosLabels = JSON.parse(achadosCanvas.dataset.labels);
-                }
-                if (achadosCanvas.dataset.values) {
-                    achadosValues = JSON.parse(achadosCanvas.dataset.values);
-                }
-            } catch (e) {
-                achadosLabels = [];
-                achadosValues = [];
+        if (!el || !el.dataset.chartInit) {
+            return false;
+        }
+        if (chartObserver) {
+            chartObserver.unobserve(el);
+        }
+        if (handle) {
+            handle.chart.destroy();
+            chartHandles.splice(chartHandles.indexOf(handle), 1);
+        }
+        if (AUDIN.chartA11y) {
+            AUDIN.chartA11y.remove(el);
+        }
+        if (AUDIN.chartExport) {
+            AUDIN.chartExport.detach(el);
+        }
+        if (AUDIN.drilldown) {
+            AUDIN.drilldown.dismiss(el);
+        }
+        chartPendentes = chartPendentes.filter(function (p) { return p !== el; });
+        delete el.dataset.chartInit;
+        return true;
+    }
+
+    AUDIN.charts = {
+        /**
+         * Registra (ou substitui) o builder de um id. Canvas que ja
+         * aguardavam o id sao desenhados; graficos existentes sao recriados.
+         *
+         * @param {string} id
+         * @param {Function} builder - (canvas, opcoes) -> config Chart.js | Promise | null
+         */
+        register: function (id, builder) {
+            chartBuilders[id] = builder;
+            chartPendentes.concat(chartHandles.map(function (h) { return h.el; }))
+                .filter(function (el) { return chartIdOf(el) === id; })
+                .forEach(createChart);
+        },
+
+        /**
+         * Paleta passada aos builders: AUDIN.theme.palette() ou, sem
+         * audin-theme.js, a lida dos tokens de audin-tokens.css.
+         *
+         * @returns {Object} { fontFamily, text, primary, status, series, ... }
+         */
+        palette: chartOpcoes,
+
+        /** @returns {boolean} */
+        has: function (id) {
+            return Object.prototype.hasOwnProperty.call(chartBuilders, id);
+        },
+
+        /**
+         * Observa os canvas do escopo; cada um e criado ao entrar na
+         * viewport (imediatamente sem IntersectionObserver). Idempotente.
+         * Guard: retorna silenciosamente se Chart.js nao estiver carregado.
+         * Sem audin-theme.js, os graficos usam as cores de audin-tokens.css.
+         *
+         * @param {HTMLElement|Document} [container=document] - Escopo de busca
+         */
+        init: function (container) {
+            if (typeof Chart === 'undefined') {
+                return;
             }
+            (container || document).querySelectorAll(CHART_SELECTOR).forEach(observeChart);
+        },
+
+        /**
+         * @param {HTMLElement|string} target - Canvas, id do canvas ou id do builder
+         * @returns {{id: string, el: HTMLElement, chart: Object, update: Function, destroy: Function}|null}
+         */
+        get: findChart,
+
+        /** @returns {Array<Object>} Handles dos graficos criados */
+        instances: function () {
+            return chartHandles.slice();
+        },
+
+        /**
+         * Reexecuta o builder e recria o grafico (dados ou estilo novos).
+         *
+         * @param {HTMLElement|string} target
+         * @returns {Promise<Object|null>} Handle atualizado
+         */
+        update: function (target) {
+            var handle = findChart(target);
+            return handle ? createChart(handle.el) : Promise.resolve(null);
+        },
+
+        /** Recria todos os graficos existentes. @returns {Promise<Array>} */
+        refresh: function () {
+            return Promise.all(chartHandles.map(function (h) { return createChart(h.el); }));
+        },
+
+        destroy: destroyChart
+    };
 
-            new Chart(achadosCanvas, {
-                type: 'bar',
-                data: {
-                    labels: achadosLabels,
-                    datasets: [{
-                        label: 'Achados',
-                        data: achadosValues,
-                        backgroundColor: '#2e7d32',
-                        borderRadius: 4
-                    }]
-                },
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: true,
-                    scales: {
-                        y: {
-                            beginAtZero: true,
-                            ticks: { stepSize: 1 }
+    /* ============================================
+       GRAFICOS CHART.JS (.audin-relatorio__resumo)
+       ============================================ */
+
+    /** JSON de um data-attribute; fallback quando ausente ou invalido. */
+    function readDataJson(el, attr, fallback) {
+        try {
+            return el.dataset[attr] ? JSON.parse(el.dataset[attr]) : fallback;
+        } catch (e) {
+            return fallback;
+        }
+    }
+
+    /**
+     * Doughnut de status das recomendacoes (#chart-status).
+     * Dados: data-labels e data-values no canvas.
+     */
+    function buildReportStatusConfig(canvas, opcoes) {
+        return {
+            type: 'doughnut',
+            data: {
+                labels: readDataJson(canvas, 'labels', ['Implementadas', 'Em andamento', 'Pendentes']),
+                datasets: [{
+                    data: readDataJson(canvas, 'values', []),
+                    backgroundColor: [
+                        opcoes.primary,
+                        opcoes.warning,
+                        opcoes.danger
+                    ],
+                    borderWidth: 0
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: true,
+                plugins: {
+                    legend: {
+                        position: 'bottom',
+                        labels: {
+                            font: { family: opcoes.fontFamily, size: 12 },
+                            padding: 12
                         }
                     },
-                    plugins: {
-                        legend: { display: false },
-                        title: {
-                            display: true,
-                            text: 'Achados por Categoria',
-                            font: { family: "'Inter', sans-serif", size: 14, weight: '600' },
-                            color: '#2d3748'
-                        }
+                    title: {
+                        display: true,
+                        text: 'Status das Recomendacoes',
+                        font: { family: opcoes.fontFamily, size: 14, weight: '600' },
+                        color: opcoes.text
                     }
                 }
-            });
-        }
+            }
+        };
+    }
+
+    /**
+     * Barras de achados por categoria (#chart-achados).
+     * Dados: data-labels e data-values no canvas.
+     */
+    function buildReportAchadosConfig(canvas, opcoes) {
+        return {
+            type: 'bar',
+            data: {
+                labels: readDataJson(canvas, 'labels', []),
+                datasets: [{
+                    label: 'Achados',
+                    data: readDataJson(canvas, 'values', []),
+                    backgroundColor: opcoes.primary,
+                    borderRadius: 4
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: true,
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        ticks: { stepSize: 1 }
+                    }
+                },
+                plugins: {
+                    legend: { display: false },
+                    title: {
+                        display: true,
+                        text: 'Achados por Categoria',
+                        font: { family: opcoes.fontFamily, size: 14, weight: '600' },
+                        color: opcoes.text
+                    }
+                }
+            }
+        };
+    }
+
+    AUDIN.charts.register('relatorio-status', buildReportStatusConfig);
+    AUDIN.charts.register('relatorio-achados', buildReportAchadosConfig);
+
+    /**
+     * Inicializa os graficos de resumo de relatorio (#chart-status e
+     * #chart-achados). Mantido por compatibilidade: equivale a
+     * AUDIN.charts.init(container).
+     *
+     * @param {HTMLElement|Document} [container=document] - Escopo de busca
+     */
+    AUDIN.initReportCharts = function (container) {
+        AUDIN.charts.init(container);
     };
 
     /* ============================================
@@ -443,12 +858,18 @@
         const scope = container || document;
         AUDIN.initAccordions(scope);
         AUDIN.initFiltros(scope);
-        AUDIN.initReportCharts(scope);
+        AUDIN.charts.init(scope);
         AUDIN.initScrollSpy(scope);
+        if (AUDIN.initDataTables) {
+            AUDIN.initDataTables(scope);
+        }
     };
 
     // Auto-init ao carregar o DOM
     document.addEventListener('DOMContentLoaded', function () {
         AUDIN.initAll(document);
+        if (AUDIN.theme) {
+            AUDIN.theme.on('change', AUDIN.charts.refresh);
+        }
     });
 })();
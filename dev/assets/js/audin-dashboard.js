@@ -7,8 +7,13 @@
  *
  * Componentes:
  *   - Contadores animados: IntersectionObserver + requestAnimationFrame
- *   - Graficos Chart.js: inicializacao generica via data-chart-type
- *   - Graficos Plotly.js: sunburst/treemap via data-plotly-type
+ *   - Graficos Chart.js: builder 'dashboard' do registro AUDIN.charts
+ *     (audin-core.js), generico via data-chart-type
+ *   - Graficos Plotly.js: sunburst/treemap via data-plotly-type (dados
+ *     embutidos ou rollup da planilha via data-plotly-visao), redesenhados
+ *     com as cores do novo tema quando AUDIN.theme muda
+ *   - Tabela e resumo acessiveis dos graficos Plotly (com
+ *     assets/js/audin-chart-a11y.js carregado; Chart.js via AUDIN.charts)
  *   - Tabs: WAI-ARIA tabs com navegacao por teclado
  *   - Validacao de formulario: Constraint Validation API + feedback visual
  *
@@ -89,97 +94,106 @@
        ============================================ */
 
     /**
-     * Inicializa graficos Chart.js genericos via data-attributes.
-     * Busca todos os canvas com data-chart-type no escopo.
+     * Builder 'dashboard' de AUDIN.charts: grafico generico via data-attributes.
+     * Usado pelos canvas com data-chart-type (e sem data-chart-id).
      * Dados: data-labels (JSON), data-values (JSON), data-colors (JSON).
-     * Guard: retorna silenciosamente se Chart.js nao estiver carregado.
+     * Sem dados ou com JSON invalido, o canvas fica vazio.
+     * Com data-chart-campo (ex: "Situacao"), clique em segmento oferece as
+     * recomendacoes daquele rotulo (audin-drilldown.js).
      *
      * Configuracao: responsive:true, maintainAspectRatio:false.
-     * Tooltip com percentual. Fonte Inter nos labels.
+     * Tooltip com percentual. Cores padrao: series do tema.
      *
-     * @param {HTMLElement|Document} [container=document] - Escopo de busca
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} opcoes - Paleta do tema (AUDIN.charts)
+     * @returns {Object|null} Configuracao Chart.js
      */
-    AUDIN.initDashboardCharts = function (container) {
-        if (typeof Chart === 'undefined') {
-            return;
+    function buildDashboardConfig(canvas, opcoes) {
+        var chartType = canvas.dataset.chartType;
+        var fontFamily = opcoes.fontFamily;
+        var labels, values, colors;
+
+        try {
+            labels = JSON.parse(canvas.dataset.labels || '[]');
+            values = JSON.parse(canvas.dataset.values || '[]');
+            colors = JSON.parse(canvas.dataset.colors || '[]');
+        } catch (e) {
+            return null;
         }
 
-        var scope = container || document;
-        var canvases = scope.querySelectorAll('[data-chart-type]');
-
-        canvases.forEach(function (canvas) {
-            var chartType = canvas.dataset.chartType;
-            var labels, values, colors;
-
-            try {
-                labels = JSON.parse(canvas.dataset.labels || '[]');
-                values = JSON.parse(canvas.dataset.values || '[]');
-                colors = JSON.parse(canvas.dataset.colors || '[]');
-            } catch (e) {
-                return;
-            }
-
-            if (labels.length === 0 || values.length === 0) {
-                return;
-            }
+        if (labels.length === 0 || values.length === 0) {
+            return null;
+        }
 
-            var defaultColors = ['#2e7d32', '#c05621', '#2b6cb0', '#c53030', '#4a5568', '#1b5e20'];
-
-            new Chart(canvas, {
-                type: chartType,
-                data: {
-                    labels: labels,
-                    datasets: [{
-                        data: values,
-                        backgroundColor: colors.length > 0 ? colors : defaultColors,
-                        borderWidth: 0,
-                        borderRadius: chartType === 'bar' ? 4 : 0
-                    }]
-                },
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    plugins: {
-                        legend: {
-                            display: chartType !== 'bar',
-                            position: 'bottom',
-                            labels: {
-                                font: { family: "'Inter', sans-serif", size: 12 },
-                                padding: 12
-                            }
-                        },
-                        tooltip: {
-                            backgroundColor: '#2d3748',
-                            titleFont: { family: "'Inter', sans-serif" },
-                            bodyFont: { family: "'Inter', sans-serif" },
-                            callbacks: {
-                                label: function (context) {
-                                    var label = context.label || '';
-                                    var value = context.parsed.y !== undefined ? context.parsed.y : context.parsed;
-                                    var total = context.dataset.data.reduce(function (a, b) { return a + b; }, 0);
-                                    var percent = total > 0 ? ((value / total) * 100).toFixed(1) : '0.0';
-                                    return label + ': ' + value + ' (' + percent + '%)';
-                                }
-                            }
+        return {
+            type: chartType,
+            data: {
+                labels: labels,
+                datasets: [{
+                    data: values,
+                    backgroundColor: colors.length > 0 ? colors : opcoes.series,
+                    borderWidth: 0,
+                    borderRadius: chartType === 'bar' ? 4 : 0
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        display: chartType !== 'bar',
+                        position: 'bottom',
+                        labels: {
+                            font: { family: fontFamily, size: 12 },
+                            padding: 12
                         }
                     },
-                    scales: chartType === 'bar' ? {
-                        y: {
-                            beginAtZero: true,
-                            ticks: {
-                                stepSize: 1,
-                                font: { family: "'Inter', sans-serif" }
-                            }
-                        },
-                        x: {
-                            ticks: {
-                                font: { family: "'Inter', sans-serif" }
+                    tooltip: {
+                        backgroundColor: opcoes.text,
+                        titleColor: opcoes.surface,
+                        bodyColor: opcoes.surface,
+                        titleFont: { family: fontFamily },
+                        bodyFont: { family: fontFamily },
+                        callbacks: {
+                            label: function (context) {
+                                var label = context.label || '';
+                                var value = context.parsed.y !== undefined ? context.parsed.y : context.parsed;
+                                var total = context.dataset.data.reduce(function (a, b) { return a + b; }, 0);
+                                var percent = total > 0 ? ((value / total) * 100).toFixed(1) : '0.0';
+                                return label + ': ' + value + ' (' + percent + '%)';
                             }
                         }
-                    } : undefined
-                }
-            });
-        });
+                    }
+                },
+                scales: chartType === 'bar' ? {
+                    y: {
+                        beginAtZero: true,
+                        ticks: {
+                            stepSize: 1,
+                            font: { family: fontFamily }
+                        }
+                    },
+                    x: {
+                        ticks: {
+                            font: { family: fontFamily }
+                        }
+                    }
+                } : undefined
+            }
+        };
+    }
+
+    AUDIN.charts.register('dashboard', buildDashboardConfig);
+
+    /**
+     * Inicializa os graficos Chart.js do dashboard (data-chart-type).
+     * Mantido por compatibilidade: equivale a AUDIN.charts.init(container),
+     * que cria cada grafico ao entrar na viewport.
+     *
+     * @param {HTMLElement|Document} [container=document] - Escopo de busca
+     */
+    AUDIN.initDashboardCharts = function (container) {
+        AUDIN.charts.init(container);
     };
 
     /* ============================================
@@ -189,11 +203,15 @@
     /**
      * Inicializa graficos Plotly.js via data-attributes.
      * Busca divs com data-plotly-type no escopo.
-     * Dados: data-plotly-labels, data-plotly-parents, data-plotly-values (JSON).
+     * Dados: data-plotly-labels, data-plotly-parents, data-plotly-values (JSON),
+     * ou data-plotly-visao="ano|estrutura|regiao" para montar a hierarquia a
+     * partir das recomendacoes publicadas (AUDIN.chartData.rollup; requer
+     * audin-data.js, audin-stats.js e audin-chart-data.js, e audin-registro.js
+     * para a arvore organizacional Reitoria -> grupo -> unidade).
      * Guard: retorna silenciosamente se Plotly.js nao estiver carregado.
      *
-     * Layout: margin compacta, fonte Inter, sunburstcolorway AUDIN,
-     * paper/plot bgcolor transparent.
+     * Layout: margin compacta, fonte e sunburstcolorway do tema
+     * (AUDIN.charts.palette()), paper/plot bgcolor transparent.
      * Config: responsive:true, displaylogo:false, export PNG no modeBar.
      *
      * @param {HTMLElement|Document} [container=document] - Escopo de busca
@@ -210,6 +228,11 @@
             var plotType = el.dataset.plotlyType;
             var labels, parents, values;
 
+            if (el.dataset.plotlyVisao) {
+                plotRollup(el, plotType, el.dataset.plotlyVisao);
+                return;
+            }
+
             try {
                 labels = JSON.parse(el.dataset.plotlyLabels || '[]');
                 parents = JSON.parse(el.dataset.plotlyParents || '[]');
@@ -222,43 +245,94 @@
                 return;
             }
 
-            var data = [{
-                type: plotType,
-                labels: labels,
-                parents: parents,
-                values: values,
-                branchvalues: 'total',
-                insidetextorientation: 'radial',
-                leaf: { opacity: 0.7 },
-                marker: { line: { width: 1.5, color: '#ffffff' } }
-            }];
-
-            var layout = {
-                margin: { l: 10, r: 10, b: 10, t: 10 },
-                font: { family: "'Inter', sans-serif", size: 12, color: '#2d3748' },
-                sunburstcolorway: ['#2e7d32', '#1b5e20', '#2b6cb0', '#c05621', '#4a5568', '#c53030'],
-                treemapcolorway: ['#2e7d32', '#1b5e20', '#2b6cb0', '#c05621', '#4a5568', '#c53030'],
-                paper_bgcolor: 'transparent',
-                plot_bgcolor: 'transparent'
-            };
-
-            var config = {
-                responsive: true,
-                displaylogo: false,
-                displayModeBar: true,
-                modeBarButtonsToRemove: ['lasso2d', 'select2d'],
-                toImageButtonOptions: {
-                    format: 'png',
-                    filename: 'audin-' + plotType,
-                    height: 600,
-                    width: 800
-                }
-            };
-
-            Plotly.newPlot(el.id, data, layout, config);
+            drawHierarchy(el, plotType, { labels: labels, parents: parents, values: values });
         });
     };
 
+    /**
+     * Rollup da planilha publicada (recomendacoes + cadastro de unidades)
+     * desenhado como hierarquia; ids evitam colisao de rotulos repetidos
+     * (ex: a mesma situacao sob varias unidades).
+     */
+    function plotRollup(el, plotType, visao) {
+        if (!AUDIN.chartData || !AUDIN.data || !AUDIN.stats) {
+            return;
+        }
+
+        Promise.all([
+            AUDIN.data.loadRecomendacoes(),
+            AUDIN.registro ? AUDIN.registro.load().catch(function () { return null; }) : null
+        ]).then(function (carregados) {
+            var rows = carregados[0].filter(AUDIN.stats.isValida);
+            var h = AUDIN.chartData.rollup(rows, visao, carregados[1]);
+
+            drawHierarchy(el, plotType, {
+                ids: h.ids,
+                labels: h.labels,
+                parents: h.parents,
+                values: h.values,
+                customdata: h.hover,
+                hovertemplate: '<b>%{label}</b><br>%{value} recomendações%{customdata}<extra></extra>'
+            });
+        }).catch(function (error) {
+            console.error('AUDIN.initPlotlyCharts: erro ao montar hierarquia', error);
+        });
+    }
+
+    /** Hierarquias desenhadas ({ el, plotType, trace }), redesenhadas na troca de tema. */
+    var hierarquias = [];
+
+    /** Desenha o trace hierarquico com o layout e a config padrao AUDIN. */
+    function drawHierarchy(el, plotType, trace) {
+        var paleta = AUDIN.charts.palette();
+        var data = [Object.assign({
+            type: plotType,
+            branchvalues: 'total',
+            insidetextorientation: 'radial',
+            leaf: { opacity: 0.7 },
+            marker: { line: { width: 1.5, color: paleta.surface } }
+        }, trace)];
+
+        var layout = {
+            margin: { l: 10, r: 10, b: 10, t: 10 },
+            font: { family: paleta.fontFamily, size: 12, color: paleta.text },
+            sunburstcolorway: paleta.series,
+            treemapcolorway: paleta.series,
+            paper_bgcolor: 'transparent',
+            plot_bgcolor: 'transparent'
+        };
+
+        var config = {
+            responsive: true,
+            displaylogo: false,
+            displayModeBar: true,
+            modeBarButtonsToRemove: ['lasso2d', 'select2d'],
+            toImageButtonOptions: {
+                format: 'png',
+                filename: 'audin-' + plotType,
+                height: 600,
+                width: 800
+            }
+        };
+
+        if (!hierarquias.some(function (h) { return h.el === el; })) {
+            hierarquias.push({ el: el, plotType: plotType, trace: trace });
+        }
+
+        Promise.resolve(Plotly.react(el, data, layout, config)).then(function () {
+            if (AUDIN.chartA11y) {
+                AUDIN.chartA11y.describe(el, AUDIN.chartA11y.fromPlotly(data, layout));
+            }
+        });
+    }
+
+    function redrawHierarchies() {
+        hierarquias = hierarquias.filter(function (h) { return h.el.isConnected; });
+        hierarquias.forEach(function (h) {
+            drawHierarchy(h.el, h.plotType, h.trace);
+        });
+    }
+
     /* ============================================
        4. TABS ACESSIVEIS
        ============================================ */
@@ -451,5 +525,8 @@
     // Auto-init ao carregar o DOM
     document.addEventListener('DOMContentLoaded', function () {
         AUDIN.initDashboard(document);
+        if (AUDIN.theme) {
+            AUDIN.theme.on('change', redrawHierarchies);
+        }
     });
 })();
@@ -11,7 +11,8 @@
  *   - Smooth scroll: navegacao suave ao clicar links da sidebar
  *   - Barra de progresso: indicador de % lido do conteudo
  *   - Voltar ao topo: botao flutuante com visibilidade por scroll
- *   - Graficos Chart.js: leitura de PAINT_DATA com fallback hardcoded
+ *   - Graficos Chart.js: builders do registro AUDIN.charts, com leitura de
+ *     PAINT_DATA e fallback hardcoded
  *   - Hamburger menu: sidebar overlay para mobile
  *   - Scroll shadows: sombras indicativas em tabelas com scroll horizontal
  *
@@ -220,7 +221,8 @@
     /**
      * Popula elementos com atributo data-paint-field a partir de PAINT_DATA.
      * Numeros sao formatados com separador de milhar pt-BR.
-     * Atualiza tambem o titulo da pagina com o ano do exercicio.
+     * Atualiza tambem o titulo da pagina com o ano do exercicio e a data
+     * dos graficos baixados (data-chart-data-date: assinatura do PAINT).
      *
      * NAO gera HTML (tabelas, cards, etc) -- apenas popula valores numericos
      * em elementos ja existentes no DOM.
@@ -246,6 +248,11 @@
         if (data.ano) {
             document.title = 'PAINT ' + data.ano + ' - Plano Anual de Auditoria Interna - AUDIN/UFAM';
         }
+
+        /* Data impressa nas imagens e no CSV dos graficos (audin-chart-export.js) */
+        if (data.dataAssinatura) {
+            document.body.setAttribute('data-chart-data-date', data.dataAssinatura);
+        }
     };
 
     /* ============================================
@@ -255,6 +262,7 @@
     /**
      * Plugin inline para texto central no doughnut.
      * Exibe valor total e subtexto no centro do grafico.
+     * Opcoes: { text, subtext, color, subcolor, fontFamily } (ver centerText()).
      * Registrado por instancia (nao global) via array plugins.
      */
     var centerTextPlugin = {
@@ -262,8 +270,9 @@
         afterDraw: function (chart) {
             if (!chart.config.options.plugins.centerText) return;
             var ctx = chart.ctx;
-            var text = chart.config.options.plugins.centerText.text || '';
-            var subtext = chart.config.options.plugins.centerText.subtext || '';
+            var opts = chart.config.options.plugins.centerText;
+            var text = opts.text || '';
+            var subtext = opts.subtext || '';
 
             /* Centro real do donut (exclui legenda) */
             var area = chart.chartArea;
@@ -273,24 +282,35 @@
 
             ctx.save();
             var fontSize = (donutHeight / 10).toFixed(2);
-            ctx.font = 'bold ' + fontSize + 'px Inter, sans-serif';
+            ctx.font = 'bold ' + fontSize + 'px ' + opts.fontFamily;
             ctx.textBaseline = 'middle';
             ctx.textAlign = 'center';
-            ctx.fillStyle = '#1a202c';
+            ctx.fillStyle = opts.color;
             ctx.fillText(text, cx, cy - fontSize * 0.4);
-            ctx.font = (fontSize * 0.5).toFixed(2) + 'px Inter, sans-serif';
-            ctx.fillStyle = '#4a5568';
+            ctx.font = (fontSize * 0.5).toFixed(2) + 'px ' + opts.fontFamily;
+            ctx.fillStyle = opts.subcolor;
             ctx.fillText(subtext, cx, cy + fontSize * 0.5);
             ctx.restore();
         }
     };
 
+    /** Opcoes do centerTextPlugin com as cores e a fonte do tema. */
+    function centerText(text, subtext, opcoes) {
+        return {
+            text: text,
+            subtext: subtext,
+            color: opcoes.text,
+            subcolor: opcoes.textMuted,
+            fontFamily: opcoes.fontFamily
+        };
+    }
+
     /**
      * Constroi configuracao do grafico de capacidade (doughnut).
      * Le dados de PAINT_DATA se disponivel; caso contrario, usa fallback hardcoded.
-     * Cores permanecem hardcoded (sao configuracao visual, nao dados).
+     * Cores: series categoricas do tema (opcoes de AUDIN.charts).
      */
-    function buildCapacidadeConfig(fontFamily) {
+    function buildCapacidadeConfig(opcoes) {
         /* Dados fallback (hardcoded -- compatibilidade se PAINT_DATA nao existir) */
         var labels = [
             'Servicos de Auditoria', 'Capacitacao', 'Monitoramento',
@@ -314,10 +334,8 @@
                 labels: labels,
                 datasets: [{
                     data: values,
-                    backgroundColor: [
-                        '#2e7d32', '#6a1b9a', '#e65100',
-                        '#00838f', '#546e7a', '#1565c0', '#8d6e63'
-                    ]
+                    backgroundColor: opcoes.series,
+                    borderColor: opcoes.surface
                 }]
             },
             options: {
@@ -327,12 +345,9 @@
                 plugins: {
                     legend: {
                         position: 'bottom',
-                        labels: { font: { family: fontFamily, size: 11 } }
-                    },
-                    centerText: {
-                        text: totalText,
-                        subtext: 'H/H Total'
+                        labels: { font: { family: opcoes.fontFamily, size: 11 } }
                     },
+                    centerText: centerText(totalText, 'H/H Total', opcoes),
                     tooltip: {
                         callbacks: {
                             label: function (context) {
@@ -350,26 +365,31 @@
         };
     }
 
+    /** Cor do tipo de servico: consultoria em info, avaliacao na primaria. */
+    function corDoTipo(tipo, opcoes) {
+        return tipo === 'Consultoria' ? opcoes.info : opcoes.primary;
+    }
+
     /**
      * Constroi configuracao do grafico de servicos H/H (barras horizontais).
      * Le dados de PAINT_DATA se disponivel; caso contrario, usa fallback hardcoded.
+     * Avaliacao na cor primaria do tema, consultoria na cor info.
      */
-    function buildServicosHHConfig(fontFamily) {
+    function buildServicosHHConfig(opcoes) {
         var labels = [
             'Prestacao Contas', 'Obras', 'Orcamento campi', 'Diarias',
             'Riscos (consultoria)', 'LGPD', 'Manutencao', 'Laboratorios'
         ];
         var values = [320, 1090, 1116, 1090, 1090, 1090, 1090, 1090];
-        var colors = ['#2e7d32', '#2e7d32', '#2e7d32', '#2e7d32', '#1565c0', '#2e7d32', '#2e7d32', '#2e7d32'];
+        var tipos = ['Avaliacao', 'Avaliacao', 'Avaliacao', 'Avaliacao', 'Consultoria', 'Avaliacao', 'Avaliacao', 'Avaliacao'];
 
         var pd = window.PAINT_DATA;
         if (pd && pd.servicos && pd.servicos.length > 0) {
             labels = pd.servicos.map(function (s) { return s.titulo; });
             values = pd.servicos.map(function (s) { return s.hh; });
-            colors = pd.servicos.map(function (s) {
-                return s.tipo === 'Consultoria' ? '#1565c0' : '#2e7d32';
-            });
+            tipos = pd.servicos.map(function (s) { return s.tipo; });
         }
+        var colors = tipos.map(function (tipo) { return corDoTipo(tipo, opcoes); });
 
         return {
             type: 'bar',
@@ -398,10 +418,10 @@
                 scales: {
                     x: {
                         beginAtZero: true,
-                        ticks: { font: { family: fontFamily } }
+                        ticks: { font: { family: opcoes.fontFamily } }
                     },
                     y: {
-                        ticks: { font: { family: fontFamily, size: 11 } }
+                        ticks: { font: { family: opcoes.fontFamily, size: 11 } }
                     }
                 }
             }
@@ -413,13 +433,13 @@
      * Le dados de PAINT_DATA se disponivel; caso contrario, usa fallback hardcoded.
      * Semestre 1 -> meses [1,6], Semestre 2 -> meses [7,12].
      */
-    function buildCronogramaConfig(fontFamily) {
+    function buildCronogramaConfig(opcoes) {
         var labels = [
             'Prestacao Contas', 'Obras', 'Orcamento campi', 'Diarias',
             'Riscos (consultoria)', 'LGPD', 'Manutencao', 'Laboratorios'
         ];
         var ranges = [[1,6],[1,6],[1,6],[1,6],[1,6],[7,12],[7,12],[7,12]];
-        var colors = ['#2e7d32','#2e7d32','#2e7d32','#2e7d32','#1565c0','#2e7d32','#2e7d32','#2e7d32'];
+        var tipos = ['Avaliacao', 'Avaliacao', 'Avaliacao', 'Avaliacao', 'Consultoria', 'Avaliacao', 'Avaliacao', 'Avaliacao'];
 
         var pd = window.PAINT_DATA;
         if (pd && pd.servicos && pd.servicos.length > 0) {
@@ -427,10 +447,9 @@
             ranges = pd.servicos.map(function (s) {
                 return s.semestre === 1 ? [1, 6] : [7, 12];
             });
-            colors = pd.servicos.map(function (s) {
-                return s.tipo === 'Consultoria' ? '#1565c0' : '#2e7d32';
-            });
+            tipos = pd.servicos.map(function (s) { return s.tipo; });
         }
+        var colors = tipos.map(function (tipo) { return corDoTipo(tipo, opcoes); });
 
         return {
             type: 'bar',
@@ -468,12 +487,12 @@
                                 var meses = ['', 'Jan', 'Fev', 'Mar', 'Abr', 'Mai', 'Jun', 'Jul', 'Ago', 'Set', 'Out', 'Nov', 'Dez', ''];
                                 return meses[value] || '';
                             },
-                            font: { family: fontFamily }
+                            font: { family: opcoes.fontFamily }
                         },
                         grid: { display: true }
                     },
                     y: {
-                        ticks: { font: { family: fontFamily, size: 11 } }
+                        ticks: { font: { family: opcoes.fontFamily, size: 11 } }
                     }
                 }
             }
@@ -484,7 +503,7 @@
      * Constroi configuracao do grafico de recomendacoes (doughnut).
      * Le dados de PAINT_DATA se disponivel; caso contrario, usa fallback hardcoded.
      */
-    function buildRecomendacoesConfig(fontFamily) {
+    function buildRecomendacoesConfig(opcoes) {
         var emImpl = 158;
         var pendentes = 234;
         var totalText = '392';
@@ -503,7 +522,8 @@
                 labels: ['Em implementacao', 'Pendentes de resposta'],
                 datasets: [{
                     data: [emImpl, pendentes],
-                    backgroundColor: ['#ff9800', '#f44336']
+                    backgroundColor: [opcoes.status['Em Implementação'], opcoes.status['Pendente']],
+                    borderColor: opcoes.surface
                 }]
             },
             options: {
@@ -513,12 +533,9 @@
                 plugins: {
                     legend: {
                         position: 'bottom',
-                        labels: { font: { family: fontFamily, size: 12 } }
-                    },
-                    centerText: {
-                        text: totalText,
-                        subtext: 'Recomendacoes'
+                        labels: { font: { family: opcoes.fontFamily, size: 12 } }
                     },
+                    centerText: centerText(totalText, 'Recomendacoes', opcoes),
                     tooltip: {
                         callbacks: {
                             label: function (context) {
@@ -532,62 +549,40 @@
                     }
                 }
             },
-            plugins: [centerTextPlugin]
+            plugins: [centerTextPlugin],
+            // Clique no segmento: recomendacoes com o status (audin-drilldown.js)
+            select: function (ponto) {
+                return { Situacao: ['Em Implementação', 'Pendente'][ponto.index] };
+            }
         };
     }
 
     /**
-     * Cria grafico Chart.js com base no data-chart-id do canvas.
-     * Delega para builders especificos que leem de PAINT_DATA com fallback.
-     *
-     * @param {HTMLCanvasElement} canvas - Elemento canvas com data-chart-id
+     * Builders do PAINT no registro AUDIN.charts (audin-core.js), pelo
+     * data-chart-id do canvas. Cada um le PAINT_DATA com fallback.
      */
-    function initChartById(canvas) {
-        var chartId = canvas.getAttribute('data-chart-id');
-        if (!chartId || typeof Chart === 'undefined') return;
-
-        var fontFamily = "'Inter', sans-serif";
-
-        var builders = {
-            'capacidade':    buildCapacidadeConfig,
-            'servicos-hh':   buildServicosHHConfig,
-            'cronograma':    buildCronogramaConfig,
-            'recomendacoes': buildRecomendacoesConfig
-        };
-
-        var builder = builders[chartId];
-        if (!builder) return;
+    var PAINT_CHARTS = {
+        'capacidade':    buildCapacidadeConfig,
+        'servicos-hh':   buildServicosHHConfig,
+        'cronograma':    buildCronogramaConfig,
+        'recomendacoes': buildRecomendacoesConfig
+    };
 
-        var config = builder(fontFamily);
-        new Chart(canvas.getContext('2d'), config);
-    }
+    Object.keys(PAINT_CHARTS).forEach(function (id) {
+        AUDIN.charts.register(id, function (canvas, opcoes) {
+            return PAINT_CHARTS[id](opcoes);
+        });
+    });
 
     /**
-     * Inicializa graficos Chart.js via IntersectionObserver.
-     * Graficos sao criados apenas quando o container entra na viewport,
-     * gerando a animacao de preenchimento natural do Chart.js.
+     * Inicializa os graficos Chart.js do PAINT. Mantido por compatibilidade:
+     * equivale a AUDIN.charts.init(container), que cria cada grafico quando
+     * o canvas entra na viewport (animacao de preenchimento natural do Chart.js).
      *
      * @param {HTMLElement|Document} [container=document] - Escopo de busca
      */
     AUDIN.initPaintCharts = function (container) {
-        var scope = container || document;
-        var chartContainers = scope.querySelectorAll('.audin-paint__chart-container');
-        if (chartContainers.length === 0 || typeof Chart === 'undefined') return;
-
-        var observer = new IntersectionObserver(function (entries) {
-            entries.forEach(function (entry) {
-                if (entry.isIntersecting) {
-                    var canvas = entry.target.querySelector('canvas');
-                    if (canvas && !canvas.dataset.chartInit) {
-                        canvas.dataset.chartInit = 'true';
-                        initChartById(canvas);
-                    }
-                    observer.unobserve(entry.target);
-                }
-            });
-        }, { threshold: 0.3 });
-
-        chartContainers.forEach(function (el) { observer.observe(el); });
+        AUDIN.charts.init(container);
     };
 
     /* ============================================
@@ -0,0 +1,759 @@
+#!/usr/bin/env node
+/**
+ * AUDIN - Build offline dos dados derivados
+ *
+ * Le a tabela-fonte de recomendacoes (JSON ou CSV) e regenera, de forma
+ * deterministica, todos os arquivos derivados de data/:
+ *
+ *   stats.json                  indicadores (mesmo motor de assets/js/audin-stats.js)
+ *   recomendacoes_grouped.json  Ano x Unidade x Situacao -> Total
+ *   sankey_data.json            Unidade x Situacao -> value
+ *   status_all.json             arvore Ano -> Unidade -> Situacao
+ *   relatorios_por_ano.json     relatorios distintos por ano
+ *   historico.json              snapshot dos indicadores por data_atualizacao
+ *                               (acumulativo: preserva os snapshots anteriores)
+ *   eventos.json                mudancas de situacao por recomendacao (acumulativo:
+ *                               compara a nova tabela com a anterior e registra
+ *                               cada status alterado na data_atualizacao)
+ *   recomendacoes_table.json    a tabela-fonte com a coluna ID preenchida (tambem
+ *                               quando a entrada e CSV ou JSON em outro caminho)
+ *
+ * Antes das derivacoes, os rotulos de unidade passam pelo cadastro canonico
+ * (data/unidades.json, via assets/js/audin-registro.js): apelidos viram o
+ * codigo da unidade e rotulos compostos ('FAEXP - DEMAT') contam uma vez
+ * para cada unidade envolvida nas saidas por unidade. Rotulos sem cadastro
+ * sao mantidos e avisados no console. Os IDs de eventos.json continuam
+ * baseados no rotulo original da planilha.
+ *
+ * Uso:
+ *   node scripts/build-data.js
+ *   node scripts/build-data.js --input planilha.csv --data-atualizacao 15/01/2026
+ *   node scripts/build-data.js --check
+ *
+ * Opcoes:
+ *   --input <arquivo>            Tabela-fonte (.json ou .csv). Padrao: data/recomendacoes_table.json
+ *   --out <dir>                  Diretorio de saida. Padrao: data/
+ *   --anterior <arquivo>         Tabela anterior (.json ou .csv) para os eventos. Padrao: ver abaixo
+ *   --data-atualizacao <data>    Data carimbada em stats.json (DD/MM/AAAA). Padrao: hoje;
+ *                                com --check, mantem a data do stats.json existente
+ *   --check                      Nao grava; sai com codigo 1 se algum arquivo estiver desatualizado
+ *
+ * Tabela anterior (base dos eventos), sem --anterior:
+ *   - Entrada em outro caminho (planilha CSV exportada): a tabela publicada
+ *     em <out>/recomendacoes_table.json, que o build entao substitui
+ *   - Entrada e a propria tabela publicada (editada no lugar, o fluxo
+ *     padrao): a versao commitada no git (git show HEAD:...). Fora de um
+ *     repositorio git ou sem a tabela commitada, nenhum evento e registrado
+ *     e o build avisa no console
+ *
+ * Colunas opcionais da tabela-fonte: ID, Emissao e Prazo (DD/MM/AAAA).
+ *
+ * Coluna ID (ID estavel, ver assets/js/audin-recomendacoes.js): gravada
+ * uma vez e mantida. Linha sem ID herda o da tabela anterior com o mesmo
+ * relatorio, unidade e texto (ex: planilha reexportada sem a coluna); a
+ * numerada pelo texto recebe <relatorio>-<unidade>-<numero>; a sem numero,
+ * o proximo 'p<n>' livre do relatorio e unidade. IDs de linhas removidas,
+ * de eventos.json e de temas_revisao.json nao sao reaproveitados. Nao
+ * edite nem troque IDs a mao: eventos e revisoes de tema dependem deles.
+ *
+ * Eventos de antes desta versao do build (data/eventos.json comecou vazio):
+ *   - A mao: incluir { id, data, Situacao, obs } em data/eventos.json; o
+ *     build os preserva e nao repete um status ja registrado como ultimo
+ *   - Pelo historico do git: reprocessar cada par de versoes commitadas
+ *     da tabela, da mais antiga para a mais nova, com a data de cada uma:
+ *       git log --format='%h %ad' --date=short -- data/recomendacoes_table.json
+ *       git show <antiga>:data/recomendacoes_table.json > /tmp/antes.json
+ *       git show <nova>:data/recomendacoes_table.json > /tmp/depois.json
+ *       node scripts/build-data.js --anterior /tmp/antes.json --input /tmp/depois.json \
+ *           --data-atualizacao <data da nova>
+ *     e, ao final, rodar o build com a tabela atual (sem --anterior)
+ *
+ * As regras de tema (data/temas.json) e as revisoes manuais
+ * (data/temas_revisao.json) sao validadas e a quantidade de recomendacoes
+ * sem tema e informada ao final.
+ *
+ * As saidas sao validadas contra data/schemas antes de gravar.
+ * Sem dependencias externas (Node >= 14).
+ */
+'use strict';
+
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+
+/** Ordem canonica de status nas saidas agrupadas. */
+const STATUS_ORDER = ['Atendida', 'Baixada', 'Em Implementação', 'Pendente'];
+
+const COLUMNS = ['Unidade', 'Relatorio', 'Ano', 'Recomendacao', 'Situacao'];
+
+/** Coluna do ID estavel, gravada pelo build (primeira coluna da tabela). */
+const ID_COLUMN = 'ID';
+
+/** Colunas gravadas apenas quando preenchidas. */
+const OPTIONAL_COLUMNS = ['Emissao', 'Prazo'];
+
+/* ============================================
+   ARGUMENTOS
+   ============================================ */
+
+function parseArgs(argv) {
+    const args = {
+        input: path.join(ROOT, 'data', 'recomendacoes_table.json'),
+        out: path.join(ROOT, 'data'),
+        anterior: null,
+        dataAtualizacao: null,
+        check: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--check') {
+            args.check = true;
+        } else if (arg === '--input') {
+            args.input = path.resolve(argv[++i]);
+        } else if (arg === '--out') {
+            args.out = path.resolve(argv[++i]);
+        } else if (arg === '--anterior') {
+            args.anterior = path.resolve(argv[++i]);
+        } else if (arg === '--data-atualizacao') {
+            args.dataAtualizacao = argv[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            args.help = true;
+        } else {
+            throw new Error(`Opcao desconhecida: ${arg}`);
+        }
+    }
+
+    if (args.dataAtualizacao && !/^\d{2}\/\d{2}\/\d{4}$/.test(args.dataAtualizacao)) {
+        throw new Error(`--data-atualizacao deve estar no formato DD/MM/AAAA (recebido: ${args.dataAtualizacao})`);
+    }
+
+    return args;
+}
+
+function today() {
+    const d = new Date();
+    const pad = n => String(n).padStart(2, '0');
+    return `${pad(d.getDate())}/${pad(d.getMonth() + 1)}/${d.getFullYear()}`;
+}
+
+/* ============================================
+   LEITURA DA TABELA-FONTE
+   ============================================ */
+
+/**
+ * Parser CSV (RFC 4180) com deteccao de delimitador ';' ou ','.
+ * Aceita BOM UTF-8 e campos entre aspas com quebras de linha.
+ *
+ * @param {string} text
+ * @returns {Object[]} Linhas como objetos indexados pelo cabecalho
+ */
+function parseCsv(text) {
+    text = text.replace(/^\uFEFF/, '');
+    const firstLine = text.slice(0, text.indexOf('\n') === -1 ? text.length : text.indexOf('\n'));
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+    const records = [];
+    let field = '';
+    let record = [];
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            record.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            record.push(field);
+            records.push(record);
+            field = '';
+            record = [];
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const header = records.shift().map(h => h.trim());
+    const missing = COLUMNS.filter(c => header.indexOf(c) === -1);
+    if (missing.length > 0) {
+        throw new Error(`CSV sem as colunas obrigatorias: ${missing.join(', ')}`);
+    }
+
+    return records
+        .filter(r => r.some(v => v.trim() !== ''))
+        .map(r => {
+            const row = {};
+            header.forEach((h, i) => { row[h] = r[i] === undefined ? '' : r[i]; });
+            return row;
+        });
+}
+
+function readSource(file) {
+    return parseSource(fs.readFileSync(file, 'utf8'), file);
+}
+
+/**
+ * Normaliza a tabela-fonte: ID (quando preenchido), colunas obrigatorias
+ * como texto aparado e colunas opcionais apenas quando preenchidas.
+ *
+ * @param {string} text - Conteudo do arquivo
+ * @param {string} file - Nome do arquivo (a extensao escolhe CSV ou JSON)
+ * @returns {Object[]}
+ */
+function parseSource(text, file) {
+    const raw = path.extname(file).toLowerCase() === '.csv' ? parseCsv(text) : JSON.parse(text);
+
+    if (!Array.isArray(raw)) {
+        throw new Error(`${file}: esperado um array de recomendacoes`);
+    }
+
+    return raw.map(item => {
+        const row = {};
+        const id = item[ID_COLUMN] === null || item[ID_COLUMN] === undefined ? '' : String(item[ID_COLUMN]).trim();
+        if (id) row[ID_COLUMN] = id;
+        COLUMNS.forEach(c => {
+            const v = item[c];
+            row[c] = v === null || v === undefined ? '' : String(v).trim();
+        });
+        OPTIONAL_COLUMNS.forEach(c => {
+            const v = item[c] === null || item[c] === undefined ? '' : String(item[c]).trim();
+            if (v) row[c] = v;
+        });
+        return row;
+    });
+}
+
+/* ============================================
+   MOTOR DE ESTATISTICAS (compartilhado com o site)
+   ============================================ */
+
+/**
+ * Carrega scripts de assets/js num mesmo sandbox (na ordem dada).
+ *
+ * @param {...string} names
+ * @returns {Object} window.AUDIN do sandbox
+ */
+function loadBrowserModule(...names) {
+    const sandbox = { console };
+    sandbox.window = sandbox;
+    vm.createContext(sandbox);
+    names.forEach(name => {
+        const file = path.join(ROOT, 'assets', 'js', name);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), sandbox, { filename: file });
+    });
+    return sandbox.AUDIN;
+}
+
+function loadStatsEngine() {
+    return loadBrowserModule('audin-stats.js').stats;
+}
+
+function loadRecordBuilder() {
+    return loadBrowserModule('audin-stats.js', 'audin-recomendacoes.js').recomendacoes.build;
+}
+
+/**
+ * Preenche a coluna ID: mantem os IDs gravados; linha sem ID herda o da
+ * tabela anterior com mesmo relatorio, unidade e texto, senao recebe o ID
+ * do numero no texto ou o proximo 'p<n>' livre do relatorio e unidade.
+ *
+ * @param {Object[]} source - Linhas da tabela-fonte (parseSource)
+ * @param {Object[]} anteriores - Registros da tabela anterior ([] sem ela)
+ * @param {Iterable<string>} usados - IDs ja citados (eventos, revisoes de tema)
+ * @returns {Object[]} Linhas com ID; as sem texto de recomendacao ficam sem
+ */
+function assignIds(source, anteriores, usados) {
+    const AUDIN = loadBrowserModule('audin-stats.js', 'audin-recomendacoes.js');
+    const recomendacoes = AUDIN.recomendacoes;
+    const chave = r => `${recomendacoes.prefixoId(r)}|${String(r.Recomendacao).trim()}`;
+
+    const ids = source.map(row => row[ID_COLUMN] || null);
+    const atribuidos = new Set();
+    ids.forEach(id => {
+        if (id === null) return;
+        if (atribuidos.has(id)) {
+            throw new Error(`Tabela-fonte: ID repetido ${id} (cada recomendacao precisa de um ID proprio)`);
+        }
+        atribuidos.add(id);
+    });
+
+    // Mesmo relatorio, unidade e texto: repeticoes exatas herdam na ordem
+    const herdaveis = new Map();
+    anteriores.filter(r => !atribuidos.has(r.id)).forEach(r => {
+        if (!herdaveis.has(chave(r))) herdaveis.set(chave(r), []);
+        herdaveis.get(chave(r)).push(r.id);
+    });
+    source.forEach((row, i) => {
+        const fila = ids[i] === null && AUDIN.stats.isValida(row) ? herdaveis.get(chave(row)) : null;
+        if (fila && fila.length > 0) {
+            ids[i] = fila.shift();
+            atribuidos.add(ids[i]);
+        }
+    });
+
+    const ocupados = new Set(Array.from(usados).concat(anteriores.map(r => r.id)));
+    const ultimo = new Map();
+    const proximoP = prefixo => {
+        if (!ultimo.has(prefixo)) {
+            // Prefixos e IDs so tem [a-z0-9-]
+            const maior = Array.from(ocupados).concat(Array.from(atribuidos))
+                .filter(id => id.startsWith(`${prefixo}-p`))
+                .map(id => /^(\d+)(?:-|$)/.exec(id.slice(prefixo.length + 2)))
+                .reduce((max, m) => m ? Math.max(max, Number(m[1])) : max, 0);
+            ultimo.set(prefixo, maior);
+        }
+        ultimo.set(prefixo, ultimo.get(prefixo) + 1);
+        return `${prefixo}-p${ultimo.get(prefixo)}`;
+    };
+
+    source.forEach((row, i) => {
+        if (ids[i] !== null || !AUDIN.stats.isValida(row)) return;
+        const registro = recomendacoes.parse(row);
+        if (registro.Numero === null && registro.Item === null) {
+            ids[i] = proximoP(recomendacoes.prefixoId(row));
+        } else {
+            // O numero identifica a recomendacao: texto editado mantem o ID
+            let id = registro.id;
+            for (let n = 2; atribuidos.has(id); n++) id = `${registro.id}-${n}`;
+            ids[i] = id;
+        }
+        atribuidos.add(ids[i]);
+    });
+
+    return source.map((row, i) => {
+        if (ids[i] === null) return row;
+        const comId = { [ID_COLUMN]: ids[i] };
+        Object.keys(row).filter(c => c !== ID_COLUMN).forEach(c => { comId[c] = row[c]; });
+        return comId;
+    });
+}
+
+/**
+ * Aplicador do cadastro de unidades (data/unidades.json), validado contra
+ * o schema antes do uso. Rotulos sem cadastro sao avisados no console.
+ *
+ * @returns {Function} (rows) -> rows com Unidade canonica, Unidades e UnidadeOriginal
+ */
+function loadRegistro() {
+    const cadastro = JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'unidades.json'), 'utf8'));
+    const erros = validateOutputs({ 'unidades.json': cadastro });
+    if (erros.length > 0) {
+        throw new Error(`Cadastro de unidades invalido:\n${erros.join('\n')}`);
+    }
+    const registro = loadBrowserModule('audin-registro.js').registro;
+    return rows => registro.apply(rows, cadastro);
+}
+
+/**
+ * Cobertura da classificacao por tema (data/temas.json e
+ * data/temas_revisao.json, via assets/js/audin-temas.js), com as regras
+ * e revisoes validadas contra o schema. Nao gera arquivo: os temas sao
+ * atribuidos no navegador. Revisoes de IDs inexistentes sao avisadas.
+ *
+ * @param {Array<Object>} registros - Registros de AUDIN.recomendacoes.build
+ * @returns {number} Recomendacoes sem nenhum tema
+ */
+function checkTemas(registros) {
+    const ler = name => {
+        const file = path.join(ROOT, 'data', name);
+        return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+    };
+    const regras = ler('temas.json');
+    const revisoes = ler('temas_revisao.json');
+    const erros = validateOutputs({ 'temas.json': regras, 'temas_revisao.json': revisoes });
+    if (erros.length > 0) {
+        throw new Error(`Regras de tema invalidas:\n${erros.join('\n')}`);
+    }
+
+    const ids = new Set(registros.map(r => r.id));
+    revisoes.filter(r => !ids.has(r.id)).forEach(r => {
+        console.warn(`temas_revisao.json: recomendacao inexistente "${r.id}"`);
+    });
+
+    const temas = loadBrowserModule('audin-temas.js').temas;
+    const classificador = temas.create(regras, revisoes);
+    return temas.apply(registros, classificador).filter(r => r.Temas.length === 0).length;
+}
+
+/* ============================================
+   VALIDACAO (mesmos schemas usados pelo site)
+   ============================================ */
+
+/**
+ * Valida cada saida contra data/schemas/<arquivo>.schema.json.
+ * Arquivos sem schema sao aceitos sem verificacao.
+ *
+ * @param {Object<string, *>} outputs - Nome do arquivo -> conteudo
+ * @returns {string[]} Mensagens de erro ("arquivo: caminho - motivo")
+ */
+function validateOutputs(outputs) {
+    const validate = loadBrowserModule('audin-data.js').data.validate;
+    const erros = [];
+
+    Object.keys(outputs).forEach(name => {
+        const schemaFile = path.join(ROOT, 'data', 'schemas', name.replace(/\.json$/, '.schema.json'));
+        if (!fs.existsSync(schemaFile)) return;
+
+        const schema = JSON.parse(fs.readFileSync(schemaFile, 'utf8'));
+        validate(schema, outputs[name]).forEach(e => {
+            erros.push(`${name}: ${e.path} - ${e.message}`);
+        });
+    });
+
+    return erros;
+}
+
+/* ============================================
+   DERIVACOES
+   ============================================ */
+
+function compareText(a, b) {
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function compareStatus(a, b) {
+    const ia = STATUS_ORDER.indexOf(a);
+    const ib = STATUS_ORDER.indexOf(b);
+    return (ia === -1 ? STATUS_ORDER.length : ia) - (ib === -1 ? STATUS_ORDER.length : ib) || compareText(a, b);
+}
+
+/**
+ * Agrupa linhas por uma lista de chaves e conta ocorrencias.
+ * Saida ordenada por ano/unidade (texto) e status (ordem canonica).
+ */
+function groupCount(rows, keys) {
+    const index = new Map();
+    rows.forEach(row => {
+        const id = keys.map(k => row[k]).join('\u0000');
+        if (!index.has(id)) {
+            const entry = {};
+            keys.forEach(k => { entry[k] = row[k]; });
+            entry.count = 0;
+            index.set(id, entry);
+        }
+        index.get(id).count++;
+    });
+
+    return Array.from(index.values()).sort((a, b) => {
+        for (const k of keys) {
+            const cmp = k === 'Situacao' ? compareStatus(a[k], b[k]) : compareText(a[k], b[k]);
+            if (cmp !== 0) return cmp;
+        }
+        return 0;
+    });
+}
+
+/**
+ * Uma linha por unidade envolvida: rotulos compostos contam para cada
+ * unidade nas saidas agrupadas por Unidade.
+ */
+function splitUnits(rows) {
+    const out = [];
+    rows.forEach(row => {
+        (row.Unidades || [row.Unidade]).forEach(unidade => {
+            out.push(Object.assign({}, row, { Unidade: unidade }));
+        });
+    });
+    return out;
+}
+
+function buildGrouped(rows) {
+    return groupCount(rows.filter(r => r.Ano), ['Ano', 'Unidade', 'Situacao'])
+        .map(g => ({ Ano: g.Ano, Unidade: g.Unidade, Situacao: g.Situacao, Total: g.count }));
+}
+
+function buildSankey(rows) {
+    return groupCount(rows, ['Unidade', 'Situacao'])
+        .map(g => ({ Unidade: g.Unidade, Situacao: g.Situacao, value: g.count }));
+}
+
+function buildHierarchy(grouped) {
+    const anos = [];
+    grouped.forEach(g => {
+        let ano = anos[anos.length - 1];
+        if (!ano || ano.name !== g.Ano) {
+            ano = { name: g.Ano, children: [] };
+            anos.push(ano);
+        }
+        let unidade = ano.children[ano.children.length - 1];
+        if (!unidade || unidade.name !== g.Unidade) {
+            unidade = { name: g.Unidade, children: [] };
+            ano.children.push(unidade);
+        }
+        unidade.children.push({ name: g.Situacao, value: g.Total });
+    });
+    return anos;
+}
+
+function buildRelatoriosPorAno(rows) {
+    const porAno = new Map();
+    rows.filter(r => r.Ano).forEach(r => {
+        if (!porAno.has(r.Ano)) porAno.set(r.Ano, new Set());
+        porAno.get(r.Ano).add(r.Relatorio);
+    });
+    return Array.from(porAno.keys())
+        .sort(compareText)
+        .map(ano => ({ Ano: ano, Total: porAno.get(ano).size }));
+}
+
+/**
+ * Recomendacoes que mudaram de ID entre as tabelas: mesmo relatorio,
+ * unidade e texto (sem repeticao exata) com outro ID na tabela atual.
+ *
+ * @param {Object[]} anteriores - Registros da tabela anterior
+ * @param {Object[]} atuais - Registros da tabela atual
+ * @returns {Array<{de: string, para: string}>}
+ */
+function findRenumbered(anteriores, atuais) {
+    const chave = r => [r.Ano, r.Relatorio, r.UnidadeOriginal, r.Recomendacao].join('|');
+    const unicos = registros => {
+        const porChave = new Map();
+        registros.forEach(r => porChave.set(chave(r), porChave.has(chave(r)) ? null : r.id));
+        return porChave;
+    };
+    const antes = unicos(anteriores);
+    const depois = unicos(atuais);
+
+    const mudancas = [];
+    depois.forEach((id, k) => {
+        if (id !== null && antes.get(k) && antes.get(k) !== id) {
+            mudancas.push({ de: antes.get(k), para: id });
+        }
+    });
+    return mudancas;
+}
+
+/**
+ * Acrescenta ao historico as mudancas de situacao entre a tabela anterior
+ * e a atual, datadas de dataAtualizacao. Recomendacoes novas nao geram
+ * evento (a emissao fica na coluna Emissao). Idempotente: um status ja
+ * registrado como ultimo evento do ID nao e repetido.
+ *
+ * Recusa (lanca erro) quando alguma recomendacao mudou de ID entre as
+ * tabelas: casar por ID registraria mudancas falsas nas que trocaram.
+ *
+ * @param {Object[]} eventos - Historico existente
+ * @param {Object[]} anteriores - Registros da tabela anterior (com id)
+ * @param {Object[]} atuais - Registros da tabela atual (com id)
+ * @param {string} dataAtualizacao - DD/MM/AAAA
+ * @returns {Object[]} Historico em ordem cronologica (data, depois id)
+ */
+function buildEventos(eventos, anteriores, atuais, dataAtualizacao) {
+    const renumerados = findRenumbered(anteriores, atuais);
+    if (renumerados.length > 0) {
+        throw new Error(`eventos.json: ${renumerados.length} recomendacao(oes) com ID diferente do da tabela anterior ` +
+            `(${renumerados.slice(0, 3).map(m => `${m.de} -> ${m.para}`).join(', ')}). ` +
+            'Restaure a coluna ID da tabela anterior; nenhum arquivo gravado.');
+    }
+
+    const ultimo = new Map();
+    eventos.forEach(e => ultimo.set(e.id, e.Situacao));
+
+    const antes = new Map(anteriores.map(r => [r.id, r.Situacao]));
+    const novos = [];
+
+    atuais.forEach(r => {
+        const anterior = ultimo.has(r.id) ? ultimo.get(r.id) : antes.get(r.id);
+        if (anterior !== undefined && anterior !== r.Situacao) {
+            novos.push({ id: r.id, data: dataAtualizacao, Situacao: r.Situacao });
+        }
+    });
+
+    const key = data => data.split('/').reverse().join('');
+    return eventos.concat(novos)
+        .map((e, i) => ({ e, i }))
+        .sort((a, b) => compareText(key(a.e.data), key(b.e.data)) || a.i - b.i)
+        .map(x => x.e);
+}
+
+/* ============================================
+   EXECUCAO
+   ============================================ */
+
+function serialize(data) {
+    return JSON.stringify(data, null, 4) + '\n';
+}
+
+function readExistingDate(outDir) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(outDir, 'stats.json'), 'utf8')).data_atualizacao || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function readExistingHistory(outDir) {
+    return readExistingArray(outDir, 'historico.json');
+}
+
+function readExistingArray(outDir, name) {
+    const file = path.join(outDir, name);
+    if (!fs.existsSync(file)) return [];
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function isPublishedTable(args) {
+    return path.resolve(args.input) === path.resolve(args.out, 'recomendacoes_table.json');
+}
+
+/**
+ * Versao commitada (HEAD) de um arquivo, ou null fora de um repositorio
+ * git, sem git instalado ou com o arquivo fora do HEAD.
+ */
+function readCommitted(file) {
+    try {
+        return childProcess.execFileSync('git', ['show', `HEAD:./${path.basename(file)}`], {
+            cwd: path.dirname(file),
+            encoding: 'utf8',
+            maxBuffer: 64 * 1024 * 1024,
+            stdio: ['ignore', 'pipe', 'ignore']
+        });
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Tabela anterior a este build, base dos eventos: --anterior; senao a
+ * tabela publicada, quando a entrada vem de outro caminho; senao (tabela
+ * publicada editada no lugar) a versao commitada no git.
+ *
+ * @returns {Object[]|null} null quando nao ha versao anterior
+ */
+function readPreviousTable(args) {
+    if (args.anterior) return readSource(args.anterior);
+
+    const file = path.join(args.out, 'recomendacoes_table.json');
+    if (!isPublishedTable(args)) {
+        return fs.existsSync(file) ? readSource(file) : null;
+    }
+
+    const committed = readCommitted(file);
+    if (committed === null) {
+        console.warn(`${path.relative(process.cwd(), file)}: sem versao commitada no git; ` +
+            'nenhum evento de situacao registrado (use --anterior).');
+        return null;
+    }
+    return parseSource(committed, file);
+}
+
+/** Linha de observacao (sem texto) como no schema: Recomendacao e Situacao nulas. */
+function publishObservation(row) {
+    return Object.assign({}, row, { Recomendacao: row.Recomendacao || null, Situacao: row.Situacao || null });
+}
+
+function build(args) {
+    const engine = loadStatsEngine();
+    const resolveUnidades = loadRegistro();
+    const source = readSource(args.input);
+    const rows = resolveUnidades(source.filter(engine.isValida));
+    const ignoradas = source.length - rows.length;
+    const porUnidade = splitUnits(rows);
+
+    const stats = engine.compute(rows);
+    stats.data_atualizacao = args.dataAtualizacao
+        || (args.check ? readExistingDate(args.out) : null)
+        || today();
+
+    const grouped = buildGrouped(porUnidade);
+
+    const buildRecords = loadRecordBuilder();
+    const anterior = readPreviousTable(args);
+    const registrosAnteriores = anterior ? buildRecords(anterior) : [];
+    const eventosExistentes = readExistingArray(args.out, 'eventos.json');
+    const citados = eventosExistentes.concat(readExistingArray(args.out, 'temas_revisao.json')).map(e => e.id);
+    const tabela = assignIds(source, registrosAnteriores, citados);
+    const registros = buildRecords(tabela);
+    const eventos = anterior
+        ? buildEventos(eventosExistentes, registrosAnteriores, registros, stats.data_atualizacao)
+        : eventosExistentes;
+
+    const outputs = {
+        'stats.json': stats,
+        'recomendacoes_grouped.json': grouped,
+        'sankey_data.json': buildSankey(porUnidade),
+        'status_all.json': buildHierarchy(grouped),
+        'relatorios_por_ano.json': buildRelatoriosPorAno(rows),
+        'historico.json': engine.record(readExistingHistory(args.out), engine.snapshot(stats, stats.data_atualizacao)),
+        'eventos.json': eventos,
+        // Com os IDs; publicada, vira a base dos eventos do proximo build
+        'recomendacoes_table.json': tabela.map(row => engine.isValida(row) ? row : publishObservation(row))
+    };
+
+    return { outputs, total: source.length, ignoradas, semTema: checkTemas(registros) };
+}
+
+function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(e.message);
+        process.exit(2);
+    }
+
+    if (args.help) {
+        console.log('Uso: node scripts/build-data.js [--input arquivo.json|.csv] [--out dir] [--anterior arquivo.json|.csv] [--data-atualizacao DD/MM/AAAA] [--check]');
+        return;
+    }
+
+    const result = build(args);
+    const desatualizados = [];
+
+    const erros = validateOutputs(result.outputs);
+    if (erros.length > 0) {
+        erros.slice(0, 20).forEach(e => console.error(e));
+        console.error(`${erros.length} erro(s) de schema; nenhum arquivo gravado.`);
+        process.exit(1);
+    }
+
+    Object.keys(result.outputs).forEach(name => {
+        const file = path.join(args.out, name);
+        const content = serialize(result.outputs[name]);
+        const atual = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+
+        if (args.check) {
+            if (atual !== content) desatualizados.push(name);
+            return;
+        }
+
+        fs.mkdirSync(args.out, { recursive: true });
+        fs.writeFileSync(file, content);
+        console.log(`${atual === content ? 'sem alteracao' : 'gravado'}  ${path.relative(process.cwd(), file)}`);
+    });
+
+    console.log(`${result.total} linha(s) lidas, ${result.ignoradas} ignorada(s) sem texto de recomendacao.`);
+    console.log(`${result.semTema} recomendacao(oes) sem tema (regras em data/temas.json).`);
+
+    if (args.check && desatualizados.length > 0) {
+        console.error(`Desatualizado(s): ${desatualizados.join(', ')}. Rode: node scripts/build-data.js`);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { assignIds, build, buildEventos, loadBrowserModule, loadRecordBuilder, parseArgs, parseCsv, validateOutputs };
@@ -0,0 +1,155 @@
+/**
+ * AUDIN - Testes do build offline (scripts/build-data.js)
+ *
+ * Eventos de situacao registrados pelo build, em especial no fluxo padrao:
+ * a tabela publicada editada no lugar e comparada com a versao commitada.
+ *
+ * Uso: node --test scripts/test/   (Node >= 18, sem dependencias)
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { build, parseArgs } = require('../build-data.js');
+
+const TABELA = [
+    { Unidade: 'ICSEZ', Relatorio: '1', Ano: '2015', Recomendacao: 'Recomendação 16: Providenciar o ressarcimento.', Situacao: 'Em Implementação' },
+    { Unidade: 'ICSEZ', Relatorio: '1', Ano: '2015', Recomendacao: 'Recomendação 17: Revisar a planilha de custos.', Situacao: 'Pendente' }
+];
+
+function git(dir, ...args) {
+    childProcess.execFileSync('git', ['-c', 'user.name=AUDIN', '-c', 'user.email=audin@ufam.edu.br', ...args], {
+        cwd: dir,
+        stdio: 'ignore'
+    });
+}
+
+function writeJson(file, data) {
+    fs.writeFileSync(file, JSON.stringify(data, null, 4) + '\n');
+}
+
+/** Diretorio temporario com a tabela publicada (e commitada, com git). */
+function dataDir(t, { commit }) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audin-build-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    writeJson(path.join(dir, 'recomendacoes_table.json'), TABELA);
+    if (commit) {
+        git(dir, 'init', '-q');
+        git(dir, 'add', 'recomendacoes_table.json');
+        git(dir, 'commit', '-q', '-m', 'Tabela inicial');
+    }
+    return dir;
+}
+
+function editar(dir, indice, situacao) {
+    const tabela = TABELA.map(r => Object.assign({}, r));
+    tabela[indice].Situacao = situacao;
+    writeJson(path.join(dir, 'recomendacoes_table.json'), tabela);
+}
+
+function buildEm(dir, ...extra) {
+    const args = parseArgs(['--input', path.join(dir, 'recomendacoes_table.json'), '--out', dir,
+        '--data-atualizacao', '15/01/2026', ...extra]);
+    return build(args).outputs;
+}
+
+test('tabela editada no lugar: eventos contra a versao commitada', t => {
+    t.mock.method(console, 'warn', () => {});
+    const dir = dataDir(t, { commit: true });
+    editar(dir, 0, 'Atendida');
+
+    const outputs = buildEm(dir);
+
+    assert.deepStrictEqual(outputs['eventos.json'], [
+        { id: '2015-1-icsez-16', data: '15/01/2026', Situacao: 'Atendida' }
+    ]);
+    assert.deepStrictEqual(outputs['recomendacoes_table.json'].map(r => r.ID), ['2015-1-icsez-16', '2015-1-icsez-17']);
+});
+
+test('novo build sem commit nao repete o evento', t => {
+    t.mock.method(console, 'warn', () => {});
+    const dir = dataDir(t, { commit: true });
+    editar(dir, 0, 'Atendida');
+    writeJson(path.join(dir, 'eventos.json'), buildEm(dir)['eventos.json']);
+
+    assert.strictEqual(buildEm(dir)['eventos.json'].length, 1);
+});
+
+test('tabela sem mudancas nao gera eventos', t => {
+    t.mock.method(console, 'warn', () => {});
+    const dir = dataDir(t, { commit: true });
+
+    assert.deepStrictEqual(buildEm(dir)['eventos.json'], []);
+});
+
+test('fora do git: sem eventos e com aviso', t => {
+    const avisos = [];
+    t.mock.method(console, 'warn', msg => avisos.push(msg));
+    const dir = dataDir(t, { commit: false });
+    editar(dir, 0, 'Atendida');
+
+    assert.deepStrictEqual(buildEm(dir)['eventos.json'], []);
+    assert.ok(avisos.some(msg => /sem versao commitada/.test(msg)));
+});
+
+test('--anterior define a base dos eventos', t => {
+    t.mock.method(console, 'warn', () => {});
+    const dir = dataDir(t, { commit: false });
+    const anterior = path.join(dir, 'anterior.json');
+    writeJson(anterior, TABELA);
+    editar(dir, 1, 'Baixada');
+
+    assert.deepStrictEqual(buildEm(dir, '--anterior', anterior)['eventos.json'], [
+        { id: '2015-1-icsez-17', data: '15/01/2026', Situacao: 'Baixada' }
+    ]);
+});
+
+test('JSON em outro caminho substitui a tabela publicada', t => {
+    t.mock.method(console, 'warn', () => {});
+    const dir = dataDir(t, { commit: false });
+    const entrada = path.join(dir, 'planilha.json');
+    const nova = TABELA.map(r => Object.assign({}, r, { Situacao: 'Atendida' }));
+    writeJson(entrada, nova);
+
+    const outputs = build(parseArgs(['--input', entrada, '--out', dir, '--data-atualizacao', '15/01/2026'])).outputs;
+
+    assert.deepStrictEqual(outputs['recomendacoes_table.json'].map(r => Object.assign({}, r, { ID: undefined })),
+        nova.map(r => Object.assign({}, r, { ID: undefined })));
+    assert.strictEqual(outputs['eventos.json'].length, 2);
+});
+
+const SEM_NUMERO = [
+    { ID: '2022-4-progesp-p1', Unidade: 'PROGESP', Relatorio: '4', Ano: '2022', Recomendacao: 'Estabelecer rotinas de acompanhamento.', Situacao: 'Pendente' },
+    { ID: '2022-4-progesp-p2', Unidade: 'PROGESP', Relatorio: '4', Ano: '2022', Recomendacao: 'Promover a segregação de funções.', Situacao: 'Atendida' },
+    { ID: '2022-4-progesp-p3', Unidade: 'PROGESP', Relatorio: '4', Ano: '2022', Recomendacao: 'Publicar o relatório de gestão.', Situacao: 'Em Implementação' }
+];
+
+test('remover uma linha sem numero nao gera eventos nas demais', t => {
+    t.mock.method(console, 'warn', () => {});
+    const dir = dataDir(t, { commit: false });
+    const anterior = path.join(dir, 'anterior.json');
+    writeJson(anterior, SEM_NUMERO);
+    writeJson(path.join(dir, 'recomendacoes_table.json'), SEM_NUMERO.slice(1));
+
+    const outputs = buildEm(dir, '--anterior', anterior);
+
+    assert.deepStrictEqual(outputs['eventos.json'], []);
+    assert.deepStrictEqual(outputs['recomendacoes_table.json'].map(r => r.ID), ['2022-4-progesp-p2', '2022-4-progesp-p3']);
+});
+
+test('recomendacao que mudou de ID: build recusado', t => {
+    t.mock.method(console, 'warn', () => {});
+    const dir = dataDir(t, { commit: false });
+    const anterior = path.join(dir, 'anterior.json');
+    writeJson(anterior, SEM_NUMERO);
+    // IDs recalculados pela ordem apos remover a primeira linha
+    writeJson(path.join(dir, 'recomendacoes_table.json'), SEM_NUMERO.slice(1).map((r, i) =>
+        Object.assign({}, r, { ID: `2022-4-progesp-p${i + 1}` })));
+
+    assert.throws(() => buildEm(dir, '--anterior', anterior), /2022-4-progesp-p2 -> 2022-4-progesp-p1/);
+});
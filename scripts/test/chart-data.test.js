@@ -0,0 +1,93 @@
+/**
+ * AUDIN - Testes das hierarquias dos graficos (assets/js/audin-chart-data.js)
+ *
+ * Linhas de rotulo composto ('FAEXP - DEMAT') contam para cada unidade nos
+ * rankings, mas nos treemaps/sunbursts cada recomendacao entra uma vez:
+ * a raiz e os anos batem com data/stats.json.
+ *
+ * Uso: node --test scripts/test/   (Node >= 18, sem dependencias)
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { loadBrowserModule } = require('../build-data.js');
+
+const DATA = path.join(__dirname, '..', '..', 'data');
+const readJson = name => JSON.parse(fs.readFileSync(path.join(DATA, name), 'utf8'));
+
+const AUDIN = loadBrowserModule('audin-stats.js', 'audin-registro.js', 'audin-chart-data.js');
+const registro = AUDIN.registro.create(readJson('unidades.json'));
+const rows = AUDIN.registro.apply(readJson('recomendacoes_table.json'), registro).filter(AUDIN.stats.isValida);
+const stats = AUDIN.stats.compute(rows);
+
+const CADASTRO = [
+    { codigo: 'REITORIA', nome: 'Reitoria', aliases: [], orgao_superior: null, campus: 'Manaus' },
+    { codigo: 'PROADM', nome: 'Pró-Reitoria de Administração', aliases: [], orgao_superior: 'REITORIA', grupo: 'Pró-Reitorias', campus: 'Manaus' },
+    { codigo: 'DEMAT', nome: 'Departamento de Material', aliases: [], orgao_superior: 'PROADM', campus: 'Manaus' },
+    { codigo: 'ICET', nome: 'Instituto de Ciências Exatas e Tecnologia', aliases: [], orgao_superior: 'REITORIA', grupo: 'Unidades Acadêmicas', campus: 'Itacoatiara' }
+];
+
+function linha(Unidade, Situacao) {
+    return { Ano: '2021', Relatorio: '3', Unidade, Situacao, Recomendacao: 'Recomendação 1: Revisar os contratos.' };
+}
+
+function no(h, id) {
+    const i = h.ids.indexOf(id);
+    assert.notStrictEqual(i, -1, `no ${id} ausente`);
+    return { value: h.values[i], efetividade: h.efetividade[i], selection: h.selections[i] };
+}
+
+test('raiz dos rollups soma stats.total_recomendacoes', () => {
+    assert.ok(rows.some(r => r.Unidades.length > 1), 'a tabela deveria ter rotulos compostos');
+
+    // Na visao por ano ficam de fora as linhas sem ano
+    const semAno = rows.filter(r => !r.Ano).length;
+    [['ano', semAno], ['estrutura', 0], ['regiao', 0]].forEach(([visao, fora]) => {
+        const h = AUDIN.chartData.rollup(rows, visao, registro);
+        const raizes = h.ids.map((id, i) => h.parents[i] === '' ? h.values[i] : 0);
+        assert.strictEqual(raizes.reduce((a, b) => a + b, 0), stats.total_recomendacoes - fora, visao);
+    });
+
+    const estrutura = AUDIN.chartData.rollup(rows, 'estrutura', registro);
+    const raiz = estrutura.parents.indexOf('');
+    assert.strictEqual(estrutura.values[raiz], stats.total_recomendacoes);
+    assert.strictEqual(estrutura.efetividade[raiz], Math.round(stats.efetividade * 10) / 10);
+
+    const ano = AUDIN.chartData.rollup(rows, 'ano', registro);
+    assert.strictEqual(no(ano, String(stats.ano_pico)).value, stats.rec_ano_pico);
+});
+
+test('no interno soma os filhos (branchvalues total)', () => {
+    const h = AUDIN.chartData.rollup(rows, 'estrutura', registro);
+    h.ids.forEach((id, i) => {
+        const filhos = h.values.filter((v, j) => h.parents[j] === id);
+        if (filhos.length > 0) {
+            assert.strictEqual(filhos.reduce((a, b) => a + b, 0), h.values[i], id);
+        }
+    });
+});
+
+test('rotulo composto fica uma vez no ancestral comum', () => {
+    const cadastro = AUDIN.registro.create(CADASTRO);
+    const linhas = AUDIN.registro.apply([
+        linha('PROADM - DEMAT', 'Atendida'),
+        linha('DEMAT', 'Pendente'),
+        linha('DEMAT - ICET', 'Pendente')
+    ], cadastro);
+
+    const estrutura = AUDIN.chartData.rollup(linhas, 'estrutura', cadastro);
+    assert.strictEqual(no(estrutura, 'Reitoria').value, 3);
+    assert.strictEqual(no(estrutura, 'Reitoria/Pró-Reitorias/PROADM').value, 2);
+    assert.strictEqual(no(estrutura, 'Reitoria/Pró-Reitorias/PROADM').efetividade, 50);
+    assert.strictEqual(no(estrutura, 'Reitoria/Pró-Reitorias/PROADM/PROADM, DEMAT').value, 1);
+    assert.strictEqual(no(estrutura, 'Reitoria/DEMAT, ICET').value, 1);
+    assert.deepStrictEqual([...no(estrutura, 'Reitoria/Pró-Reitorias/PROADM').selection.Unidade], ['DEMAT', 'PROADM, DEMAT']);
+
+    const regiao = AUDIN.chartData.rollup(linhas, 'regiao', cadastro);
+    assert.strictEqual(no(regiao, 'Manaus/PROADM, DEMAT').value, 1);
+    assert.strictEqual(no(regiao, 'DEMAT, ICET').value, 1);
+});
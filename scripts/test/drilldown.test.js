@@ -0,0 +1,48 @@
+/**
+ * AUDIN - Testes da trilha de volta do painel (assets/js/audin-drilldown.js)
+ *
+ * O parametro origem vem da URL: so enderecos da propria origem podem
+ * virar link na trilha.
+ *
+ * Uso: node --test scripts/test/   (Node >= 18, sem dependencias)
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SITE = 'https://audinufam.github.io';
+
+/** audin-drilldown.js num sandbox sem DOM, servido de SITE/panel/. */
+function loadDrilldown() {
+    const sandbox = { console, URL, URLSearchParams, location: new URL(SITE + '/panel/index.html') };
+    sandbox.window = sandbox;
+    vm.createContext(sandbox);
+    const file = path.join(__dirname, '..', '..', 'assets', 'js', 'audin-drilldown.js');
+    vm.runInContext(fs.readFileSync(file, 'utf8'), sandbox, { filename: file });
+    return sandbox.AUDIN.drilldown;
+}
+
+const drilldown = loadDrilldown();
+const origem = valor => drilldown.parse('?origem=' + encodeURIComponent(valor) + '&pagina=Monitoramento').origem;
+
+test('origem da propria origem vira link absoluto', () => {
+    assert.strictEqual(origem('/monitor/index.html#grafico-sankey').href, SITE + '/monitor/index.html#grafico-sankey');
+    assert.strictEqual(origem('../monitor/index.html?ano=2021').href, SITE + '/monitor/index.html?ano=2021');
+    assert.strictEqual(origem('/monitor/index.html').pagina, 'Monitoramento');
+});
+
+test('origem externa ou com outro esquema e recusada', () => {
+    ['https://evil.example/x', '//evil.example/x', 'javascript:alert(1)', 'data:text/html,x'].forEach(valor => {
+        assert.strictEqual(origem(valor), null, valor);
+    });
+});
+
+test("caminho iniciado por '//' nao vira link para outro site", () => {
+    const href = origem(SITE + '//evil.example/x').href;
+    assert.strictEqual(new URL(href, SITE + '/panel/index.html').origin, SITE);
+    assert.ok(!href.startsWith('//'), href);
+});
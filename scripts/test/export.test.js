@@ -0,0 +1,55 @@
+/**
+ * AUDIN - Testes da exportacao CSV (assets/js/audin-export.js)
+ *
+ * Textos da planilha vao para o Excel: celulas que comecam como formula
+ * precisam chegar como texto.
+ *
+ * Uso: node --test scripts/test/   (Node >= 18, sem dependencias)
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadBrowserModule } = require('../build-data.js');
+
+const exportacao = loadBrowserModule('audin-export.js').export;
+
+/** Linhas de dados do CSV (apos metadados, linha em branco e cabecalho). */
+function linhasCsv(linhas) {
+    const csv = exportacao.toCsv({
+        metadados: { titulo: 'Teste', fonte: '', data_atualizacao: '', filtros: {}, total_registros: linhas.length, gerado_em: '', pagina: '' },
+        colunas: ['Texto', 'Valor'],
+        linhas
+    });
+    const todas = csv.split('\r\n');
+    return todas.slice(todas.indexOf('') + 2, -1);
+}
+
+test('celula que comeca como formula vira texto', () => {
+    assert.deepStrictEqual(linhasCsv([
+        ['=HYPERLINK("http://evil.example","x")', 1],
+        ['+55 92 3305-1181', 2],
+        ['-cmd', 3],
+        ['@SUM(A1)', 4],
+        ['\t=1+1', 5]
+    ]), [
+        '"\'=HYPERLINK(""http://evil.example"",""x"")";1',
+        '"\'+55 92 3305-1181";2',
+        '"\'-cmd";3',
+        '"\'@SUM(A1)";4',
+        '"\'\t=1+1";5'
+    ]);
+});
+
+test('numeros e textos comuns ficam como estao', () => {
+    assert.deepStrictEqual(linhasCsv([
+        ['Recomendação 1: revisar; ajustar', -2.5],
+        ['Atendida', 35.74],
+        ['a=b', 0]
+    ]), [
+        '"Recomendação 1: revisar; ajustar";-2,5',
+        'Atendida;35,74',
+        'a=b;0'
+    ]);
+});
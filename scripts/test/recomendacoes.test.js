@@ -0,0 +1,94 @@
+/**
+ * AUDIN - Testes dos IDs estaveis de recomendacao (assets/js/audin-recomendacoes.js)
+ *
+ * Os IDs chaveiam data/eventos.json e data/temas_revisao.json: corrigir o
+ * texto de uma recomendacao na planilha nao pode muda-los.
+ *
+ * Uso: node --test scripts/test/   (Node >= 18, sem dependencias)
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { assignIds, loadRecordBuilder } = require('../build-data.js');
+
+const build = loadRecordBuilder();
+
+const TABELA = [
+    { Unidade: 'PROADM', Relatorio: '5', Ano: '2017', Recomendacao: '225.2 Recomendação 10: Adotar medidas para evitar a ocorrência.', Situacao: 'Pendente' },
+    { Unidade: 'PROADM', Relatorio: '1', Ano: '2019', Recomendacao: '276.2 Propor a fixação de valores das bolsas.', Situacao: 'Pendente' },
+    { Unidade: 'DAEST', Relatorio: '4', Ano: '2022', Recomendacao: 'Recomendaçãso 1: Que o DAEST implemente o controle.', Situacao: 'Pendente' },
+    { Unidade: 'PROGESP', Relatorio: '4', Ano: '2022', Recomendacao: 'Estabelecer rotinas de acompanhamento.', Situacao: 'Pendente' },
+    { Unidade: 'PROGESP', Relatorio: '4', Ano: '2022', Recomendacao: 'Promover a segregação de funções.', Situacao: 'Atendida' },
+    { Unidade: 'PROEG', Relatorio: '4', Ano: '2022', Recomendacao: 'Estabelecer rotinas de acompanhamento.', Situacao: 'Pendente' }
+];
+
+const ids = rows => build(rows).map(r => r.id);
+
+test('prefixos numerados da planilha', () => {
+    const registros = build(TABELA);
+
+    assert.deepStrictEqual(registros.slice(0, 3).map(r => [r.id, r.Numero, r.Item, r.Texto]), [
+        ['2017-5-proadm-10', 10, null, 'Adotar medidas para evitar a ocorrência.'],
+        ['2019-1-proadm-i276-2', null, '276.2', 'Propor a fixação de valores das bolsas.'],
+        ['2022-4-daest-1', 1, null, 'Que o DAEST implemente o controle.']
+    ]);
+});
+
+test('sem numero: ordem dentro do relatorio e unidade', () => {
+    assert.deepStrictEqual(ids(TABELA).slice(3), ['2022-4-progesp-p1', '2022-4-progesp-p2', '2022-4-proeg-p1']);
+});
+
+test('editar o texto nao muda os IDs', () => {
+    const editada = TABELA.map(r => Object.assign({}, r, {
+        Recomendacao: r.Recomendacao.replace(/\.$/, ', conforme a Lei nº 14.133/2021.')
+    }));
+
+    assert.deepStrictEqual(ids(editada), ids(TABELA));
+});
+
+test('IDs unicos na tabela publicada', () => {
+    const rows = require(path.join(__dirname, '..', '..', 'data', 'recomendacoes_table.json'));
+    const lista = ids(rows);
+
+    assert.strictEqual(new Set(lista).size, lista.length);
+});
+
+/** Tabela com a coluna ID como o build a grava. */
+function comIds(rows) {
+    return assignIds(rows, [], []);
+}
+
+test('coluna ID: remover uma linha sem numero nao muda as outras', () => {
+    const tabela = comIds(TABELA);
+    const semP1 = tabela.filter(r => r.ID !== '2022-4-progesp-p1');
+
+    assert.deepStrictEqual(ids(semP1), ids(tabela).filter(id => id !== '2022-4-progesp-p1'));
+    assert.deepStrictEqual(ids(assignIds(semP1, build(tabela), [])), ids(semP1));
+});
+
+test('linha sem ID herda o da tabela anterior (planilha sem a coluna)', () => {
+    const anterior = build(comIds(TABELA));
+    const planilha = TABELA.filter((r, i) => i !== 3).reverse();
+
+    assert.deepStrictEqual(ids(assignIds(planilha, anterior, [])),
+        ids(TABELA).filter(id => id !== '2022-4-progesp-p1').reverse());
+});
+
+test('recomendacao nova sem numero: proximo p livre, sem reaproveitar IDs', () => {
+    const tabela = comIds(TABELA).filter(r => r.ID !== '2022-4-progesp-p2');
+    const nova = { Unidade: 'PROGESP', Relatorio: '4', Ano: '2022', Recomendacao: 'Publicar o relatório de gestão.', Situacao: 'Pendente' };
+
+    const novaId = assignIds(tabela.concat([nova]), build(comIds(TABELA)), []).slice(-1)[0].ID;
+    assert.strictEqual(novaId, '2022-4-progesp-p3');
+    assert.strictEqual(assignIds(tabela.concat([nova]), [], ['2022-4-progesp-p7']).slice(-1)[0].ID, '2022-4-progesp-p8');
+});
+
+test('ID repetido na tabela e recusado', () => {
+    const tabela = comIds(TABELA);
+    tabela[4].ID = tabela[3].ID;
+
+    assert.throws(() => assignIds(tabela, [], []), /ID repetido 2022-4-progesp-p1/);
+});
@@ -0,0 +1,58 @@
+/**
+ * AUDIN - Testes da busca textual (assets/js/audin-search.js)
+ *
+ * Radicais de plurais e variacoes, e prefixo pelo termo como digitado:
+ * 'servidor' nao pode encontrar 'serviço' nem perder 'servidora'.
+ *
+ * Uso: node --test scripts/test/   (Node >= 18, sem dependencias)
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadBrowserModule } = require('../build-data.js');
+
+const search = loadBrowserModule('audin-search.js').search;
+const radical = palavra => search.stem(search.fold(palavra));
+
+const DOCS = [
+    'Capacitar o servidor responsável pelo almoxarifado.',
+    'Designar servidora para fiscalizar o contrato.',
+    'Revisar a jornada dos servidores do setor.',
+    'Regularizar a prestação de serviços de limpeza.',
+    'Registrar as viagens para fora do país.',
+    'Conferir os valores em reais e a realização dos pagamentos.'
+];
+
+const indice = search.createIndex(DOCS.map(Texto => ({ Texto })), { fields: { Texto: 1 } });
+const encontrados = consulta => Array.from(indice.search(consulta), r => r.ref).sort();
+
+test('radicais: agente, plurais e palavras curtas', () => {
+    assert.deepStrictEqual(['servidor', 'servidora', 'servidores', 'Servidoras'].map(radical), ['servidor', 'servidor', 'servidor', 'servidor']);
+    assert.notStrictEqual(radical('servidor'), radical('serviço'));
+    assert.deepStrictEqual(['país', 'pais', 'países'].map(radical), ['pais', 'pais', 'pais']);
+    assert.deepStrictEqual(['reais', 'real'].map(radical), ['real', 'real']);
+    assert.deepStrictEqual(['licitações', 'licitar', 'licitatório'].map(radical), ['licit', 'licit', 'licit']);
+    assert.deepStrictEqual(['contratos', 'contratada'].map(radical), ['contrat', 'contrat']);
+});
+
+test('servidor encontra servidora e servidores, nao servico', () => {
+    assert.deepStrictEqual(encontrados('servidor'), [0, 1, 2]);
+    assert.deepStrictEqual(encontrados('servidora'), [0, 1, 2]);
+    assert.deepStrictEqual(encontrados('serviço'), [3]);
+});
+
+test('prefixo pelo termo digitado, nao pelo radical', () => {
+    assert.deepStrictEqual(encontrados('serv'), [0, 1, 2, 3]);
+    assert.deepStrictEqual(encontrados('reais'), [5]);
+    assert.deepStrictEqual(encontrados('países'), [4]);
+    assert.deepStrictEqual(encontrados('contr'), [1]);
+});
+
+test('destaque segue a mesma regra', () => {
+    assert.strictEqual(
+        search.highlight('O servidor do serviço no país', 'servidores país'),
+        'O <mark class="audin-destaque">servidor</mark> do serviço no <mark class="audin-destaque">país</mark>'
+    );
+});
@@ -0,0 +1,304 @@
+/**
+ * AUDIN - Service worker (uso offline)
+ *
+ * Mantem o site utilizavel em redes restritas e sem conexao:
+ * pre-carrega paginas, graficos, scripts, bibliotecas de assets/vendor
+ * e os arquivos de data/ na instalacao.
+ *
+ * Estrategias:
+ *   - Paginas (navegacao): rede primeiro, cache como reserva
+ *   - data/*.json: stale-while-revalidate; a pagina e avisada por
+ *     postMessage quando o dado exibido veio do cache e, apos a
+ *     revalidacao, se ele mudou ou se a rede esta indisponivel
+ *   - Demais arquivos do site: cache primeiro, rede como reserva
+ *
+ * Mensagens para a pagina ({ audin: 'sw', type, file, ... }):
+ *   cache     { cachedAt }            resposta servida do cache
+ *   fresh     { changed: boolean }    revalidacao concluida
+ *   offline   {}                      revalidacao falhou (sem rede)
+ *
+ * Ao alterar a lista de arquivos ou as bibliotecas, incremente VERSION.
+ * Registrado por assets/js/audin-offline.js.
+ */
+'use strict';
+
+var VERSION = 13;
+var STATIC_CACHE = 'audin-static-v' + VERSION;
+var DATA_CACHE = 'audin-data-v' + VERSION;
+
+/** Cabecalho com a data em que a resposta de data/ foi armazenada. */
+var CACHED_AT_HEADER = 'X-AUDIN-Cached-At';
+
+var PAGES = [
+    './',
+    'index.html',
+    'monitor/index.html',
+    'beneficios/index.html',
+    'raio-x/index.html',
+    'report/index.html',
+    'panel/index.html',
+    'recomendacao/index.html',
+    'unidade/index.html',
+    'relatorio/index.html'
+];
+
+var CHARTS = [
+    'charts/bar_relatorios_ano.html',
+    'charts/bar_status_ano.html',
+    'charts/bar_temas.html',
+    'charts/bar_unidades.html',
+    'charts/chart_toggle.html',
+    'charts/gauge_efetividade.html',
+    'charts/heatmap_raiox.html',
+    'charts/sankey_monitoramento.html',
+    'charts/sunburst_dashboard.html',
+    'charts/treemap_beneficios.html',
+    'charts/treemap_dashboard.html'
+];
+
+var ASSETS = [
+    'assets/css/style.css',
+    'dev/assets/css/audin-tokens.css',
+    'dev/assets/css/audin-base.css',
+    'dev/assets/css/audin-components.css',
+    'assets/imgs/audin_logo.jpeg',
+    'assets/js/main.js',
+    'assets/js/audin-data.js',
+    'assets/js/audin-registro.js',
+    'assets/js/audin-stats.js',
+    'assets/js/audin-filters.js',
+    'assets/js/audin-frames.js',
+    'assets/js/audin-drilldown.js',
+    'assets/js/audin-theme.js',
+    'assets/js/audin-chart-a11y.js',
+    'assets/js/audin-chart-data.js',
+    'assets/js/audin-offline.js',
+    'assets/js/audin-recomendacoes.js',
+    'assets/js/audin-temas.js',
+    'assets/js/audin-search.js',
+    'assets/js/audin-aging.js',
+    'assets/js/audin-unidades.js',
+    'assets/js/audin-relatorios.js',
+    'assets/js/audin-table.js',
+    'assets/js/audin-export.js',
+    'assets/js/data-loader.js'
+];
+
+var ICONS = [
+    'alert-circle-outline', 'alert-outline', 'analytics-outline', 'apps-outline', 'archive-outline',
+    'arrow-back-outline', 'arrow-forward-outline', 'bar-chart-outline', 'book-outline', 'business-outline', 'calculator-outline',
+    'calendar-outline', 'checkmark-circle-outline', 'checkmark-outline', 'cloud-offline-outline', 'construct-outline',
+    'document-outline', 'document-text-outline', 'download-outline', 'eye-outline',
+    'file-tray-stacked-outline', 'filter-outline', 'flag-outline', 'folder-open-outline', 'funnel-outline',
+    'git-network-outline', 'globe-outline', 'grid-outline', 'home-outline', 'information-circle-outline',
+    'layers-outline', 'link-outline', 'list-outline', 'log-out-outline', 'logo-apple-ar', 'mail-outline',
+    'medal-outline', 'menu-outline', 'open-outline', 'pie-chart-outline', 'podium-outline', 'print-outline',
+    'radio-outline', 'school-outline', 'search-outline', 'shield-checkmark-outline', 'shield-outline',
+    'speedometer-outline', 'star-outline', 'trending-up-outline', 'trophy-outline'
+];
+
+var VENDOR = [
+    'assets/vendor/ionicons-5.5.2/ionicons.esm.js',
+    'assets/vendor/ionicons-5.5.2/ionicons.js',
+    'assets/vendor/ionicons-5.5.2/index.esm.js',
+    'assets/vendor/ionicons-5.5.2/p-0587ed02.system.js',
+    'assets/vendor/ionicons-5.5.2/p-200bca6f.system.js',
+    'assets/vendor/ionicons-5.5.2/p-3460268c.system.entry.js',
+    'assets/vendor/ionicons-5.5.2/p-3f680f7e.js',
+    'assets/vendor/ionicons-5.5.2/p-5c60b45e.entry.js',
+    'assets/vendor/ionicons-5.5.2/p-8ed28fab.system.js',
+    'assets/vendor/ionicons-5.5.2/p-af44f89e.system.js',
+    'assets/vendor/ionicons-5.5.2/p-e26ac56f.js',
+    'assets/vendor/plotly-3.3.0/plotly.min.js'
+].concat(ICONS.map(function (name) {
+    return 'assets/vendor/ionicons-5.5.2/svg/' + name + '.svg';
+}));
+
+var DATA = [
+    'data/stats.json',
+    'data/historico.json',
+    'data/eventos.json',
+    'data/relatorios_pdf.json',
+    'data/recomendacoes_table.json',
+    'data/recomendacoes_grouped.json',
+    'data/sankey_data.json',
+    'data/status_all.json',
+    'data/relatorios_por_ano.json',
+    'data/unidades.json',
+    'data/temas.json',
+    'data/temas_revisao.json',
+    'data/schemas/stats.schema.json',
+    'data/schemas/historico.schema.json',
+    'data/schemas/eventos.schema.json',
+    'data/schemas/relatorios_pdf.schema.json',
+    'data/schemas/recomendacoes_table.schema.json',
+    'data/schemas/recomendacoes_grouped.schema.json',
+    'data/schemas/sankey_data.schema.json',
+    'data/schemas/status_all.schema.json',
+    'data/schemas/relatorios_por_ano.schema.json',
+    'data/schemas/unidades.schema.json',
+    'data/schemas/temas.schema.json',
+    'data/schemas/temas_revisao.schema.json'
+];
+
+function scoped(paths) {
+    return paths.map(function (p) {
+        return new URL(p, self.registration.scope).href;
+    });
+}
+
+function isData(url) {
+    return url.pathname.indexOf(new URL('data/', self.registration.scope).pathname) === 0;
+}
+
+/* ============================================
+   CICLO DE VIDA
+   ============================================ */
+
+self.addEventListener('install', function (event) {
+    event.waitUntil(Promise.all([
+        caches.open(STATIC_CACHE).then(function (cache) {
+            return cache.addAll(scoped(PAGES.concat(CHARTS, ASSETS, VENDOR)));
+        }),
+        caches.open(DATA_CACHE).then(function (cache) {
+            return Promise.all(scoped(DATA).map(function (url) {
+                return fetch(url).then(function (response) {
+                    return response.ok ? stamp(response).then(function (stamped) {
+                        return cache.put(url, stamped);
+                    }) : null;
+                });
+            }));
+        })
+    ]).then(function () {
+        return self.skipWaiting();
+    }));
+});
+
+self.addEventListener('activate', function (event) {
+    event.waitUntil(caches.keys().then(function (keys) {
+        return Promise.all(keys.filter(function (key) {
+            return key.indexOf('audin-') === 0 && key !== STATIC_CACHE && key !== DATA_CACHE;
+        }).map(function (key) {
+            return caches.delete(key);
+        }));
+    }).then(function () {
+        return self.clients.claim();
+    }));
+});
+
+/* ============================================
+   AVISOS PARA A PAGINA
+   ============================================ */
+
+function notify(clientId, type, payload) {
+    if (!clientId) {
+        return Promise.resolve();
+    }
+    return self.clients.get(clientId).then(function (client) {
+        if (client) {
+            var message = { audin: 'sw', type: type };
+            Object.keys(payload).forEach(function (key) {
+                message[key] = payload[key];
+            });
+            client.postMessage(message);
+        }
+    });
+}
+
+function fileOf(url) {
+    return url.pathname.slice(new URL('data/', self.registration.scope).pathname.length);
+}
+
+/* ============================================
+   ESTRATEGIAS
+   ============================================ */
+
+/**
+ * Copia a resposta acrescentando o cabecalho com a data de armazenamento.
+ *
+ * @param {Response} response
+ * @returns {Promise<Response>}
+ */
+function stamp(response) {
+    var headers = new Headers(response.headers);
+    headers.set(CACHED_AT_HEADER, new Date().toISOString());
+    return response.clone().blob().then(function (body) {
+        return new Response(body, { status: response.status, statusText: response.statusText, headers: headers });
+    });
+}
+
+function staleWhileRevalidate(event, url) {
+    var file = fileOf(url);
+
+    return caches.open(DATA_CACHE).then(function (cache) {
+        return cache.match(event.request).then(function (cached) {
+            var network = fetch(event.request).then(function (response) {
+                if (!response.ok) {
+                    return response;
+                }
+                return stamp(response).then(function (stamped) {
+                    var antes = cached ? cached.clone().text() : Promise.resolve(null);
+                    return Promise.all([antes, response.clone().text(), cache.put(event.request, stamped)])
+                        .then(function (textos) {
+                            if (cached) {
+                                notify(event.clientId, 'fresh', { file: file, changed: textos[0] !== textos[1] });
+                            }
+                            return response;
+                        });
+                });
+            }).catch(function (error) {
+                if (cached) {
+                    notify(event.clientId, 'offline', { file: file });
+                }
+                throw error;
+            });
+
+            if (!cached) {
+                return network;
+            }
+
+            event.waitUntil(network.catch(function () {}));
+            notify(event.clientId, 'cache', { file: file, cachedAt: cached.headers.get(CACHED_AT_HEADER) });
+            return cached;
+        });
+    });
+}
+
+function networkFirst(request) {
+    return fetch(request).then(function (response) {
+        if (response.ok) {
+            var copy = response.clone();
+            caches.open(STATIC_CACHE).then(function (cache) {
+                cache.put(request, copy);
+            });
+        }
+        return response;
+    }).catch(function () {
+        return caches.match(request, { ignoreSearch: true }).then(function (cached) {
+            return cached || caches.match(new URL('index.html', self.registration.scope).href);
+        });
+    });
+}
+
+function cacheFirst(request) {
+    return caches.match(request, { ignoreSearch: true }).then(function (cached) {
+        return cached || fetch(request);
+    });
+}
+
+self.addEventListener('fetch', function (event) {
+    var request = event.request;
+    var url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+
+    if (isData(url)) {
+        event.respondWith(staleWhileRevalidate(event, url));
+    } else if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+    } else {
+        event.respondWith(cacheFirst(request));
+    }
+});